@@ -0,0 +1,2680 @@
+/*
+  Arquivo: app.js
+  Descrição: Aplicação Express da Calculadora de Craft Pokexgames. Expõe uma API RESTful para operações CRUD
+  (Create, Read, Update, Delete) sobre as receitas, além de rotas analíticas, persistidas em SQLite.
+  `createApp(db)` monta os middlewares e as rotas sobre uma conexão já migrada (ver `lib/database.js`) e retorna o
+  app sem escutar nenhuma porta: `server.js` usa o banco em arquivo e chama `listen`, e os testes (`test/`) sobem o
+  mesmo app sobre um banco `:memory:`.
+  Principais Funcionalidades:
+  - Middlewares: Utiliza `cors` para permitir requisições de diferentes origens (Cross-Origin Resource Sharing)
+    e `express.json()` para parsear corpos de requisição no formato JSON. As origens aceitas podem ser
+    restringidas pela variável de ambiente CORS_ORIGINS (lista separada por vírgulas); sem ela, todas são aceitas.
+  - Autenticação: Rotas de leitura (e as simulações de crafting) são públicas. Rotas que alteram dados exigem uma
+    chave de API com papel 'editor' (cabeçalho `Authorization: Bearer <chave>` ou `X-API-Key`), e o gerenciamento
+    de chaves exige papel 'admin'. A primeira chave admin é criada localmente com `npm run bootstrap-admin`.
+  - Workspaces: Receitas, materiais, preços, inventários, livro-caixa e eventos pertencem a um workspace (ex: uma
+    guild), escolhido pelo cabeçalho `X-Workspace: <slug>` ou por `?workspace=<slug>`; sem eles, vale o 'public', o
+    catálogo compartilhado. Nomes só precisam ser únicos dentro do workspace e cada workspace tem seu próprio índice
+    e ETag. Workspaces privados exigem chave de API com acesso a eles também na leitura; uma chave criada com
+    `workspace` só vale nele (ver `lib/workspaces.js`). Chaves e workspaces só são gerenciados por chaves admin sem
+    workspace.
+  - Rotas da API:
+    - GET /api/items: Lista os itens craftáveis com seus materiais, em `{ total, limit, offset, next_cursor, items }`.
+      Filtros: `q` (nome parcial, sem diferenciar acentos), `material` (nome ou alias), `materialType`,
+      `minPrice`/`maxPrice` (npc_sell_price), `minQuantity`/`maxQuantity` (quantity_produced) e `profession`/`level`
+      (receitas que a profissão e o nível informados conseguem craftar). Ordenação com `sort=id|name|quantity_produced|
+      npc_sell_price|material_count|craft_duration_seconds|min_profession_level` e `order=asc|desc`. Paginação com
+      `limit` + `offset` ou `limit` + `cursor` (o `next_cursor` da página anterior). Sem `limit`, retorna tudo.
+    - GET /api/items/:id/recipe: Retorna os detalhes completos de uma receita específica, incluindo seus materiais e
+      as variantes alternativas (`variants`).
+      As receitas devolvidas (aqui, na listagem, em by-material, em filter-by-material-profile e nos eventos) trazem
+      `npc_cost_per_unit`, `npc_revenue_per_unit` e `npc_profit_per_unit`; os rankings de lucro trazem também
+      `cost_per_unit`, `revenue_per_unit` e `profit_per_unit` com os preços de `priceSource`.
+    - GET /api/items/:id/tree: Expande a receita recursivamente (materiais 'profession' que são receitas) até os
+      materiais brutos, retornando a árvore e a lista consolidada de materiais. `variant=<nome>` monta a raiz com
+      uma variante (padrão a principal); as sub-receitas usam a principal.
+    - GET /api/items/:id/scale: Escala a receita para `quantity` itens ou `packs` packs (tamanho do pack lido do
+      início do nome, ex: "100 Nightmare Medium Potion", ou `quantity_produced`), com `rounding=up|down|exact` para
+      crafts indivisíveis (ver `lib/recipeScaling.js`) e `variant=<nome>` opcional. Retorna crafts, produção,
+      excedente/falta, materiais e custo, receita e lucro NPC, totais e por unidade.
+    - GET /api/items/:id/sell-options: Compara as saídas de `quantity` unidades do item (padrão quantity_produced):
+      vender ao NPC, no mercado (`marketPrice` informado ou o preço de mercado do livro) ou usar como material
+      'profession' da receita que mais rende com essa quantidade (lucro com `priceSource`, descontado o valor dos
+      outros materiais 'profession' da receita). Retorna as saídas
+      ordenadas pelo valor total, a recomendação e as receitas que usam o item (ver `lib/sellOptions.js`).
+    - GET /api/items/name/:name: Busca um item pelo nome (sem diferenciar acentos) e retorna a receita sem materiais.
+    - GET /api/items/profit-ranking: Ranking de receitas por lucro por hora (`sort=profit_per_hour`, padrão) ou por
+      craft (`sort=profit_per_craft`), filtrado por `profession`/`level` e com preços de `priceSource=npc|market|best`.
+      Receitas sem `craft_duration_seconds` ficam no fim do ranking por hora; empates são resolvidos pelo lucro por
+      craft, depois pelo nome e pelo id. Cada receita entra com a variante de maior lucro (`variant_id`/`variant_name`)
+      e o resultado de todas em `variants`.
+    - POST /api/items: Cria uma nova receita de item. Aceita os metadados opcionais `craft_duration_seconds`,
+      `profession` e `min_profession_level` (também no PUT, onde campos ausentes mantêm o valor atual). Cada material pode ser informado por `material_id` ou por
+      `material_name` (nome canônico ou alias); nomes desconhecidos são criados no catálogo com o `material_type`
+      e o `default_npc_price` enviados. `variants: [{ name, quantity_produced, materials }]` cadastra conjuntos
+      alternativos de materiais para o mesmo item (ver `lib/recipeVariants.js`); os materiais da própria receita são
+      a variante principal. No PUT, `variants` ausente mantém as variantes atuais.
+    - PUT /api/items/:id: Atualiza uma receita de item existente (materiais resolvidos como no POST).
+    - DELETE /api/items/:id: Remove uma receita de item, junto com os preços dela no livro de preços.
+    - GET /api/items/:id/history: Lista as revisões da receita (estado anterior a cada criação/atualização/exclusão).
+    - POST /api/items/:id/restore/:revision: Restaura a receita para o estado guardado na revisão, inclusive se ela
+      tiver sido excluída. Criações, atualizações, exclusões e restaurações registram como autor o nome da chave de API.
+    - POST /api/items/fork: Copia receitas de outro workspace (`source`, padrão 'public'; `recipe_ids` opcional) para o
+      workspace da requisição, com materiais (ligados pelo nome ou criados), variantes e preços, em uma transação.
+      Receitas com nome já existente no destino são puladas (`skipped`).
+    - GET /api/items/by-material: Retorna itens que usam um material específico (em qualquer variante).
+    - GET /api/items/most-profitable-npc: Retorna itens ordenados por lucratividade. Por padrão considera apenas
+      preços NPC; `priceSource=npc|market|best` usa os preços do livro de preços para custo, receita e margem.
+      `trendDays=N` inclui em cada item `margin_trend`, comparando o lucro e a margem atuais com os preços de N dias
+      atrás (mantendo a composição atual da receita). Como no ranking, vale a variante de maior lucro.
+    - GET /api/items/filter-by-material-profile: Filtra itens com base no perfil de tipo de seus materiais.
+    - GET /api/export: Exporta todas as receitas com seus materiais (`format=json|csv`). Exportação e importação
+      tratam só a variante principal; `upsert-by-name` mantém as variantes das receitas atualizadas.
+    - POST /api/import: Importa receitas em JSON ou CSV (`mode=create-only|upsert-by-name|replace-all`). Valida
+      todas as linhas antes de gravar e aplica tudo em uma única transação; `dryRun=true` só valida e resume.
+    - GET/PUT/DELETE /api/prices/materials[/:materialName]: Livro de preços de compra dos materiais (origem npc/market).
+      `materialName` aceita o nome ou um alias do catálogo e o preço fica no nome canônico; o PUT responde 404 para
+      materiais fora do catálogo.
+    - GET/PUT/DELETE /api/prices/items[/:id]: Livro de preços de venda dos itens craftados (origem npc/market).
+    - GET /api/prices/materials/:materialName/history, GET /api/prices/items/:id/history: Série histórica de preços
+      (referência, npc e market) com mínimo, máximo, média e variação percentual por origem. `days=N` limita a
+      janela aos últimos N dias e `source` filtra a origem. Toda gravação de preço é registrada automaticamente.
+    - GET /api/materials/usage-summary: Fornece um sumário do uso de materiais, podendo incluir preço NPC para consultas específicas.
+    - GET /api/materials, GET /api/materials/:id: Lista o catálogo de materiais (com aliases e uso em receitas).
+    - GET /api/materials/:id/where-used: Todas as receitas que dependem do material, diretamente ou por meio de
+      intermediários 'profession', com a quantidade consumida por unidade do item final e os caminhos percorridos.
+      Cada variante que usa o material é uma entrada, com `variant_id` e `variant_name`.
+    - GET /api/materials/:id/impact?price=N: Simula um novo preço NPC para o material e retorna a variação de custo
+      e de lucro NPC (árvore completa, por craft) de cada receita afetada, da maior para a menor variação.
+    - POST /api/materials: Cria um material no catálogo.
+    - PUT /api/materials/:id: Renomeia, reclassifica ou reprecifica um material (vale para todas as receitas que o usam).
+    - POST /api/materials/:id/merge: Mescla outros materiais neste, transformando seus nomes em aliases.
+    - GET /api/inventories, GET /api/inventories/:id: Inventários nomeados guardados no servidor e seu estoque.
+    - POST /api/inventories: Cria um inventário (`{ name, materials? }`). DELETE /api/inventories/:id o remove.
+    - POST /api/inventories/:id/add, POST /api/inventories/:id/remove: Adiciona ou retira estoque
+      (`{ materials: [{ material_name, quantity }] }`); a retirada é tudo ou nada.
+    - GET /api/inventories/:id/log: Registro dos crafts executados no inventário.
+    - POST /api/crafting/execute: Executa N crafts de uma receita em um inventário (`{ inventoryId, recipe_id ou
+      recipe_name, crafts }`): confere e retira os materiais, adiciona os itens produzidos e registra o craft, tudo
+      em uma transação. As transações da API esperam a vez umas das outras (ver `lib/transactions.js`): crafts,
+      retiradas e vendas simultâneas no mesmo inventário não gastam o mesmo estoque.
+    - GET /api/ledger: Livro-caixa de compras e vendas reais (`type=purchase|sale`, `from`/`to`).
+    - POST /api/ledger: Registra uma compra de material ou venda de item (`{ type, material_name ou recipe_id,
+      quantity, unit_price, channel: npc|market, occurred_at?, inventoryId? }`); com `inventoryId` o estoque é
+      ajustado na mesma transação. DELETE /api/ledger/:id remove um registro lançado por engano.
+    - GET /api/reports/profit: Lucro realizado por receita e total no período (`from`/`to`), comparado com a margem
+      teórica NPC. GET /api/reports/profit/timeline agrupa por dia ou semana (`period=day|week`).
+    As rotas de análise abaixo aceitam `inventoryId` no corpo no lugar da lista de materiais do inventário. Na lista
+    enviada, aliases de materiais do catálogo valem pelo nome canônico, como no estoque dos inventários.
+    - POST /api/crafting/check-possibilities: Verifica quais itens podem ser fabricados com base nos materiais fornecidos pelo usuário.
+      Receitas sem materiais vêm primeiro, com `max_crafts_possible: null` e `unbounded: true`. Vale a variante que
+      produz mais itens com o inventário; o resultado de cada variante vem em `variants`.
+    - POST /api/crafting/plan: Monta um único plano viável de crafts para o inventário informado, distribuindo os
+      materiais entre receitas concorrentes segundo um objetivo (lucro NPC, lucro de mercado ou quantidade de itens).
+      Cada variante concorre separadamente; as entradas do plano trazem `variant_id`/`variant_name`.
+    - POST /api/crafting/shopping-list: Calcula a lista de compras para uma ordem de produção (itens e quantidades),
+      descontando o inventário do usuário e separando os materiais faltantes em buy/drop/profession, com custo NPC.
+      Para cada item vale a variante com o menor custo de aquisição; `crafts` conta crafts da variante principal.
+    - POST /api/crafting/analyze-potential-crafts: Analisa receitas que usam os materiais fornecidos, detalhando materiais faltantes e crafts possíveis.
+      Como em check-possibilities, vale a variante que produz mais itens; o resultado de cada uma vem em `variants`.
+    - GET /api/events: Stream Server-Sent Events com as alterações feitas por qualquer usuário: `recipe.created`,
+      `recipe.updated`, `recipe.deleted` (com o id e o estado da receita) e `price.changed` (preço de material ou
+      item, `price: null` quando removido). Os eventos são publicados só depois do COMMIT. Reconexões com
+      `Last-Event-ID` recebem os eventos perdidos (ver `lib/events.js`); `types=` filtra os tipos.
+    - GET /api/workspaces: Lista os workspaces públicos e os privados acessíveis pela chave enviada, com `recipe_count`.
+      POST /api/workspaces (`{ slug, name, visibility? }`, padrão 'private') cria um workspace (papel 'admin').
+    - GET /api/openapi.json: Documento OpenAPI 3.0 de todas as rotas, com os schemas de requisição e de resposta.
+    - GET /api/auth/me: Retorna a chave de API autenticada e seu papel.
+    - GET/POST /api/auth/keys, DELETE /api/auth/keys/:id: Lista, cria (`workspace` opcional limita a chave a um
+      workspace) e revoga chaves de API (papel 'admin').
+    - GET /health: Liveness, responde `OK` enquanto o processo estiver no ar. GET /health/ready: Readiness, executa
+      `SELECT 1` no banco e responde 503 se a consulta falhar ou passar de 2 segundos.
+    - GET /metrics: Métricas no formato de texto do Prometheus (requisições por rota e status, consultas SQL por
+      operação, com contagem, erros e latência). As rotas de saúde e de métricas não exigem chave de API.
+  - Validação: Toda rota que recebe corpo o valida com os schemas de `lib/schemas.js` antes de tocar no banco.
+    Corpos inválidos recebem 422 com `{ error, errors: [{ field, code, message }] }`, um erro por campo (ex:
+    `materials[1].quantity`, code `too_small`), inclusive materiais repetidos e receitas que usam a si mesmas.
+    A importação usa o mesmo schema de receita e acrescenta `row` e `recipe_name` a cada erro.
+  - Contrato: Todo erro responde com o envelope `{ error }` (mais `errors` ou `shortages` quando houver), inclusive
+    rotas /api inexistentes (404). Contagens de craft sem limite (receitas sem materiais) saem como `null` com
+    `unbounded: true`. Com NODE_ENV=test (ou VALIDATE_RESPONSES=true) cada resposta JSON é validada contra
+    `/api/openapi.json` e divergências viram 500 (ver `lib/openapi.js`).
+  - Tratamento de Erro: Um middleware genérico para capturar e responder a erros não tratados. Erros ao ler o corpo
+    mantêm o status do parser no envelope `{ error }` (413 para corpo grande demais, 415 para codificação não
+    suportada); JSON malformado recebe 422, como os demais corpos inválidos.
+  - Logs e Métricas: Os logs são JSON, uma linha por evento (ver `lib/logger.js`, nível em LOG_LEVEL). Cada
+    requisição recebe um id, devolvido no cabeçalho `X-Request-Id` (o do cliente é reaproveitado se válido), que
+    acompanha todo log emitido por ela, inclusive o de cada consulta SQL (nível `debug`). O fim de cada requisição é
+    registrado com rota, status e duração (ver `lib/requestLogging.js` e `lib/dbInstrumentation.js`).
+  - Cache: As rotas de análise e de crafting leem receitas, materiais, variantes e preços de um índice em memória
+    compartilhado (ver `lib/recipeIndex.js`), remontado na primeira leitura depois de cada escrita; os lucros por
+    variante de cada `priceSource` são calculados uma vez por versão do índice. As leituras do catálogo (GET de
+    itens, materiais, rankings e exportação) respondem com `ETag` e `Cache-Control: no-cache`; um `If-None-Match`
+    com o ETag atual recebe 304 sem corpo (a menos que a requisição traga `Cache-Control: no-cache`, como o `fetch`
+    faz nas requisições condicionais). O ETag muda a cada escrita em receitas, materiais ou preços.
+    `npm run bench` compara o índice com a carga completa por requisição em um catálogo sintético grande.
+  Dependências:
+  - express: Framework web para Node.js.
+  - cors: Middleware para habilitar CORS.
+*/
+const express = require('express');
+const cors = require('cors');
+const { buildRecipeTree, flattenRecipeTree, roundQuantity } = require('./lib/recipeTree');
+const { planCrafts } = require('./lib/craftPlanner');
+const { MATERIAL_TYPES } = require('./lib/constants');
+const { recipesToCsv, parseRecipesCsv, normalizeJsonRecipes, validateImportRecipes } = require('./lib/recipeTransfer');
+const { roleSatisfies, extractApiKey, createApiKey, findActiveApiKey } = require('./lib/auth');
+const { parseItemListQuery, buildItemListQuery, encodeCursor, accentInsensitivePattern } = require('./lib/itemQuery');
+const { CRAFT_METADATA_FIELDS, pickCraftMetadata, craftMetadataColumns } = require('./lib/craftMetadata');
+const { validateBody, sendValidationErrors } = require('./lib/validation');
+const { schemas } = require('./lib/schemas');
+const { findWhereUsed, buildPriceImpact } = require('./lib/whereUsed');
+const { EVENT_TYPES, createEventBus } = require('./lib/events');
+const { indexRecipeVariants, listRecipeVariants, rankVariants, variantReference } = require('./lib/recipeVariants');
+const { SCALE_ROUNDING, npcUnitEconomics, perUnit, packSizeFromName, scaleRecipe } = require('./lib/recipeScaling');
+const { findDownstreamUses, compareSellOutlets } = require('./lib/sellOptions');
+const { buildOpenApiSpec, responseValidator } = require('./lib/openapi');
+const { createRecipeIndex } = require('./lib/recipeIndex');
+const { DEFAULT_WORKSPACE, WORKSPACE_HEADER, WORKSPACE_SCOPED_PATHS, canAccessWorkspace, findWorkspace, resolveWorkspace } = require('./lib/workspaces');
+const { logger } = require('./lib/logger');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetricsRegistry } = require('./lib/metrics');
+const { instrumentDatabase } = require('./lib/dbInstrumentation');
+const { runInTransaction, runQueuedStatement } = require('./lib/transactions');
+const { requestLogger, restoreRequestContext } = require('./lib/requestLogging');
+const { PRICE_SOURCES, PRICE_SOURCE_OPTIONS, buildPriceBook, computeRecipeProfit } = require('./lib/pricing');
+const { toSqliteTimestamp, daysAgo, parsePositiveDays, parseHistoryQuery, summarizePriceSeries, pricesAt } = require('./lib/priceHistory');
+const {
+    LEDGER_ENTRY_TYPES, REPORT_PERIODS, toLedgerTimestamp, parseDateRange,
+    averagePurchasePrices, recipeUnitEconomics, buildRecipeProfitReport, buildProfitTimeline
+} = require('./lib/ledger');
+
+// Mensagens dos erros do body-parser (`err.type`) que chegam ao middleware de erro com status 4xx.
+const BODY_ERROR_MESSAGES = {
+    'entity.too.large': 'O corpo da requisição passa do tamanho máximo aceito.',
+    'encoding.unsupported': 'A codificação do corpo da requisição (Content-Encoding) não é suportada.',
+    'charset.unsupported': 'O charset do corpo da requisição não é suportado.'
+};
+
+function createApp(db) {
+    const app = express();
+    const metrics = createMetricsRegistry();
+    instrumentDatabase(db, metrics);
+    const events = createEventBus(db);
+
+    // Materiais das receitas com nome, tipo e preço vindos do catálogo de materiais.
+    const SQL_RECIPE_MATERIALS = `SELECT rm.recipe_id, rm.material_id, m.name AS material_name, rm.quantity, m.material_type, m.default_npc_price
+        FROM recipe_materials rm JOIN materials m ON m.id = rm.material_id`;
+    // Materiais das variantes alternativas, no mesmo formato (com `variant_id` no lugar de `recipe_id`).
+    const SQL_VARIANT_MATERIALS = `SELECT vm.variant_id, vm.material_id, m.name AS material_name, vm.quantity, m.material_type, m.default_npc_price
+        FROM recipe_variant_materials vm JOIN materials m ON m.id = vm.material_id`;
+
+    // Variantes alternativas (com materiais) agrupadas por receita. `recipeIds` nulo carrega as de todas as receitas do workspace.
+    function loadRecipeVariants(workspaceId, recipeIds, callback) {
+        let where = 'WHERE recipe_id IN (SELECT id FROM recipes WHERE workspace_id = ?)';
+        if (recipeIds) { where += ` AND recipe_id IN (${recipeIds.map(() => '?').join(', ')})`; }
+        db.all(`SELECT id, recipe_id, name, quantity_produced FROM recipe_variants ${where} ORDER BY id ASC`, [workspaceId, ...(recipeIds || [])], (err, variants) => {
+            if (err) { return callback(err); }
+            if (variants.length === 0) { return callback(null, new Map()); }
+            const sqlMaterials = `${SQL_VARIANT_MATERIALS} WHERE vm.variant_id IN (${variants.map(() => '?').join(', ')}) ORDER BY vm.id ASC`;
+            db.all(sqlMaterials, variants.map(variant => variant.id), (err, materials) => {
+                if (err) { return callback(err); }
+                callback(null, indexRecipeVariants(variants, materials));
+            });
+        });
+    }
+
+    // Índice compartilhado do catálogo e dos preços de cada workspace (ver `lib/recipeIndex.js`), criado na primeira
+    // leitura do workspace. Toda rota que grava receitas, materiais, aliases, variantes ou preços chama
+    // `recipeIndexFor(workspaceId).invalidate()` depois de confirmar a escrita. A carga é uma transação da fila (ver
+    // `lib/transactions.js`): lida no meio da transação de outra requisição, guardaria linhas que um ROLLBACK desfaz
+    // sem que nada invalide o índice.
+    const recipeIndexBuilds = metrics.counter('recipe_index_builds_total', 'Montagens do índice de receitas (a primeira leitura após cada escrita).');
+    const recipeIndexBuildDuration = metrics.histogram('recipe_index_build_duration_seconds', 'Duração da montagem do índice de receitas em segundos.');
+    const recipeIndexes = new Map();
+    function recipeIndexFor(workspaceId) {
+        if (recipeIndexes.has(workspaceId)) { return recipeIndexes.get(workspaceId); }
+        const recipeIndex = createRecipeIndex((callback) => runInTransaction(db, (done) => {
+            db.all(`SELECT id, name, quantity_produced, npc_sell_price, ${CRAFT_METADATA_FIELDS.join(', ')} FROM recipes WHERE workspace_id = ? ORDER BY id ASC`, [workspaceId], (err, recipes) => {
+                if (err) { return done(err); }
+                db.all(`${SQL_RECIPE_MATERIALS} WHERE m.workspace_id = ? ORDER BY rm.id ASC`, [workspaceId], (err, materials) => {
+                    if (err) { return done(err); }
+                    loadRecipeVariants(workspaceId, null, (err, variantsByRecipe) => {
+                        if (err) { return done(err); }
+                        loadPriceBook(workspaceId, (err, priceBook) => done(err, { recipes, materials, variantsByRecipe, priceBook }));
+                    });
+                });
+            });
+        }, callback), {
+            onBuild: (index, seconds) => {
+                recipeIndexBuilds.inc();
+                recipeIndexBuildDuration.observe({}, seconds);
+                logger.debug('Índice de receitas montado', { workspace_id: workspaceId, version: index.version, recipes: index.recipes.length, materials: index.materials.length, duration_ms: Math.round(seconds * 1e6) / 1e3 });
+            }
+        });
+        recipeIndexes.set(workspaceId, recipeIndex);
+        return recipeIndex;
+    }
+
+    // Entrega o índice do workspace da requisição ou responde 500; `description` completa a mensagem de erro (ex: 'para o ranking').
+    function withRecipeIndex(req, res, description, callback) {
+        recipeIndexFor(req.workspace.id).get((err, index) => {
+            if (err) {
+                logger.error("Erro ao montar o índice de receitas", { error: err.message });
+                return res.status(500).json({ error: `Erro interno do servidor ao buscar receitas ${description}.` });
+            }
+            callback(index);
+        });
+    }
+
+    // Remove as variantes alternativas da receita (não há ON DELETE CASCADE efetivo: as chaves estrangeiras estão desligadas).
+    function deleteRecipeVariantsStatements(recipeId) {
+        return [
+            ["DELETE FROM recipe_variant_materials WHERE variant_id IN (SELECT id FROM recipe_variants WHERE recipe_id = ?)", [recipeId]],
+            ["DELETE FROM recipe_variants WHERE recipe_id = ?", [recipeId]]
+        ];
+    }
+
+    // Substitui as variantes da receita pelas já resolvidas (ver `resolveRecipeVariants`). Os materiais são ligados à
+    // variante pelo nome, único na receita, para que tudo caiba em `runStatements`.
+    function replaceRecipeVariantsStatements(recipeId, resolvedVariants) {
+        const statements = deleteRecipeVariantsStatements(recipeId);
+        resolvedVariants.forEach(variant => {
+            statements.push(["INSERT INTO recipe_variants (recipe_id, name, quantity_produced) VALUES (?, ?, ?)", [recipeId, variant.name, variant.quantity_produced]]);
+            variant.materials.forEach(mat => {
+                statements.push(["INSERT INTO recipe_variant_materials (variant_id, material_id, quantity) SELECT id, ?, ? FROM recipe_variants WHERE recipe_id = ? AND name = ?",
+                    [mat.material_id, mat.quantity, recipeId, variant.name]]);
+            });
+        });
+        return statements;
+    }
+
+    // Campos básicos de uma receita do índice (que também guarda os metadados de craft).
+    const recipeSummary = ({ id, name, quantity_produced, npc_sell_price }) => ({ id, name, quantity_produced, npc_sell_price });
+    // Materiais no formato de resposta, sem o `recipe_id` de SQL_RECIPE_MATERIALS.
+    const withoutRecipeId = (materials) => materials.map(({ recipe_id, ...rest }) => rest);
+
+    // Receita (e suas variantes, quando informadas) com custo, receita e lucro NPC por unidade.
+    function withUnitEconomics(recipe, materials, variants) {
+        const result = { ...recipe, ...npcUnitEconomics(recipe.quantity_produced, recipe.npc_sell_price, materials), materials };
+        if (variants) {
+            result.variants = variants.map(variant => ({ ...variant, ...npcUnitEconomics(variant.quantity_produced, recipe.npc_sell_price, variant.materials) }));
+        }
+        return result;
+    }
+
+    function runStatements(statements, callback) {
+        const runNext = (index) => {
+            if (index >= statements.length) { return callback(null); }
+            const [sql, params] = statements[index];
+            db.run(sql, params, (err) => (err ? callback(err) : runNext(index + 1)));
+        };
+        runNext(0);
+    }
+
+    // Revisão do histórico com o estado atual da receita (antes da alteração), montado em JSON pelo próprio SQLite.
+    const SQL_RECORD_RECIPE_HISTORY = `INSERT INTO recipe_history (workspace_id, recipe_id, revision, action, snapshot, actor)
+        SELECT r.workspace_id, r.id, COALESCE((SELECT MAX(h.revision) FROM recipe_history h WHERE h.recipe_id = r.id), 0) + 1, ?,
+            CASE WHEN ? THEN json_object(
+                'name', r.name, 'quantity_produced', r.quantity_produced, 'npc_sell_price', r.npc_sell_price,
+                'craft_duration_seconds', r.craft_duration_seconds, 'profession', r.profession, 'min_profession_level', r.min_profession_level,
+                'materials', json((SELECT json_group_array(json_object('material_id', rm.material_id, 'material_name', m.name, 'quantity', rm.quantity,
+                                                                       'material_type', m.material_type, 'default_npc_price', m.default_npc_price))
+                                   FROM recipe_materials rm JOIN materials m ON m.id = rm.material_id WHERE rm.recipe_id = r.id)),
+                'variants', json((SELECT json_group_array(json_object('name', v.name, 'quantity_produced', v.quantity_produced,
+                    'materials', json((SELECT json_group_array(json_object('material_id', vm.material_id, 'material_name', m.name, 'quantity', vm.quantity,
+                                                                           'material_type', m.material_type, 'default_npc_price', m.default_npc_price))
+                                       FROM recipe_variant_materials vm JOIN materials m ON m.id = vm.material_id WHERE vm.variant_id = v.id))))
+                                  FROM recipe_variants v WHERE v.recipe_id = r.id))
+            ) END, ?
+        FROM recipes r`;
+
+    // Filtro SQL da receita de `where`: `{ id }` ou `{ workspaceId, name }` (o nome só é único dentro do workspace).
+    function recipeWhere(where, alias) {
+        if (where.id !== undefined) { return [`${alias}.id = ?`, [where.id]]; }
+        return [`${alias}.workspace_id = ? AND ${alias}.name = ?`, [where.workspaceId, where.name]];
+    }
+
+    // `where` identifica a receita como em `recipeWhere`. Na criação a receita ainda não tinha estado anterior.
+    function recipeHistoryStatement(action, actor, where, captureSnapshot = action !== 'create') {
+        const [condition, params] = recipeWhere(where, 'r');
+        return [`${SQL_RECORD_RECIPE_HISTORY} WHERE ${condition}`, [action, captureSnapshot ? 1 : 0, actor, ...params]];
+    }
+
+    const getActor = (req) => (req.apiKey ? req.apiKey.name : 'anonymous');
+
+    // Publica um evento de receita do workspace com o estado atual dela; só deve ser chamado depois do COMMIT.
+    // `where` identifica a receita como em `recipeWhere`.
+    function publishRecipeEvent(workspace, type, where, actor) {
+        const [condition, params] = recipeWhere(where, 'r');
+        const sql = `SELECT id, name, quantity_produced, npc_sell_price, ${CRAFT_METADATA_FIELDS.join(', ')} FROM recipes r WHERE ${condition}`;
+        db.get(sql, params, (err, recipe) => {
+            if (err || !recipe) { return err && logger.error("Erro ao buscar receita para o evento", { error: err.message }); }
+            db.all(`${SQL_RECIPE_MATERIALS} WHERE rm.recipe_id = ?`, [recipe.id], (err, materials) => {
+                if (err) { return logger.error("Erro ao buscar materiais para o evento", { error: err.message }); }
+                loadRecipeVariants(workspace.id, [recipe.id], (err, variantsByRecipe) => {
+                    if (err) { return logger.error("Erro ao buscar variantes para o evento", { error: err.message }); }
+                    const recipeState = withUnitEconomics(recipe, materials.map(({ recipe_id, ...rest }) => rest), variantsByRecipe.get(recipe.id) || []);
+                    events.publish(type, { recipe_id: recipe.id, actor, recipe: recipeState }, workspace);
+                });
+            });
+        });
+    }
+
+    // Receitas (ou variantes delas) que usam algum dos materiais.
+    function recipesUsingMaterialsSql(materialIds) {
+        const placeholders = materialIds.map(() => '?').join(',');
+        return `SELECT recipe_id FROM recipe_materials WHERE material_id IN (${placeholders})
+                UNION SELECT v.recipe_id FROM recipe_variant_materials vm JOIN recipe_variants v ON v.id = vm.variant_id WHERE vm.material_id IN (${placeholders})`;
+    }
+
+    // Receitas que usam algum dos materiais, para avisar que mudaram junto com o catálogo.
+    function publishRecipesUsingMaterials(workspace, materialIds, actor) {
+        db.all(recipesUsingMaterialsSql(materialIds), [...materialIds, ...materialIds], (err, rows) => {
+            if (err) { return logger.error("Erro ao buscar receitas para o evento", { error: err.message }); }
+            rows.forEach(row => publishRecipeEvent(workspace, 'recipe.updated', { id: row.recipe_id }, actor));
+        });
+    }
+
+    function runStatementsInTransaction(statements, callback) {
+        runInTransaction(db, (done) => runStatements(statements, done), callback);
+    }
+
+    // Erro que desfaz a transação (ver `runInTransaction`) levando os erros de validação para a resposta 422.
+    const validationFailure = (validationErrors) => Object.assign(new Error('Dados inválidos.'), { validationErrors });
+
+    // Material do catálogo do workspace, pelo id ou pelo nome (canônico ou alias).
+    function findCatalogMaterial(workspaceId, materialId, materialName, callback) {
+        const columns = "m.id, m.name, m.material_type, m.default_npc_price";
+        if (materialId) { return db.get(`SELECT ${columns} FROM materials m WHERE m.workspace_id = ? AND m.id = ?`, [workspaceId, materialId], callback); }
+        const name = String(materialName).trim();
+        const sql = `SELECT ${columns} FROM materials m LEFT JOIN material_aliases a ON a.material_id = m.id
+                     WHERE m.workspace_id = ? AND (m.name = ? OR a.alias = ?) ORDER BY (m.name = ?) DESC LIMIT 1`;
+        db.get(sql, [workspaceId, name, name, name], callback);
+    }
+
+    // Resolve cada material do payload para um id do catálogo do workspace, criando os nomes desconhecidos.
+    // O callback recebe (err, resolvedMaterials, validationErrors). As verificações aqui dependem do catálogo:
+    // material inexistente, dois nomes/aliases que resolvem para o mesmo material e a receita como material de si mesma.
+    function resolveRecipeMaterials(workspaceId, recipeName, materials, callback) {
+        const resolved = [];
+        const errors = [];
+        const addError = (index, field, code, message) => errors.push({ field: `materials[${index}]${field ? `.${field}` : ''}`, code, message });
+        const recipeKey = String(recipeName).trim().toLowerCase();
+        const resolveNext = (index) => {
+            if (index >= materials.length) { return errors.length > 0 ? callback(null, null, errors) : callback(null, resolved); }
+            const mat = materials[index];
+            const accept = (materialId, canonicalName) => {
+                if (resolved.some(other => other.material_id === materialId)) {
+                    addError(index, null, 'duplicate', `O material "${canonicalName}" aparece mais de uma vez na receita (nome, alias ou id repetidos).`);
+                } else if (canonicalName.toLowerCase() === recipeKey) {
+                    addError(index, 'material_name', 'self_reference', 'A receita não pode usar a si mesma como material.');
+                }
+                resolved.push({ material_id: materialId, quantity: mat.quantity });
+                resolveNext(index + 1);
+            };
+            findCatalogMaterial(workspaceId, mat.material_id, mat.material_name, (err, row) => {
+                if (err) { return callback(err); }
+                if (row) { return accept(row.id, row.name); }
+                if (mat.material_id || !MATERIAL_TYPES.includes(mat.material_type)) {
+                    addError(index, mat.material_id ? 'material_id' : 'material_type', 'not_found', `Material "${mat.material_id || mat.material_name}" não encontrado no catálogo. Informe "material_name" e um "material_type" válido para criá-lo.`);
+                    return resolveNext(index + 1);
+                }
+                if (errors.length > 0) { return resolveNext(index + 1); }
+                db.run("INSERT INTO materials (workspace_id, name, material_type, default_npc_price) VALUES (?, ?, ?, ?)", [workspaceId, mat.material_name.trim(), mat.material_type, mat.default_npc_price || 0], function(err) {
+                    if (err) { return callback(err); }
+                    accept(this.lastID, mat.material_name.trim());
+                });
+            });
+        };
+        resolveNext(0);
+    }
+
+    // Resolve os materiais de cada variante como `resolveRecipeMaterials`, com os erros em "variants[N].materials[M]".
+    // O callback recebe (err, resolvedVariants, validationErrors); `variants` ausente resolve para null.
+    function resolveRecipeVariants(workspaceId, recipeName, variants, callback) {
+        if (variants === undefined || variants === null) { return callback(null, null); }
+        const resolved = [];
+        const errors = [];
+        const resolveNext = (index) => {
+            if (index >= variants.length) { return errors.length > 0 ? callback(null, null, errors) : callback(null, resolved); }
+            const variant = variants[index];
+            resolveRecipeMaterials(workspaceId, recipeName, variant.materials, (err, materials, validationErrors) => {
+                if (err) { return callback(err); }
+                if (validationErrors) {
+                    validationErrors.forEach(error => errors.push({ ...error, field: `variants[${index}].${error.field}` }));
+                } else {
+                    resolved.push({ name: variant.name.trim(), quantity_produced: variant.quantity_produced, materials });
+                }
+                resolveNext(index + 1);
+            });
+        };
+        resolveNext(0);
+    }
+
+    // Materiais da receita e das variantes do corpo de POST/PUT, com os erros de validação de todas as listas juntos.
+    // O callback recebe (err, { materials, variants }, validationErrors).
+    function resolveRecipeBody(workspaceId, body, callback) {
+        resolveRecipeMaterials(workspaceId, body.name, body.materials, (err, materials, materialErrors) => {
+            if (err) { return callback(err); }
+            resolveRecipeVariants(workspaceId, body.name, body.variants, (err, variants, variantErrors) => {
+                if (err) { return callback(err); }
+                const errors = [...(materialErrors || []), ...(variantErrors || [])];
+                if (errors.length > 0) { return callback(null, null, errors); }
+                callback(null, { materials, variants });
+            });
+        });
+    }
+
+    const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(origin => origin);
+
+    app.use(requestLogger(metrics));
+    app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : {}));
+    // Importações em JSON aceitam o mesmo tamanho das em CSV; o parser global (100kb) pula corpos já lidos.
+    const IMPORT_BODY_LIMIT = '5mb';
+    app.use('/api/import', express.json({ limit: IMPORT_BODY_LIMIT }));
+    app.use(express.json());
+    app.use(restoreRequestContext);
+
+    const openApiSpec = buildOpenApiSpec();
+    // Em testes, toda resposta JSON é conferida contra o documento OpenAPI (ver `lib/openapi.js`).
+    if (process.env.NODE_ENV === 'test' || process.env.VALIDATE_RESPONSES === 'true') {
+        app.use(responseValidator(openApiSpec));
+    }
+
+    // Rotas de catálogo, preços, inventários, livro-caixa e eventos valem para o workspace da requisição (`req.workspace`).
+    app.use(WORKSPACE_SCOPED_PATHS, resolveWorkspace(db));
+
+    // Chaves limitadas a um workspace só valem nas rotas dele; `allWorkspaces` exige uma chave válida em todos
+    // (gerenciamento de chaves e de workspaces).
+    function requireRole(requiredRole, { allWorkspaces = false } = {}) {
+        return (req, res, next) => {
+            const key = extractApiKey(req);
+            if (!key) { return res.status(401).json({ error: 'Autenticação necessária. Envie uma chave de API no cabeçalho Authorization (Bearer) ou X-API-Key.' }); }
+            findActiveApiKey(db, key, (err, apiKey) => {
+                if (err) {
+                    logger.error("Erro ao validar chave de API", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao validar chave de API.' });
+                }
+                if (!apiKey) { return res.status(401).json({ error: 'Chave de API inválida ou revogada.' }); }
+                if (!roleSatisfies(apiKey.role, requiredRole)) { return res.status(403).json({ error: `Esta operação exige o papel '${requiredRole}'.` }); }
+                if (req.workspace && !canAccessWorkspace(apiKey, req.workspace)) { return res.status(403).json({ error: `Esta chave de API não tem acesso ao workspace "${req.workspace.slug}".` }); }
+                if (allWorkspaces && apiKey.workspace_id !== null) { return res.status(403).json({ error: 'Esta operação exige uma chave de API válida em todos os workspaces.' }); }
+                req.apiKey = apiKey;
+                next();
+            });
+        };
+    }
+
+    // Leituras que dependem só do catálogo e dos preços levam o ETag da versão do índice de receitas do workspace:
+    // um `If-None-Match` com a versão atual recebe 304 antes de qualquer consulta ou cálculo.
+    function catalogETag(req, res, next) {
+        res.set('ETag', recipeIndexFor(req.workspace.id).etag());
+        res.set('Cache-Control', req.workspace.visibility === 'private' ? 'private, no-cache' : 'no-cache');
+        res.vary(WORKSPACE_HEADER);
+        if (req.fresh) { return res.status(304).end(); }
+        next();
+    }
+
+    app.get('/api/items', catalogETag, (req, res) => {
+        const { options, error } = parseItemListQuery(req.query);
+        if (error) { return res.status(400).json({ error }); }
+        const { count, page } = buildItemListQuery(options, req.workspace.id);
+
+        db.get(count.sql, count.params, (err, countRow) => {
+            if (err) {
+                logger.error("Erro na query GET /api/items (count)", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar itens.' });
+            }
+            db.all(page.sql, page.params, (err, recipes) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/items (recipes)", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar itens.' });
+                }
+                const last = recipes[recipes.length - 1];
+                const response = {
+                    total: countRow.total,
+                    limit: options.limit,
+                    offset: options.cursor ? null : options.offset,
+                    next_cursor: options.limit !== null && recipes.length === options.limit ? encodeCursor(last.sort_value, last.id) : null,
+                    items: []
+                };
+                if (recipes.length === 0) { return res.json(response); }
+
+                const sqlMaterials = `${SQL_RECIPE_MATERIALS} WHERE rm.recipe_id IN (${recipes.map(() => '?').join(', ')})`;
+                db.all(sqlMaterials, recipes.map(recipe => recipe.id), (err, materials) => {
+                    if (err) {
+                        logger.error("Erro na query GET /api/items (materials)", { error: err.message });
+                        return res.status(500).json({ error: 'Erro interno do servidor ao buscar materiais dos itens.' });
+                    }
+                    response.items = recipes.map(({ sort_value, ...recipe }) => withUnitEconomics(recipe,
+                        materials.filter(material => material.recipe_id === recipe.id).map(({ recipe_id, ...rest }) => rest)));
+                    res.json(response);
+                });
+            });
+        });
+    });
+
+    app.get('/api/items/:id/recipe', catalogETag, (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+
+        const sqlRecipe = `SELECT id, name, quantity_produced, npc_sell_price, craft_duration_seconds, profession, min_profession_level
+            FROM recipes WHERE workspace_id = ? AND id = ?`;
+        const sqlMaterials = `SELECT rm.material_id, m.name AS material_name, rm.quantity, m.material_type, m.default_npc_price
+            FROM recipe_materials rm JOIN materials m ON m.id = rm.material_id WHERE rm.recipe_id = ?`;
+
+        db.get(sqlRecipe, [req.workspace.id, itemId], (err, recipeRow) => {
+            if (err) {
+                logger.error("Erro na query de receita", { recipe_id: itemId, error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar receita.' });
+            }
+            if (!recipeRow) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+
+            db.all(sqlMaterials, [itemId], (err, materialRows) => {
+                if (err) {
+                    logger.error("Erro na query de materiais", { recipe_id: itemId, error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar materiais da receita.' });
+                }
+                loadRecipeVariants(req.workspace.id, [itemId], (err, variantsByRecipe) => {
+                    if (err) {
+                        logger.error("Erro na query de variantes", { recipe_id: itemId, error: err.message });
+                        return res.status(500).json({ error: 'Erro interno do servidor ao buscar variantes da receita.' });
+                    }
+                    const fullRecipe = withUnitEconomics(recipeRow, materialRows || [], variantsByRecipe.get(itemId) || []);
+                    res.json(fullRecipe);
+                });
+            });
+        });
+    });
+
+    app.get('/api/items/:id/tree', catalogETag, (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const requestedQuantity = req.query.quantity !== undefined ? Number(req.query.quantity) : null;
+        if (requestedQuantity !== null && (!Number.isFinite(requestedQuantity) || requestedQuantity <= 0)) {
+            return res.status(400).json({ error: 'O parâmetro "quantity" deve ser um número positivo.' });
+        }
+
+        const variantName = req.query.variant;
+
+        withRecipeIndex(req, res, 'para a árvore', (index) => {
+            const recipe = index.recipesById.get(itemId);
+            if (!recipe) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            const variants = index.variantsOf(recipe);
+            const variant = variantName === undefined
+                ? variants[0]
+                : variants.find(v => v.name.toLowerCase() === String(variantName).trim().toLowerCase());
+            if (!variant) { return res.status(404).json({ error: `Variante "${variantName}" não encontrada nesta receita.` }); }
+            const quantity = requestedQuantity || variant.quantity_produced || 1;
+            const tree = buildRecipeTree(recipe, index, quantity, [], variant);
+            const { billOfMaterials, cycles } = flattenRecipeTree(tree);
+            const totalMaterialCostNpc = billOfMaterials.reduce((sum, mat) => sum + mat.total_npc_cost, 0);
+
+            res.json({
+                id: recipe.id,
+                name: recipe.name,
+                ...variantReference(variant),
+                quantity_produced: variant.quantity_produced,
+                requested_quantity: quantity,
+                tree,
+                bill_of_materials: billOfMaterials,
+                total_material_cost_npc: roundQuantity(totalMaterialCostNpc),
+                material_cost_npc_per_unit: roundQuantity(totalMaterialCostNpc / quantity),
+                cycles_detected: cycles
+            });
+        });
+    });
+
+    app.get('/api/items/:id/scale', catalogETag, (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const { quantity: quantityQuery, packs: packsQuery, rounding = 'up', variant: variantName } = req.query;
+        if ((quantityQuery === undefined) === (packsQuery === undefined)) {
+            return res.status(400).json({ error: 'Informe "quantity" (itens) ou "packs" (packs), e só um deles.' });
+        }
+        const requested = Number(quantityQuery !== undefined ? quantityQuery : packsQuery);
+        if (!Number.isFinite(requested) || requested <= 0) {
+            return res.status(400).json({ error: `O parâmetro "${quantityQuery !== undefined ? 'quantity' : 'packs'}" deve ser um número positivo.` });
+        }
+        if (!SCALE_ROUNDING.includes(rounding)) {
+            return res.status(400).json({ error: `Valor inválido para "rounding". Válidos: ${SCALE_ROUNDING.join(', ')}.` });
+        }
+
+        db.get("SELECT id, name, quantity_produced, npc_sell_price FROM recipes WHERE workspace_id = ? AND id = ?", [req.workspace.id, itemId], (err, recipe) => {
+            if (err) {
+                logger.error("Erro na query GET /api/items/:id/scale (recipe)", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar receita.' });
+            }
+            if (!recipe) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            db.all(`${SQL_RECIPE_MATERIALS} WHERE rm.recipe_id = ?`, [itemId], (err, materials) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/items/:id/scale (materials)", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar materiais da receita.' });
+                }
+                loadRecipeVariants(req.workspace.id, [itemId], (err, variantsByRecipe) => {
+                    if (err) {
+                        logger.error("Erro na query GET /api/items/:id/scale (variants)", { error: err.message });
+                        return res.status(500).json({ error: 'Erro interno do servidor ao buscar variantes da receita.' });
+                    }
+                    const variants = listRecipeVariants(recipe, materials, variantsByRecipe);
+                    const variant = variantName === undefined
+                        ? variants[0]
+                        : variants.find(v => v.name.toLowerCase() === String(variantName).trim().toLowerCase());
+                    if (!variant) { return res.status(404).json({ error: `Variante "${variantName}" não encontrada nesta receita.` }); }
+
+                    const packSize = packSizeFromName(recipe.name, variant.quantity_produced);
+                    const requestedQuantity = quantityQuery !== undefined ? requested : roundQuantity(requested * packSize);
+                    const scaled = scaleRecipe({ quantityProduced: variant.quantity_produced, npcSellPrice: recipe.npc_sell_price, materials: variant.materials }, requestedQuantity, rounding);
+                    if (scaled.error) { return res.status(400).json({ error: scaled.error }); }
+
+                    res.json({
+                        recipe_id: recipe.id,
+                        recipe_name: recipe.name,
+                        ...variantReference(variant),
+                        quantity_produced: variant.quantity_produced,
+                        pack_size: packSize,
+                        rounding,
+                        requested_quantity: requestedQuantity,
+                        requested_packs: roundQuantity(requestedQuantity / packSize),
+                        ...scaled,
+                        ...npcUnitEconomics(variant.quantity_produced, recipe.npc_sell_price, variant.materials)
+                    });
+                });
+            });
+        });
+    });
+
+    // Onde vender `quantity` unidades do item: NPC, mercado (`marketPrice` ou o livro de preços) ou como material de
+    // outra receita (ver `lib/sellOptions.js`).
+    app.get('/api/items/:id/sell-options', catalogETag, (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const { priceSource = 'npc' } = req.query;
+        if (!PRICE_SOURCE_OPTIONS.includes(priceSource)) {
+            return res.status(400).json({ error: `Valor inválido para "priceSource". Válidos: ${PRICE_SOURCE_OPTIONS.join(', ')}.` });
+        }
+        const requestedQuantity = req.query.quantity !== undefined ? Number(req.query.quantity) : null;
+        if (requestedQuantity !== null && (!Number.isFinite(requestedQuantity) || requestedQuantity <= 0)) {
+            return res.status(400).json({ error: 'O parâmetro "quantity" deve ser um número positivo.' });
+        }
+        const marketPrice = req.query.marketPrice !== undefined ? Number(req.query.marketPrice) : null;
+        if (marketPrice !== null && (req.query.marketPrice === '' || !Number.isFinite(marketPrice) || marketPrice < 0)) {
+            return res.status(400).json({ error: 'O parâmetro "marketPrice" deve ser um número maior ou igual a zero.' });
+        }
+
+        withRecipeIndex(req, res, 'para comparar saídas de venda', (index) => {
+            const recipe = index.recipesById.get(itemId);
+            if (!recipe) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            const quantity = requestedQuantity || recipe.quantity_produced || 1;
+            const downstreamUses = findDownstreamUses(index, recipe, priceSource);
+            res.json({
+                item_id: recipe.id,
+                item_name: recipe.name,
+                quantity,
+                price_source: priceSource,
+                ...compareSellOutlets({ recipe, quantity, priceBook: index.priceBook, marketPrice, downstreamUses }),
+                downstream_recipes: downstreamUses
+            });
+        });
+    });
+
+    app.get('/api/items/name/:name', catalogETag, (req, res) => {
+        const itemName = req.params.name;
+        // Sem diferenciar maiúsculas/minúsculas nem acentos; o nome exato (ignorando caixa) tem preferência.
+        const sql = `SELECT id, name, quantity_produced, npc_sell_price FROM recipes
+            WHERE workspace_id = ? AND name GLOB ? ORDER BY LOWER(name) = LOWER(?) DESC, id ASC LIMIT 1`;
+        db.get(sql, [req.workspace.id, accentInsensitivePattern(itemName, false), itemName], (err, row) => {
+            if (err) {
+                logger.error("Erro ao buscar item por nome", { error: err.message });
+                return res.status(500).json({ error: 'Erro ao buscar item.' });
+            }
+            if (row) {
+                return res.json(row);
+            } else {
+                return res.status(404).json({ error: 'Item não encontrado.' });
+            }
+        });
+       });
+
+    app.post('/api/items', requireRole('editor'), validateBody(schemas.recipe), (req, res) => {
+        const { name, quantity_produced, npc_sell_price } = req.body;
+
+        const metadataSql = craftMetadataColumns(pickCraftMetadata(req.body));
+        const sqlInsertRecipe = `INSERT INTO recipes (workspace_id, name, quantity_produced, npc_sell_price${metadataSql.insertColumns}) VALUES (?, ?, ?, ?${metadataSql.insertPlaceholders})`;
+        const sqlInsertMaterial = `INSERT INTO recipe_materials (recipe_id, material_id, quantity) VALUES (?, ?, ?)`;
+
+        runInTransaction(db, (done) => {
+            resolveRecipeBody(req.workspace.id, req.body, (err, resolved, validationErrors) => {
+                if (err || validationErrors) { return done(err || validationFailure(validationErrors)); }
+                const { materials: resolvedMaterials, variants: resolvedVariants } = resolved;
+                db.run(sqlInsertRecipe, [req.workspace.id, name.trim(), quantity_produced, npc_sell_price || 0, ...metadataSql.params], function(err) {
+                    if (err) { return done(err); }
+                    const recipeId = this.lastID;
+                    const statements = [
+                        ...resolvedMaterials.map(mat => [sqlInsertMaterial, [recipeId, mat.material_id, mat.quantity]]),
+                        ...replaceRecipeVariantsStatements(recipeId, resolvedVariants || []),
+                        recipeHistoryStatement('create', getActor(req), { id: recipeId })
+                    ];
+                    runStatements(statements, (err) => done(err, recipeId));
+                });
+            });
+        }, (err, recipeId) => {
+            if (err) {
+                if (err.validationErrors) { return sendValidationErrors(res, err.validationErrors); }
+                if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe uma receita com este nome.' }); }
+                logger.error("Erro ao salvar receita", { error: err.message });
+                return res.status(500).json({ error: 'Erro ao salvar receita.' });
+            }
+            recipeIndexFor(req.workspace.id).invalidate();
+            publishRecipeEvent(req.workspace, 'recipe.created', { id: recipeId }, getActor(req));
+            res.status(201).json({ message: 'Receita criada com sucesso!', id: recipeId });
+        });
+    });
+
+    app.put('/api/items/:id', requireRole('editor'), validateBody(schemas.recipe), (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        const { name, quantity_produced, npc_sell_price } = req.body;
+
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+
+        // Metadados de craft e `variants` ausentes no corpo mantêm o valor atual.
+        const metadataSql = craftMetadataColumns(pickCraftMetadata(req.body));
+        const sqlUpdateRecipe = `UPDATE recipes SET name = ?, quantity_produced = ?, npc_sell_price = ?${metadataSql.updateAssignments} WHERE workspace_id = ? AND id = ?`;
+        const sqlDeleteMaterials = `DELETE FROM recipe_materials WHERE recipe_id = ?`;
+        const sqlInsertMaterial = `INSERT INTO recipe_materials (recipe_id, material_id, quantity) VALUES (?, ?, ?)`;
+
+        runInTransaction(db, (done) => {
+            db.get("SELECT id FROM recipes WHERE workspace_id = ? AND id = ?", [req.workspace.id, itemId], (err, row) => {
+                // Receita inexistente: nada foi gravado.
+                if (err || !row) { return done(err, false); }
+                resolveRecipeBody(req.workspace.id, req.body, (err, resolved, validationErrors) => {
+                    if (err || validationErrors) { return done(err || validationFailure(validationErrors)); }
+                    const { materials: resolvedMaterials, variants: resolvedVariants } = resolved;
+                    const statements = [
+                        recipeHistoryStatement('update', getActor(req), { id: itemId }),
+                        [sqlUpdateRecipe, [name.trim(), quantity_produced, npc_sell_price || 0, ...metadataSql.params, req.workspace.id, itemId]],
+                        [sqlDeleteMaterials, [itemId]],
+                        ...resolvedMaterials.map(mat => [sqlInsertMaterial, [itemId, mat.material_id, mat.quantity]]),
+                        ...(resolvedVariants ? replaceRecipeVariantsStatements(itemId, resolvedVariants) : [])
+                    ];
+                    runStatements(statements, (err) => done(err, true));
+                });
+            });
+        }, (err, updated) => {
+            if (err) {
+                if (err.validationErrors) { return sendValidationErrors(res, err.validationErrors); }
+                if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe outra receita com este nome.' }); }
+                logger.error("Erro ao atualizar receita", { error: err.message });
+                return res.status(500).json({ error: 'Erro ao atualizar receita.' });
+            }
+            if (!updated) { return res.status(404).json({ error: 'Item não encontrado para atualização.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            publishRecipeEvent(req.workspace, 'recipe.updated', { id: itemId }, getActor(req));
+            res.json({ message: 'Receita atualizada com sucesso!', id: itemId });
+        });
+    });
+
+    app.delete('/api/items/:id', requireRole('editor'), (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const statements = [
+            recipeHistoryStatement('delete', getActor(req), { id: itemId }),
+            ["DELETE FROM recipe_materials WHERE recipe_id = ?", [itemId]],
+            ...deleteRecipeVariantsStatements(itemId),
+            ["DELETE FROM item_prices WHERE recipe_id = ?", [itemId]],
+            ["DELETE FROM recipes WHERE id = ?", [itemId]]
+        ];
+        // A receita é lida dentro da transação: de duas exclusões simultâneas, a segunda já não a encontra e responde
+        // 404, sem gravar outra revisão no histórico nem publicar outro evento.
+        runInTransaction(db, (done) => {
+            db.get("SELECT id, name FROM recipes WHERE workspace_id = ? AND id = ?", [req.workspace.id, itemId], (err, row) => {
+                if (err || !row) { return done(err, null); }
+                runStatements(statements, (err) => done(err, row));
+            });
+        }, (err, row) => {
+            if (err) { logger.error("Erro ao deletar receita", { error: err.message }); return res.status(500).json({ error: `Erro ao deletar receita: ${err.message}` }); }
+            if (!row) { return res.status(404).json({ error: 'Item não encontrado para deletar.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            events.publish('recipe.deleted', { recipe_id: itemId, actor: getActor(req), recipe_name: row.name }, req.workspace);
+            res.status(200).json({ message: 'Receita deletada com sucesso!' });
+        });
+    });
+
+    app.get('/api/items/:id/history', (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const sql = "SELECT revision, action, snapshot, actor, created_at FROM recipe_history WHERE workspace_id = ? AND recipe_id = ? ORDER BY revision DESC";
+        db.all(sql, [req.workspace.id, itemId], (err, rows) => {
+            if (err) {
+                logger.error("Erro na query de histórico", { recipe_id: itemId, error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar histórico da receita.' });
+            }
+            db.get("SELECT id, name FROM recipes WHERE workspace_id = ? AND id = ?", [req.workspace.id, itemId], (err, recipeRow) => {
+                if (err) { return res.status(500).json({ error: 'Erro interno do servidor ao buscar receita.' }); }
+                if (!recipeRow && rows.length === 0) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+                res.json({
+                    recipe_id: itemId,
+                    deleted: !recipeRow,
+                    revisions: rows.map(row => ({ ...row, snapshot: row.snapshot ? JSON.parse(row.snapshot) : null }))
+                });
+            });
+        });
+    });
+
+    app.post('/api/items/:id/restore/:revision', requireRole('editor'), (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        const revision = parseInt(req.params.revision, 10);
+        if (isNaN(itemId) || isNaN(revision)) { return res.status(400).json({ error: 'ID do item ou revisão inválidos.' }); }
+
+        db.get("SELECT snapshot FROM recipe_history WHERE workspace_id = ? AND recipe_id = ? AND revision = ?", [req.workspace.id, itemId, revision], (err, historyRow) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar revisão da receita.' }); }
+            if (!historyRow) { return res.status(404).json({ error: 'Revisão não encontrada.' }); }
+            if (!historyRow.snapshot) { return res.status(400).json({ error: 'Esta revisão é a criação da receita e não possui estado anterior para restaurar.' }); }
+            const snapshot = JSON.parse(historyRow.snapshot);
+
+            db.all("SELECT id FROM materials WHERE workspace_id = ?", [req.workspace.id], (err, materialRows) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar materiais do catálogo.' }); }
+                const existingMaterialIds = new Set(materialRows.map(m => m.id));
+                // Materiais removidos do catálogo desde a revisão são recriados pelo nome guardado no snapshot.
+                const toPayload = (snapshotMaterials) => snapshotMaterials.map(mat => (existingMaterialIds.has(mat.material_id)
+                    ? { material_id: mat.material_id, quantity: mat.quantity }
+                    : { material_name: mat.material_name, material_type: mat.material_type, default_npc_price: mat.default_npc_price, quantity: mat.quantity }));
+                // Revisões anteriores às variantes não as guardam: restauram sem variantes alternativas.
+                const body = {
+                    name: snapshot.name,
+                    materials: toPayload(snapshot.materials),
+                    variants: (snapshot.variants || []).map(variant => ({ ...variant, materials: toPayload(variant.materials) }))
+                };
+
+                const actor = getActor(req);
+                runInTransaction(db, (done) => {
+                    // A receita pode ter sido excluída (a revisão recria com o mesmo id) ou continuar existindo.
+                    db.get("SELECT id FROM recipes WHERE id = ?", [itemId], (err, currentRow) => {
+                        if (err) { return done(err); }
+                        resolveRecipeBody(req.workspace.id, body, (err, resolved, validationErrors) => {
+                            if (err || validationErrors) { return done(err || validationFailure(validationErrors)); }
+                            const { materials: resolvedMaterials, variants: resolvedVariants } = resolved;
+                            // Revisões anteriores aos metadados de craft não os guardam: restauram como nulos.
+                            const metadataParams = CRAFT_METADATA_FIELDS.map(field => (snapshot[field] !== undefined ? snapshot[field] : null));
+                            const statements = currentRow
+                                ? [
+                                    recipeHistoryStatement('restore', actor, { id: itemId }),
+                                    [`UPDATE recipes SET name = ?, quantity_produced = ?, npc_sell_price = ?, ${CRAFT_METADATA_FIELDS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+                                        [snapshot.name, snapshot.quantity_produced, snapshot.npc_sell_price, ...metadataParams, itemId]],
+                                    ["DELETE FROM recipe_materials WHERE recipe_id = ?", [itemId]]
+                                ]
+                                : [
+                                    [`INSERT INTO recipes (id, workspace_id, name, quantity_produced, npc_sell_price, ${CRAFT_METADATA_FIELDS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                                        [itemId, req.workspace.id, snapshot.name, snapshot.quantity_produced, snapshot.npc_sell_price, ...metadataParams]],
+                                    recipeHistoryStatement('restore', actor, { id: itemId }, false)
+                                ];
+                            resolvedMaterials.forEach(mat => {
+                                statements.push(["INSERT INTO recipe_materials (recipe_id, material_id, quantity) VALUES (?, ?, ?)", [itemId, mat.material_id, mat.quantity]]);
+                            });
+                            statements.push(...replaceRecipeVariantsStatements(itemId, resolvedVariants));
+                            runStatements(statements, (err) => done(err, !!currentRow));
+                        });
+                    });
+                }, (err, existed) => {
+                    if (err) {
+                        if (err.validationErrors) { return sendValidationErrors(res, err.validationErrors); }
+                        if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe outra receita com o nome desta revisão.' }); }
+                        logger.error("Erro ao restaurar receita", { error: err.message });
+                        return res.status(500).json({ error: 'Erro ao restaurar receita.' });
+                    }
+                    recipeIndexFor(req.workspace.id).invalidate();
+                    publishRecipeEvent(req.workspace, existed ? 'recipe.updated' : 'recipe.created', { id: itemId }, actor);
+                    res.json({ message: 'Receita restaurada com sucesso!', id: itemId, restored_revision: revision });
+                });
+            });
+        });
+    });
+
+    // Copia uma receita do índice do workspace `source` para `workspace` (deve rodar dentro de `runInTransaction`). Os materiais
+    // são resolvidos pelo nome (ou alias) no destino e criados quando faltam; os preços de mercado/NPC da receita vêm
+    // junto, e os dos materiais só quando o destino ainda não tem preço para a origem. O callback recebe
+    // (err, newRecipeId, validationErrors).
+    function forkRecipe(workspace, source, sourceIndex, recipe, actor, callback) {
+        const withoutIds = (materials) => materials.map(({ material_name, material_type, default_npc_price, quantity }) => ({ material_name, material_type, default_npc_price, quantity }));
+        const sourceMaterials = sourceIndex.materialsByRecipe.get(recipe.id) || [];
+        const sourceVariants = sourceIndex.variantsByRecipe.get(recipe.id) || [];
+        const body = {
+            name: recipe.name,
+            materials: withoutIds(sourceMaterials),
+            variants: sourceVariants.map(variant => ({ name: variant.name, quantity_produced: variant.quantity_produced, materials: withoutIds(variant.materials) }))
+        };
+        resolveRecipeBody(workspace.id, body, (err, resolved, validationErrors) => {
+            if (err || validationErrors) { return callback(err, null, validationErrors); }
+            const sql = `INSERT INTO recipes (workspace_id, name, quantity_produced, npc_sell_price, ${CRAFT_METADATA_FIELDS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+            db.run(sql, [workspace.id, recipe.name, recipe.quantity_produced, recipe.npc_sell_price, ...CRAFT_METADATA_FIELDS.map(field => recipe[field])], function(err) {
+                if (err) { return callback(err); }
+                const recipeId = this.lastID;
+                // Material de destino -> nome na origem, para copiar os preços do livro.
+                const sourceNames = new Map();
+                const collect = (sourceList, resolvedList) => resolvedList.forEach((mat, i) => sourceNames.set(mat.material_id, sourceList[i].material_name));
+                collect(sourceMaterials, resolved.materials);
+                resolved.variants.forEach((variant, i) => collect(sourceVariants[i].materials, variant.materials));
+
+                const statements = [
+                    ...resolved.materials.map(mat => ["INSERT INTO recipe_materials (recipe_id, material_id, quantity) VALUES (?, ?, ?)", [recipeId, mat.material_id, mat.quantity]]),
+                    ...replaceRecipeVariantsStatements(recipeId, resolved.variants),
+                    ["INSERT INTO item_prices (recipe_id, source, price, updated_at) SELECT ?, source, price, updated_at FROM item_prices WHERE recipe_id = ?", [recipeId, recipe.id]],
+                    ...[...sourceNames].map(([materialId, sourceName]) => [
+                        `INSERT INTO material_prices (workspace_id, material_name, source, price, updated_at)
+                         SELECT ?, (SELECT name FROM materials WHERE id = ?), source, price, updated_at FROM material_prices WHERE workspace_id = ? AND material_name = ?
+                         ON CONFLICT (workspace_id, material_name, source) DO NOTHING`,
+                        [workspace.id, materialId, source.id, sourceName]
+                    ]),
+                    recipeHistoryStatement('create', actor, { id: recipeId })
+                ];
+                runStatements(statements, (err) => callback(err, recipeId));
+            });
+        });
+    }
+
+    // Copia receitas de outro workspace (por padrão o público) para o da requisição, em uma única transação. Receitas
+    // com nome já existente no destino são puladas e listadas em `skipped`.
+    app.post('/api/items/fork', requireRole('editor'), validateBody(schemas.recipeFork), (req, res) => {
+        const sourceSlug = (req.body.source || DEFAULT_WORKSPACE).trim();
+        findWorkspace(db, sourceSlug, (err, source) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar workspace de origem.' }); }
+            if (!source) { return res.status(404).json({ error: `Workspace "${sourceSlug}" não encontrado.` }); }
+            if (source.id === req.workspace.id) { return res.status(400).json({ error: 'O workspace de origem deve ser diferente do workspace da requisição.' }); }
+            if (source.visibility === 'private' && !canAccessWorkspace(req.apiKey, source)) {
+                return res.status(403).json({ error: `Esta chave de API não tem acesso ao workspace "${source.slug}".` });
+            }
+            recipeIndexFor(source.id).get((err, sourceIndex) => {
+                if (err) {
+                    logger.error("Erro ao montar índice do workspace de origem", { workspace: source.slug, error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar receitas de origem.' });
+                }
+                const requestedIds = req.body.recipe_ids ? [...new Set(req.body.recipe_ids)] : null;
+                const missingIds = requestedIds ? requestedIds.filter(id => !sourceIndex.recipesById.has(id)) : [];
+                if (missingIds.length > 0) { return res.status(404).json({ error: `Receitas não encontradas no workspace "${source.slug}": ${missingIds.join(', ')}.` }); }
+                const candidates = requestedIds ? requestedIds.map(id => sourceIndex.recipesById.get(id)) : sourceIndex.recipes;
+
+                const created = [];
+                let skipped = [];
+                const actor = getActor(req);
+
+                // Os nomes existentes são lidos dentro da transação: cópias simultâneas para o mesmo workspace pulam
+                // as receitas que a anterior acabou de criar.
+                runInTransaction(db, (done) => {
+                    db.all("SELECT name FROM recipes WHERE workspace_id = ?", [req.workspace.id], (err, rows) => {
+                        if (err) { return done(err); }
+                        const existingNames = new Set(rows.map(row => row.name.toLowerCase()));
+                        skipped = candidates.filter(recipe => existingNames.has(recipe.name.toLowerCase())).map(recipe => ({ source_id: recipe.id, name: recipe.name }));
+                        const toCopy = candidates.filter(recipe => !existingNames.has(recipe.name.toLowerCase()));
+                        const copyNext = (index) => {
+                            if (index >= toCopy.length) { return done(null); }
+                            const recipe = toCopy[index];
+                            forkRecipe(req.workspace, source, sourceIndex, recipe, actor, (err, recipeId, validationErrors) => {
+                                if (err || validationErrors) { return done(err || validationFailure(validationErrors.map(error => ({ ...error, recipe_name: recipe.name })))); }
+                                created.push({ source_id: recipe.id, id: recipeId, name: recipe.name });
+                                copyNext(index + 1);
+                            });
+                        };
+                        copyNext(0);
+                    });
+                }, (err) => {
+                    if (err) {
+                        if (err.validationErrors) { return res.status(422).json({ error: 'As receitas não puderam ser copiadas; nada foi gravado.', errors: err.validationErrors }); }
+                        logger.error("Erro ao copiar receitas", { source: source.slug, error: err.message });
+                        return res.status(500).json({ error: 'Erro ao copiar receitas; nada foi gravado.' });
+                    }
+                    recipeIndexFor(req.workspace.id).invalidate();
+                    created.forEach(recipe => publishRecipeEvent(req.workspace, 'recipe.created', { id: recipe.id }, actor));
+                    res.json({ message: `${created.length} receita(s) copiada(s) de "${source.slug}".`, source: source.slug, created, skipped });
+                });
+            });
+        });
+    });
+
+    app.get('/api/items/by-material', catalogETag, (req, res) => {
+        const materialName = req.query.materialName;
+        if (!materialName) {
+            return res.status(400).json({ error: 'Nome do material é obrigatório na query string (materialName).' });
+        }
+        withRecipeIndex(req, res, 'por material', (index) => {
+            const recipeIds = index.recipeIdsByMaterialName.get(materialName.toLowerCase()) || new Set();
+            res.json(index.recipesSortedByName
+                .filter(recipe => recipeIds.has(recipe.id))
+                .map(recipe => withUnitEconomics(recipeSummary(recipe), withoutRecipeId(index.materialsByRecipe.get(recipe.id)))));
+        });
+    });
+
+    // Preços vigentes em `since` (ver `pricesAt`): observações até a data e a primeira observação de referência de cada série.
+    function loadPricesAt(since, callback) {
+        const sql = `SELECT subject_type, subject_id, source, price, observed_at FROM price_history
+                     WHERE observed_at <= ?
+                        OR id IN (SELECT MIN(id) FROM price_history WHERE source = 'reference' GROUP BY subject_type, subject_id)
+                     ORDER BY observed_at ASC, id ASC`;
+        db.all(sql, [since], (err, rows) => (err ? callback(err) : callback(null, pricesAt(rows, since))));
+    }
+
+    // Com `trendDays` a resposta depende da data atual, então só leva ETag sem ele.
+    app.get('/api/items/most-profitable-npc', (req, res, next) => (req.query.trendDays === undefined ? catalogETag(req, res, next) : next()), (req, res) => {
+        const { priceSource = 'npc', trendDays: trendDaysQuery } = req.query;
+        if (!PRICE_SOURCE_OPTIONS.includes(priceSource)) {
+            return res.status(400).json({ error: `Valor inválido para "priceSource". Válidos: ${PRICE_SOURCE_OPTIONS.join(', ')}.` });
+        }
+        let trendDays = null;
+        if (trendDaysQuery !== undefined) {
+            const { days, error } = parsePositiveDays(trendDaysQuery, 'trendDays');
+            if (error) { return res.status(400).json({ error }); }
+            trendDays = days;
+        }
+        withRecipeIndex(req, res, 'para cálculo de lucro', (index) => {
+            const { recipes, variantsByRecipe } = index;
+            if (recipes.length === 0) { return res.json([]); }
+            const since = trendDays ? daysAgo(trendDays) : null;
+            const withPastPrices = (callback) => (since ? loadPricesAt(since, callback) : callback(null, null));
+            withPastPrices((err, pastPrices) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/items/most-profitable-npc (history)", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar histórico de preços.' });
+                }
+                let pastPriceBook = null;
+                if (pastPrices) {
+                    const variantMaterials = [...variantsByRecipe.values()].flat().flatMap(variant => variant.materials);
+                    const materialNames = new Map([...index.materials, ...variantMaterials].map(m => [m.material_id, m.material_name]));
+                    const bookRows = (subjects, toRow) => [...subjects].flatMap(([id, prices]) => PRICE_SOURCES
+                        .filter(source => prices[source] !== undefined)
+                        .map(source => toRow(id, source, prices[source])));
+                    pastPriceBook = buildPriceBook(
+                        bookRows(pastPrices.materials, (id, source, price) => ({ material_name: materialNames.get(id) || '', source, price }))
+                            .filter(row => row.material_name),
+                        bookRows(pastPrices.items, (id, source, price) => ({ recipe_id: id, source, price }))
+                    );
+                }
+                const referenceAt = (subjects, id, current) => {
+                    const prices = subjects.get(id);
+                    return prices && prices.reference !== undefined ? prices.reference : current;
+                };
+
+                // Materiais 'profession' não entram no custo.
+                const costedMaterials = (variant) => variant.materials.filter(m => m.material_type !== 'profession');
+                const profitableItems = recipes.map(recipe => {
+                    // Todas as variantes são avaliadas; o item reporta a de maior lucro.
+                    const ranked = index.profitRanking(priceSource).get(recipe.id);
+                    const { variant: best, result: current } = ranked[0];
+                    const variantRecipe = { ...recipe, quantity_produced: best.quantity_produced };
+                    const recipeMaterials = costedMaterials(best);
+                    const totalMaterialCostNpc = recipeMaterials.reduce((sum, mat) => sum + mat.quantity * (mat.default_npc_price || 0), 0);
+                    const totalRevenueNpc = (recipe.npc_sell_price || 0) * (best.quantity_produced || 1);
+                    const item = {
+                        id: recipe.id,
+                        name: recipe.name,
+                        ...variantReference(best),
+                        quantity_produced: best.quantity_produced,
+                        npc_sell_price_per_unit: recipe.npc_sell_price,
+                        total_revenue_npc: totalRevenueNpc,
+                        total_material_cost_npc: totalMaterialCostNpc,
+                        profit_npc: totalRevenueNpc - totalMaterialCostNpc,
+                        ...npcUnitEconomics(best.quantity_produced, recipe.npc_sell_price, recipeMaterials),
+                        price_source: priceSource,
+                        sell_price_per_unit: current.sellPrice.price,
+                        sell_price_source: current.sellPrice.source,
+                        total_revenue: current.totalRevenue,
+                        total_material_cost: current.totalMaterialCost,
+                        profit: current.profit,
+                        margin_percent: current.marginPercent,
+                        ...perUnit(current, best.quantity_produced),
+                        variants: ranked.map(({ variant, result }) => ({
+                            ...variantReference(variant),
+                            quantity_produced: variant.quantity_produced,
+                            total_revenue: result.totalRevenue,
+                            total_material_cost: result.totalMaterialCost,
+                            profit: result.profit,
+                            margin_percent: result.marginPercent,
+                            profit_per_unit: perUnit(result, variant.quantity_produced).profit_per_unit
+                        }))
+                    };
+                    if (pastPriceBook) {
+                        const pastRecipe = { ...variantRecipe, npc_sell_price: referenceAt(pastPrices.items, recipe.id, recipe.npc_sell_price) };
+                        const pastMaterials = recipeMaterials.map(mat => ({ ...mat, default_npc_price: referenceAt(pastPrices.materials, mat.material_id, mat.default_npc_price) }));
+                        const past = computeRecipeProfit(pastRecipe, pastMaterials, pastPriceBook, priceSource);
+                        item.margin_trend = {
+                            days: trendDays,
+                            since,
+                            profit_then: past.profit,
+                            margin_percent_then: past.marginPercent,
+                            profit_change: current.profit - past.profit,
+                            margin_change_points: current.marginPercent !== null && past.marginPercent !== null
+                                ? roundQuantity(current.marginPercent - past.marginPercent) : null
+                        };
+                    }
+                    return item;
+                }).sort((a, b) => b.profit - a.profit);
+                res.json(profitableItems);
+            });
+        });
+    });
+
+    const RANKING_SORTS = ['profit_per_hour', 'profit_per_craft'];
+
+    app.get('/api/items/profit-ranking', catalogETag, (req, res) => {
+        const { priceSource = 'npc', sort = 'profit_per_hour' } = req.query;
+        if (!PRICE_SOURCE_OPTIONS.includes(priceSource)) {
+            return res.status(400).json({ error: `Valor inválido para "priceSource". Válidos: ${PRICE_SOURCE_OPTIONS.join(', ')}.` });
+        }
+        if (!RANKING_SORTS.includes(sort)) {
+            return res.status(400).json({ error: `Valor inválido para "sort". Válidos: ${RANKING_SORTS.join(', ')}.` });
+        }
+        const filters = {};
+        if (req.query.profession !== undefined && req.query.profession.trim() !== '') { filters.profession = req.query.profession.trim(); }
+        if (req.query.level !== undefined) {
+            filters.level = Number(req.query.level);
+            if (!Number.isInteger(filters.level) || filters.level < 0) { return res.status(400).json({ error: 'O parâmetro "level" deve ser um inteiro maior ou igual a zero.' }); }
+        }
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : null;
+        if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) { return res.status(400).json({ error: 'O parâmetro "limit" deve ser um inteiro positivo.' }); }
+
+        // Mesmo critério de `buildItemFilter`: sem exigência ou com exigência atendida (profissão sem distinção de caixa, como a coluna).
+        const matchesFilters = (recipe) => (filters.profession === undefined || recipe.profession === null
+                || recipe.profession.toLowerCase() === filters.profession.toLowerCase())
+            && (filters.level === undefined || recipe.min_profession_level === null || recipe.min_profession_level <= filters.level);
+
+        withRecipeIndex(req, res, 'para o ranking', (index) => {
+            const rankings = index.profitRanking(priceSource);
+            const ranking = index.recipes.filter(matchesFilters).map(recipe => {
+                // A duração do craft é a da receita, então a variante de maior lucro por craft também é a de maior lucro por hora.
+                const ranked = rankings.get(recipe.id);
+                const { variant: best, result } = ranked[0];
+                const craftsPerHour = recipe.craft_duration_seconds ? 3600 / recipe.craft_duration_seconds : null;
+                return {
+                    ...recipe,
+                    quantity_produced: best.quantity_produced,
+                    ...variantReference(best),
+                    price_source: priceSource,
+                    total_revenue: result.totalRevenue,
+                    total_material_cost: result.totalMaterialCost,
+                    profit_per_craft: result.profit,
+                    margin_percent: result.marginPercent,
+                    ...perUnit(result, best.quantity_produced),
+                    crafts_per_hour: craftsPerHour !== null ? roundQuantity(craftsPerHour) : null,
+                    profit_per_hour: craftsPerHour !== null ? roundQuantity(result.profit * craftsPerHour) : null,
+                    variants: ranked.map(({ variant, result }) => ({
+                        ...variantReference(variant),
+                        quantity_produced: variant.quantity_produced,
+                        profit_per_craft: result.profit,
+                        margin_percent: result.marginPercent,
+                        profit_per_unit: perUnit(result, variant.quantity_produced).profit_per_unit
+                    }))
+                };
+            }).sort((a, b) => {
+                // Sem valor (receita sem duração no ranking por hora) vai para o fim; empates pelo lucro por craft, nome e id.
+                const byValue = (a[sort] === null || b[sort] === null) ? (a[sort] === null) - (b[sort] === null) : b[sort] - a[sort];
+                return byValue || (b.profit_per_craft - a.profit_per_craft) || a.name.localeCompare(b.name) || (a.id - b.id);
+            });
+            res.json(limit !== null ? ranking.slice(0, limit) : ranking);
+        });
+    });
+
+    app.get('/api/items/filter-by-material-profile', catalogETag, (req, res) => {
+        const { materialTypes: materialTypesQuery, matchProfile = 'exclusive' } = req.query;
+
+        if (!materialTypesQuery) {
+            return res.status(400).json({ error: 'O parâmetro "materialTypes" é obrigatório (ex: "profession" ou "drop,buy").' });
+        }
+        const validProfiles = ['exclusive', 'contains_any', 'contains_all', 'not_contains_any'];
+        if (!validProfiles.includes(matchProfile)) {
+            return res.status(400).json({ error: `Valor inválido para "matchProfile". Válidos: ${validProfiles.join(', ')}.` });
+        }
+        const typesArray = materialTypesQuery.toLowerCase().split(',').map(t => t.trim()).filter(t => t);
+        if (typesArray.length === 0) {
+             return res.status(400).json({ error: 'Nenhum tipo de material válido fornecido em "materialTypes".' });
+        }
+
+        withRecipeIndex(req, res, 'por perfil de material', (index) => {
+            const filteredRecipes = index.recipesSortedByName.filter(recipe => {
+                const recipeMats = index.materialsByRecipe.get(recipe.id);
+                if (recipeMats.length === 0 && (matchProfile === 'exclusive' || matchProfile === 'not_contains_any')) {
+                    return matchProfile === 'not_contains_any';
+                }
+                if (recipeMats.length === 0) return false;
+
+                switch (matchProfile) {
+                    case 'exclusive':
+                        return recipeMats.every(m => typesArray.includes(m.material_type.toLowerCase()));
+                    case 'contains_any':
+                        return recipeMats.some(m => typesArray.includes(m.material_type.toLowerCase()));
+                    case 'contains_all':
+                        return typesArray.every(type => recipeMats.some(m => m.material_type.toLowerCase() === type));
+                    case 'not_contains_any':
+                        return !recipeMats.some(m => typesArray.includes(m.material_type.toLowerCase()));
+                    default:
+                        return false;
+                }
+            }).map(recipe => withUnitEconomics(recipeSummary(recipe), withoutRecipeId(index.materialsByRecipe.get(recipe.id))));
+            res.json(filteredRecipes);
+        });
+    });
+
+    app.get('/api/materials/usage-summary', catalogETag, (req, res) => {
+        const { materialName: materialNameQuery, materialTypes: materialTypesQuery } = req.query;
+
+        let priceColumn = "";
+        const conditions = ["m.workspace_id = ?"];
+        const params = [req.workspace.id];
+
+        if (materialNameQuery) {
+            conditions.push("LOWER(m.name) LIKE LOWER(?)");
+            params.push(`%${materialNameQuery}%`);
+            // O preço NPC vem direto do catálogo; materiais de profissão não têm preço.
+            priceColumn = ", CASE WHEN m.material_type != 'profession' THEN m.default_npc_price END as default_npc_price";
+        }
+
+        let baseSql = `SELECT m.id as material_id, m.name as material_name, m.material_type, SUM(rm.quantity) as total_quantity_needed, COUNT(DISTINCT rm.recipe_id) as used_in_recipes_count ${priceColumn}
+                       FROM recipe_materials rm JOIN materials m ON m.id = rm.material_id`;
+
+        if (materialTypesQuery) {
+            const typesArray = materialTypesQuery.toLowerCase().split(',').map(t => t.trim()).filter(t => t);
+            if (typesArray.length > 0) {
+                conditions.push(`m.material_type IN (${typesArray.map(() => '?').join(',')})`);
+                params.push(...typesArray);
+            }
+        }
+
+        baseSql += " WHERE " + conditions.join(" AND ");
+        baseSql += " GROUP BY m.id";
+        baseSql += " ORDER BY used_in_recipes_count DESC, total_quantity_needed DESC, material_name ASC";
+
+        db.all(baseSql, params, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/materials/usage-summary", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar sumário de materiais.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    function loadCatalogMaterials(workspaceId, filters, callback) {
+        let sql = `SELECT m.id, m.name, m.material_type, m.default_npc_price, COUNT(DISTINCT rm.recipe_id) as used_in_recipes_count
+                   FROM materials m LEFT JOIN recipe_materials rm ON rm.material_id = m.id`;
+        const conditions = ["m.workspace_id = ?"];
+        const params = [workspaceId];
+        if (filters.id) {
+            conditions.push("m.id = ?");
+            params.push(filters.id);
+        }
+        if (filters.search) {
+            conditions.push("(LOWER(m.name) LIKE LOWER(?) OR m.id IN (SELECT material_id FROM material_aliases WHERE workspace_id = m.workspace_id AND LOWER(alias) LIKE LOWER(?)))");
+            params.push(`%${filters.search}%`, `%${filters.search}%`);
+        }
+        if (filters.types && filters.types.length > 0) {
+            conditions.push(`m.material_type IN (${filters.types.map(() => '?').join(',')})`);
+            params.push(...filters.types);
+        }
+        sql += " WHERE " + conditions.join(" AND ");
+        sql += " GROUP BY m.id ORDER BY m.name ASC";
+
+        db.all(sql, params, (err, rows) => {
+            if (err) { return callback(err); }
+            db.all("SELECT material_id, alias FROM material_aliases WHERE workspace_id = ? ORDER BY alias ASC", [workspaceId], (err, aliases) => {
+                if (err) { return callback(err); }
+                callback(null, rows.map(row => ({ ...row, aliases: aliases.filter(a => a.material_id === row.id).map(a => a.alias) })));
+            });
+        });
+    }
+
+    function isUniqueConstraintError(err) {
+        return err && err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE');
+    }
+
+    app.get('/api/materials', catalogETag, (req, res) => {
+        const { search, materialTypes } = req.query;
+        const types = materialTypes ? materialTypes.toLowerCase().split(',').map(t => t.trim()).filter(t => t) : [];
+        loadCatalogMaterials(req.workspace.id, { search, types }, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/materials", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar materiais.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    app.get('/api/materials/:id', catalogETag, (req, res) => {
+        const materialId = parseInt(req.params.id, 10);
+        if (isNaN(materialId)) { return res.status(400).json({ error: 'ID do material inválido.' }); }
+        loadCatalogMaterials(req.workspace.id, { id: materialId }, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query de material", { material_id: materialId, error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar material.' });
+            }
+            if (rows.length === 0) { return res.status(404).json({ error: 'Material não encontrado.' }); }
+            const sqlRecipes = `SELECT r.id, r.name, rm.quantity FROM recipe_materials rm JOIN recipes r ON r.id = rm.recipe_id
+                                WHERE rm.material_id = ? ORDER BY r.name ASC`;
+            db.all(sqlRecipes, [materialId], (err, recipes) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar receitas que usam o material.' }); }
+                res.json({ ...rows[0], recipes });
+            });
+        });
+    });
+
+    function loadRecipeGraph(workspaceId, callback) {
+        recipeIndexFor(workspaceId).get((err, index) => (err ? callback(err) : callback(null, index.recipes, index.materials, index.variantsByRecipe)));
+    }
+
+    app.get('/api/materials/:id/where-used', catalogETag, (req, res) => {
+        const materialId = parseInt(req.params.id, 10);
+        if (isNaN(materialId)) { return res.status(400).json({ error: 'ID do material inválido.' }); }
+        findCatalogMaterial(req.workspace.id, materialId, null, (err, material) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar material.' }); }
+            if (!material) { return res.status(404).json({ error: 'Material não encontrado.' }); }
+            loadRecipeGraph(req.workspace.id, (err, recipes, materials, variantsByRecipe) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/materials/:id/where-used", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar receitas.' });
+                }
+                const usedBy = findWhereUsed(materialId, recipes, materials, variantsByRecipe);
+                res.json({ material, direct_count: usedBy.filter(entry => entry.depth === 0).length, total_count: usedBy.length, recipes: usedBy });
+            });
+        });
+    });
+
+    // Simulação: não altera o preço gravado do material.
+    app.get('/api/materials/:id/impact', catalogETag, (req, res) => {
+        const materialId = parseInt(req.params.id, 10);
+        if (isNaN(materialId)) { return res.status(400).json({ error: 'ID do material inválido.' }); }
+        const newPrice = Number(req.query.price);
+        if (req.query.price === undefined || req.query.price === '' || !Number.isFinite(newPrice) || newPrice < 0) {
+            return res.status(400).json({ error: 'O parâmetro "price" deve ser um número maior ou igual a zero.' });
+        }
+        findCatalogMaterial(req.workspace.id, materialId, null, (err, material) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar material.' }); }
+            if (!material) { return res.status(404).json({ error: 'Material não encontrado.' }); }
+            if (material.material_type === 'profession') {
+                return res.status(400).json({ error: "Materiais 'profession' não entram no custo NPC; a simulação vale para materiais 'drop' e 'buy'." });
+            }
+            loadRecipeGraph(req.workspace.id, (err, recipes, materials, variantsByRecipe) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/materials/:id/impact", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar receitas.' });
+                }
+                const impact = buildPriceImpact(materialId, newPrice, recipes, materials, variantsByRecipe);
+                res.json({
+                    material,
+                    current_price: material.default_npc_price || 0,
+                    new_price: newPrice,
+                    price_change: roundQuantity(newPrice - (material.default_npc_price || 0)),
+                    affected_count: impact.length,
+                    recipes: impact
+                });
+            });
+        });
+    });
+
+    app.post('/api/materials', requireRole('editor'), validateBody(schemas.materialCreate), (req, res) => {
+        const { name, material_type, default_npc_price, aliases = [] } = req.body;
+
+        const materialName = name.trim();
+        const statements = [
+            ["INSERT INTO materials (workspace_id, name, material_type, default_npc_price) VALUES (?, ?, ?, ?)", [req.workspace.id, materialName, material_type, default_npc_price || 0]],
+            ...aliases.map(alias => ["INSERT INTO material_aliases (workspace_id, material_id, alias) SELECT workspace_id, id, ? FROM materials WHERE workspace_id = ? AND name = ?", [alias.trim(), req.workspace.id, materialName]])
+        ];
+        runStatementsInTransaction(statements, (err) => {
+            if (err) {
+                if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe um material ou alias com este nome.' }); }
+                logger.error("Erro ao inserir material", { error: err.message });
+                return res.status(500).json({ error: 'Erro ao salvar material.' });
+            }
+            recipeIndexFor(req.workspace.id).invalidate();
+            findCatalogMaterial(req.workspace.id, null, materialName, (err, row) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar material salvo.' }); }
+                res.status(201).json({ message: 'Material criado com sucesso!', id: row.id });
+            });
+        });
+    });
+
+    app.put('/api/materials/:id', requireRole('editor'), validateBody(schemas.materialUpdate), (req, res) => {
+        const materialId = parseInt(req.params.id, 10);
+        const { name, material_type, default_npc_price, aliases } = req.body;
+
+        if (isNaN(materialId)) { return res.status(400).json({ error: 'ID do material inválido.' }); }
+
+        findCatalogMaterial(req.workspace.id, materialId, null, (err, current) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar material.' }); }
+            if (!current) { return res.status(404).json({ error: 'Material não encontrado para atualização.' }); }
+
+            const newName = name !== undefined ? name.trim() : current.name;
+            const statements = [
+                ["UPDATE materials SET name = ?, material_type = ?, default_npc_price = ? WHERE id = ?",
+                    [newName, material_type || current.material_type, default_npc_price !== undefined ? default_npc_price : current.default_npc_price, materialId]],
+                // O livro de preços é indexado pelo nome do material, então acompanha a renomeação.
+                ["UPDATE OR IGNORE material_prices SET material_name = ? WHERE workspace_id = ? AND material_name = ?", [newName, req.workspace.id, current.name]]
+            ];
+            if (aliases !== undefined) {
+                statements.push(["DELETE FROM material_aliases WHERE material_id = ?", [materialId]]);
+                aliases.forEach(alias => statements.push(["INSERT INTO material_aliases (workspace_id, material_id, alias) VALUES (?, ?, ?)", [req.workspace.id, materialId, alias.trim()]]));
+            }
+            runStatementsInTransaction(statements, (err) => {
+                if (err) {
+                    if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe um material ou alias com este nome.' }); }
+                    logger.error("Erro ao atualizar material", { error: err.message });
+                    return res.status(500).json({ error: 'Erro ao atualizar material.' });
+                }
+                recipeIndexFor(req.workspace.id).invalidate();
+                if (default_npc_price !== undefined && default_npc_price !== current.default_npc_price) {
+                    events.publish('price.changed', { subject_type: 'material', material_id: materialId, material_name: newName, source: 'reference', price: default_npc_price, actor: getActor(req) }, req.workspace);
+                }
+                if (newName !== current.name || (material_type !== undefined && material_type !== current.material_type)) {
+                    publishRecipesUsingMaterials(req.workspace, [materialId], getActor(req));
+                }
+                res.json({ message: 'Material atualizado com sucesso!', id: materialId });
+            });
+        });
+    });
+
+    app.post('/api/materials/:id/merge', requireRole('editor'), validateBody(schemas.materialMerge), (req, res) => {
+        const targetId = parseInt(req.params.id, 10);
+        const { sourceIds } = req.body;
+
+        if (isNaN(targetId)) { return res.status(400).json({ error: 'ID do material inválido.' }); }
+        const uniqueSourceIds = [...new Set(sourceIds)];
+
+        const mergedIds = [targetId, ...uniqueSourceIds];
+        db.all(`SELECT id FROM materials WHERE workspace_id = ? AND id IN (${mergedIds.map(() => '?').join(',')})`, [req.workspace.id, ...mergedIds], (err, rows) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar materiais para mesclar.' }); }
+            const foundIds = rows.map(row => row.id);
+            const missingIds = mergedIds.filter(id => !foundIds.includes(id));
+            if (missingIds.length > 0) { return res.status(404).json({ error: `Materiais não encontrados: ${missingIds.join(', ')}.` }); }
+
+            // Depois da mesclagem as receitas afetadas só usam o material de destino.
+            const statements = [];
+            uniqueSourceIds.forEach(sourceId => {
+                // Receitas que já usam o material de destino somam as quantidades em vez de repetir o material.
+                statements.push(["UPDATE recipe_materials SET quantity = quantity + (SELECT SUM(s.quantity) FROM recipe_materials s WHERE s.recipe_id = recipe_materials.recipe_id AND s.material_id = ?) WHERE material_id = ? AND recipe_id IN (SELECT recipe_id FROM recipe_materials WHERE material_id = ?)", [sourceId, targetId, sourceId]]);
+                statements.push(["DELETE FROM recipe_materials WHERE material_id = ? AND recipe_id IN (SELECT recipe_id FROM recipe_materials WHERE material_id = ?)", [sourceId, targetId]]);
+                statements.push(["UPDATE recipe_materials SET material_id = ? WHERE material_id = ?", [targetId, sourceId]]);
+                // O mesmo para os materiais das variantes.
+                statements.push(["UPDATE recipe_variant_materials SET quantity = quantity + (SELECT SUM(s.quantity) FROM recipe_variant_materials s WHERE s.variant_id = recipe_variant_materials.variant_id AND s.material_id = ?) WHERE material_id = ? AND variant_id IN (SELECT variant_id FROM recipe_variant_materials WHERE material_id = ?)", [sourceId, targetId, sourceId]]);
+                statements.push(["DELETE FROM recipe_variant_materials WHERE material_id = ? AND variant_id IN (SELECT variant_id FROM recipe_variant_materials WHERE material_id = ?)", [sourceId, targetId]]);
+                statements.push(["UPDATE recipe_variant_materials SET material_id = ? WHERE material_id = ?", [targetId, sourceId]]);
+                statements.push(["UPDATE material_aliases SET material_id = ? WHERE material_id = ?", [targetId, sourceId]]);
+                statements.push(["INSERT OR IGNORE INTO material_aliases (workspace_id, material_id, alias) SELECT workspace_id, ?, name FROM materials WHERE id = ?", [targetId, sourceId]]);
+                // Preços do material de origem passam para o destino; numa origem de preço que os dois têm, fica o do
+                // destino e o da origem é apagado.
+                statements.push(["UPDATE OR IGNORE material_prices SET material_name = (SELECT name FROM materials WHERE id = ?) WHERE workspace_id = ? AND material_name = (SELECT name FROM materials WHERE id = ?)", [targetId, req.workspace.id, sourceId]]);
+                statements.push(["DELETE FROM material_prices WHERE workspace_id = ? AND material_name = (SELECT name FROM materials WHERE id = ?)", [req.workspace.id, sourceId]]);
+                statements.push(["DELETE FROM materials WHERE id = ?", [sourceId]]);
+            });
+            db.all(recipesUsingMaterialsSql(uniqueSourceIds), [...uniqueSourceIds, ...uniqueSourceIds], (err, affectedRecipes) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar receitas que usam os materiais.' }); }
+                runStatementsInTransaction(statements, (err) => {
+                    if (err) {
+                        logger.error("Erro ao mesclar materiais", { error: err.message });
+                        return res.status(500).json({ error: 'Erro ao mesclar materiais.' });
+                    }
+                    recipeIndexFor(req.workspace.id).invalidate();
+                    affectedRecipes.forEach(row => publishRecipeEvent(req.workspace, 'recipe.updated', { id: row.recipe_id }, getActor(req)));
+                    loadCatalogMaterials(req.workspace.id, { id: targetId }, (err, merged) => {
+                        if (err) { return res.status(500).json({ error: 'Erro ao buscar material mesclado.' }); }
+                        res.json({ message: 'Materiais mesclados com sucesso!', material: merged[0] });
+                    });
+                });
+            });
+        });
+    });
+
+    const TRANSFER_FORMATS = ['json', 'csv'];
+    const IMPORT_MODES = ['create-only', 'upsert-by-name', 'replace-all'];
+
+    app.get('/api/export', catalogETag, (req, res) => {
+        const { format = 'json' } = req.query;
+        if (!TRANSFER_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Valor inválido para "format". Válidos: ${TRANSFER_FORMATS.join(', ')}.` });
+        }
+
+        withRecipeIndex(req, res, 'para exportar', (index) => {
+            const exported = index.recipesSortedByName.map(recipe => ({
+                name: recipe.name,
+                quantity_produced: recipe.quantity_produced,
+                npc_sell_price: recipe.npc_sell_price,
+                craft_duration_seconds: recipe.craft_duration_seconds,
+                profession: recipe.profession,
+                min_profession_level: recipe.min_profession_level,
+                materials: index.materialsByRecipe.get(recipe.id).map(m => ({
+                    material_name: m.material_name,
+                    quantity: m.quantity,
+                    material_type: m.material_type,
+                    default_npc_price: m.default_npc_price
+                }))
+            }));
+
+            res.attachment(`recipes.${format}`);
+            if (format === 'csv') {
+                return res.type('text/csv').send(recipesToCsv(exported));
+            }
+            res.json(exported);
+        });
+    });
+
+    app.post('/api/import', requireRole('editor'), express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }), restoreRequestContext, (req, res) => {
+        const { mode = 'create-only' } = req.query;
+        const dryRun = req.query.dryRun === 'true';
+        const format = req.query.format || (req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json');
+
+        if (!IMPORT_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Valor inválido para "mode". Válidos: ${IMPORT_MODES.join(', ')}.` });
+        }
+        if (!TRANSFER_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Valor inválido para "format". Válidos: ${TRANSFER_FORMATS.join(', ')}.` });
+        }
+        if (format === 'csv' && typeof req.body !== 'string') {
+            return res.status(400).json({ error: 'Para importar CSV envie o arquivo no corpo com Content-Type "text/csv".' });
+        }
+
+        const parsed = format === 'csv' ? parseRecipesCsv(req.body) : normalizeJsonRecipes(req.body);
+        const recipes = parsed.recipes;
+
+        db.all("SELECT id, name FROM recipes WHERE workspace_id = ?", [req.workspace.id], (err, existingRecipes) => {
+            if (err) {
+                logger.error("Erro na query POST /api/import (recipes)", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao validar importação.' });
+            }
+            const existingByName = new Map(existingRecipes.map(r => [r.name.toLowerCase(), r]));
+            const importedNames = new Set(recipes.filter(r => typeof r.name === 'string').map(r => r.name.toLowerCase()));
+
+            const errors = [...parsed.errors, ...validateImportRecipes(recipes)];
+            if (mode === 'create-only') {
+                recipes.filter(r => typeof r.name === 'string' && existingByName.has(r.name.toLowerCase())).forEach(r => {
+                    errors.push({ row: r.row, recipe_name: r.name, field: 'name', code: 'duplicate', message: 'Já existe uma receita com este nome (modo create-only).' });
+                });
+            }
+            errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+
+            const summary = {
+                to_create: recipes.filter(r => typeof r.name === 'string' && !existingByName.has(r.name.toLowerCase())).map(r => r.name),
+                to_update: mode === 'create-only' ? [] : recipes.filter(r => typeof r.name === 'string' && existingByName.has(r.name.toLowerCase())).map(r => r.name),
+                to_delete: mode === 'replace-all' ? existingRecipes.filter(r => !importedNames.has(r.name.toLowerCase())).map(r => r.name) : []
+            };
+
+            if (dryRun) {
+                return res.json({ mode, format, dry_run: true, valid: errors.length === 0, errors, summary });
+            }
+            if (errors.length > 0) {
+                return res.status(422).json({ error: 'A importação contém erros; nada foi gravado.', errors });
+            }
+
+            const staleIds = mode === 'replace-all' ? existingRecipes.filter(r => !importedNames.has(r.name.toLowerCase())).map(r => r.id) : [];
+            runInTransaction(db, (done) => {
+                const importNext = (index) => {
+                    if (index >= recipes.length) {
+                        const statements = [];
+                        staleIds.forEach(id => {
+                            statements.push(recipeHistoryStatement('delete', getActor(req), { id }));
+                            statements.push(["DELETE FROM recipe_materials WHERE recipe_id = ?", [id]]);
+                            statements.push(...deleteRecipeVariantsStatements(id));
+                            statements.push(["DELETE FROM item_prices WHERE recipe_id = ?", [id]]);
+                            statements.push(["DELETE FROM recipes WHERE id = ?", [id]]);
+                        });
+                        return runStatements(statements, done);
+                    }
+
+                    const recipe = recipes[index];
+                    resolveRecipeMaterials(req.workspace.id, recipe.name, recipe.materials, (err, resolvedMaterials, validationErrors) => {
+                        if (err || validationErrors) {
+                            return done(err || validationFailure(validationErrors.map(error => ({ row: recipe.row, recipe_name: recipe.name, ...error }))));
+                        }
+                        const existing = existingByName.get(recipe.name.toLowerCase());
+                        const metadataSql = craftMetadataColumns(pickCraftMetadata(recipe));
+                        const statements = existing
+                            ? [
+                                recipeHistoryStatement('update', getActor(req), { id: existing.id }),
+                                [`UPDATE recipes SET name = ?, quantity_produced = ?, npc_sell_price = ?${metadataSql.updateAssignments} WHERE id = ?`,
+                                    [recipe.name, recipe.quantity_produced, recipe.npc_sell_price || 0, ...metadataSql.params, existing.id]],
+                                ["DELETE FROM recipe_materials WHERE recipe_id = ?", [existing.id]]
+                            ]
+                            : [
+                                [`INSERT INTO recipes (workspace_id, name, quantity_produced, npc_sell_price${metadataSql.insertColumns}) VALUES (?, ?, ?, ?${metadataSql.insertPlaceholders})`,
+                                    [req.workspace.id, recipe.name, recipe.quantity_produced, recipe.npc_sell_price || 0, ...metadataSql.params]],
+                                recipeHistoryStatement('create', getActor(req), { workspaceId: req.workspace.id, name: recipe.name })
+                            ];
+                        resolvedMaterials.forEach(mat => {
+                            statements.push(["INSERT INTO recipe_materials (recipe_id, material_id, quantity) SELECT id, ?, ? FROM recipes WHERE workspace_id = ? AND name = ?", [mat.material_id, mat.quantity, req.workspace.id, recipe.name]]);
+                        });
+                        runStatements(statements, (err) => (err ? done(err) : importNext(index + 1)));
+                    });
+                };
+                importNext(0);
+            }, (err) => {
+                if (err) {
+                    if (err.validationErrors) { return res.status(422).json({ error: 'A importação contém erros; nada foi gravado.', errors: err.validationErrors }); }
+                    logger.error("Erro ao importar receitas", { error: err.message });
+                    return res.status(500).json({ error: 'Erro ao importar receitas; nada foi gravado.' });
+                }
+                recipeIndexFor(req.workspace.id).invalidate();
+                const actor = getActor(req);
+                recipes.forEach(r => publishRecipeEvent(req.workspace, existingByName.has(r.name.toLowerCase()) ? 'recipe.updated' : 'recipe.created', { workspaceId: req.workspace.id, name: r.name }, actor));
+                existingRecipes.filter(r => staleIds.includes(r.id)).forEach(r => events.publish('recipe.deleted', { recipe_id: r.id, actor, recipe_name: r.name }, req.workspace));
+                res.json({ message: 'Importação concluída com sucesso!', mode, format, summary });
+            });
+        });
+    });
+
+    function loadPriceBook(workspaceId, callback) {
+        db.all("SELECT material_name, source, price FROM material_prices WHERE workspace_id = ?", [workspaceId], (err, materialPrices) => {
+            if (err) { return callback(err); }
+            const sqlItemPrices = "SELECT ip.recipe_id, ip.source, ip.price FROM item_prices ip JOIN recipes r ON r.id = ip.recipe_id WHERE r.workspace_id = ?";
+            db.all(sqlItemPrices, [workspaceId], (err, itemPrices) => {
+                if (err) { return callback(err); }
+                callback(null, buildPriceBook(materialPrices, itemPrices));
+            });
+        });
+    }
+
+    app.get('/api/prices/materials', (req, res) => {
+        const { source } = req.query;
+        let sql = "SELECT material_name, source, price, updated_at FROM material_prices WHERE workspace_id = ?";
+        const params = [req.workspace.id];
+        if (source) {
+            sql += " AND source = ?";
+            params.push(source);
+        }
+        sql += " ORDER BY material_name ASC, source ASC";
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/prices/materials", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar preços de materiais.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    function sendPriceHistory(res, subject, subjectType, options) {
+        let sql = "SELECT source, price, observed_at FROM price_history WHERE subject_type = ? AND subject_id = ?";
+        const params = [subjectType, subject.id];
+        if (options.since) {
+            sql += " AND observed_at >= ?";
+            params.push(options.since);
+        }
+        if (options.source) {
+            sql += " AND source = ?";
+            params.push(options.source);
+        }
+        sql += " ORDER BY observed_at ASC, id ASC";
+        db.all(sql, params, (err, series) => {
+            if (err) {
+                logger.error("Erro na query do histórico de preços", { subject_type: subjectType, error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar histórico de preços.' });
+            }
+            res.json({ [subjectType]: subject, days: options.days, since: options.since, summary: summarizePriceSeries(series), series });
+        });
+    }
+
+    app.get('/api/prices/materials/:materialName/history', (req, res) => {
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) { return res.status(400).json({ error }); }
+        findCatalogMaterial(req.workspace.id, null, req.params.materialName, (err, material) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar material.' }); }
+            if (!material) { return res.status(404).json({ error: 'Material não encontrado no catálogo.' }); }
+            sendPriceHistory(res, { id: material.id, name: material.name }, 'material', options);
+        });
+    });
+
+    app.put('/api/prices/materials/:materialName', requireRole('editor'), validateBody(schemas.priceEntry), (req, res) => {
+        const materialName = req.params.materialName.trim();
+        if (!materialName) { return res.status(400).json({ error: 'Nome do material inválido.' }); }
+
+        const { price, source } = req.body;
+        const sql = `INSERT INTO material_prices (workspace_id, material_name, source, price, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+                     ON CONFLICT (workspace_id, material_name, source) DO UPDATE SET price = excluded.price, updated_at = excluded.updated_at`;
+        const sqlSaved = "SELECT material_name, source, price, updated_at FROM material_prices WHERE workspace_id = ? AND material_name = ? AND source = ?";
+        // O preço fica no nome canônico: um alias grava o preço do material, e nomes fora do catálogo não têm preço.
+        // A gravação (com o histórico gravado pelos triggers) é uma transação da fila, e o evento só sai depois do COMMIT.
+        runInTransaction(db, (done) => {
+            findCatalogMaterial(req.workspace.id, null, materialName, (err, material) => {
+                if (err || !material) { return done(err, null); }
+                db.run(sql, [req.workspace.id, material.name, source, price], (err) => {
+                    if (err) { return done(err); }
+                    db.get(sqlSaved, [req.workspace.id, material.name, source], done);
+                });
+            });
+        }, (err, row) => {
+            if (err) { logger.error("Erro ao salvar preço de material", { error: err.message }); return res.status(500).json({ error: 'Erro ao salvar preço do material.' }); }
+            if (!row) { return res.status(404).json({ error: 'Material não encontrado no catálogo.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            events.publish('price.changed', { subject_type: 'material', material_name: row.material_name, source, price: row.price, actor: getActor(req) }, req.workspace);
+            res.json({ message: 'Preço do material salvo com sucesso!', price: row });
+        });
+    });
+
+    app.delete('/api/prices/materials/:materialName', requireRole('editor'), (req, res) => {
+        const { source } = req.query;
+        if (source && !PRICE_SOURCES.includes(source)) { return res.status(400).json({ error: `Valor inválido para "source". Válidos: ${PRICE_SOURCES.join(', ')}.` }); }
+        // Aliases resolvem para o nome canônico, como no PUT; nomes fora do catálogo ainda removem preços gravados com eles.
+        runInTransaction(db, (done) => {
+            findCatalogMaterial(req.workspace.id, null, req.params.materialName, (err, material) => {
+                if (err) { return done(err); }
+                const materialName = material ? material.name : req.params.materialName;
+                let sql = "DELETE FROM material_prices WHERE workspace_id = ? AND material_name = ?";
+                const params = [req.workspace.id, materialName];
+                if (source) {
+                    sql += " AND source = ?";
+                    params.push(source);
+                }
+                db.run(sql, params, function(err) {
+                    done(err, materialName, err ? 0 : this.changes);
+                });
+            });
+        }, (err, materialName, changes) => {
+            if (err) { logger.error("Erro ao deletar preço de material", { error: err.message }); return res.status(500).json({ error: 'Erro ao deletar preço do material.' }); }
+            if (changes === 0) { return res.status(404).json({ error: 'Preço de material não encontrado.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            // Sem `source`, todas as origens foram removidas.
+            events.publish('price.changed', { subject_type: 'material', material_name: materialName, source: source || null, price: null, actor: getActor(req) }, req.workspace);
+            res.json({ message: 'Preço do material deletado com sucesso!' });
+        });
+    });
+
+    app.get('/api/prices/items', (req, res) => {
+        const { source } = req.query;
+        let sql = `SELECT ip.recipe_id, r.name, ip.source, ip.price, ip.updated_at
+                   FROM item_prices ip JOIN recipes r ON r.id = ip.recipe_id WHERE r.workspace_id = ?`;
+        const params = [req.workspace.id];
+        if (source) {
+            sql += " AND ip.source = ?";
+            params.push(source);
+        }
+        sql += " ORDER BY r.name ASC, ip.source ASC";
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/prices/items", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar preços de itens.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    app.get('/api/prices/items/:id/history', (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        const { options, error } = parseHistoryQuery(req.query);
+        if (error) { return res.status(400).json({ error }); }
+        // Itens excluídos continuam com histórico; nesse caso o nome vem nulo e o workspace é o da revisão de exclusão
+        // da receita. O histórico de preços começou depois do de receitas, então toda receita excluída com preços
+        // registrados tem revisões.
+        const sql = `SELECT ? AS id, (SELECT name FROM recipes WHERE workspace_id = ? AND id = ?) AS name,
+                     EXISTS (SELECT 1 FROM price_history WHERE subject_type = 'item' AND subject_id = ?)
+                     AND NOT EXISTS (SELECT 1 FROM recipes WHERE id = ?)
+                     AND EXISTS (SELECT 1 FROM recipe_history WHERE recipe_id = ? AND workspace_id = ?) AS has_history`;
+        db.get(sql, [itemId, req.workspace.id, itemId, itemId, itemId, itemId, req.workspace.id], (err, row) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar item.' }); }
+            if (row.name === null && !row.has_history) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            sendPriceHistory(res, { id: itemId, name: row.name }, 'item', options);
+        });
+    });
+
+    app.put('/api/prices/items/:id', requireRole('editor'), validateBody(schemas.priceEntry), (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+
+        const { price, source } = req.body;
+        const sql = `INSERT INTO item_prices (recipe_id, source, price, updated_at) VALUES (?, ?, ?, datetime('now'))
+                     ON CONFLICT (recipe_id, source) DO UPDATE SET price = excluded.price, updated_at = excluded.updated_at`;
+        // Como no PUT de material: a receita é conferida e o preço gravado na mesma transação da fila.
+        runInTransaction(db, (done) => {
+            db.get("SELECT id FROM recipes WHERE workspace_id = ? AND id = ?", [req.workspace.id, itemId], (err, recipeRow) => {
+                if (err || !recipeRow) { return done(err, null); }
+                db.run(sql, [itemId, source, price], (err) => {
+                    if (err) { return done(err); }
+                    db.get("SELECT recipe_id, source, price, updated_at FROM item_prices WHERE recipe_id = ? AND source = ?", [itemId, source], done);
+                });
+            });
+        }, (err, row) => {
+            if (err) { logger.error("Erro ao salvar preço de item", { error: err.message }); return res.status(500).json({ error: 'Erro ao salvar preço do item.' }); }
+            if (!row) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            events.publish('price.changed', { subject_type: 'item', recipe_id: itemId, source, price: row.price, actor: getActor(req) }, req.workspace);
+            res.json({ message: 'Preço do item salvo com sucesso!', price: row });
+        });
+    });
+
+    app.delete('/api/prices/items/:id', requireRole('editor'), (req, res) => {
+        const itemId = parseInt(req.params.id, 10);
+        const { source } = req.query;
+        if (isNaN(itemId)) { return res.status(400).json({ error: 'ID do item inválido.' }); }
+        if (source && !PRICE_SOURCES.includes(source)) { return res.status(400).json({ error: `Valor inválido para "source". Válidos: ${PRICE_SOURCES.join(', ')}.` }); }
+        let sql = "DELETE FROM item_prices WHERE recipe_id = ? AND recipe_id IN (SELECT id FROM recipes WHERE workspace_id = ?)";
+        const params = [itemId, req.workspace.id];
+        if (source) {
+            sql += " AND source = ?";
+            params.push(source);
+        }
+        runQueuedStatement(db, sql, params, (err, result) => {
+            if (err) { logger.error("Erro ao deletar preço de item", { error: err.message }); return res.status(500).json({ error: 'Erro ao deletar preço do item.' }); }
+            if (result.changes === 0) { return res.status(404).json({ error: 'Preço de item não encontrado.' }); }
+            recipeIndexFor(req.workspace.id).invalidate();
+            events.publish('price.changed', { subject_type: 'item', recipe_id: itemId, source: source || null, price: null, actor: getActor(req) }, req.workspace);
+            res.json({ message: 'Preço do item deletado com sucesso!' });
+        });
+    });
+
+    function loadInventory(workspaceId, inventoryId, callback) {
+        db.get("SELECT id, name, created_by, created_at FROM inventories WHERE workspace_id = ? AND id = ?", [workspaceId, inventoryId], (err, inventory) => {
+            if (err || !inventory) { return callback(err, null); }
+            db.all("SELECT item_name, quantity FROM inventory_items WHERE inventory_id = ? ORDER BY item_name ASC", [inventoryId], (err, items) => {
+                if (err) { return callback(err); }
+                callback(null, { ...inventory, items });
+            });
+        });
+    }
+
+    // Permite às rotas de análise receber `inventoryId` no lugar da lista de materiais em `field`. A lista enviada no
+    // corpo passa por `normalizeStockEntries`, como o estoque dos inventários: aliases viram o nome canônico.
+    // Roda depois de `validateBody`, que já garante que `inventoryId`, se informado, é um inteiro.
+    function withInventory(field) {
+        return (req, res, next) => {
+            const { inventoryId } = req.body;
+            if (inventoryId === undefined) {
+                return normalizeStockEntries(req.workspace.id, req.body[field] || [], (err, entries) => {
+                    if (err) {
+                        logger.error("Erro ao resolver materiais informados", { error: err.message });
+                        return res.status(500).json({ error: 'Erro ao resolver materiais do inventário.' });
+                    }
+                    req.body[field] = entries;
+                    next();
+                });
+            }
+            loadInventory(req.workspace.id, inventoryId, (err, inventory) => {
+                if (err) {
+                    logger.error("Erro ao carregar inventário", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar inventário.' });
+                }
+                if (!inventory) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+                req.body[field] = inventory.items.map(item => ({ material_name: item.item_name, quantity: item.quantity }));
+                next();
+            });
+        };
+    }
+
+    // Agrupa `[{ material_name, quantity }]` (já validado pelo schema da rota) por nome. Nomes do catálogo (ou aliases)
+    // viram o nome canônico do material; os demais (ex: itens craftados) ficam como informados.
+    function normalizeStockEntries(workspaceId, entries, callback) {
+        const totals = new Map();
+        const resolveNext = (index) => {
+            if (index >= entries.length) { return callback(null, [...totals.values()]); }
+            const entry = entries[index];
+            findCatalogMaterial(workspaceId, null, entry.material_name, (err, material) => {
+                if (err) { return callback(err); }
+                const name = material ? material.name : entry.material_name.trim();
+                const total = totals.get(name.toLowerCase()) || { material_name: name, quantity: 0 };
+                total.quantity += entry.quantity;
+                totals.set(name.toLowerCase(), total);
+                resolveNext(index + 1);
+            });
+        };
+        resolveNext(0);
+    }
+
+    function addInventoryStock(inventoryId, entries, callback) {
+        runStatements(entries.map(entry => [
+            `INSERT INTO inventory_items (inventory_id, item_name, quantity) VALUES (?, ?, ?)
+             ON CONFLICT (inventory_id, item_name) DO UPDATE SET quantity = quantity + excluded.quantity`,
+            [inventoryId, entry.material_name, entry.quantity]
+        ]), callback);
+    }
+
+    // Retira as quantidades do estoque (deve rodar dentro de uma transação). O callback recebe (err, shortages):
+    // se faltar algo, `shortages` lista o que faltou, nada é retirado e a transação deve ser desfeita.
+    function deductInventoryStock(inventoryId, entries, callback) {
+        db.all("SELECT item_name, quantity FROM inventory_items WHERE inventory_id = ?", [inventoryId], (err, items) => {
+            if (err) { return callback(err); }
+            const stock = new Map(items.map(item => [item.item_name.toLowerCase(), item.quantity]));
+            const shortages = entries
+                .filter(entry => (stock.get(entry.material_name.toLowerCase()) || 0) < entry.quantity)
+                .map(entry => ({ material_name: entry.material_name, quantity_needed: entry.quantity, quantity_available: stock.get(entry.material_name.toLowerCase()) || 0 }));
+            if (shortages.length > 0) { return callback(null, shortages); }
+
+            const statements = entries.map(entry => ["UPDATE inventory_items SET quantity = quantity - ? WHERE inventory_id = ? AND item_name = ?", [entry.quantity, inventoryId, entry.material_name]]);
+            statements.push(["DELETE FROM inventory_items WHERE inventory_id = ? AND quantity = 0", [inventoryId]]);
+            runStatements(statements, (err) => callback(err, []));
+        });
+    }
+
+    app.get('/api/inventories', (req, res) => {
+        const sql = `SELECT i.id, i.name, i.created_by, i.created_at, COUNT(ii.id) AS item_count, COALESCE(SUM(ii.quantity), 0) AS total_quantity
+                     FROM inventories i LEFT JOIN inventory_items ii ON ii.inventory_id = i.id
+                     WHERE i.workspace_id = ? GROUP BY i.id ORDER BY i.name ASC`;
+        db.all(sql, [req.workspace.id], (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/inventories", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar inventários.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    app.get('/api/inventories/:id', (req, res) => {
+        const inventoryId = parseInt(req.params.id, 10);
+        if (isNaN(inventoryId)) { return res.status(400).json({ error: 'ID do inventário inválido.' }); }
+        loadInventory(req.workspace.id, inventoryId, (err, inventory) => {
+            if (err) {
+                logger.error("Erro na query GET /api/inventories/:id", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar inventário.' });
+            }
+            if (!inventory) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+            res.json(inventory);
+        });
+    });
+
+    app.post('/api/inventories', requireRole('editor'), validateBody(schemas.inventoryCreate), (req, res) => {
+        const { name, materials = [] } = req.body;
+
+        const create = (entries) => {
+            runInTransaction(db, (done) => {
+                db.run("INSERT INTO inventories (workspace_id, name, created_by) VALUES (?, ?, ?)", [req.workspace.id, name.trim(), getActor(req)], function(err) {
+                    if (err) { return done(err); }
+                    const inventoryId = this.lastID;
+                    addInventoryStock(inventoryId, entries, (err) => done(err, inventoryId));
+                });
+            }, (err, inventoryId) => {
+                if (err) {
+                    if (isUniqueConstraintError(err)) { return res.status(409).json({ error: 'Já existe um inventário com este nome.' }); }
+                    logger.error("Erro ao criar inventário", { error: err.message });
+                    return res.status(500).json({ error: 'Erro ao criar inventário.' });
+                }
+                res.status(201).json({ message: 'Inventário criado com sucesso!', id: inventoryId });
+            });
+        };
+        normalizeStockEntries(req.workspace.id, materials, (err, entries) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao resolver materiais do inventário.' }); }
+            create(entries);
+        });
+    });
+
+    app.delete('/api/inventories/:id', requireRole('editor'), (req, res) => {
+        const inventoryId = parseInt(req.params.id, 10);
+        if (isNaN(inventoryId)) { return res.status(400).json({ error: 'ID do inventário inválido.' }); }
+        db.get("SELECT id FROM inventories WHERE workspace_id = ? AND id = ?", [req.workspace.id, inventoryId], (err, row) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário.' }); }
+            if (!row) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+            runStatementsInTransaction([
+                ["DELETE FROM inventory_items WHERE inventory_id = ?", [inventoryId]],
+                ["DELETE FROM craft_log WHERE inventory_id = ?", [inventoryId]],
+                ["DELETE FROM inventories WHERE id = ?", [inventoryId]]
+            ], (err) => {
+                if (err) { logger.error("Erro ao deletar inventário", { error: err.message }); return res.status(500).json({ error: 'Erro ao deletar inventário.' }); }
+                res.json({ message: 'Inventário deletado com sucesso!' });
+            });
+        });
+    });
+
+    // Adiciona (`add`) ou retira (`remove`) estoque. A retirada é tudo ou nada: se faltar algum material, nada é retirado.
+    app.post('/api/inventories/:id/:operation(add|remove)', requireRole('editor'), validateBody(schemas.inventoryStockChange), (req, res) => {
+        const inventoryId = parseInt(req.params.id, 10);
+        if (isNaN(inventoryId)) { return res.status(400).json({ error: 'ID do inventário inválido.' }); }
+
+        normalizeStockEntries(req.workspace.id, req.body.materials, (err, entries) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao resolver materiais do inventário.' }); }
+            db.get("SELECT id FROM inventories WHERE workspace_id = ? AND id = ?", [req.workspace.id, inventoryId], (err, row) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário.' }); }
+                if (!row) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+
+                const change = req.params.operation === 'add'
+                    ? (callback) => addInventoryStock(inventoryId, entries, (err) => callback(err, []))
+                    : (callback) => deductInventoryStock(inventoryId, entries, callback);
+                runInTransaction(db, change, (err, shortages) => {
+                    if (err) {
+                        logger.error("Erro ao atualizar estoque do inventário", { error: err.message });
+                        return res.status(500).json({ error: 'Erro ao atualizar estoque do inventário.' });
+                    }
+                    if (shortages.length > 0) { return res.status(409).json({ error: 'Estoque insuficiente; nada foi retirado.', shortages }); }
+                    loadInventory(req.workspace.id, inventoryId, (err, inventory) => {
+                        if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário atualizado.' }); }
+                        res.json({ message: 'Estoque atualizado com sucesso!', inventory });
+                    });
+                });
+            });
+        });
+    });
+
+    app.get('/api/inventories/:id/log', (req, res) => {
+        const inventoryId = parseInt(req.params.id, 10);
+        if (isNaN(inventoryId)) { return res.status(400).json({ error: 'ID do inventário inválido.' }); }
+        db.get("SELECT id FROM inventories WHERE workspace_id = ? AND id = ?", [req.workspace.id, inventoryId], (err, row) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário.' }); }
+            if (!row) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+            const sql = `SELECT id, recipe_id, recipe_name, crafts, quantity_produced, materials_consumed, actor, created_at
+                         FROM craft_log WHERE inventory_id = ? ORDER BY id DESC`;
+            db.all(sql, [inventoryId], (err, rows) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/inventories/:id/log", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar registro de crafts.' });
+                }
+                res.json(rows.map(row => ({ ...row, materials_consumed: JSON.parse(row.materials_consumed) })));
+            });
+        });
+    });
+
+    function ledgerRangeClause(workspaceId, range) {
+        const conditions = ['workspace_id = ?'];
+        const params = [workspaceId];
+        if (range.from) { conditions.push('occurred_at >= ?'); params.push(range.from); }
+        if (range.to) { conditions.push('occurred_at <= ?'); params.push(range.to); }
+        return { conditions, params };
+    }
+
+    app.get('/api/ledger', (req, res) => {
+        const { type } = req.query;
+        if (type && !LEDGER_ENTRY_TYPES.includes(type)) { return res.status(400).json({ error: `Valor inválido para "type". Válidos: ${LEDGER_ENTRY_TYPES.join(', ')}.` }); }
+        const { range, error } = parseDateRange(req.query);
+        if (error) { return res.status(400).json({ error }); }
+
+        const { conditions, params } = ledgerRangeClause(req.workspace.id, range);
+        if (type) { conditions.push('entry_type = ?'); params.push(type); }
+        const sql = `SELECT id, entry_type, material_id, recipe_id, item_name, quantity, unit_price, quantity * unit_price AS total,
+                            channel, inventory_id, occurred_at, recorded_by, created_at
+                     FROM ledger_entries WHERE ${conditions.join(' AND ')}
+                     ORDER BY occurred_at DESC, id DESC`;
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/ledger", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar o livro-caixa.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    // Registra uma compra de material (`material_name` ou `material_id`) ou venda de item (`recipe_id` ou `recipe_name`).
+    // Com `inventoryId`, a compra entra no estoque e a venda sai dele na mesma transação.
+    app.post('/api/ledger', requireRole('editor'), validateBody(schemas.ledgerEntry), (req, res) => {
+        const { type, quantity, unit_price: unitPrice, channel, occurred_at: occurredAt, inventoryId } = req.body;
+        const timestamp = occurredAt === undefined ? toSqliteTimestamp(new Date()) : toLedgerTimestamp(occurredAt);
+
+        const findSubject = (callback) => {
+            if (type === 'purchase') {
+                const { material_id: materialId, material_name: materialName } = req.body;
+                return findCatalogMaterial(req.workspace.id, materialId, materialName, (err, material) => callback(err, material && { material_id: material.id, recipe_id: null, item_name: material.name }));
+            }
+            const { recipe_id: recipeId, recipe_name: recipeName } = req.body;
+            const sql = recipeId !== undefined ? "SELECT id, name FROM recipes WHERE workspace_id = ? AND id = ?" : "SELECT id, name FROM recipes WHERE workspace_id = ? AND name = ? COLLATE NOCASE";
+            db.get(sql, [req.workspace.id, recipeId !== undefined ? recipeId : recipeName], (err, recipe) => callback(err, recipe && { material_id: null, recipe_id: recipe.id, item_name: recipe.name }));
+        };
+
+        findSubject((err, subject) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar material ou item do registro.' }); }
+            if (!subject) { return res.status(404).json({ error: type === 'purchase' ? 'Material não encontrado no catálogo.' : 'Item não encontrado.' }); }
+            const withInventoryRow = (callback) => (inventoryId === undefined ? callback(null, true) : db.get("SELECT id FROM inventories WHERE workspace_id = ? AND id = ?", [req.workspace.id, inventoryId], (err, row) => callback(err, !!row)));
+            withInventoryRow((err, inventoryExists) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário.' }); }
+                if (!inventoryExists) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+
+                const stock = [{ material_name: subject.item_name, quantity }];
+                const adjustInventory = (callback) => {
+                    if (inventoryId === undefined) { return callback(null, []); }
+                    if (type === 'purchase') { return addInventoryStock(inventoryId, stock, (err) => callback(err, [])); }
+                    deductInventoryStock(inventoryId, stock, callback);
+                };
+                runInTransaction(db, (done) => {
+                    adjustInventory((err, shortages) => {
+                        // Com estoque insuficiente, nada foi gravado.
+                        if (err || shortages.length > 0) { return done(err, shortages); }
+                        const sql = `INSERT INTO ledger_entries (workspace_id, entry_type, material_id, recipe_id, item_name, quantity, unit_price, channel, inventory_id, occurred_at, recorded_by)
+                                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+                        const params = [req.workspace.id, type, subject.material_id, subject.recipe_id, subject.item_name, quantity, unitPrice, channel, inventoryId === undefined ? null : inventoryId, timestamp, getActor(req)];
+                        db.run(sql, params, function(err) {
+                            done(err, [], err ? null : this.lastID);
+                        });
+                    });
+                }, (err, shortages, entryId) => {
+                    if (err) {
+                        logger.error("Erro ao registrar no livro-caixa", { error: err.message });
+                        return res.status(500).json({ error: 'Erro ao registrar no livro-caixa; nada foi gravado.' });
+                    }
+                    if (shortages.length > 0) { return res.status(409).json({ error: 'Estoque insuficiente no inventário para esta venda; nada foi gravado.', shortages }); }
+                    res.status(201).json({ message: 'Registro salvo com sucesso!', id: entryId });
+                });
+            });
+        });
+    });
+
+    // Remove um registro lançado por engano. O estoque do inventário não é revertido.
+    app.delete('/api/ledger/:id', requireRole('editor'), (req, res) => {
+        const entryId = parseInt(req.params.id, 10);
+        if (isNaN(entryId)) { return res.status(400).json({ error: 'ID do registro inválido.' }); }
+        runQueuedStatement(db, "DELETE FROM ledger_entries WHERE workspace_id = ? AND id = ?", [req.workspace.id, entryId], (err, result) => {
+            if (err) { logger.error("Erro ao deletar registro do livro-caixa", { error: err.message }); return res.status(500).json({ error: 'Erro ao deletar registro.' }); }
+            if (result.changes === 0) { return res.status(404).json({ error: 'Registro não encontrado.' }); }
+            res.json({ message: 'Registro deletado com sucesso!' });
+        });
+    });
+
+    // Carrega os registros do período e a economia por unidade de cada receita (custo médio de todas as compras).
+    function loadProfitReportData(workspaceId, range, callback) {
+        const { conditions, params } = ledgerRangeClause(workspaceId, range);
+        const sqlEntries = `SELECT entry_type, material_id, recipe_id, item_name, quantity, unit_price, channel, occurred_at
+                            FROM ledger_entries WHERE ${conditions.join(' AND ')} ORDER BY occurred_at ASC, id ASC`;
+        db.all(sqlEntries, params, (err, entries) => {
+            if (err) { return callback(err); }
+            db.all("SELECT material_id, quantity, unit_price FROM ledger_entries WHERE workspace_id = ? AND entry_type = 'purchase'", [workspaceId], (err, purchases) => {
+                if (err) { return callback(err); }
+                recipeIndexFor(workspaceId).get((err, index) => {
+                    if (err) { return callback(err); }
+                    const averagePrices = averagePurchasePrices(purchases);
+                    const economicsByRecipe = new Map(index.recipes.map(recipe => [
+                        recipe.id,
+                        recipeUnitEconomics(recipe, index.materialsByRecipe.get(recipe.id), averagePrices)
+                    ]));
+                    callback(null, { entries, economicsByRecipe });
+                });
+            });
+        });
+    }
+
+    app.get('/api/reports/profit', (req, res) => {
+        const { range, error } = parseDateRange(req.query);
+        if (error) { return res.status(400).json({ error }); }
+        loadProfitReportData(req.workspace.id, range, (err, data) => {
+            if (err) {
+                logger.error("Erro na query GET /api/reports/profit", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao gerar relatório de lucro.' });
+            }
+            const sales = data.entries.filter(entry => entry.entry_type === 'sale');
+            const recipes = buildRecipeProfitReport(sales, data.economicsByRecipe);
+            const sum = (rows, field) => roundQuantity(rows.reduce((total, row) => total + (row[field] || 0), 0));
+            const purchasesTotal = data.entries.filter(entry => entry.entry_type === 'purchase').reduce((total, entry) => total + entry.quantity * entry.unit_price, 0);
+            const salesTotal = sum(recipes, 'revenue');
+            res.json({
+                from: range.from,
+                to: range.to,
+                totals: {
+                    purchases_total: purchasesTotal,
+                    sales_total: salesTotal,
+                    cost_of_goods_sold: sum(recipes, 'cost_of_goods_sold'),
+                    realized_profit: sum(recipes, 'realized_profit'),
+                    theoretical_npc_profit: sum(recipes, 'theoretical_npc_profit'),
+                    cash_flow: salesTotal - purchasesTotal
+                },
+                recipes
+            });
+        });
+    });
+
+    app.get('/api/reports/profit/timeline', (req, res) => {
+        const { period = 'day' } = req.query;
+        if (!REPORT_PERIODS.includes(period)) { return res.status(400).json({ error: `Valor inválido para "period". Válidos: ${REPORT_PERIODS.join(', ')}.` }); }
+        const { range, error } = parseDateRange(req.query);
+        if (error) { return res.status(400).json({ error }); }
+        loadProfitReportData(req.workspace.id, range, (err, data) => {
+            if (err) {
+                logger.error("Erro na query GET /api/reports/profit/timeline", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao gerar relatório de lucro.' });
+            }
+            res.json({ period, from: range.from, to: range.to, timeline: buildProfitTimeline(data.entries, data.economicsByRecipe, period) });
+        });
+    });
+
+    // Máximo de crafts da receita com o inventário. Retorna null quando nenhum material limita (receita sem
+    // materiais): a resposta usa `null` com `unbounded: true`, já que Infinity não existe em JSON.
+    function maxCraftsWithInventory(recipeMaterials, inventory) {
+        const limiting = recipeMaterials.filter(mat => mat.quantity > 0);
+        if (limiting.length === 0) { return null; }
+        return Math.min(...limiting.map(mat => Math.floor((inventory[mat.material_name.toLowerCase()] || 0) / mat.quantity)));
+    }
+
+    app.post('/api/crafting/check-possibilities', validateBody(schemas.checkPossibilities), withInventory('availableMaterials'), (req, res) => {
+        const { availableMaterials } = req.body;
+
+        const userInventory = availableMaterials.reduce((acc, mat) => {
+            if (mat.material_name && typeof mat.quantity === 'number' && mat.quantity >= 0) {
+                acc[mat.material_name.toLowerCase()] = (acc[mat.material_name.toLowerCase()] || 0) + mat.quantity;
+            }
+            return acc;
+        }, {});
+
+        withRecipeIndex(req, res, 'para verificar possibilidades', (index) => {
+            const craftableItems = [];
+            const variantCapacity = (variant) => {
+                const maxCrafts = maxCraftsWithInventory(variant.materials, userInventory);
+                return {
+                    max_crafts_possible: maxCrafts,
+                    unbounded: maxCrafts === null,
+                    total_items_producible: maxCrafts !== null ? maxCrafts * variant.quantity_produced : null
+                };
+            };
+
+            index.recipes.forEach(recipe => {
+                // Vale a variante que produz mais itens com o inventário; uma variante sem materiais não tem limite.
+                const ranked = rankVariants(
+                    index.variantsOf(recipe),
+                    variantCapacity,
+                    capacity => (capacity.unbounded ? Infinity : capacity.total_items_producible)
+                );
+                const { variant: best, result: capacity } = ranked[0];
+                if (!capacity.unbounded && capacity.max_crafts_possible <= 0) { return; }
+
+                craftableItems.push({
+                    recipe_id: recipe.id,
+                    recipe_name: recipe.name,
+                    ...variantReference(best),
+                    quantity_produced_per_craft: best.quantity_produced,
+                    ...capacity,
+                    materials_needed: best.materials.map(m => ({
+                        material_name: m.material_name,
+                        quantity_per_craft: m.quantity,
+                        total_quantity_needed_for_max_crafts: m.quantity * (capacity.max_crafts_possible || 0),
+                        user_has_quantity: userInventory[m.material_name.toLowerCase()] || 0
+                    })),
+                    variants: ranked.map(({ variant, result }) => ({ ...variantReference(variant), quantity_produced_per_craft: variant.quantity_produced, ...result }))
+                });
+            });
+
+            // Receitas sem limite primeiro, depois as que permitem mais crafts.
+            res.json(craftableItems.sort((a, b) => (b.unbounded - a.unbounded) || (b.max_crafts_possible - a.max_crafts_possible)));
+        });
+    });
+
+    app.post('/api/crafting/plan', validateBody(schemas.craftPlan), withInventory('availableMaterials'), (req, res) => {
+        const { availableMaterials, objective = 'max_npc_profit' } = req.body;
+
+        const displayNames = {};
+        const userInventory = availableMaterials.reduce((acc, mat) => {
+            if (mat.material_name && typeof mat.quantity === 'number' && mat.quantity >= 0) {
+                const key = mat.material_name.toLowerCase();
+                acc[key] = (acc[key] || 0) + mat.quantity;
+                displayNames[key] = displayNames[key] || mat.material_name;
+            }
+            return acc;
+        }, {});
+
+        withRecipeIndex(req, res, 'para planejar crafts', (index) => {
+            const priceSource = objective === 'max_market_profit' ? 'market' : 'npc';
+            // Cada variante concorre com o próprio valor: o lucro dela no ranking pré-calculado do índice.
+            const rankings = objective === 'max_items' ? null : index.profitRanking(priceSource);
+            const valuePerCraft = (recipe, variant) => {
+                if (objective === 'max_items') { return variant.quantity_produced; }
+                return rankings.get(recipe.id).find(({ variant: ranked }) => ranked.id === variant.id).result.profit;
+            };
+
+            const { plan, consumed, remaining } = planCrafts(index.recipes, index.variantsOf, userInventory, valuePerCraft);
+            const toMaterialList = (quantities) => Object.keys(quantities)
+                .map(key => ({ material_name: displayNames[key] || key, quantity: quantities[key] }))
+                .sort((a, b) => a.material_name.localeCompare(b.material_name));
+
+            res.json({
+                objective,
+                plan,
+                total_value: plan.reduce((sum, entry) => sum + entry.total_value, 0),
+                total_items_produced: plan.reduce((sum, entry) => sum + entry.items_produced, 0),
+                materials_consumed: toMaterialList(consumed),
+                leftover_materials: toMaterialList(remaining)
+            });
+        });
+    });
+
+    app.post('/api/crafting/shopping-list', validateBody(schemas.shoppingList), withInventory('userMaterials'), (req, res) => {
+        const { targets, userMaterials = [] } = req.body;
+
+        const userInventory = userMaterials.reduce((acc, mat) => {
+            if (mat.material_name && typeof mat.quantity === 'number' && mat.quantity >= 0) {
+                acc[mat.material_name.toLowerCase()] = (acc[mat.material_name.toLowerCase()] || 0) + mat.quantity;
+            }
+            return acc;
+        }, {});
+
+        withRecipeIndex(req, res, 'para a lista de compras', (index) => {
+            const unitsByRecipe = new Map();
+            const unknownTargets = [];
+            targets.forEach(target => {
+                const recipe = target.recipe_id !== undefined
+                    ? index.recipesById.get(target.recipe_id)
+                    : index.recipesByName.get(String(target.recipe_name).toLowerCase());
+                if (!recipe) { unknownTargets.push(target.recipe_id !== undefined ? target.recipe_id : target.recipe_name); return; }
+                const units = typeof target.quantity === 'number' ? target.quantity : target.crafts * (recipe.quantity_produced || 1);
+                unitsByRecipe.set(recipe, (unitsByRecipe.get(recipe) || 0) + units);
+            });
+            if (unknownTargets.length > 0) {
+                return res.status(404).json({ error: `Itens não encontrados: ${unknownTargets.join(', ')}.` });
+            }
+
+            // Custo de aquisição do que falta para produzir `units` com a variante, contra o inventário inteiro.
+            const variantNeeds = (variant, units) => {
+                const craftsNeeded = Math.ceil(units / (variant.quantity_produced || 1));
+                const acquisitionCost = variant.materials.reduce((sum, mat) => {
+                    if (mat.material_type === 'profession') { return sum; }
+                    const quantityMissing = Math.max(0, mat.quantity * craftsNeeded - (userInventory[mat.material_name.toLowerCase()] || 0));
+                    return sum + quantityMissing * (mat.default_npc_price || 0);
+                }, 0);
+                return { crafts_needed: craftsNeeded, acquisition_cost: acquisitionCost };
+            };
+
+            const materialsNeeded = new Map();
+            const targetsSummary = [...unitsByRecipe.entries()].map(([recipe, units]) => {
+                // Vale a variante mais barata de completar (cada alvo avaliado isoladamente); no empate, a principal.
+                const ranked = rankVariants(index.variantsOf(recipe), variant => variantNeeds(variant, units), needs => -needs.acquisition_cost);
+                const { variant: best, result: { crafts_needed: craftsNeeded } } = ranked[0];
+                const quantityPerCraft = best.quantity_produced || 1;
+                best.materials.forEach(mat => {
+                    const key = `${mat.material_name.toLowerCase()}|${mat.material_type}`;
+                    const entry = materialsNeeded.get(key) || { material_name: mat.material_name, material_type: mat.material_type, quantity_needed: 0, default_npc_price: mat.default_npc_price || 0 };
+                    entry.quantity_needed += mat.quantity * craftsNeeded;
+                    materialsNeeded.set(key, entry);
+                });
+                return {
+                    recipe_id: recipe.id,
+                    recipe_name: recipe.name,
+                    ...variantReference(best),
+                    quantity_requested: units,
+                    quantity_produced_per_craft: best.quantity_produced,
+                    crafts_needed: craftsNeeded,
+                    total_quantity_produced: craftsNeeded * quantityPerCraft,
+                    surplus: craftsNeeded * quantityPerCraft - units,
+                    variants: ranked.map(({ variant, result }) => ({ ...variantReference(variant), quantity_produced_per_craft: variant.quantity_produced, ...result }))
+                };
+            });
+
+            const missing = { buy: [], drop: [], profession: [] };
+            let totalAcquisitionCost = 0;
+            const remainingInventory = { ...userInventory };
+            [...materialsNeeded.values()].sort((a, b) => a.material_name.localeCompare(b.material_name)).forEach(entry => {
+                const key = entry.material_name.toLowerCase();
+                const userHasQty = remainingInventory[key] || 0;
+                const usedFromInventory = Math.min(userHasQty, entry.quantity_needed);
+                remainingInventory[key] = userHasQty - usedFromInventory;
+                const quantityMissing = entry.quantity_needed - usedFromInventory;
+                if (quantityMissing <= 0) { return; }
+
+                const acquisitionCost = entry.material_type === 'profession' ? 0 : quantityMissing * entry.default_npc_price;
+                totalAcquisitionCost += acquisitionCost;
+                missing[entry.material_type].push({
+                    ...entry,
+                    quantity_from_inventory: usedFromInventory,
+                    quantity_missing: quantityMissing,
+                    acquisition_cost: acquisitionCost
+                });
+            });
+
+            res.json({
+                targets: targetsSummary,
+                missing_materials: missing,
+                total_acquisition_cost: totalAcquisitionCost
+            });
+        });
+    });
+
+    app.post('/api/crafting/execute', requireRole('editor'), validateBody(schemas.craftExecute), (req, res) => {
+        const { inventoryId, recipe_id: recipeId, recipe_name: recipeName, crafts = 1 } = req.body;
+
+        const sqlRecipe = recipeId !== undefined
+            ? "SELECT id, name, quantity_produced FROM recipes WHERE workspace_id = ? AND id = ?"
+            : "SELECT id, name, quantity_produced FROM recipes WHERE workspace_id = ? AND name = ? COLLATE NOCASE";
+        db.get(sqlRecipe, [req.workspace.id, recipeId !== undefined ? recipeId : recipeName], (err, recipe) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar receita.' }); }
+            if (!recipe) { return res.status(404).json({ error: 'Item não encontrado.' }); }
+            db.get("SELECT id FROM inventories WHERE workspace_id = ? AND id = ?", [req.workspace.id, inventoryId], (err, inventoryRow) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar inventário.' }); }
+                if (!inventoryRow) { return res.status(404).json({ error: 'Inventário não encontrado.' }); }
+                db.all(`${SQL_RECIPE_MATERIALS} WHERE rm.recipe_id = ?`, [recipe.id], (err, recipeMaterials) => {
+                    if (err) { return res.status(500).json({ error: 'Erro ao buscar materiais da receita.' }); }
+
+                    const consumed = recipeMaterials.map(mat => ({ material_name: mat.material_name, quantity: mat.quantity * crafts }));
+                    const produced = { material_name: recipe.name, quantity: (recipe.quantity_produced || 1) * crafts };
+
+                    // A conferência do estoque roda dentro da transação: crafts simultâneos no mesmo inventário esperam a vez.
+                    runInTransaction(db, (done) => {
+                        deductInventoryStock(inventoryId, consumed, (err, shortages) => {
+                            // Com materiais faltando, nada foi gravado.
+                            if (err || shortages.length > 0) { return done(err, shortages); }
+                            addInventoryStock(inventoryId, [produced], (err) => {
+                                if (err) { return done(err); }
+                                const sqlLog = `INSERT INTO craft_log (inventory_id, recipe_id, recipe_name, crafts, quantity_produced, materials_consumed, actor)
+                                                VALUES (?, ?, ?, ?, ?, ?, ?)`;
+                                db.run(sqlLog, [inventoryId, recipe.id, recipe.name, crafts, produced.quantity, JSON.stringify(consumed), getActor(req)], function(err) {
+                                    done(err, [], err ? null : this.lastID);
+                                });
+                            });
+                        });
+                    }, (err, shortages, logId) => {
+                        if (err) {
+                            logger.error("Erro ao executar craft", { error: err.message });
+                            return res.status(500).json({ error: 'Erro ao executar craft; nada foi alterado.' });
+                        }
+                        if (shortages.length > 0) { return res.status(409).json({ error: 'Materiais insuficientes no inventário; nada foi alterado.', shortages }); }
+                        res.status(201).json({
+                            message: 'Craft executado com sucesso!',
+                            log_id: logId,
+                            recipe_id: recipe.id,
+                            recipe_name: recipe.name,
+                            crafts,
+                            quantity_produced: produced.quantity,
+                            materials_consumed: consumed
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    app.post('/api/crafting/analyze-potential-crafts', validateBody(schemas.analyzePotentialCrafts), withInventory('userMaterials'), (req, res) => {
+        const { userMaterials } = req.body;
+
+        const userInventory = userMaterials.reduce((acc, mat) => {
+            if (mat.material_name && typeof mat.quantity === 'number' && mat.quantity >= 0) {
+                acc[mat.material_name.toLowerCase()] = (acc[mat.material_name.toLowerCase()] || 0) + mat.quantity;
+            }
+            return acc;
+        }, {});
+
+        withRecipeIndex(req, res, 'para análise', (index) => {
+            const analysisResults = [];
+
+            const variantCrafts = (variant) => {
+                const craftableNowCount = maxCraftsWithInventory(variant.materials, userInventory);
+                return {
+                    craftable_now_count: craftableNowCount,
+                    unbounded: craftableNowCount === null,
+                    total_items_producible: craftableNowCount !== null ? craftableNowCount * variant.quantity_produced : null
+                };
+            };
+
+            index.recipes.forEach(recipe => {
+                const variants = index.variantsOf(recipe);
+
+                let recipeUsesAnyUserMaterial = false;
+                if (Object.keys(userInventory).length > 0) {
+                    recipeUsesAnyUserMaterial = variants.some(variant => variant.materials.some(neededMat =>
+                        userInventory.hasOwnProperty(neededMat.material_name.toLowerCase())
+                    ));
+                } else { // Se userMaterials for um array vazio, analisar todas as receitas
+                    recipeUsesAnyUserMaterial = true;
+                }
+
+                if (!recipeUsesAnyUserMaterial && Object.keys(userInventory).length > 0) { // Não mostrar se usuário especificou materiais e esta receita não usa nenhum deles
+                    return; 
+                }
+
+                // Como em check-possibilities, vale a variante que produz mais itens com o inventário.
+                const ranked = rankVariants(
+                    variants,
+                    variantCrafts,
+                    crafts => (crafts.unbounded ? Infinity : crafts.total_items_producible)
+                );
+                const { variant: best, result: bestCrafts } = ranked[0];
+
+                const materialsAnalysis = best.materials.map(neededMat => {
+                    const userHasQty = userInventory[neededMat.material_name.toLowerCase()] || 0;
+                    return {
+                        material_name: neededMat.material_name,
+                        material_type: neededMat.material_type,
+                        quantity_needed_per_craft: neededMat.quantity,
+                        user_has_quantity: userHasQty,
+                        quantity_missing_for_one_craft: Math.max(0, neededMat.quantity - userHasQty),
+                    };
+                });
+
+                analysisResults.push({
+                    recipe_id: recipe.id,
+                    recipe_name: recipe.name,
+                    ...variantReference(best),
+                    quantity_produced_per_craft: best.quantity_produced,
+                    materials_analysis: materialsAnalysis,
+                    ...bestCrafts,
+                    variants: ranked.map(({ variant, result }) => ({ ...variantReference(variant), quantity_produced_per_craft: variant.quantity_produced, ...result }))
+                });
+            });
+
+            res.json(analysisResults);
+        });
+    });
+
+
+    // Stream SSE. `Last-Event-ID` (ou `?lastEventId=`, para clientes que não enviam o cabeçalho) retoma de onde parou;
+    // `?types=recipe.created,price.changed` filtra os tipos recebidos.
+    app.get('/api/events', (req, res) => {
+        const lastEventHeader = req.get('Last-Event-ID') !== undefined ? req.get('Last-Event-ID') : req.query.lastEventId;
+        let lastEventId = null;
+        if (lastEventHeader !== undefined && lastEventHeader !== '') {
+            lastEventId = Number(lastEventHeader);
+            if (!Number.isInteger(lastEventId) || lastEventId < 0) { return res.status(400).json({ error: 'O Last-Event-ID deve ser um inteiro não negativo.' }); }
+        }
+        let types = null;
+        if (req.query.types) {
+            types = req.query.types.split(',').map(type => type.trim()).filter(type => type);
+            const invalid = types.filter(type => !EVENT_TYPES.includes(type));
+            if (invalid.length > 0) { return res.status(400).json({ error: `Tipos de evento inválidos: ${invalid.join(', ')}. Válidos: ${EVENT_TYPES.join(', ')}.` }); }
+        }
+        events.subscribe(req, res, { workspaceId: req.workspace.id, lastEventId, types });
+    });
+
+    // Workspaces públicos e os privados acessíveis pela chave de API enviada, se houver.
+    app.get('/api/workspaces', (req, res) => {
+        const key = extractApiKey(req);
+        const withApiKey = (callback) => (key ? findActiveApiKey(db, key, callback) : callback(null, null));
+        withApiKey((err, apiKey) => {
+            if (err) {
+                logger.error("Erro ao validar chave de API", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao validar chave de API.' });
+            }
+            if (key && !apiKey) { return res.status(401).json({ error: 'Chave de API inválida ou revogada.' }); }
+            const sql = `SELECT w.id, w.slug, w.name, w.visibility, w.created_by, w.created_at,
+                                (SELECT COUNT(*) FROM recipes r WHERE r.workspace_id = w.id) AS recipe_count
+                         FROM workspaces w ORDER BY w.id ASC`;
+            db.all(sql, [], (err, rows) => {
+                if (err) {
+                    logger.error("Erro na query GET /api/workspaces", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao buscar workspaces.' });
+                }
+                res.json(rows.filter(workspace => workspace.visibility === 'public' || (apiKey && canAccessWorkspace(apiKey, workspace))));
+            });
+        });
+    });
+
+    app.post('/api/workspaces', requireRole('admin', { allWorkspaces: true }), validateBody(schemas.workspaceCreate), (req, res) => {
+        const { slug, name, visibility = 'private' } = req.body;
+        const sql = "INSERT INTO workspaces (slug, name, visibility, created_by) VALUES (?, ?, ?, ?)";
+        runQueuedStatement(db, sql, [slug.trim(), name.trim(), visibility, getActor(req)], (err) => {
+            if (err) {
+                if (isUniqueConstraintError(err)) { return res.status(409).json({ error: `Já existe um workspace com o slug "${slug.trim()}".` }); }
+                logger.error("Erro ao criar workspace", { error: err.message });
+                return res.status(500).json({ error: 'Erro ao criar workspace.' });
+            }
+            findWorkspace(db, slug, (err, workspace) => {
+                if (err) { return res.status(500).json({ error: 'Erro ao buscar workspace criado.' }); }
+                res.status(201).json({ message: 'Workspace criado com sucesso!', workspace });
+            });
+        });
+    });
+
+    app.get('/api/openapi.json', (req, res) => {
+        res.json(openApiSpec);
+    });
+
+    app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+        res.json(req.apiKey);
+    });
+
+    app.get('/api/auth/keys', requireRole('admin', { allWorkspaces: true }), (req, res) => {
+        const sql = "SELECT id, name, role, key_prefix, workspace_id, created_at, last_used_at, revoked_at FROM api_keys ORDER BY id ASC";
+        db.all(sql, [], (err, rows) => {
+            if (err) {
+                logger.error("Erro na query GET /api/auth/keys", { error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar chaves de API.' });
+            }
+            res.json(rows);
+        });
+    });
+
+    app.post('/api/auth/keys', requireRole('admin', { allWorkspaces: true }), validateBody(schemas.apiKeyCreate), (req, res) => {
+        const { name, role, workspace: workspaceSlug } = req.body;
+        const withWorkspace = (callback) => (workspaceSlug === undefined ? callback(null, null) : findWorkspace(db, workspaceSlug, callback));
+        withWorkspace((err, workspace) => {
+            if (err) { return res.status(500).json({ error: 'Erro ao buscar workspace.' }); }
+            if (workspaceSlug !== undefined && !workspace) { return res.status(404).json({ error: `Workspace "${workspaceSlug.trim()}" não encontrado.` }); }
+            createApiKey(db, name.trim(), role, workspace ? workspace.id : null, (err, created) => {
+                if (err) {
+                    logger.error("Erro ao criar chave de API", { error: err.message });
+                    return res.status(500).json({ error: 'Erro ao criar chave de API.' });
+                }
+                res.status(201).json({ message: 'Chave de API criada. Guarde o valor de "key": ele não será exibido novamente.', ...created });
+            });
+        });
+    });
+
+    app.delete('/api/auth/keys/:id', requireRole('admin', { allWorkspaces: true }), (req, res) => {
+        const keyId = parseInt(req.params.id, 10);
+        if (isNaN(keyId)) { return res.status(400).json({ error: 'ID da chave inválido.' }); }
+        if (keyId === req.apiKey.id) { return res.status(400).json({ error: 'Não é possível revogar a própria chave em uso.' }); }
+        runQueuedStatement(db, "UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL", [keyId], (err, result) => {
+            if (err) { logger.error("Erro ao revogar chave de API", { error: err.message }); return res.status(500).json({ error: 'Erro ao revogar chave de API.' }); }
+            if (result.changes === 0) { return res.status(404).json({ error: 'Chave não encontrada ou já revogada.' }); }
+            res.json({ message: 'Chave de API revogada com sucesso!' });
+        });
+    });
+
+    // Liveness: só confirma que o processo responde. A readiness abaixo consulta o banco de verdade.
+    app.get('/health', (req, res) => {
+        res.status(200).send('OK');
+    });
+
+    const READINESS_TIMEOUT_MS = 2000;
+
+    app.get('/health/ready', (req, res) => {
+        const started = process.hrtime.bigint();
+        let answered = false;
+        const respond = (status, body) => {
+            if (answered) { return; }
+            answered = true;
+            clearTimeout(timer);
+            res.status(status).json(body);
+        };
+        const timer = setTimeout(() => {
+            logger.error("Banco de dados não respondeu à verificação de readiness", { timeout_ms: READINESS_TIMEOUT_MS });
+            respond(503, { error: 'O banco de dados não respondeu a tempo.' });
+        }, READINESS_TIMEOUT_MS);
+        db.get('SELECT 1 AS ok', [], (err) => {
+            if (err) {
+                logger.error("Erro na verificação de readiness do banco de dados", { error: err.message });
+                return respond(503, { error: 'Banco de dados indisponível.' });
+            }
+            respond(200, { status: 'ready', database: 'ok', duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e3) / 1e3 });
+        });
+    });
+
+    app.get('/metrics', (req, res) => {
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    // Rotas inexistentes sob /api respondem no envelope de erro da API, e não com a página HTML padrão do Express.
+    app.use('/api', (req, res) => {
+        res.status(404).json({ error: `Rota não encontrada: ${req.method} ${req.originalUrl}.` });
+    });
+
+    app.use((err, req, res, next) => {
+        // Erros ao ler o corpo chegam aqui pelo `express.json()`/`express.text()`, antes do schema da rota. JSON
+        // malformado é um corpo inválido (422); os demais mantêm o status do parser.
+        if (err.type === 'entity.parse.failed') {
+            return sendValidationErrors(res, [{ field: null, code: 'invalid_type', message: 'O corpo da requisição não é um JSON válido.' }]);
+        }
+        if (err.type && err.expose && err.status >= 400 && err.status < 500) {
+            return res.status(err.status).json({ error: BODY_ERROR_MESSAGES[err.type] || 'Não foi possível ler o corpo da requisição.' });
+        }
+        logger.error("Erro não tratado", { error: err.message, stack: err.stack });
+        res.status(500).json({ error: 'Algo deu muito errado no servidor!' });
+    });
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,149 @@
+/*
+  Arquivo: bench.js
+  Descrição: Benchmark do índice de receitas (ver `lib/recipeIndex.js`) em um catálogo sintético grande, em um banco
+  `:memory:` (o `database.db` não é tocado).
+  Uso: node bench.js [receitas] (npm run bench; padrão 3000 receitas, 6 materiais cada, 1 variante a cada 4).
+  - Em processo, para o ranking de lucro de todas as receitas: a carga completa por requisição usada antes do
+    índice (um `materials.filter` por receita), o índice frio (carga + montagem + ranking, a primeira leitura depois
+    de uma escrita) e o índice pronto (ranking já calculado).
+  - Por HTTP, `GET /api/items/profit-ranking` no app real: logo depois de uma escrita de preço, com o índice pronto
+    e com `If-None-Match` (304).
+*/
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { openDatabase } = require('./lib/database');
+const { createApiKey } = require('./lib/auth');
+const { createApp } = require('./app');
+const { buildRecipeIndex, createRecipeIndex } = require('./lib/recipeIndex');
+const { indexRecipeVariants, listRecipeVariants, rankVariants } = require('./lib/recipeVariants');
+const { buildPriceBook, computeRecipeProfit } = require('./lib/pricing');
+
+const RECIPES = Number(process.argv[2]) || 3000;
+const MATERIALS = Math.max(10, Math.round(RECIPES / 2));
+const MATERIALS_PER_RECIPE = 6;
+const RUNS = 10;
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))));
+const run = (db, sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, (err) => (err ? reject(err) : resolve())));
+
+async function seedCatalog(db) {
+    await run(db, 'BEGIN TRANSACTION');
+    for (let m = 1; m <= MATERIALS; m++) {
+        await run(db, 'INSERT INTO materials (name, material_type, default_npc_price) VALUES (?, ?, ?)', [`Material ${m}`, m % 3 === 0 ? 'drop' : 'buy', 5 + (m % 50)]);
+        if (m % 2 === 0) { await run(db, "INSERT INTO material_prices (material_name, source, price) VALUES (?, 'market', ?)", [`Material ${m}`, 4 + (m % 60)]); }
+    }
+    for (let r = 1; r <= RECIPES; r++) {
+        await run(db, 'INSERT INTO recipes (id, name, quantity_produced, npc_sell_price, craft_duration_seconds) VALUES (?, ?, ?, ?, ?)', [r, `Item ${r}`, 1 + (r % 5), 100 + (r % 400), 30 + (r % 300)]);
+        for (let i = 0; i < MATERIALS_PER_RECIPE; i++) {
+            await run(db, 'INSERT INTO recipe_materials (recipe_id, material_id, quantity) VALUES (?, ?, ?)', [r, 1 + ((r * 7 + i * 13) % MATERIALS), 1 + (i % 4)]);
+        }
+        if (r % 2 === 0) { await run(db, "INSERT INTO item_prices (recipe_id, source, price) VALUES (?, 'market', ?)", [r, 90 + (r % 500)]); }
+        if (r % 4 === 0) {
+            await run(db, 'INSERT INTO recipe_variants (id, recipe_id, name, quantity_produced) VALUES (?, ?, ?, ?)', [r, r, 'Alternativa', 2]);
+            await run(db, 'INSERT INTO recipe_variant_materials (variant_id, material_id, quantity) VALUES (?, ?, ?)', [r, 1 + (r % MATERIALS), 3]);
+        }
+    }
+    await run(db, 'COMMIT');
+}
+
+// As mesmas consultas do carregador do índice em `app.js`.
+async function loadCatalog(db) {
+    const columns = 'm.name AS material_name, m.material_type, m.default_npc_price';
+    const [recipes, materials, variants, variantMaterials, materialPrices, itemPrices] = await Promise.all([
+        all(db, 'SELECT id, name, quantity_produced, npc_sell_price, craft_duration_seconds, profession, min_profession_level FROM recipes ORDER BY id ASC'),
+        all(db, `SELECT rm.recipe_id, rm.material_id, ${columns}, rm.quantity FROM recipe_materials rm JOIN materials m ON m.id = rm.material_id ORDER BY rm.id ASC`),
+        all(db, 'SELECT id, recipe_id, name, quantity_produced FROM recipe_variants ORDER BY id ASC'),
+        all(db, `SELECT vm.variant_id, vm.material_id, ${columns}, vm.quantity FROM recipe_variant_materials vm JOIN materials m ON m.id = vm.material_id ORDER BY vm.id ASC`),
+        all(db, 'SELECT material_name, source, price FROM material_prices'),
+        all(db, 'SELECT recipe_id, source, price FROM item_prices')
+    ]);
+    return { recipes, materials, variantsByRecipe: indexRecipeVariants(variants, variantMaterials), priceBook: buildPriceBook(materialPrices, itemPrices) };
+}
+
+// Como as rotas de lucro faziam antes do índice: tudo carregado e os materiais filtrados receita a receita.
+async function legacyRanking(db, priceSource) {
+    const { recipes, materials, variantsByRecipe, priceBook } = await loadCatalog(db);
+    return recipes.map(recipe => rankVariants(
+        listRecipeVariants(recipe, materials.filter(m => m.recipe_id === recipe.id), variantsByRecipe),
+        variant => computeRecipeProfit({ ...recipe, quantity_produced: variant.quantity_produced }, variant.materials, priceBook, priceSource),
+        result => result.profit
+    )[0]);
+}
+
+const indexRanking = (index, priceSource) => index.recipes.map(recipe => index.profitRanking(priceSource).get(recipe.id)[0]);
+
+async function measure(label, fn) {
+    await fn();
+    const samples = [];
+    for (let i = 0; i < RUNS; i++) {
+        const started = process.hrtime.bigint();
+        await fn();
+        samples.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+    samples.sort((a, b) => a - b);
+    const median = samples[Math.floor(samples.length / 2)];
+    return { label, median, min: samples[0], max: samples[samples.length - 1] };
+}
+
+function printTable(title, results) {
+    const baseline = results[0].median;
+    console.log(`\n${title}`);
+    results.forEach(({ label, median, min, max }) => {
+        const speedup = baseline / median;
+        console.log(`  ${label.padEnd(48)} mediana ${median.toFixed(2).padStart(9)} ms  (${min.toFixed(2)}–${max.toFixed(2)})  ${speedup >= 10 ? speedup.toFixed(0) : speedup.toFixed(1)}x`);
+    });
+}
+
+async function main() {
+    const db = await new Promise((resolve, reject) => openDatabase(':memory:', (err, opened) => (err ? reject(err) : resolve(opened))));
+    await seedCatalog(db);
+    console.log(`Catálogo sintético: ${RECIPES} receitas, ${MATERIALS} materiais, ${RECIPES * MATERIALS_PER_RECIPE} linhas de receita, ${Math.floor(RECIPES / 4)} variantes; ${RUNS} execuções por cenário.`);
+
+    const recipeIndex = createRecipeIndex((callback) => loadCatalog(db).then(data => callback(null, data), callback));
+    const getIndex = () => new Promise((resolve, reject) => recipeIndex.get((err, index) => (err ? reject(err) : resolve(index))));
+    const warmIndex = buildRecipeIndex(await loadCatalog(db), 0);
+    printTable('Ranking de lucro em processo (priceSource=best):', [
+        await measure('sem índice (carga completa por requisição)', () => legacyRanking(db, 'best')),
+        await measure('índice frio (carga + montagem + ranking)', () => { recipeIndex.invalidate(); return getIndex().then(index => indexRanking(index, 'best')); }),
+        await measure('índice pronto (ranking pré-calculado)', async () => indexRanking(warmIndex, 'best'))
+    ]);
+
+    const editor = await new Promise((resolve, reject) => createApiKey(db, 'bench', 'editor', null, (err, created) => (err ? reject(err) : resolve(created))));
+    const server = await new Promise(resolve => { const listening = createApp(db).listen(0, '127.0.0.1', () => resolve(listening)); });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const rankingUrl = `${baseUrl}/api/items/profit-ranking?priceSource=best`;
+    let price = 0;
+    const writePrice = () => fetch(`${baseUrl}/api/prices/items/1`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${editor.key}` },
+        body: JSON.stringify({ source: 'market', price: 100 + (price++ % 50) })
+    }).then(response => response.text());
+    const getRanking = (headers = {}) => fetch(rankingUrl, { headers }).then(response => response.text().then(() => response));
+
+    const etag = (await getRanking()).headers.get('etag');
+    const after = [];
+    for (let i = 0; i <= RUNS; i++) {
+        await writePrice();
+        const started = process.hrtime.bigint();
+        await getRanking();
+        if (i > 0) { after.push(Number(process.hrtime.bigint() - started) / 1e6); }
+    }
+    after.sort((a, b) => a - b);
+    const freshTag = (await getRanking()).headers.get('etag');
+    printTable('GET /api/items/profit-ranking?priceSource=best por HTTP:', [
+        { label: 'primeira leitura depois de uma escrita', median: after[Math.floor(after.length / 2)], min: after[0], max: after[after.length - 1] },
+        await measure('índice pronto', () => getRanking()),
+        // O `fetch` envia `Cache-Control: no-cache` junto de `If-None-Match`, o que pede uma resposta completa.
+        await measure('If-None-Match com o ETag atual (304)', () => getRanking({ 'If-None-Match': freshTag, 'Cache-Control': 'max-age=0' }))
+    ]);
+    if (etag === freshTag) { console.log('Aviso: o ETag não mudou depois das escritas.'); }
+
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.close(resolve));
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+/*
+  Arquivo: keys.js
+  Descrição: Linha de comando para gerenciar chaves de API diretamente no banco local (ver `lib/auth.js`).
+  Uso:
+  - node keys.js bootstrap [nome]     Cria a primeira chave 'admin' (npm run bootstrap-admin). Recusa se já existir
+                                      uma chave admin ativa, a menos que `--force` seja informado.
+  - node keys.js create <nome> <papel> [workspace]
+                                      Cria uma chave com o papel informado (viewer, editor ou admin). Com o slug de
+                                      um workspace, a chave só vale nele; sem ele, vale em todos.
+  - node keys.js list                 Lista as chaves (sem o valor da chave) e o workspace de cada uma.
+  - node keys.js revoke <id>          Revoga uma chave.
+  As migrações pendentes são aplicadas antes do comando. A variável de ambiente DB_FILE aponta para outro banco.
+*/
+const sqlite3 = require('sqlite3').verbose();
+const { DEFAULT_DB_FILE } = require('./lib/database');
+const { runMigrations } = require('./lib/migrations');
+const { ROLES, createApiKey } = require('./lib/auth');
+const { findWorkspace } = require('./lib/workspaces');
+
+const DB_FILE = process.env.DB_FILE || DEFAULT_DB_FILE;
+const [command, ...args] = process.argv.slice(2);
+
+const printCreatedKey = (created) => {
+    console.log(`Chave criada (id ${created.id}, papel ${created.role}${created.workspace ? `, workspace ${created.workspace}` : ''}) para "${created.name}":`);
+    console.log(created.key);
+    console.log("Guarde esta chave agora: ela não poderá ser exibida novamente.");
+};
+
+const commands = {
+    bootstrap(db, done) {
+        const name = args.find(arg => !arg.startsWith('--')) || 'admin';
+        db.get("SELECT COUNT(*) as count FROM api_keys WHERE role = 'admin' AND revoked_at IS NULL", [], (err, row) => {
+            if (err) { return done(err); }
+            if (row.count > 0 && !args.includes('--force')) {
+                return done(new Error("Já existe uma chave admin ativa. Use --force para criar outra."));
+            }
+            createApiKey(db, name, 'admin', null, (err, created) => {
+                if (err) { return done(err); }
+                printCreatedKey(created);
+                done();
+            });
+        });
+    },
+    create(db, done) {
+        const [name, role, slug] = args;
+        if (!name || !ROLES.includes(role)) { return done(new Error(`Uso: node keys.js create <nome> <${ROLES.join('|')}> [workspace]`)); }
+        const withWorkspace = (callback) => (slug === undefined ? callback(null, null) : findWorkspace(db, slug, (err, workspace) => {
+            if (err) { return callback(err); }
+            if (!workspace) { return callback(new Error(`Workspace "${slug}" não encontrado.`)); }
+            callback(null, workspace);
+        }));
+        withWorkspace((err, workspace) => {
+            if (err) { return done(err); }
+            createApiKey(db, name, role, workspace ? workspace.id : null, (err, created) => {
+                if (err) { return done(err); }
+                printCreatedKey({ ...created, workspace: workspace && workspace.slug });
+                done();
+            });
+        });
+    },
+    list(db, done) {
+        const sql = `SELECT k.id, k.name, k.role, k.key_prefix, w.slug AS workspace, k.created_at, k.last_used_at, k.revoked_at
+                     FROM api_keys k LEFT JOIN workspaces w ON w.id = k.workspace_id ORDER BY k.id ASC`;
+        db.all(sql, [], (err, rows) => {
+            if (err) { return done(err); }
+            if (rows.length === 0) { console.log("Nenhuma chave cadastrada."); }
+            rows.forEach(row => {
+                console.log(`${row.id}\t${row.key_prefix}…\t${row.role}\t${row.workspace || '(todos)'}\t${row.name}${row.revoked_at ? `\t(revogada em ${row.revoked_at})` : ''}`);
+            });
+            done();
+        });
+    },
+    revoke(db, done) {
+        const keyId = parseInt(args[0], 10);
+        if (isNaN(keyId)) { return done(new Error("Uso: node keys.js revoke <id>")); }
+        db.run("UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL", [keyId], function(err) {
+            if (err) { return done(err); }
+            if (this.changes === 0) { return done(new Error("Chave não encontrada ou já revogada.")); }
+            console.log(`Chave ${keyId} revogada.`);
+            done();
+        });
+    }
+};
+
+if (!commands[command]) {
+    console.error(`Comando desconhecido: ${command || '(nenhum)'}. Use "bootstrap", "create", "list" ou "revoke".`);
+    process.exit(1);
+}
+
+const db = new sqlite3.Database(DB_FILE, (err) => {
+    if (err) {
+        console.error("Erro ao conectar ao banco de dados SQLite:", err.message);
+        process.exit(1);
+    }
+    runMigrations(db, (err) => {
+        if (err) {
+            console.error("Erro ao aplicar as migrações do banco de dados:", err.message);
+            return db.close(() => process.exit(1));
+        }
+        commands[command](db, (err) => {
+            if (err) { console.error(err.message); }
+            db.close(() => process.exit(err ? 1 : 0));
+        });
+    });
+});
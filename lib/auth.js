@@ -0,0 +1,47 @@
+/*
+  Arquivo: lib/auth.js
+  Descrição: Chaves de API e papéis de acesso.
+  - Papéis em ordem crescente de permissão: 'viewer' < 'editor' < 'admin'. Um papel satisfaz qualquer exigência
+    de papel igual ou inferior.
+  - Uma chave pode ser limitada a um workspace (`workspace_id`, ver `lib/workspaces.js`); sem ele vale para todos.
+  - A chave em texto puro (`pxc_<hex>`) só é conhecida no momento da criação; o banco guarda o hash SHA-256.
+  - Usado tanto pelo servidor (middleware de autenticação e rotas de chaves) quanto pela linha de comando `keys.js`.
+    As gravações passam pela fila de transações da conexão (ver `lib/transactions.js`).
+*/
+const crypto = require('crypto');
+const { runQueuedStatement } = require('./transactions');
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const KEY_PREFIX_LENGTH = 12;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function roleSatisfies(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function extractApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    if (authorization.startsWith('Bearer ')) { return authorization.slice('Bearer '.length).trim(); }
+    return (req.get('X-API-Key') || '').trim() || null;
+}
+
+// `workspaceId` nulo cria uma chave válida em todos os workspaces.
+function createApiKey(db, name, role, workspaceId, callback) {
+    const key = `pxc_${crypto.randomBytes(24).toString('hex')}`;
+    const sql = "INSERT INTO api_keys (name, key_hash, key_prefix, role, workspace_id) VALUES (?, ?, ?, ?, ?)";
+    runQueuedStatement(db, sql, [name, hashApiKey(key), key.slice(0, KEY_PREFIX_LENGTH), role, workspaceId], (err, result) => {
+        if (err) { return callback(err); }
+        callback(null, { id: result.lastID, name, role, workspace_id: workspaceId, key, key_prefix: key.slice(0, KEY_PREFIX_LENGTH) });
+    });
+}
+
+function findActiveApiKey(db, key, callback) {
+    const sql = "SELECT id, name, role, key_prefix, workspace_id FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL";
+    db.get(sql, [hashApiKey(key)], (err, row) => {
+        if (err || !row) { return callback(err, row || null); }
+        runQueuedStatement(db, "UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?", [row.id], () => callback(null, row));
+    });
+}
+
+module.exports = { ROLES, roleSatisfies, extractApiKey, createApiKey, findActiveApiKey };
@@ -0,0 +1,9 @@
+/*
+  Arquivo: lib/constants.js
+  Descrição: Constantes de domínio compartilhadas entre o servidor e os módulos de `lib/`.
+*/
+
+// Tipos de material aceitos (mesmo CHECK da tabela `materials`).
+const MATERIAL_TYPES = ['profession', 'drop', 'buy'];
+
+module.exports = { MATERIAL_TYPES };
@@ -0,0 +1,33 @@
+/*
+  Arquivo: lib/craftMetadata.js
+  Descrição: Metadados de craft das receitas: duração, profissão exigida e nível mínimo da profissão.
+  - Todos são opcionais. Receita sem profissão pode ser craftada por qualquer profissão; sem nível mínimo, por
+    qualquer nível; sem duração, não entra no cálculo de lucro por hora.
+  - Nas rotas de escrita, um campo ausente mantém o valor atual da receita e `null` o limpa.
+*/
+
+const CRAFT_METADATA_FIELDS = ['craft_duration_seconds', 'profession', 'min_profession_level'];
+
+// Metadados informados em `source` (já validado pelo schema de receita), só com os campos presentes.
+function pickCraftMetadata(source) {
+    const values = {};
+    CRAFT_METADATA_FIELDS.forEach(field => {
+        if (source[field] !== undefined) { values[field] = source[field]; }
+    });
+    if (typeof values.profession === 'string') { values.profession = values.profession.trim() || null; }
+    return values;
+}
+
+// Trechos de SQL e parâmetros para gravar os metadados informados em um INSERT ou UPDATE de `recipes`,
+// a serem concatenados após as colunas fixas (ex: `INSERT INTO recipes (name${insertColumns}) VALUES (?${insertPlaceholders})`).
+function craftMetadataColumns(values) {
+    const columns = CRAFT_METADATA_FIELDS.filter(field => values[field] !== undefined);
+    return {
+        insertColumns: columns.map(column => `, ${column}`).join(''),
+        insertPlaceholders: columns.map(() => ', ?').join(''),
+        updateAssignments: columns.map(column => `, ${column} = ?`).join(''),
+        params: columns.map(field => values[field])
+    };
+}
+
+module.exports = { CRAFT_METADATA_FIELDS, pickCraftMetadata, craftMetadataColumns };
@@ -0,0 +1,61 @@
+/*
+  Arquivo: lib/craftPlanner.js
+  Descrição: Planejador de crafts para um inventário. Diferente de `check-possibilities`, que calcula o máximo de
+  crafts de cada receita isoladamente, o planejador distribui o inventário entre as receitas que competem pelos
+  mesmos materiais e retorna um único plano viável.
+  - Cada variante de cada receita (ver `lib/recipeVariants.js`) é uma candidata: quando os materiais de uma
+    variante acabam, outra variante da mesma receita ainda pode usar o que sobrou. Uma receita pode aparecer no
+    plano uma vez por variante.
+  - Estratégia gulosa e determinística: as candidatas são ordenadas pelo valor de um craft (desc), com empate
+    resolvido pelo nome da receita, depois pelo id e depois pela ordem das variantes (a principal primeiro), e cada
+    uma recebe o máximo de crafts que o inventário restante permite.
+  - Variantes sem materiais ou com valor por craft <= 0 não entram no plano (seriam infinitas ou dariam prejuízo).
+  - O inventário é indexado pelo nome do material em minúsculas, como nas demais rotas de crafting.
+*/
+const { variantReference } = require('./recipeVariants');
+
+// `variantsOf(recipe)` lista as variantes da receita (ver `listRecipeVariants`); `valuePerCraft(recipe, variant)` dá
+// o valor de um craft com a variante.
+function planCrafts(recipes, variantsOf, inventory, valuePerCraft) {
+    const remaining = { ...inventory };
+    const consumed = {};
+
+    const candidates = recipes
+        .flatMap(recipe => variantsOf(recipe).map((variant, order) => ({ recipe, variant, order, value: valuePerCraft(recipe, variant) })))
+        .filter(c => c.variant.materials.length > 0 && c.value > 0)
+        .sort((a, b) => (b.value - a.value) || a.recipe.name.localeCompare(b.recipe.name) || (a.recipe.id - b.recipe.id) || (a.order - b.order));
+
+    const plan = [];
+    candidates.forEach(({ recipe, variant, value }) => {
+        const { materials } = variant;
+        let crafts = Infinity;
+        for (const mat of materials) {
+            if (mat.quantity <= 0) { continue; }
+            crafts = Math.min(crafts, Math.floor((remaining[mat.material_name.toLowerCase()] || 0) / mat.quantity));
+        }
+        if (crafts === Infinity || crafts <= 0) { return; }
+
+        const materialsConsumed = materials.map(mat => {
+            const key = mat.material_name.toLowerCase();
+            const quantity = mat.quantity * crafts;
+            remaining[key] = (remaining[key] || 0) - quantity;
+            consumed[key] = (consumed[key] || 0) + quantity;
+            return { material_name: mat.material_name, quantity };
+        });
+
+        plan.push({
+            recipe_id: recipe.id,
+            recipe_name: recipe.name,
+            ...variantReference(variant),
+            crafts,
+            items_produced: crafts * variant.quantity_produced,
+            value_per_craft: value,
+            total_value: value * crafts,
+            materials_consumed: materialsConsumed
+        });
+    });
+
+    return { plan, consumed, remaining };
+}
+
+module.exports = { planCrafts };
@@ -0,0 +1,27 @@
+/*
+  Arquivo: lib/database.js
+  Descrição: Abre a conexão SQLite e aplica as migrações pendentes (ver `lib/migrations.js`) antes de entregá-la.
+  - `file` pode ser `:memory:`: cada conexão em memória é um banco novo e vazio, migrado do zero (usado pelos testes).
+  - `DEFAULT_DB_FILE` é o banco do servidor e das linhas de comando quando DB_FILE não é informado: `database.db` no
+    volume `/data`, se ele existir (deploy), ou na raiz do projeto.
+  - Se a conexão ou alguma migração falhar, o callback recebe o erro e a conexão é fechada.
+*/
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('./migrations');
+
+const DEFAULT_DB_FILE = path.join(fs.existsSync('/data') ? '/data' : path.join(__dirname, '..'), 'database.db');
+
+// O callback recebe (err, db, applied), com `applied` listando as migrações aplicadas nesta abertura.
+function openDatabase(file, callback) {
+    const db = new sqlite3.Database(file, (err) => {
+        if (err) { return callback(err); }
+        runMigrations(db, (err, applied) => {
+            if (err) { return db.close(() => callback(err)); }
+            callback(null, db, applied);
+        });
+    });
+}
+
+module.exports = { DEFAULT_DB_FILE, openDatabase };
@@ -0,0 +1,70 @@
+/*
+  Arquivo: lib/dbInstrumentation.js
+  Descrição: Mede cada consulta feita na conexão SQLite, sem mudar a forma de chamá-la.
+  - `instrumentDatabase(db, metrics)` substitui `run`, `get`, `all` e `exec` da conexão (e `run`, `get` e `all` dos
+    statements de `prepare`) por versões que contam a consulta e seu tempo em `db_queries_total`,
+    `db_query_duration_seconds` e `db_query_errors_total`, rotuladas pela operação (SELECT, INSERT, ...), e registram
+    cada consulta no log em nível `debug`.
+  - O callback de cada consulta roda no contexto de log de quem a fez (ver `bindContext` em `lib/logger.js`), então
+    os logs emitidos depois de uma consulta continuam com o `request_id` da requisição.
+  - Consultas chamadas sem callback (ex: `db.run('ROLLBACK')`) ganham um que registra o erro no log, no lugar do
+    evento 'error' do sqlite3.
+*/
+const { logger, bindContext } = require('./logger');
+
+const DB_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+const SQL_OPERATIONS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'WITH', 'BEGIN', 'COMMIT', 'ROLLBACK', 'CREATE', 'DROP', 'ALTER', 'PRAGMA'];
+const MAX_LOGGED_SQL_LENGTH = 500;
+
+function sqlOperation(sql) {
+    const keyword = String(sql).trim().split(/\s+/, 1)[0].toUpperCase();
+    return SQL_OPERATIONS.includes(keyword) ? keyword : 'OTHER';
+}
+
+const compactSql = (sql) => String(sql).replace(/\s+/g, ' ').trim().slice(0, MAX_LOGGED_SQL_LENGTH);
+
+function instrumentDatabase(db, metrics) {
+    const queriesTotal = metrics.counter('db_queries_total', 'Consultas SQL executadas, por operação.');
+    const queryErrorsTotal = metrics.counter('db_query_errors_total', 'Consultas SQL que terminaram em erro, por operação.');
+    const queryDuration = metrics.histogram('db_query_duration_seconds', 'Duração das consultas SQL em segundos, por operação.', DB_BUCKETS);
+
+    // Troca o callback (último argumento, se for função) por um que mede a consulta e depois chama o original.
+    const trackQuery = (sql, args) => {
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const operation = sqlOperation(sql);
+        const started = process.hrtime.bigint();
+        const done = bindContext(function(err, ...results) {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            queriesTotal.inc({ operation });
+            queryDuration.observe({ operation }, seconds);
+            if (err) { queryErrorsTotal.inc({ operation }); }
+            logger.debug('Consulta SQL', { operation, sql: compactSql(sql), duration_ms: Math.round(seconds * 1e6) / 1e3, ...(err ? { error: err.message } : {}) });
+            if (callback) { return callback.apply(this, [err, ...results]); }
+            if (err) { logger.error('Erro em consulta SQL sem callback', { operation, sql: compactSql(sql), error: err.message }); }
+        });
+        return [...args, done];
+    };
+
+    // `sqlFor(args)` extrai o SQL dos argumentos: na conexão é o primeiro; nos statements, o do `prepare`.
+    const wrapQueryMethods = (target, methods, sqlFor) => {
+        methods.forEach(method => {
+            const original = target[method];
+            target[method] = function(...args) {
+                return original.apply(this, trackQuery(sqlFor(args), args));
+            };
+        });
+    };
+
+    wrapQueryMethods(db, ['run', 'get', 'all', 'exec'], args => args[0]);
+
+    const prepare = db.prepare;
+    db.prepare = function(sql, ...args) {
+        if (typeof args[args.length - 1] === 'function') { args.push(bindContext(args.pop())); }
+        const statement = prepare.call(this, sql, ...args);
+        wrapQueryMethods(statement, ['run', 'get', 'all'], () => sql);
+        return statement;
+    };
+    return db;
+}
+
+module.exports = { instrumentDatabase, sqlOperation };
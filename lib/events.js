@@ -0,0 +1,90 @@
+/*
+  Arquivo: lib/events.js
+  Descrição: Eventos de alteração do catálogo e dos preços, transmitidos por Server-Sent Events (`GET /api/events`).
+  - `publish(type, payload, workspace)` grava o evento em `event_log` e o envia aos clientes conectados. As rotas
+    só publicam depois do COMMIT, então transações desfeitas não geram eventos. A gravação é uma transação da fila
+    da conexão (ver `lib/transactions.js`): o ROLLBACK de outra requisição não a desfaz, então o id de um evento já
+    entregue nunca volta a ser usado.
+  - O `id` de cada evento é o id do registro em `event_log`. Um cliente que reconecta com `Last-Event-ID` recebe
+    os eventos perdidos antes dos novos. O registro guarda só os últimos `EVENT_LOG_SIZE` eventos; se o cliente
+    ficou para trás além disso, recebe um evento `resync` e deve recarregar os dados.
+  - Cada evento pertence a um workspace (`workspace` no `data`, com o slug): um cliente só recebe, e só retoma, os
+    eventos do workspace em que se conectou (ver `lib/workspaces.js`).
+  - Tipos: recipe.created, recipe.updated, recipe.deleted e price.changed.
+*/
+const { logger } = require('./logger');
+const { runInTransaction } = require('./transactions');
+
+const EVENT_TYPES = ['recipe.created', 'recipe.updated', 'recipe.deleted', 'price.changed'];
+const EVENT_LOG_SIZE = 1000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const formatEvent = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+function createEventBus(db, { logSize = EVENT_LOG_SIZE } = {}) {
+    const clients = new Set();
+
+    const deliver = (client, event) => {
+        if (event.workspaceId !== client.workspaceId) { return; }
+        if (client.types && !client.types.includes(event.type)) { return; }
+        if (client.pending) { return client.pending.push(event); }
+        if (event.id > client.lastId) {
+            client.lastId = event.id;
+            client.res.write(formatEvent(event));
+        }
+    };
+
+    // `workspace` é o workspace da alteração (`{ id, slug }`).
+    function publish(type, payload, workspace) {
+        const data = { type, workspace: workspace.slug, ...payload, published_at: new Date().toISOString() };
+        runInTransaction(db, (done) => {
+            db.run("INSERT INTO event_log (event_type, payload, workspace_id) VALUES (?, ?, ?)", [type, JSON.stringify(data), workspace.id], function(err) {
+                if (err) { return done(err); }
+                const id = this.lastID;
+                db.run("DELETE FROM event_log WHERE id <= ?", [id - logSize], (err) => {
+                    if (err) { logger.error("Erro ao limpar registro de eventos", { error: err.message }); }
+                    done(null, id);
+                });
+            });
+        }, (err, id) => {
+            if (err) { return logger.error("Erro ao registrar evento", { event_type: type, error: err.message }); }
+            const event = { id, type, workspaceId: workspace.id, data };
+            clients.forEach(client => deliver(client, event));
+        });
+    }
+
+    // Conecta a resposta como cliente SSE dos eventos de `workspaceId`, reenviando os posteriores a `lastEventId` (se informado).
+    function subscribe(req, res, { workspaceId, lastEventId = null, types = null }) {
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        // Eventos publicados enquanto o registro é relido ficam em `pending` e saem depois, sem repetir ids.
+        const client = { res, workspaceId, types, lastId: lastEventId || 0, pending: lastEventId !== null ? [] : null };
+        clients.add(client);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            clients.delete(client);
+        });
+        if (lastEventId === null) { return; }
+
+        db.get("SELECT MIN(id) AS oldest FROM event_log", [], (err, bounds) => {
+            if (err) { return logger.error("Erro ao ler registro de eventos", { error: err.message }); }
+            db.all("SELECT id, event_type, payload, workspace_id FROM event_log WHERE id > ? AND workspace_id = ? ORDER BY id ASC", [lastEventId, workspaceId], (err, rows) => {
+                if (err) { return logger.error("Erro ao ler registro de eventos", { error: err.message }); }
+                const pending = client.pending;
+                client.pending = null;
+                if (bounds.oldest !== null && bounds.oldest > lastEventId + 1) {
+                    res.write(`event: resync\ndata: ${JSON.stringify({ type: 'resync', last_event_id: lastEventId, oldest_event_id: bounds.oldest })}\n\n`);
+                }
+                rows.forEach(row => deliver(client, { id: row.id, type: row.event_type, workspaceId: row.workspace_id, data: JSON.parse(row.payload) }));
+                pending.forEach(event => deliver(client, event));
+            });
+        });
+    }
+
+    return { publish, subscribe, clientCount: () => clients.size };
+}
+
+module.exports = { EVENT_TYPES, EVENT_LOG_SIZE, createEventBus };
@@ -0,0 +1,167 @@
+/*
+  Arquivo: lib/itemQuery.js
+  Descrição: Busca, filtros, ordenação e paginação da listagem de receitas (`GET /api/items`), montados em SQL.
+  - A busca por nome é parcial e não diferencia maiúsculas/minúsculas nem acentos ("Poção" encontra "pocao"). Como o
+    SQLite não remove acentos, o termo buscado é normalizado em JS e convertido em um padrão GLOB em que cada letra
+    vira uma classe com as suas variantes (ex: "o" -> "[oOóÓòÒ...]"), a partir de `ACCENT_MAP`.
+  - Paginação por `limit`/`offset` ou por `cursor` (keyset): o cursor é opaco e guarda o valor de ordenação e o id
+    do último item da página, então páginas seguintes não pulam nem repetem itens quando receitas são criadas.
+*/
+const { MATERIAL_TYPES } = require('./constants');
+
+const ACCENT_MAP = {
+    a: 'áàâãäÁÀÂÃÄ', e: 'éèêëÉÈÊË', i: 'íìîïÍÌÎÏ', o: 'óòôõöÓÒÔÕÖ', u: 'úùûüÚÙÛÜ', c: 'çÇ', n: 'ñÑ'
+};
+const MAX_LIMIT = 200;
+
+// Campos aceitos em `sort` e a expressão SQL usada para ordenar (valores nulos contam como 0).
+const SORT_FIELDS = {
+    id: 'r.id',
+    name: 'r.name COLLATE NOCASE',
+    quantity_produced: 'r.quantity_produced',
+    npc_sell_price: 'COALESCE(r.npc_sell_price, 0)',
+    material_count: '(SELECT COUNT(*) FROM recipe_materials c WHERE c.recipe_id = r.id)',
+    craft_duration_seconds: 'COALESCE(r.craft_duration_seconds, 0)',
+    min_profession_level: 'COALESCE(r.min_profession_level, 0)'
+};
+
+function normalizeSearchText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Padrão GLOB que casa o texto sem diferenciar maiúsculas/minúsculas nem acentos; `contains` aceita qualquer trecho.
+function accentInsensitivePattern(text, contains = true) {
+    const pattern = [...normalizeSearchText(text)].map(char => {
+        if (/[a-z]/.test(char)) { return `[${char}${char.toUpperCase()}${ACCENT_MAP[char] || ''}]`; }
+        return /[*?[]/.test(char) ? `[${char}]` : char;
+    }).join('');
+    return contains ? `*${pattern}*` : pattern;
+}
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(decoded) && decoded.length === 2 && Number.isInteger(decoded[1])) { return decoded; }
+    } catch (err) { /* cursor inválido */ }
+    return null;
+}
+
+function parseItemListQuery(query) {
+    const options = { filters: {}, sort: 'name', order: 'asc', limit: null, offset: 0, cursor: null };
+    const number = (param) => {
+        if (query[param] === undefined || query[param] === '') { return undefined; }
+        const value = Number(query[param]);
+        return Number.isFinite(value) ? value : NaN;
+    };
+
+    const search = query.q !== undefined ? query.q : query.search;
+    if (search !== undefined && String(search).trim() !== '') { options.filters.search = String(search); }
+    if (query.material !== undefined && String(query.material).trim() !== '') { options.filters.material = String(query.material); }
+    if (query.materialType !== undefined) {
+        if (!MATERIAL_TYPES.includes(query.materialType)) {
+            return { error: `O parâmetro "materialType" deve ser um de: ${MATERIAL_TYPES.join(', ')}.` };
+        }
+        options.filters.materialType = query.materialType;
+    }
+
+    if (query.profession !== undefined && String(query.profession).trim() !== '') { options.filters.profession = String(query.profession).trim(); }
+    for (const param of ['minPrice', 'maxPrice', 'minQuantity', 'maxQuantity', 'level']) {
+        const value = number(param);
+        if (Number.isNaN(value)) { return { error: `O parâmetro "${param}" deve ser numérico.` }; }
+        if (value !== undefined) { options.filters[param] = value; }
+    }
+
+    if (query.sort !== undefined) {
+        if (!SORT_FIELDS[query.sort]) { return { error: `O parâmetro "sort" deve ser um de: ${Object.keys(SORT_FIELDS).join(', ')}.` }; }
+        options.sort = query.sort;
+    }
+    if (query.order !== undefined) {
+        const order = String(query.order).toLowerCase();
+        if (order !== 'asc' && order !== 'desc') { return { error: 'O parâmetro "order" deve ser "asc" ou "desc".' }; }
+        options.order = order;
+    }
+
+    const limit = number('limit');
+    if (limit !== undefined) {
+        if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) { return { error: `O parâmetro "limit" deve ser um inteiro entre 1 e ${MAX_LIMIT}.` }; }
+        options.limit = limit;
+    }
+    const offset = number('offset');
+    if (offset !== undefined) {
+        if (!Number.isInteger(offset) || offset < 0) { return { error: 'O parâmetro "offset" deve ser um inteiro maior ou igual a zero.' }; }
+        options.offset = offset;
+    }
+    if (query.cursor !== undefined) {
+        if (options.offset > 0) { return { error: 'Use "cursor" ou "offset", não ambos.' }; }
+        options.cursor = decodeCursor(String(query.cursor));
+        if (!options.cursor) { return { error: 'O parâmetro "cursor" é inválido.' }; }
+        if (options.limit === null) { return { error: 'O parâmetro "cursor" exige "limit".' }; }
+    }
+    return { options };
+}
+
+function buildItemFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.search !== undefined) {
+        conditions.push('r.name GLOB ?');
+        params.push(accentInsensitivePattern(filters.search));
+    }
+    if (filters.material !== undefined) {
+        // O material pode ser citado pelo nome canônico ou por um alias.
+        conditions.push(`EXISTS (SELECT 1 FROM recipe_materials fm JOIN materials m ON m.id = fm.material_id
+            WHERE fm.recipe_id = r.id AND (m.name GLOB ?
+                OR EXISTS (SELECT 1 FROM material_aliases a WHERE a.material_id = m.id AND a.alias GLOB ?)))`);
+        params.push(accentInsensitivePattern(filters.material), accentInsensitivePattern(filters.material));
+    }
+    if (filters.materialType !== undefined) {
+        conditions.push(`EXISTS (SELECT 1 FROM recipe_materials tm JOIN materials m ON m.id = tm.material_id
+            WHERE tm.recipe_id = r.id AND m.material_type = ?)`);
+        params.push(filters.materialType);
+    }
+    if (filters.minPrice !== undefined) { conditions.push('COALESCE(r.npc_sell_price, 0) >= ?'); params.push(filters.minPrice); }
+    if (filters.maxPrice !== undefined) { conditions.push('COALESCE(r.npc_sell_price, 0) <= ?'); params.push(filters.maxPrice); }
+    if (filters.minQuantity !== undefined) { conditions.push('r.quantity_produced >= ?'); params.push(filters.minQuantity); }
+    if (filters.maxQuantity !== undefined) { conditions.push('r.quantity_produced <= ?'); params.push(filters.maxQuantity); }
+    // Receitas que a profissão/nível informados conseguem craftar: sem exigência ou com exigência atendida.
+    if (filters.profession !== undefined) { conditions.push('(r.profession IS NULL OR r.profession = ?)'); params.push(filters.profession); }
+    if (filters.level !== undefined) { conditions.push('(r.min_profession_level IS NULL OR r.min_profession_level <= ?)'); params.push(filters.level); }
+
+    return { conditions, params };
+}
+
+// Retorna as queries de contagem total e da página pedida, só com as receitas do workspace. A página traz
+// `sort_value` para montar o próximo cursor.
+function buildItemListQuery(options, workspaceId) {
+    const filter = buildItemFilter(options.filters);
+    const conditions = ['r.workspace_id = ?', ...filter.conditions];
+    const params = [workspaceId, ...filter.params];
+    const sortExpression = SORT_FIELDS[options.sort];
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+    const whereSql = (list) => (list.length > 0 ? `WHERE ${list.join(' AND ')}` : '');
+
+    const count = { sql: `SELECT COUNT(*) AS total FROM recipes r ${whereSql(conditions)}`, params };
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (options.cursor) {
+        const comparison = direction === 'DESC' ? '<' : '>';
+        pageConditions.push(`(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND r.id ${comparison} ?))`);
+        pageParams.push(options.cursor[0], options.cursor[0], options.cursor[1]);
+    }
+    let pageSql = `SELECT r.id, r.name, r.quantity_produced, r.npc_sell_price, r.craft_duration_seconds, r.profession,
+            r.min_profession_level, ${sortExpression} AS sort_value
+        FROM recipes r ${whereSql(pageConditions)}
+        ORDER BY ${sortExpression} ${direction}, r.id ${direction}`;
+    if (options.limit !== null) {
+        pageSql += ' LIMIT ? OFFSET ?';
+        pageParams.push(options.limit, options.cursor ? 0 : options.offset);
+    }
+
+    return { count, page: { sql: pageSql, params: pageParams } };
+}
+
+module.exports = { SORT_FIELDS, MAX_LIMIT, normalizeSearchText, accentInsensitivePattern, encodeCursor, parseItemListQuery, buildItemFilter, buildItemListQuery };
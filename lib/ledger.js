@@ -0,0 +1,150 @@
+/*
+  Arquivo: lib/ledger.js
+  Descrição: Livro-caixa de compras e vendas reais e relatórios de lucro realizado.
+  - Compras são de materiais do catálogo; vendas são de itens craftados (receitas). Canal: 'npc' ou 'market'.
+  - O custo de um item vendido usa a composição atual da receita e o preço médio ponderado pago por cada material
+    nas compras registradas (todas, não só as do período). Materiais nunca comprados usam o `default_npc_price`
+    e materiais 'profession' não têm custo, como no cálculo teórico; `cost_basis` informa de onde veio o custo.
+  - O lucro realizado de um período é a receita das vendas do período menos o custo dos itens vendidos.
+*/
+const { roundQuantity } = require('./recipeTree');
+const { toSqliteTimestamp } = require('./priceHistory');
+
+const LEDGER_ENTRY_TYPES = ['purchase', 'sale'];
+const REPORT_PERIODS = ['day', 'week'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Aceita uma data (AAAA-MM-DD, meia-noite UTC) ou data/hora ISO. Retorna null se inválida.
+function toLedgerTimestamp(value) {
+    if (typeof value !== 'string' || !value.trim()) { return null; }
+    const date = new Date(DATE_ONLY_PATTERN.test(value) ? `${value}T00:00:00Z` : value);
+    return Number.isNaN(date.getTime()) ? null : toSqliteTimestamp(date);
+}
+
+// Lê `from` e `to` (inclusivos) da query string. Um `to` só com a data inclui o dia inteiro.
+function parseDateRange(query) {
+    const range = { from: null, to: null };
+    for (const param of ['from', 'to']) {
+        if (query[param] === undefined) { continue; }
+        const timestamp = toLedgerTimestamp(query[param]);
+        if (!timestamp) { return { error: `O parâmetro "${param}" deve ser uma data (AAAA-MM-DD) ou data/hora ISO.` }; }
+        range[param] = param === 'to' && DATE_ONLY_PATTERN.test(query.to) ? `${query.to} 23:59:59` : timestamp;
+    }
+    if (range.from && range.to && range.from > range.to) { return { error: 'O parâmetro "from" deve ser anterior a "to".' }; }
+    return { range };
+}
+
+// Início do período (dia ou semana iniciada na segunda-feira) de um timestamp do ledger, como AAAA-MM-DD.
+function periodStart(timestamp, period) {
+    const day = timestamp.slice(0, 10);
+    if (period === 'day') { return day; }
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return date.toISOString().slice(0, 10);
+}
+
+// Preço médio ponderado pago por material: Map(material_id -> preço por unidade).
+function averagePurchasePrices(purchases) {
+    const totals = new Map();
+    purchases.forEach(entry => {
+        const total = totals.get(entry.material_id) || { quantity: 0, spent: 0 };
+        total.quantity += entry.quantity;
+        total.spent += entry.quantity * entry.unit_price;
+        totals.set(entry.material_id, total);
+    });
+    return new Map([...totals].map(([materialId, total]) => [materialId, total.spent / total.quantity]));
+}
+
+// Custo realizado por unidade produzida e a margem teórica NPC da receita.
+function recipeUnitEconomics(recipe, recipeMaterials, averagePrices) {
+    const quantityProduced = recipe.quantity_produced || 1;
+    let costPerCraft = 0;
+    let npcCostPerCraft = 0;
+    let pricedByPurchases = 0;
+    let pricedByReference = 0;
+    recipeMaterials.forEach(mat => {
+        if (mat.material_type === 'profession') { return; }
+        npcCostPerCraft += mat.quantity * (mat.default_npc_price || 0);
+        if (averagePrices.has(mat.material_id)) {
+            costPerCraft += mat.quantity * averagePrices.get(mat.material_id);
+            pricedByPurchases++;
+        } else {
+            costPerCraft += mat.quantity * (mat.default_npc_price || 0);
+            pricedByReference++;
+        }
+    });
+    const npcRevenuePerCraft = (recipe.npc_sell_price || 0) * quantityProduced;
+    let costBasis = 'purchases';
+    if (pricedByReference > 0) { costBasis = pricedByPurchases > 0 ? 'partial' : 'npc_reference'; }
+    return {
+        costPerUnit: costPerCraft / quantityProduced,
+        costBasis,
+        npcProfitPerUnit: (npcRevenuePerCraft - npcCostPerCraft) / quantityProduced,
+        npcMarginPercent: npcRevenuePerCraft > 0 ? roundQuantity(((npcRevenuePerCraft - npcCostPerCraft) / npcRevenuePerCraft) * 100) : null
+    };
+}
+
+/*
+  Lucro realizado por receita a partir das vendas, comparado com a margem teórica NPC.
+  `economicsByRecipe` é um Map(recipe_id -> resultado de `recipeUnitEconomics`); vendas de receitas excluídas
+  aparecem com custo desconhecido (`cost_basis: 'unknown'`).
+*/
+function buildRecipeProfitReport(sales, economicsByRecipe) {
+    const byRecipe = new Map();
+    sales.forEach(sale => {
+        const row = byRecipe.get(sale.recipe_id) || { recipe_id: sale.recipe_id, recipe_name: sale.item_name, units_sold: 0, revenue: 0, by_channel: { npc: 0, market: 0 } };
+        row.units_sold += sale.quantity;
+        row.revenue += sale.quantity * sale.unit_price;
+        row.by_channel[sale.channel] += sale.quantity * sale.unit_price;
+        byRecipe.set(sale.recipe_id, row);
+    });
+
+    return [...byRecipe.values()].map(row => {
+        const economics = economicsByRecipe.get(row.recipe_id);
+        if (!economics) {
+            return { ...row, average_sale_price: roundQuantity(row.revenue / row.units_sold), cost_basis: 'unknown', cost_of_goods_sold: null, realized_profit: null, realized_margin_percent: null, theoretical_npc_profit: null, theoretical_npc_margin_percent: null, profit_difference: null, margin_difference_points: null };
+        }
+        const costOfGoodsSold = roundQuantity(row.units_sold * economics.costPerUnit);
+        const realizedProfit = roundQuantity(row.revenue - costOfGoodsSold);
+        const realizedMargin = row.revenue > 0 ? roundQuantity((realizedProfit / row.revenue) * 100) : null;
+        const theoreticalProfit = roundQuantity(row.units_sold * economics.npcProfitPerUnit);
+        return {
+            ...row,
+            average_sale_price: roundQuantity(row.revenue / row.units_sold),
+            cost_basis: economics.costBasis,
+            cost_of_goods_sold: costOfGoodsSold,
+            realized_profit: realizedProfit,
+            realized_margin_percent: realizedMargin,
+            theoretical_npc_profit: theoreticalProfit,
+            theoretical_npc_margin_percent: economics.npcMarginPercent,
+            profit_difference: roundQuantity(realizedProfit - theoreticalProfit),
+            margin_difference_points: realizedMargin !== null && economics.npcMarginPercent !== null ? roundQuantity(realizedMargin - economics.npcMarginPercent) : null
+        };
+    }).sort((a, b) => (b.realized_profit || 0) - (a.realized_profit || 0));
+}
+
+// Totais por dia ou semana: gasto em compras, receita de vendas, custo dos itens vendidos e lucro realizado.
+function buildProfitTimeline(entries, economicsByRecipe, period) {
+    const byPeriod = new Map();
+    entries.forEach(entry => {
+        const key = periodStart(entry.occurred_at, period);
+        const row = byPeriod.get(key) || { period_start: key, purchases_total: 0, sales_total: 0, cost_of_goods_sold: 0, realized_profit: 0, cash_flow: 0 };
+        const amount = entry.quantity * entry.unit_price;
+        if (entry.entry_type === 'purchase') {
+            row.purchases_total += amount;
+        } else {
+            const economics = economicsByRecipe.get(entry.recipe_id);
+            row.sales_total += amount;
+            row.cost_of_goods_sold = roundQuantity(row.cost_of_goods_sold + (economics ? entry.quantity * economics.costPerUnit : 0));
+        }
+        row.realized_profit = roundQuantity(row.sales_total - row.cost_of_goods_sold);
+        row.cash_flow = row.sales_total - row.purchases_total;
+        byPeriod.set(key, row);
+    });
+    return [...byPeriod.values()].sort((a, b) => a.period_start.localeCompare(b.period_start));
+}
+
+module.exports = {
+    LEDGER_ENTRY_TYPES, REPORT_PERIODS, toLedgerTimestamp, parseDateRange, periodStart,
+    averagePurchasePrices, recipeUnitEconomics, buildRecipeProfitReport, buildProfitTimeline
+};
@@ -0,0 +1,50 @@
+/*
+  Arquivo: lib/logger.js
+  Descrição: Log estruturado em JSON, uma linha por evento: `{ time, level, msg, ...campos }` na saída padrão.
+  - O nível mínimo vem de LOG_LEVEL (`debug`, `info` (padrão), `warn`, `error` ou `silent`), lido a cada chamada.
+    As consultas SQL só aparecem em `debug`.
+  - Contexto da requisição: `runWithContext({ request_id }, fn)` executa `fn` com campos que entram em todo log
+    emitido dentro dela, inclusive nos callbacks assíncronos que o Node propaga sozinho. Os callbacks do sqlite3
+    não são propagados; `bindContext` os amarra ao contexto de quem fez a consulta (ver `lib/dbInstrumentation.js`).
+*/
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const requestContext = new AsyncLocalStorage();
+
+const runWithContext = (fields, fn) => requestContext.run(fields, fn);
+const currentContext = () => requestContext.getStore();
+
+// Retorna `fn` executando sempre no contexto atual (o de quem chamou `bindContext`), preservando `this`.
+function bindContext(fn) {
+    const context = requestContext.getStore();
+    if (!context) { return fn; }
+    return function(...args) {
+        return requestContext.run(context, () => fn.apply(this, args));
+    };
+}
+
+function minimumLevel() {
+    const configured = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+    return LOG_LEVELS[configured] !== undefined ? LOG_LEVELS[configured] : LOG_LEVELS.info;
+}
+
+function createLogger(bindings = {}) {
+    const write = (level, msg, fields) => {
+        if (LOG_LEVELS[level] < minimumLevel()) { return; }
+        const entry = { time: new Date().toISOString(), level, msg, ...currentContext(), ...bindings, ...fields };
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+    };
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (fields) => createLogger({ ...bindings, ...fields })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = { LOG_LEVELS, logger, createLogger, runWithContext, currentContext, bindContext };
@@ -0,0 +1,82 @@
+/*
+  Arquivo: lib/metrics.js
+  Descrição: Registro mínimo de métricas no formato de texto do Prometheus (servido em `GET /metrics`).
+  - `counter(name, help)` cria um contador (`inc(labels, value)`) e `histogram(name, help, buckets)` um histograma
+    (`observe(labels, value)`), ambos com rótulos livres. Os valores dos rótulos devem ter cardinalidade baixa:
+    as rotas usam o padrão do Express (`/api/items/:id`), nunca a URL requisitada.
+  - `render()` gera o texto de exposição, com as séries de cada métrica na ordem em que apareceram.
+*/
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    // Séries de uma métrica, indexadas pelos rótulos já formatados.
+    const seriesStore = () => {
+        const series = new Map();
+        return {
+            get: (labels, create) => {
+                const key = formatLabels(labels);
+                if (!series.has(key)) { series.set(key, { labels, ...create() }); }
+                return series.get(key);
+            },
+            values: () => series.values()
+        };
+    };
+
+    function counter(name, help) {
+        const series = seriesStore();
+        metrics.push({
+            name, help, type: 'counter',
+            lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`)
+        });
+        return {
+            inc: (labels = {}, value = 1) => { series.get(labels, () => ({ value: 0 })).value += value; }
+        };
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = seriesStore();
+        const bounds = [...buckets].sort((a, b) => a - b);
+        metrics.push({
+            name, help, type: 'histogram',
+            lines: () => [...series.values()].flatMap(s => [
+                ...bounds.map((bound, i) => `${name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.buckets[i]}`),
+                `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+                `${name}_sum${formatLabels(s.labels)} ${formatValue(s.sum)}`,
+                `${name}_count${formatLabels(s.labels)} ${s.count}`
+            ])
+        });
+        return {
+            observe: (labels, value) => {
+                const s = series.get(labels, () => ({ buckets: bounds.map(() => 0), sum: 0, count: 0 }));
+                bounds.forEach((bound, i) => { if (value <= bound) { s.buckets[i] += 1; } });
+                s.sum += value;
+                s.count += 1;
+            }
+        };
+    }
+
+    function render() {
+        return metrics.map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, render };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetricsRegistry };
@@ -0,0 +1,109 @@
+/*
+  Arquivo: lib/migrations.js
+  Descrição: Sistema de migrações versionadas do banco de dados SQLite.
+  - As migrações ficam em `migrations/` e são nomeadas `<versão>_<descrição>.sql` ou `.js`; são aplicadas em
+    ordem crescente de versão. Migrações `.js` exportam `up(db, callback)` para casos que precisam de lógica.
+  - A tabela `schema_version` registra cada versão aplicada e quando foi aplicada.
+  - Cada migração pendente roda dentro de uma transação junto com o seu registro em `schema_version`;
+    se falhar, a transação é desfeita e o erro é repassado, interrompendo as migrações seguintes.
+*/
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(.+)\.(sql|js)$/;
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file), kind: match[3] }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migrations[index - 1].version === migration.version) {
+            throw new Error(`Versão de migração duplicada: ${migration.version}.`);
+        }
+    });
+    return migrations;
+}
+
+function ensureVersionTable(db, callback) {
+    const sql = `CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )`;
+    db.run(sql, callback);
+}
+
+function getMigrationStatus(db, callback) {
+    let migrations;
+    try {
+        migrations = loadMigrations();
+    } catch (err) {
+        return callback(err);
+    }
+    ensureVersionTable(db, (err) => {
+        if (err) { return callback(err); }
+        db.all("SELECT version, applied_at FROM schema_version", [], (err, rows) => {
+            if (err) { return callback(err); }
+            const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+            callback(null, migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                file: path.basename(migration.file),
+                applied_at: appliedAt.get(migration.version) || null
+            })));
+        });
+    });
+}
+
+function runMigrationBody(db, migration, callback) {
+    if (migration.kind === 'js') {
+        return require(migration.file).up(db, callback);
+    }
+    fs.readFile(migration.file, 'utf8', (err, sql) => {
+        if (err) { return callback(err); }
+        db.exec(sql, callback);
+    });
+}
+
+function applyMigration(db, migration, callback) {
+    db.exec('BEGIN TRANSACTION', (err) => {
+        if (err) { return callback(err); }
+        const fail = (err) => db.exec('ROLLBACK', () => {
+            err.message = `Migração ${path.basename(migration.file)} falhou: ${err.message}`;
+            callback(err);
+        });
+
+        runMigrationBody(db, migration, (err) => {
+            if (err) { return fail(err); }
+            db.run("INSERT INTO schema_version (version, name) VALUES (?, ?)", [migration.version, migration.name], (err) => {
+                if (err) { return fail(err); }
+                db.exec('COMMIT', callback);
+            });
+        });
+    });
+}
+
+function runMigrations(db, callback) {
+    getMigrationStatus(db, (err, status) => {
+        if (err) { return callback(err); }
+        const migrations = loadMigrations();
+        const pending = migrations.filter(migration => !status.find(s => s.version === migration.version).applied_at);
+        const applied = [];
+
+        const applyNext = (index) => {
+            if (index >= pending.length) { return callback(null, applied); }
+            applyMigration(db, pending[index], (err) => {
+                if (err) { return callback(err, applied); }
+                applied.push(path.basename(pending[index].file));
+                applyNext(index + 1);
+            });
+        };
+        applyNext(0);
+    });
+}
+
+module.exports = { loadMigrations, getMigrationStatus, runMigrations };
@@ -0,0 +1,1141 @@
+/*
+  Arquivo: lib/openapi.js
+  Descrição: Documento OpenAPI 3.0 da API (servido em `GET /api/openapi.json`) e validação das respostas contra ele.
+  - Os corpos das requisições vêm dos schemas de `lib/schemas.js` (o `jsonSchema` de cada regra), então o documento
+    acompanha a validação das rotas. As respostas são descritas aqui, em `components.schemas`.
+  - Todo erro usa o envelope `Error`: `{ error }`, mais `errors` (422, erros por campo) ou `shortages` (409, estoque).
+  - Contagens de craft sem limite (receita sem materiais) saem como `null` com `unbounded: true`: JSON não tem Infinity.
+  - `responseValidator(spec)` confere o corpo de cada `res.json` contra o schema da rota e do status. É ligado pelo
+    servidor quando NODE_ENV=test ou VALIDATE_RESPONSES=true; uma resposta fora do contrato vira 500 com a lista das
+    divergências, para que o teste que a provocou falhe.
+*/
+const { VALIDATION_CODES } = require('./validation');
+const { logger } = require('./logger');
+const { schemas } = require('./schemas');
+const { MATERIAL_TYPES } = require('./constants');
+const { ROLES } = require('./auth');
+const { PRICE_SOURCES, PRICE_SOURCE_OPTIONS } = require('./pricing');
+const { HISTORY_SOURCES } = require('./priceHistory');
+const { LEDGER_ENTRY_TYPES, REPORT_PERIODS } = require('./ledger');
+const { SORT_FIELDS, MAX_LIMIT } = require('./itemQuery');
+const { EVENT_TYPES } = require('./events');
+const { SCALE_ROUNDING } = require('./recipeScaling');
+const { SELL_OUTLETS, MARKET_PRICE_ORIGINS } = require('./sellOptions');
+const { DEFAULT_WORKSPACE, WORKSPACE_HEADER, WORKSPACE_SCOPED_PATHS, WORKSPACE_VISIBILITIES } = require('./workspaces');
+const { version } = require('../package.json');
+
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const timestamp = { type: 'string', description: 'Data/hora UTC (AAAA-MM-DD HH:MM:SS).' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const oneOf = (values) => ({ type: 'string', enum: values });
+const arrayOf = (items) => ({ type: 'array', items });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Objeto com todas as propriedades obrigatórias, exceto as listadas em `optional`.
+function object(properties, optional = []) {
+    const required = Object.keys(properties).filter(key => !optional.includes(key));
+    return { type: 'object', properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+const recipeSummaryProperties = { id: int, name: str, quantity_produced: int, npc_sell_price: nullable(num) };
+const npcUnitProperties = { npc_cost_per_unit: num, npc_revenue_per_unit: num, npc_profit_per_unit: num };
+const unitProperties = { cost_per_unit: num, revenue_per_unit: num, profit_per_unit: num };
+// Variante avaliada em uma análise; a principal (materiais da própria receita) tem `variant_id: null`.
+const variantReferenceProperties = { variant_id: nullable(int), variant_name: str };
+const craftMetadataProperties = { craft_duration_seconds: nullable(num), profession: nullable(str), min_profession_level: nullable(int) };
+const catalogMaterialProperties = { id: int, name: str, material_type: oneOf(MATERIAL_TYPES), default_npc_price: nullable(num), used_in_recipes_count: int, aliases: arrayOf(str) };
+const whereUsedProperties = { recipe_id: int, recipe_name: str, ...variantReferenceProperties, quantity_produced: int, depth: int, quantity_per_unit: num, quantity_per_craft: num };
+const craftCapacityProperties = {
+    quantity_produced_per_craft: int,
+    max_crafts_possible: nullable({ type: 'integer', description: 'null quando nenhum material limita a variante (ver `unbounded`).' }),
+    unbounded: bool,
+    total_items_producible: nullable(num)
+};
+const craftAnalysisCountProperties = {
+    quantity_produced_per_craft: int,
+    craftable_now_count: nullable({ type: 'integer', description: 'null quando nenhum material limita a variante (ver `unbounded`).' }),
+    unbounded: bool,
+    total_items_producible: nullable(num)
+};
+const keyWorkspace = nullable({ type: 'integer', description: 'Único workspace acessível pela chave; null para todos.' });
+const importSummary = object({ to_create: arrayOf(str), to_update: arrayOf(str), to_delete: arrayOf(str) });
+const priceHistorySummary = {
+    type: 'object',
+    description: 'Estatísticas por origem do preço (reference, npc, market).',
+    additionalProperties: object({ count: int, min: num, max: num, average: num, first: num, last: num, change_percent: nullable(num) })
+};
+
+const componentSchemas = {
+    Error: object({
+        error: str,
+        errors: arrayOf(ref('FieldError')),
+        shortages: arrayOf(ref('Shortage')),
+        violations: arrayOf(object({ path: str, message: str }))
+    }, ['errors', 'shortages', 'violations']),
+    FieldError: object({
+        field: nullable({ type: 'string', description: 'Caminho do campo (ex: "materials[1].quantity"); null para o corpo inteiro.' }),
+        code: oneOf(VALIDATION_CODES),
+        message: str,
+        row: nullable({ type: 'integer', description: 'Importação: linha do CSV ou posição da receita no JSON.' }),
+        recipe_name: { description: 'Importação: nome da receita da linha, como enviado.' }
+    }, ['row', 'recipe_name']),
+    Shortage: object({ material_name: str, quantity_needed: num, quantity_available: num }),
+    Message: object({ message: str, id: int }, ['id']),
+    MaterialQuantity: object({ material_name: str, quantity: num }),
+    RecipeMaterial: object({ material_id: int, material_name: str, quantity: int, material_type: oneOf(MATERIAL_TYPES), default_npc_price: nullable(num) }),
+    RecipeSummary: object(recipeSummaryProperties),
+    RecipeVariant: object({ id: int, name: str, quantity_produced: int, ...npcUnitProperties, materials: arrayOf(ref('RecipeMaterial')) }),
+    Recipe: object({
+        ...recipeSummaryProperties,
+        ...craftMetadataProperties,
+        ...npcUnitProperties,
+        materials: arrayOf(ref('RecipeMaterial')),
+        variants: { ...arrayOf(ref('RecipeVariant')), description: 'Variantes alternativas; presentes na receita completa e nos eventos.' }
+    }, [...Object.keys(craftMetadataProperties), 'variants']),
+    ItemPage: object({
+        total: int,
+        limit: nullable(int),
+        offset: nullable({ type: 'integer', description: 'null quando a página foi pedida por cursor.' }),
+        next_cursor: nullable(str),
+        items: arrayOf(ref('Recipe'))
+    }),
+    RecipeTreeNode: object({
+        recipe_id: int,
+        recipe_name: str,
+        quantity_produced: int,
+        quantity_needed: num,
+        crafts_needed: num,
+        materials: arrayOf(object({
+            material_name: str,
+            material_type: oneOf(MATERIAL_TYPES),
+            quantity: num,
+            default_npc_price: num,
+            cycle_detected: bool,
+            sub_recipe: ref('RecipeTreeNode')
+        }, ['cycle_detected', 'sub_recipe']))
+    }),
+    RecipeTree: object({
+        id: int,
+        name: str,
+        ...variantReferenceProperties,
+        quantity_produced: int,
+        requested_quantity: num,
+        tree: ref('RecipeTreeNode'),
+        bill_of_materials: arrayOf(object({ material_name: str, material_type: oneOf(MATERIAL_TYPES), quantity: num, default_npc_price: num, total_npc_cost: num })),
+        total_material_cost_npc: num,
+        material_cost_npc_per_unit: num,
+        cycles_detected: arrayOf(object({ recipe_name: str, material_name: str }))
+    }),
+    RecipeScale: object({
+        recipe_id: int,
+        recipe_name: str,
+        ...variantReferenceProperties,
+        quantity_produced: int,
+        pack_size: { type: 'integer', description: 'Número no início do nome (ex: "100 Nightmare Medium Potion") ou quantity_produced.' },
+        rounding: oneOf(SCALE_ROUNDING),
+        requested_quantity: num,
+        requested_packs: num,
+        crafts: int,
+        output_quantity: int,
+        surplus: num,
+        shortfall: num,
+        materials: arrayOf(object({
+            material_id: int,
+            material_name: str,
+            material_type: oneOf(MATERIAL_TYPES),
+            quantity_per_craft: int,
+            quantity: int,
+            default_npc_price: num,
+            total_npc_cost: num
+        })),
+        total_material_cost_npc: num,
+        total_revenue_npc: num,
+        profit_npc: num,
+        ...npcUnitProperties
+    }),
+    SellOptions: object({
+        item_id: int,
+        item_name: str,
+        quantity: num,
+        price_source: oneOf(PRICE_SOURCE_OPTIONS),
+        recommendation: oneOf(SELL_OUTLETS),
+        outlets: arrayOf(object({
+            outlet: oneOf(SELL_OUTLETS),
+            available: bool,
+            rank: nullable({ type: 'integer', description: 'null para saídas indisponíveis (mercado sem preço, item que nenhuma receita usa).' }),
+            value_per_unit: nullable(num),
+            total_value: nullable(num),
+            difference_from_best: nullable(num),
+            price_origin: oneOf(MARKET_PRICE_ORIGINS),
+            recipe_id: int,
+            recipe_name: str,
+            ...variantReferenceProperties,
+            crafts: int,
+            leftover_quantity: num,
+            leftover_value_npc: num
+        }, ['price_origin', 'recipe_id', 'recipe_name', ...Object.keys(variantReferenceProperties), 'crafts', 'leftover_quantity', 'leftover_value_npc'])),
+        downstream_recipes: arrayOf(object({
+            recipe_id: int,
+            recipe_name: str,
+            ...variantReferenceProperties,
+            quantity_per_craft: num,
+            quantity_produced: int,
+            profit_per_craft: num,
+            other_inputs_value: num,
+            value_per_unit: num
+        }))
+    }),
+    RecipeHistory: object({
+        recipe_id: int,
+        deleted: bool,
+        revisions: arrayOf(object({
+            revision: int,
+            action: oneOf(['create', 'update', 'delete', 'restore']),
+            snapshot: nullable({ type: 'object', description: 'Estado da receita antes da alteração; null na criação.' }),
+            actor: str,
+            created_at: timestamp
+        }))
+    }),
+    ProfitableItem: object({
+        id: int,
+        name: str,
+        ...variantReferenceProperties,
+        quantity_produced: int,
+        npc_sell_price_per_unit: nullable(num),
+        total_revenue_npc: num,
+        total_material_cost_npc: num,
+        profit_npc: num,
+        ...npcUnitProperties,
+        price_source: oneOf(PRICE_SOURCE_OPTIONS),
+        sell_price_per_unit: num,
+        sell_price_source: oneOf(PRICE_SOURCES),
+        total_revenue: num,
+        total_material_cost: num,
+        profit: num,
+        margin_percent: nullable(num),
+        ...unitProperties,
+        variants: arrayOf(object({ ...variantReferenceProperties, quantity_produced: int, total_revenue: num, total_material_cost: num, profit: num, margin_percent: nullable(num), profit_per_unit: num })),
+        margin_trend: object({ days: int, since: timestamp, profit_then: num, margin_percent_then: nullable(num), profit_change: num, margin_change_points: nullable(num) })
+    }, ['margin_trend']),
+    RankingEntry: object({
+        ...recipeSummaryProperties,
+        ...variantReferenceProperties,
+        ...craftMetadataProperties,
+        price_source: oneOf(PRICE_SOURCE_OPTIONS),
+        total_revenue: num,
+        total_material_cost: num,
+        profit_per_craft: num,
+        margin_percent: nullable(num),
+        ...unitProperties,
+        crafts_per_hour: nullable(num),
+        profit_per_hour: nullable(num),
+        variants: arrayOf(object({ ...variantReferenceProperties, quantity_produced: int, profit_per_craft: num, margin_percent: nullable(num), profit_per_unit: num }))
+    }),
+    MaterialUsage: object({
+        material_id: int,
+        material_name: str,
+        material_type: oneOf(MATERIAL_TYPES),
+        total_quantity_needed: num,
+        used_in_recipes_count: int,
+        default_npc_price: nullable({ type: 'number', description: 'Só com `materialName`; null para materiais profession.' })
+    }, ['default_npc_price']),
+    CatalogMaterial: object(catalogMaterialProperties),
+    CatalogMaterialDetail: object({ ...catalogMaterialProperties, recipes: arrayOf(object({ id: int, name: str, quantity: int })) }),
+    MaterialRef: object({ id: int, name: str, material_type: oneOf(MATERIAL_TYPES), default_npc_price: nullable(num) }),
+    WhereUsed: object({
+        material: ref('MaterialRef'),
+        direct_count: int,
+        total_count: int,
+        recipes: arrayOf(object({ ...whereUsedProperties, paths: arrayOf(object({ via: arrayOf(str), quantity_per_unit: num })) }))
+    }),
+    PriceImpact: object({
+        material: ref('MaterialRef'),
+        current_price: num,
+        new_price: num,
+        price_change: num,
+        affected_count: int,
+        recipes: arrayOf(object({
+            ...whereUsedProperties,
+            npc_revenue: num,
+            cost_before: num,
+            cost_after: num,
+            cost_change: num,
+            profit_before: num,
+            profit_after: num,
+            profit_change: num,
+            margin_percent_before: nullable(num),
+            margin_percent_after: nullable(num),
+            margin_change_points: nullable(num)
+        }))
+    }),
+    ExportedRecipe: object({
+        name: str,
+        quantity_produced: int,
+        npc_sell_price: nullable(num),
+        ...craftMetadataProperties,
+        materials: arrayOf(object({ material_name: str, quantity: int, material_type: oneOf(MATERIAL_TYPES), default_npc_price: nullable(num) }))
+    }),
+    ImportDryRun: object({ mode: str, format: str, dry_run: bool, valid: bool, errors: arrayOf(ref('FieldError')), summary: importSummary }),
+    ImportResult: object({ message: str, mode: str, format: str, summary: importSummary }),
+    MaterialPrice: object({ material_name: str, source: oneOf(PRICE_SOURCES), price: num, updated_at: timestamp }),
+    ItemPrice: object({ recipe_id: int, name: str, source: oneOf(PRICE_SOURCES), price: num, updated_at: timestamp }, ['name']),
+    PriceHistoryPoint: object({
+        source: oneOf(HISTORY_SOURCES),
+        price: nullable({ type: 'number', description: 'null quando o preço da origem foi removido do livro de preços.' }),
+        observed_at: timestamp
+    }),
+    InventorySummary: object({ id: int, name: str, created_by: str, created_at: timestamp, item_count: int, total_quantity: num }),
+    Inventory: object({ id: int, name: str, created_by: str, created_at: timestamp, items: arrayOf(object({ item_name: str, quantity: int })) }),
+    CraftLogEntry: object({
+        id: int,
+        recipe_id: int,
+        recipe_name: str,
+        crafts: int,
+        quantity_produced: int,
+        materials_consumed: arrayOf(ref('MaterialQuantity')),
+        actor: str,
+        created_at: timestamp
+    }),
+    LedgerEntry: object({
+        id: int,
+        entry_type: oneOf(LEDGER_ENTRY_TYPES),
+        material_id: nullable(int),
+        recipe_id: nullable(int),
+        item_name: str,
+        quantity: int,
+        unit_price: num,
+        total: num,
+        channel: oneOf(PRICE_SOURCES),
+        inventory_id: nullable(int),
+        occurred_at: timestamp,
+        recorded_by: str,
+        created_at: timestamp
+    }),
+    ProfitReport: object({
+        from: nullable(timestamp),
+        to: nullable(timestamp),
+        totals: object({ purchases_total: num, sales_total: num, cost_of_goods_sold: num, realized_profit: num, theoretical_npc_profit: num, cash_flow: num }),
+        recipes: arrayOf(object({
+            recipe_id: int,
+            recipe_name: str,
+            units_sold: int,
+            revenue: num,
+            by_channel: object({ npc: num, market: num }),
+            average_sale_price: num,
+            cost_basis: oneOf(['purchases', 'partial', 'npc_reference', 'unknown']),
+            cost_of_goods_sold: nullable(num),
+            realized_profit: nullable(num),
+            realized_margin_percent: nullable(num),
+            theoretical_npc_profit: nullable(num),
+            theoretical_npc_margin_percent: nullable(num),
+            profit_difference: nullable(num),
+            margin_difference_points: nullable(num)
+        }))
+    }),
+    ProfitTimeline: object({
+        period: oneOf(REPORT_PERIODS),
+        from: nullable(timestamp),
+        to: nullable(timestamp),
+        timeline: arrayOf(object({ period_start: str, purchases_total: num, sales_total: num, cost_of_goods_sold: num, realized_profit: num, cash_flow: num }))
+    }),
+    CraftPossibility: object({
+        recipe_id: int,
+        recipe_name: str,
+        ...variantReferenceProperties,
+        ...craftCapacityProperties,
+        materials_needed: arrayOf(object({ material_name: str, quantity_per_craft: int, total_quantity_needed_for_max_crafts: num, user_has_quantity: num })),
+        variants: arrayOf(object({ ...variantReferenceProperties, ...craftCapacityProperties }))
+    }),
+    CraftPlan: object({
+        objective: str,
+        plan: arrayOf(object({
+            recipe_id: int,
+            recipe_name: str,
+            ...variantReferenceProperties,
+            crafts: int,
+            items_produced: int,
+            value_per_craft: num,
+            total_value: num,
+            materials_consumed: arrayOf(ref('MaterialQuantity'))
+        })),
+        total_value: num,
+        total_items_produced: int,
+        materials_consumed: arrayOf(ref('MaterialQuantity')),
+        leftover_materials: arrayOf(ref('MaterialQuantity'))
+    }),
+    ShoppingList: object({
+        targets: arrayOf(object({
+            recipe_id: int,
+            recipe_name: str,
+            ...variantReferenceProperties,
+            quantity_requested: num,
+            quantity_produced_per_craft: int,
+            crafts_needed: int,
+            total_quantity_produced: int,
+            surplus: num,
+            variants: arrayOf(object({ ...variantReferenceProperties, quantity_produced_per_craft: int, crafts_needed: int, acquisition_cost: num }))
+        })),
+        missing_materials: object({ buy: arrayOf(ref('MissingMaterial')), drop: arrayOf(ref('MissingMaterial')), profession: arrayOf(ref('MissingMaterial')) }),
+        total_acquisition_cost: num
+    }),
+    MissingMaterial: object({
+        material_name: str,
+        material_type: oneOf(MATERIAL_TYPES),
+        quantity_needed: num,
+        default_npc_price: num,
+        quantity_from_inventory: num,
+        quantity_missing: num,
+        acquisition_cost: num
+    }),
+    CraftExecution: object({
+        message: str,
+        log_id: int,
+        recipe_id: int,
+        recipe_name: str,
+        crafts: int,
+        quantity_produced: int,
+        materials_consumed: arrayOf(ref('MaterialQuantity'))
+    }),
+    CraftAnalysis: object({
+        recipe_id: int,
+        recipe_name: str,
+        ...variantReferenceProperties,
+        materials_analysis: arrayOf(object({
+            material_name: str,
+            material_type: oneOf(MATERIAL_TYPES),
+            quantity_needed_per_craft: int,
+            user_has_quantity: num,
+            quantity_missing_for_one_craft: num
+        })),
+        ...craftAnalysisCountProperties,
+        variants: arrayOf(object({ ...variantReferenceProperties, ...craftAnalysisCountProperties }))
+    }),
+    Event: object({
+        type: oneOf(EVENT_TYPES),
+        published_at: str,
+        actor: str,
+        recipe_id: int,
+        recipe_name: str,
+        recipe: ref('Recipe'),
+        subject_type: oneOf(['material', 'item']),
+        material_id: int,
+        material_name: str,
+        source: nullable(str),
+        price: nullable(num),
+        workspace: { type: 'string', description: 'Slug do workspace alterado.' }
+    }, ['recipe_id', 'recipe_name', 'recipe', 'subject_type', 'material_id', 'material_name', 'source', 'price']),
+    ApiKeyIdentity: object({ id: int, name: str, role: oneOf(ROLES), key_prefix: str, workspace_id: keyWorkspace }),
+    ApiKey: object({ id: int, name: str, role: oneOf(ROLES), key_prefix: str, workspace_id: keyWorkspace, created_at: timestamp, last_used_at: nullable(timestamp), revoked_at: nullable(timestamp) }),
+    ApiKeyCreated: object({ message: str, id: int, name: str, role: oneOf(ROLES), workspace_id: keyWorkspace, key: str, key_prefix: str }),
+    Workspace: object({ id: int, slug: str, name: str, visibility: oneOf(WORKSPACE_VISIBILITIES), created_by: str, created_at: timestamp, recipe_count: int }, ['recipe_count']),
+    ForkResult: object({
+        message: str,
+        source: str,
+        created: arrayOf(object({ source_id: int, id: int, name: str })),
+        skipped: { ...arrayOf(object({ source_id: int, name: str })), description: 'Receitas com nome já existente no workspace de destino.' }
+    }),
+    Readiness: object({ status: oneOf(['ready']), database: oneOf(['ok']), duration_ms: num })
+};
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+const componentResponses = {
+    BadRequest: errorResponse('Parâmetro de rota ou de query inválido.'),
+    Unauthorized: errorResponse('Chave de API ausente, inválida ou revogada.'),
+    Forbidden: errorResponse('A chave de API não tem o papel exigido ou acesso ao workspace.'),
+    NotFound: errorResponse('Recurso ou workspace não encontrado.'),
+    Conflict: errorResponse('Conflito com o estado atual (nome repetido ou estoque insuficiente, com `shortages`).'),
+    PayloadTooLarge: errorResponse('O corpo passa do tamanho máximo aceito (100kb; 5mb na importação).'),
+    UnsupportedMediaType: errorResponse('Codificação ou charset do corpo não suportado.'),
+    ValidationFailed: errorResponse('Corpo inválido: um item em `errors` por campo.'),
+    InternalError: errorResponse('Erro interno do servidor.'),
+    NotModified: { description: 'O catálogo e os preços não mudaram desde o ETag enviado em `If-None-Match`; sem corpo.' },
+    ServiceUnavailable: errorResponse('O servidor está no ar, mas o banco de dados não respondeu.')
+};
+const ERROR_RESPONSES = {
+    400: 'BadRequest', 401: 'Unauthorized', 403: 'Forbidden', 404: 'NotFound', 409: 'Conflict', 413: 'PayloadTooLarge',
+    415: 'UnsupportedMediaType', 422: 'ValidationFailed', 500: 'InternalError', 503: 'ServiceUnavailable'
+};
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+
+const itemId = pathParam('id', int, 'ID da receita.');
+const materialId = pathParam('id', int, 'ID do material.');
+const inventoryId = pathParam('id', int, 'ID do inventário.');
+const materialName = pathParam('materialName', str, 'Nome ou alias do material; o preço fica no nome canônico.');
+const dateRange = [
+    queryParam('from', str, 'Início do período: data (AAAA-MM-DD) ou data/hora ISO.'),
+    queryParam('to', str, 'Fim do período (uma data sem hora inclui o dia inteiro).')
+];
+const priceHistoryQuery = [
+    queryParam('days', { type: 'integer', minimum: 1 }, 'Limita a série aos últimos N dias.'),
+    queryParam('source', oneOf(HISTORY_SOURCES), 'Filtra a origem do preço.')
+];
+const ifNoneMatch = { name: 'If-None-Match', in: 'header', required: false, schema: str, description: 'ETag de uma resposta anterior desta rota.' };
+const catalogETag = { ETag: { schema: str, description: 'Versão do catálogo e dos preços (ETag fraco); muda a cada escrita em receitas, materiais ou preços.' } };
+const priceSourceQuery = queryParam('priceSource', oneOf(PRICE_SOURCE_OPTIONS), 'Preços usados no cálculo (padrão npc).');
+
+/*
+  Monta uma operação. `errors` lista os status de erro que a rota pode devolver além de 500; `body` é o schema de
+  `lib/schemas.js` do corpo (acrescenta 413, 415 e 422); `role` exige chave de API (acrescenta 401 e 403); `cacheable` marca as
+  leituras do catálogo, que respondem com ETag e aceitam `If-None-Match` (acrescenta 304).
+*/
+function operation(tag, summary, { parameters, body, role, responses, errors = [], cacheable = false }) {
+    const op = { tags: [tag], summary };
+    if (parameters) { op.parameters = parameters; }
+    if (cacheable) {
+        op.parameters = [...(parameters || []), ifNoneMatch];
+        responses = { ...responses, 200: { ...responses[200], headers: catalogETag }, 304: { $ref: '#/components/responses/NotModified' } };
+    }
+    if (body) {
+        op.requestBody = { required: true, content: { 'application/json': { schema: body.jsonSchema } } };
+        errors = [...errors, 413, 415, 422];
+    }
+    if (role) {
+        op.description = `Exige chave de API com papel '${role}'.`;
+        op.security = [{ bearerAuth: [] }, { apiKeyHeader: [] }];
+        errors = [...errors, 401, 403];
+    }
+    op.responses = { ...responses };
+    [...new Set([...errors, 500])].sort().forEach(status => {
+        op.responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+    });
+    return op;
+}
+
+const paths = {
+    '/api/items': {
+        get: operation('Itens', 'Lista as receitas com seus materiais, com filtros, ordenação e paginação.', {
+            parameters: [
+                queryParam('q', str, 'Nome parcial, sem diferenciar acentos.'),
+                queryParam('material', str, 'Nome ou alias de um material usado pela receita.'),
+                queryParam('materialType', oneOf(MATERIAL_TYPES), 'Receitas que usam algum material deste tipo.'),
+                queryParam('minPrice', num, 'npc_sell_price mínimo.'),
+                queryParam('maxPrice', num, 'npc_sell_price máximo.'),
+                queryParam('minQuantity', int, 'quantity_produced mínimo.'),
+                queryParam('maxQuantity', int, 'quantity_produced máximo.'),
+                queryParam('profession', str, 'Receitas da profissão informada.'),
+                queryParam('level', int, 'Receitas que o nível informado consegue craftar.'),
+                queryParam('sort', oneOf(Object.keys(SORT_FIELDS)), 'Campo de ordenação (padrão id).'),
+                queryParam('order', oneOf(['asc', 'desc']), 'Direção da ordenação.'),
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_LIMIT }, 'Tamanho da página; sem ele, retorna tudo.'),
+                queryParam('offset', { type: 'integer', minimum: 0 }, 'Deslocamento da página.'),
+                queryParam('cursor', str, 'O `next_cursor` da página anterior (no lugar de `offset`).')
+            ],
+            cacheable: true,
+            responses: { 200: json(ref('ItemPage')) },
+            errors: [400]
+        }),
+        post: operation('Itens', 'Cria uma receita; materiais desconhecidos são criados no catálogo.', {
+            body: schemas.recipe,
+            role: 'editor',
+            responses: { 201: json(ref('Message'), 'Receita criada.') },
+            errors: [409]
+        })
+    },
+    '/api/items/{id}': {
+        put: operation('Itens', 'Substitui uma receita (metadados de craft e `variants` ausentes mantêm o valor atual).', {
+            parameters: [itemId],
+            body: schemas.recipe,
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404, 409]
+        }),
+        delete: operation('Itens', 'Remove uma receita.', {
+            parameters: [itemId],
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/fork': {
+        post: operation('Itens', 'Copia receitas de outro workspace (por padrão o público), com materiais, variantes e preços, para o workspace da requisição.', {
+            body: schemas.recipeFork,
+            role: 'editor',
+            responses: { 200: json(ref('ForkResult')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/{id}/recipe': {
+        get: operation('Itens', 'Receita completa com materiais, variantes e metadados de craft.', {
+            parameters: [itemId],
+            cacheable: true,
+            responses: { 200: json(ref('Recipe')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/{id}/tree': {
+        get: operation('Itens', 'Árvore da receita expandida até os materiais brutos, com a lista consolidada.', {
+            parameters: [
+                itemId,
+                queryParam('quantity', { type: 'number', minimum: 0, exclusiveMinimum: true }, 'Unidades desejadas (padrão quantity_produced da variante).'),
+                queryParam('variant', str, 'Nome da variante da raiz (padrão a principal); as sub-receitas usam a principal.')
+            ],
+            cacheable: true,
+            responses: { 200: json(ref('RecipeTree')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/{id}/scale': {
+        get: operation('Itens', 'Materiais, custo e produção da receita para uma quantidade de itens ou de packs.', {
+            parameters: [
+                itemId,
+                queryParam('quantity', { type: 'number', minimum: 0, exclusiveMinimum: true }, 'Itens desejados (informe este ou "packs").'),
+                queryParam('packs', { type: 'number', minimum: 0, exclusiveMinimum: true }, 'Packs desejados (ver pack_size).'),
+                queryParam('rounding', oneOf(SCALE_ROUNDING), 'Arredondamento dos crafts indivisíveis (padrão up).'),
+                queryParam('variant', str, 'Nome da variante (padrão a principal).')
+            ],
+            cacheable: true,
+            responses: { 200: json(ref('RecipeScale')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/{id}/sell-options': {
+        get: operation('Itens', 'Compara vender o item ao NPC, no mercado ou usá-lo como material de outra receita.', {
+            parameters: [
+                itemId,
+                queryParam('quantity', { type: 'number', minimum: 0, exclusiveMinimum: true }, 'Unidades a vender (padrão quantity_produced).'),
+                queryParam('marketPrice', { type: 'number', minimum: 0 }, 'Preço de mercado por unidade (padrão o preço de mercado do livro).'),
+                priceSourceQuery
+            ],
+            cacheable: true,
+            responses: { 200: json(ref('SellOptions')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/name/{name}': {
+        get: operation('Itens', 'Busca uma receita pelo nome, sem diferenciar acentos.', {
+            parameters: [pathParam('name', str, 'Nome do item.')],
+            cacheable: true,
+            responses: { 200: json(ref('RecipeSummary')) },
+            errors: [404]
+        })
+    },
+    '/api/items/{id}/history': {
+        get: operation('Itens', 'Revisões da receita, da mais recente para a mais antiga.', {
+            parameters: [itemId],
+            responses: { 200: json(ref('RecipeHistory')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/items/{id}/restore/{revision}': {
+        post: operation('Itens', 'Restaura a receita para o estado guardado na revisão (inclusive se foi excluída).', {
+            parameters: [itemId, pathParam('revision', int, 'Número da revisão.')],
+            role: 'editor',
+            responses: { 200: json(object({ message: str, id: int, restored_revision: int })) },
+            errors: [400, 404, 409, 422]
+        })
+    },
+    '/api/items/by-material': {
+        get: operation('Itens', 'Receitas que usam um material.', {
+            parameters: [{ ...queryParam('materialName', str, 'Nome do material.'), required: true }],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('Recipe'))) },
+            errors: [400]
+        })
+    },
+    '/api/items/most-profitable-npc': {
+        get: operation('Itens', 'Receitas ordenadas por lucro (da melhor variante de cada uma), com tendência de margem opcional.', {
+            parameters: [priceSourceQuery, queryParam('trendDays', { type: 'integer', minimum: 1 }, 'Compara com os preços de N dias atrás (a resposta passa a depender da data e não usa o ETag do catálogo).')],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('ProfitableItem'))) },
+            errors: [400]
+        })
+    },
+    '/api/items/profit-ranking': {
+        get: operation('Itens', 'Ranking de receitas por lucro por hora ou por craft, usando a melhor variante de cada uma.', {
+            parameters: [
+                priceSourceQuery,
+                queryParam('sort', oneOf(['profit_per_hour', 'profit_per_craft']), 'Critério do ranking (padrão profit_per_hour).'),
+                queryParam('profession', str, 'Receitas da profissão informada.'),
+                queryParam('level', { type: 'integer', minimum: 0 }, 'Receitas que o nível informado consegue craftar.'),
+                queryParam('limit', { type: 'integer', minimum: 1 }, 'Quantidade máxima de receitas.')
+            ],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('RankingEntry'))) },
+            errors: [400]
+        })
+    },
+    '/api/items/filter-by-material-profile': {
+        get: operation('Itens', 'Filtra receitas pelo perfil de tipos dos seus materiais.', {
+            parameters: [
+                { ...queryParam('materialTypes', str, 'Tipos separados por vírgula (ex: "drop,buy").'), required: true },
+                queryParam('matchProfile', oneOf(['exclusive', 'contains_any', 'contains_all', 'not_contains_any']), 'Regra de comparação (padrão exclusive).')
+            ],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('Recipe'))) },
+            errors: [400]
+        })
+    },
+    '/api/materials/usage-summary': {
+        get: operation('Materiais', 'Quantidade total e número de receitas em que cada material é usado.', {
+            parameters: [
+                queryParam('materialName', str, 'Nome parcial; inclui o preço NPC de referência.'),
+                queryParam('materialTypes', str, 'Tipos separados por vírgula.')
+            ],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('MaterialUsage'))) }
+        })
+    },
+    '/api/materials': {
+        get: operation('Materiais', 'Catálogo de materiais com aliases e uso em receitas.', {
+            parameters: [queryParam('search', str, 'Nome ou alias parcial.'), queryParam('materialTypes', str, 'Tipos separados por vírgula.')],
+            cacheable: true,
+            responses: { 200: json(arrayOf(ref('CatalogMaterial'))) }
+        }),
+        post: operation('Materiais', 'Cria um material no catálogo.', {
+            body: schemas.materialCreate,
+            role: 'editor',
+            responses: { 201: json(ref('Message'), 'Material criado.') },
+            errors: [409]
+        })
+    },
+    '/api/materials/{id}': {
+        get: operation('Materiais', 'Um material do catálogo e as receitas que o usam diretamente.', {
+            parameters: [materialId],
+            cacheable: true,
+            responses: { 200: json(ref('CatalogMaterialDetail')) },
+            errors: [400, 404]
+        }),
+        put: operation('Materiais', 'Renomeia, reclassifica ou reprecifica um material.', {
+            parameters: [materialId],
+            body: schemas.materialUpdate,
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404, 409]
+        })
+    },
+    '/api/materials/{id}/where-used': {
+        get: operation('Materiais', 'Receitas que dependem do material, direta ou transitivamente.', {
+            parameters: [materialId],
+            cacheable: true,
+            responses: { 200: json(ref('WhereUsed')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/materials/{id}/impact': {
+        get: operation('Materiais', 'Simula um novo preço NPC do material e o impacto no lucro das receitas.', {
+            parameters: [materialId, { ...queryParam('price', { type: 'number', minimum: 0 }, 'Preço NPC hipotético.'), required: true }],
+            cacheable: true,
+            responses: { 200: json(ref('PriceImpact')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/materials/{id}/merge': {
+        post: operation('Materiais', 'Mescla outros materiais neste; os nomes mesclados viram aliases.', {
+            parameters: [materialId],
+            body: schemas.materialMerge,
+            role: 'editor',
+            responses: { 200: json(object({ message: str, material: ref('CatalogMaterial') })) },
+            errors: [400, 404]
+        })
+    },
+    '/api/export': {
+        get: operation('Importação e exportação', 'Exporta todas as receitas com seus materiais.', {
+            parameters: [queryParam('format', oneOf(['json', 'csv']), 'Formato do arquivo (padrão json).')],
+            cacheable: true,
+            responses: {
+                200: {
+                    description: 'Arquivo de receitas (anexo).',
+                    content: { 'application/json': { schema: arrayOf(ref('ExportedRecipe')) }, 'text/csv': { schema: str } }
+                }
+            },
+            errors: [400]
+        })
+    },
+    '/api/import': {
+        post: {
+            ...operation('Importação e exportação', 'Importa receitas em JSON ou CSV em uma única transação.', {
+                parameters: [
+                    queryParam('mode', oneOf(['create-only', 'upsert-by-name', 'replace-all']), 'Modo de importação (padrão create-only).'),
+                    queryParam('format', oneOf(['json', 'csv']), 'Formato do corpo (padrão pelo Content-Type).'),
+                    queryParam('dryRun', oneOf(['true', 'false']), 'Só valida e resume, sem gravar.')
+                ],
+                role: 'editor',
+                responses: { 200: json({ oneOf: [ref('ImportDryRun'), ref('ImportResult')] }, 'Resumo da importação (ou da simulação, com `dryRun=true`).') },
+                errors: [400, 413, 415, 422]
+            }),
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': { schema: { oneOf: [arrayOf(schemas.recipe.jsonSchema), object({ recipes: arrayOf(schemas.recipe.jsonSchema) })] } },
+                    'text/csv': { schema: str }
+                }
+            }
+        }
+    },
+    '/api/prices/materials': {
+        get: operation('Preços', 'Livro de preços de compra dos materiais.', {
+            parameters: [queryParam('source', oneOf(PRICE_SOURCES), 'Filtra a origem do preço.')],
+            responses: { 200: json(arrayOf(ref('MaterialPrice'))) }
+        })
+    },
+    '/api/prices/materials/{materialName}': {
+        put: operation('Preços', 'Grava o preço de compra de um material para uma origem.', {
+            parameters: [materialName],
+            body: schemas.priceEntry,
+            role: 'editor',
+            responses: { 200: json(object({ message: str, price: ref('MaterialPrice') })) },
+            errors: [400, 404]
+        }),
+        delete: operation('Preços', 'Remove o preço de um material (de uma origem ou de todas).', {
+            parameters: [materialName, queryParam('source', oneOf(PRICE_SOURCES), 'Origem a remover; sem ela, todas.')],
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/prices/materials/{materialName}/history': {
+        get: operation('Preços', 'Série histórica de preços de um material, com estatísticas por origem.', {
+            parameters: [pathParam('materialName', str, 'Nome ou alias do material.'), ...priceHistoryQuery],
+            responses: { 200: json(object({ material: object({ id: int, name: str }), days: nullable(int), since: nullable(timestamp), summary: priceHistorySummary, series: arrayOf(ref('PriceHistoryPoint')) })) },
+            errors: [400, 404]
+        })
+    },
+    '/api/prices/items': {
+        get: operation('Preços', 'Livro de preços de venda dos itens craftados.', {
+            parameters: [queryParam('source', oneOf(PRICE_SOURCES), 'Filtra a origem do preço.')],
+            responses: { 200: json(arrayOf(ref('ItemPrice'))) }
+        })
+    },
+    '/api/prices/items/{id}': {
+        put: operation('Preços', 'Grava o preço de venda de um item para uma origem.', {
+            parameters: [itemId],
+            body: schemas.priceEntry,
+            role: 'editor',
+            responses: { 200: json(object({ message: str, price: ref('ItemPrice') })) },
+            errors: [400, 404]
+        }),
+        delete: operation('Preços', 'Remove o preço de um item (de uma origem ou de todas).', {
+            parameters: [itemId, queryParam('source', oneOf(PRICE_SOURCES), 'Origem a remover; sem ela, todas.')],
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/prices/items/{id}/history': {
+        get: operation('Preços', 'Série histórica de preços de um item (o nome é null se o item foi excluído).', {
+            parameters: [itemId, ...priceHistoryQuery],
+            responses: { 200: json(object({ item: object({ id: int, name: nullable(str) }), days: nullable(int), since: nullable(timestamp), summary: priceHistorySummary, series: arrayOf(ref('PriceHistoryPoint')) })) },
+            errors: [400, 404]
+        })
+    },
+    '/api/inventories': {
+        get: operation('Inventários', 'Inventários guardados no servidor.', {
+            responses: { 200: json(arrayOf(ref('InventorySummary'))) }
+        }),
+        post: operation('Inventários', 'Cria um inventário, opcionalmente com estoque inicial.', {
+            body: schemas.inventoryCreate,
+            role: 'editor',
+            responses: { 201: json(ref('Message'), 'Inventário criado.') },
+            errors: [409]
+        })
+    },
+    '/api/inventories/{id}': {
+        get: operation('Inventários', 'Um inventário e seu estoque.', {
+            parameters: [inventoryId],
+            responses: { 200: json(ref('Inventory')) },
+            errors: [400, 404]
+        }),
+        delete: operation('Inventários', 'Remove um inventário, seu estoque e seu registro de crafts.', {
+            parameters: [inventoryId],
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/inventories/{id}/add': {
+        post: operation('Inventários', 'Adiciona estoque ao inventário.', {
+            parameters: [inventoryId],
+            body: schemas.inventoryStockChange,
+            role: 'editor',
+            responses: { 200: json(object({ message: str, inventory: ref('Inventory') })) },
+            errors: [400, 404]
+        })
+    },
+    '/api/inventories/{id}/remove': {
+        post: operation('Inventários', 'Retira estoque do inventário (tudo ou nada).', {
+            parameters: [inventoryId],
+            body: schemas.inventoryStockChange,
+            role: 'editor',
+            responses: { 200: json(object({ message: str, inventory: ref('Inventory') })) },
+            errors: [400, 404, 409]
+        })
+    },
+    '/api/inventories/{id}/log': {
+        get: operation('Inventários', 'Crafts executados no inventário, do mais recente para o mais antigo.', {
+            parameters: [inventoryId],
+            responses: { 200: json(arrayOf(ref('CraftLogEntry'))) },
+            errors: [400, 404]
+        })
+    },
+    '/api/ledger': {
+        get: operation('Livro-caixa', 'Compras e vendas registradas.', {
+            parameters: [queryParam('type', oneOf(LEDGER_ENTRY_TYPES), 'Filtra o tipo de registro.'), ...dateRange],
+            responses: { 200: json(arrayOf(ref('LedgerEntry'))) },
+            errors: [400]
+        }),
+        post: operation('Livro-caixa', 'Registra uma compra ou venda, ajustando o inventário se informado.', {
+            body: schemas.ledgerEntry,
+            role: 'editor',
+            responses: { 201: json(ref('Message'), 'Registro criado.') },
+            errors: [404, 409]
+        })
+    },
+    '/api/ledger/{id}': {
+        delete: operation('Livro-caixa', 'Remove um registro lançado por engano (o estoque não é revertido).', {
+            parameters: [pathParam('id', int, 'ID do registro.')],
+            role: 'editor',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/api/reports/profit': {
+        get: operation('Relatórios', 'Lucro realizado por receita no período, comparado com a margem teórica NPC.', {
+            parameters: dateRange,
+            responses: { 200: json(ref('ProfitReport')) },
+            errors: [400]
+        })
+    },
+    '/api/reports/profit/timeline': {
+        get: operation('Relatórios', 'Totais do livro-caixa por dia ou semana.', {
+            parameters: [queryParam('period', oneOf(REPORT_PERIODS), 'Agrupamento (padrão day).'), ...dateRange],
+            responses: { 200: json(ref('ProfitTimeline')) },
+            errors: [400]
+        })
+    },
+    '/api/crafting/check-possibilities': {
+        post: operation('Crafting', 'Máximo de crafts de cada receita com o inventário informado, pela variante que produz mais itens.', {
+            body: schemas.checkPossibilities,
+            responses: { 200: json(arrayOf(ref('CraftPossibility'))) },
+            errors: [404]
+        })
+    },
+    '/api/crafting/plan': {
+        post: operation('Crafting', 'Plano único de crafts que distribui o inventário entre receitas concorrentes.', {
+            body: schemas.craftPlan,
+            responses: { 200: json(ref('CraftPlan')) },
+            errors: [404]
+        })
+    },
+    '/api/crafting/shopping-list': {
+        post: operation('Crafting', 'Lista de compras para uma ordem de produção.', {
+            body: schemas.shoppingList,
+            responses: { 200: json(ref('ShoppingList')) },
+            errors: [404]
+        })
+    },
+    '/api/crafting/execute': {
+        post: operation('Crafting', 'Executa crafts em um inventário, retirando materiais e adicionando os itens produzidos.', {
+            body: schemas.craftExecute,
+            role: 'editor',
+            responses: { 201: json(ref('CraftExecution'), 'Craft executado.') },
+            errors: [404, 409]
+        })
+    },
+    '/api/crafting/analyze-potential-crafts': {
+        post: operation('Crafting', 'Receitas que usam os materiais informados, com o que falta para cada uma.', {
+            body: schemas.analyzePotentialCrafts,
+            responses: { 200: json(arrayOf(ref('CraftAnalysis'))) },
+            errors: [404]
+        })
+    },
+    '/api/events': {
+        get: operation('Eventos', 'Stream Server-Sent Events das alterações de receitas e preços.', {
+            parameters: [
+                { name: 'Last-Event-ID', in: 'header', required: false, schema: { type: 'integer', minimum: 0 }, description: 'Último evento recebido; os posteriores são reenviados.' },
+                queryParam('lastEventId', { type: 'integer', minimum: 0 }, 'Alternativa ao cabeçalho Last-Event-ID.'),
+                queryParam('types', str, `Tipos separados por vírgula: ${EVENT_TYPES.join(', ')}.`)
+            ],
+            responses: {
+                200: {
+                    description: 'Stream `text/event-stream`; o `data` de cada evento segue o schema `Event`. Um evento `resync` indica que eventos foram perdidos.',
+                    content: { 'text/event-stream': { schema: str } }
+                }
+            },
+            errors: [400]
+        })
+    },
+    '/api/workspaces': {
+        get: operation('Workspaces', 'Lista os workspaces públicos e os privados acessíveis pela chave de API enviada (opcional).', {
+            responses: { 200: json(arrayOf(ref('Workspace'))) },
+            errors: [401]
+        }),
+        post: operation('Workspaces', 'Cria um workspace.', {
+            body: schemas.workspaceCreate,
+            role: 'admin',
+            responses: { 201: json(object({ message: str, workspace: ref('Workspace') }), 'Workspace criado.') },
+            errors: [409]
+        })
+    },
+    '/api/openapi.json': {
+        get: operation('Documentação', 'Este documento OpenAPI.', {
+            responses: { 200: json({ type: 'object' }) }
+        })
+    },
+    '/api/auth/me': {
+        get: operation('Autenticação', 'A chave de API autenticada e seu papel.', {
+            role: 'viewer',
+            responses: { 200: json(ref('ApiKeyIdentity')) }
+        })
+    },
+    '/api/auth/keys': {
+        get: operation('Autenticação', 'Lista as chaves de API (sem o valor da chave).', {
+            role: 'admin',
+            responses: { 200: json(arrayOf(ref('ApiKey'))) }
+        }),
+        post: operation('Autenticação', 'Cria uma chave de API; o valor só é exibido nesta resposta.', {
+            body: schemas.apiKeyCreate,
+            role: 'admin',
+            responses: { 201: json(ref('ApiKeyCreated'), 'Chave criada.') },
+            errors: [404]
+        })
+    },
+    '/api/auth/keys/{id}': {
+        delete: operation('Autenticação', 'Revoga uma chave de API.', {
+            parameters: [pathParam('id', int, 'ID da chave.')],
+            role: 'admin',
+            responses: { 200: json(ref('Message')) },
+            errors: [400, 404]
+        })
+    },
+    '/health': {
+        get: {
+            tags: ['Monitoramento'],
+            summary: 'Liveness: responde enquanto o processo estiver no ar, sem consultar o banco.',
+            responses: { 200: { description: 'Servidor no ar.', content: { 'text/plain': { schema: str } } } }
+        }
+    },
+    '/health/ready': {
+        get: operation('Monitoramento', 'Readiness: executa uma consulta no banco de dados e responde 503 se ela falhar ou demorar.', {
+            responses: { 200: json(ref('Readiness'), 'Pronto para receber requisições.') },
+            errors: [503]
+        })
+    },
+    '/metrics': {
+        get: {
+            tags: ['Monitoramento'],
+            summary: 'Métricas no formato de texto do Prometheus: requisições HTTP por rota e status (contagem e latência) e consultas SQL por operação (contagem, erros e latência).',
+            responses: { 200: { description: 'Métricas.', content: { 'text/plain': { schema: str } } } }
+        }
+    }
+};
+
+// As operações sob `WORKSPACE_SCOPED_PATHS` aceitam o workspace pelo cabeçalho ou pela query e respondem 404 para um
+// workspace desconhecido e 401/403 para um privado sem chave com acesso.
+const workspaceParameters = [
+    { name: WORKSPACE_HEADER, in: 'header', required: false, schema: str, description: `Slug do workspace (padrão '${DEFAULT_WORKSPACE}').` },
+    queryParam('workspace', str, `Alternativa ao cabeçalho ${WORKSPACE_HEADER}.`)
+];
+Object.entries(paths)
+    .filter(([template]) => WORKSPACE_SCOPED_PATHS.some(prefix => template === prefix || template.startsWith(`${prefix}/`)))
+    .forEach(([, methods]) => Object.values(methods).forEach(op => {
+        op.parameters = [...(op.parameters || []), ...workspaceParameters];
+        [401, 403, 404].forEach(status => {
+            op.responses[status] = op.responses[status] || { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+        });
+    }));
+
+function buildOpenApiSpec() {
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Calculadora de Craft Pokexgames',
+            version,
+            description: 'API de receitas, materiais, preços, inventários e análises de craft. Erros seguem o schema `Error`.'
+        },
+        paths,
+        components: {
+            schemas: componentSchemas,
+            responses: componentResponses,
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Chave de API em `Authorization: Bearer <chave>`.' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            }
+        }
+    };
+}
+
+const TYPE_CHECKS = {
+    string: (value) => typeof value === 'string',
+    number: (value) => typeof value === 'number',
+    integer: (value) => Number.isInteger(value),
+    boolean: (value) => typeof value === 'boolean',
+    array: (value) => Array.isArray(value),
+    object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const resolveRef = (spec, pointer) => pointer.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+
+// Confere `value` contra um schema (o subconjunto de JSON Schema usado neste documento). Retorna as divergências.
+function validateAgainstSchema(spec, schema, value, path = '') {
+    if (schema.$ref) { return validateAgainstSchema(spec, resolveRef(spec, schema.$ref), value, path); }
+    const at = path || '(corpo)';
+    if (value === null) { return schema.nullable || !schema.type ? [] : [{ path: at, message: 'não pode ser null.' }]; }
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => validateAgainstSchema(spec, option, value, path).length === 0);
+        return matches.length === 1 ? [] : [{ path: at, message: `deve corresponder a exatamente um dos schemas de oneOf (correspondeu a ${matches.length}).` }];
+    }
+    if (schema.type && !TYPE_CHECKS[schema.type](value)) { return [{ path: at, message: `deveria ser do tipo ${schema.type}.` }]; }
+    if (schema.enum && !schema.enum.includes(value)) { return [{ path: at, message: `valor fora de: ${schema.enum.join(', ')}.` }]; }
+
+    const violations = [];
+    if (schema.type === 'array' && schema.items) {
+        value.forEach((item, index) => violations.push(...validateAgainstSchema(spec, schema.items, item, `${path}[${index}]`)));
+    }
+    if (schema.type === 'object') {
+        const joinKey = (key) => (path ? `${path}.${key}` : key);
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) { violations.push({ path: joinKey(key), message: 'é obrigatório.' }); }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const propertySchema = (schema.properties || {})[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+            if (propertySchema) { violations.push(...validateAgainstSchema(spec, propertySchema, item, joinKey(key))); }
+        });
+    }
+    return violations;
+}
+
+// Rotas do documento como expressões regulares; caminhos com menos parâmetros têm preferência
+// (`/api/items/by-material` antes de `/api/items/{id}`), como a ordem de registro das rotas no servidor.
+function compileRoutes(spec) {
+    return Object.entries(spec.paths).map(([template, methods]) => ({
+        methods,
+        pattern: new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{[^}]+\}/g, '[^/]+')}$`),
+        params: (template.match(/\{/g) || []).length
+    })).sort((a, b) => a.params - b.params);
+}
+
+function findOperation(routes, method, path) {
+    const route = routes.find(r => r.pattern.test(path) && r.methods[method]);
+    return route ? route.methods[method] : null;
+}
+
+// Middleware: valida cada corpo enviado por `res.json` contra a resposta documentada para a rota e o status.
+function responseValidator(spec) {
+    const routes = compileRoutes(spec);
+    return (req, res, next) => {
+        const sendJson = res.json.bind(res);
+        res.json = (body) => {
+            const op = findOperation(routes, req.method.toLowerCase(), req.baseUrl + req.path);
+            if (!op) { return sendJson(body); }
+            let response = op.responses[res.statusCode];
+            if (response && response.$ref) { response = resolveRef(spec, response.$ref); }
+            const schema = response && response.content && response.content['application/json'] && response.content['application/json'].schema;
+            const violations = schema
+                ? validateAgainstSchema(spec, schema, JSON.parse(JSON.stringify(body)))
+                : [{ path: '(status)', message: `status ${res.statusCode} sem resposta JSON documentada.` }];
+            if (violations.length === 0) { return sendJson(body); }
+            logger.error('Resposta fora do contrato da API', { method: req.method, path: req.originalUrl, status: res.statusCode, violations });
+            res.status(500);
+            return sendJson({ error: 'Resposta fora do contrato da API.', violations });
+        };
+        next();
+    };
+}
+
+module.exports = { buildOpenApiSpec, validateAgainstSchema, responseValidator };
@@ -0,0 +1,89 @@
+/*
+  Arquivo: lib/priceHistory.js
+  Descrição: Séries de preços a partir da tabela `price_history` (ver migração 006) e análises de tendência.
+  - Cada observação tem `source` ('reference', 'npc' ou 'market'); preço nulo significa que o preço do livro foi
+    removido. As estatísticas ignoram essas remoções.
+  - `pricesAt` reconstrói os preços vigentes em um instante, para comparar margens do passado com as atuais.
+*/
+const { roundQuantity } = require('./recipeTree');
+
+const HISTORY_SOURCES = ['reference', 'npc', 'market'];
+
+// Converte um Date no formato de `datetime('now')` do SQLite (UTC), para comparar com `observed_at`.
+const toSqliteTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+function daysAgo(days, now = new Date()) {
+    return toSqliteTimestamp(new Date(now.getTime() - days * 24 * 60 * 60 * 1000));
+}
+
+function parsePositiveDays(value, param) {
+    const days = Number(value);
+    if (!Number.isInteger(days) || days <= 0) { return { error: `O parâmetro "${param}" deve ser um inteiro positivo (dias).` }; }
+    return { days };
+}
+
+// Lê `days` e `source` da query string das rotas de histórico. Sem `days`, a janela é todo o histórico.
+function parseHistoryQuery(query) {
+    const options = { days: null, since: null, source: null };
+    if (query.days !== undefined) {
+        const { days, error } = parsePositiveDays(query.days, 'days');
+        if (error) { return { error }; }
+        options.days = days;
+        options.since = daysAgo(days);
+    }
+    if (query.source !== undefined) {
+        if (!HISTORY_SOURCES.includes(query.source)) { return { error: `Valor inválido para "source". Válidos: ${HISTORY_SOURCES.join(', ')}.` }; }
+        options.source = query.source;
+    }
+    return { options };
+}
+
+// Estatísticas por origem: mínimo, máximo, média, primeiro e último preço da janela e a variação percentual.
+function summarizePriceSeries(points) {
+    const bySource = {};
+    points.forEach(point => {
+        if (point.price === null) { return; }
+        (bySource[point.source] = bySource[point.source] || []).push(point.price);
+    });
+    const summary = {};
+    Object.entries(bySource).forEach(([source, prices]) => {
+        const first = prices[0];
+        const last = prices[prices.length - 1];
+        summary[source] = {
+            count: prices.length,
+            min: Math.min(...prices),
+            max: Math.max(...prices),
+            average: roundQuantity(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+            first,
+            last,
+            change_percent: first > 0 ? roundQuantity(((last - first) / first) * 100) : null
+        };
+    });
+    return summary;
+}
+
+/*
+  Preços vigentes em `at`, por material e por item: Map(id -> { reference, npc, market }).
+  `rows` deve vir ordenado por `observed_at` e conter as observações até `at` e, para preços de referência, a
+  primeira observação de cada série: um preço de referência criado depois de `at` vale como o preço daquela época,
+  já que o material/item não tinha outro. Preços do livro criados depois de `at` não existiam e ficam de fora.
+*/
+function pricesAt(rows, at) {
+    const materials = new Map();
+    const items = new Map();
+    rows.forEach(row => {
+        const subjects = row.subject_type === 'material' ? materials : items;
+        const prices = subjects.get(row.subject_id) || {};
+        if (row.observed_at > at) {
+            if (row.source === 'reference' && prices.reference === undefined) { prices.reference = row.price; }
+        } else if (row.price === null) {
+            delete prices[row.source];
+        } else {
+            prices[row.source] = row.price;
+        }
+        subjects.set(row.subject_id, prices);
+    });
+    return { materials, items };
+}
+
+module.exports = { HISTORY_SOURCES, toSqliteTimestamp, daysAgo, parsePositiveDays, parseHistoryQuery, summarizePriceSeries, pricesAt };
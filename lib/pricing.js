@@ -0,0 +1,71 @@
+/*
+  Arquivo: lib/pricing.js
+  Descrição: Livro de preços (price book) informado pelos jogadores e seleção de preços para os cálculos de lucro.
+  - Preços de compra por material e preços de venda por item são guardados por origem ('npc' ou 'market').
+  - `priceSource` define qual preço é usado:
+    - 'npc': preço NPC do livro, com fallback para `default_npc_price` / `npc_sell_price` da receita.
+    - 'market': preço de mercado do livro, com fallback para o preço NPC quando não houver preço de mercado.
+    - 'best': o menor preço disponível para comprar materiais e o maior preço disponível para vender itens.
+  Cada preço resolvido informa de onde veio (`source`), para que o cliente saiba quando houve fallback.
+  - `computeRecipeProfit` aplica essa seleção a um craft inteiro: receita, custo, lucro e margem.
+*/
+const { roundQuantity } = require('./recipeTree');
+
+const PRICE_SOURCES = ['npc', 'market'];
+const PRICE_SOURCE_OPTIONS = ['npc', 'market', 'best'];
+
+function buildPriceBook(materialPriceRows, itemPriceRows) {
+    const materials = new Map();
+    const items = new Map();
+
+    materialPriceRows.forEach(row => {
+        const key = row.material_name.toLowerCase();
+        materials.set(key, { ...(materials.get(key) || {}), [row.source]: row.price });
+    });
+    itemPriceRows.forEach(row => {
+        items.set(row.recipe_id, { ...(items.get(row.recipe_id) || {}), [row.source]: row.price });
+    });
+
+    return { materials, items };
+}
+
+function pickPrice(candidates, priceSource, preferLowest) {
+    const available = candidates.filter(c => c.price !== undefined && c.price !== null);
+    if (priceSource !== 'best') {
+        return available.find(c => c.source === priceSource) || available.find(c => c.source === 'npc');
+    }
+    return available.reduce((best, c) => {
+        if (!best) { return c; }
+        return (preferLowest ? c.price < best.price : c.price > best.price) ? c : best;
+    }, null);
+}
+
+function resolveMaterialPrice(priceBook, material, priceSource) {
+    if (material.material_type === 'profession') { return { price: 0, source: 'profession' }; }
+    const entry = priceBook.materials.get(material.material_name.toLowerCase()) || {};
+    const candidates = [
+        { source: 'npc', price: entry.npc !== undefined ? entry.npc : (material.default_npc_price || 0) },
+        { source: 'market', price: entry.market }
+    ];
+    return pickPrice(candidates, priceSource, true);
+}
+
+function resolveItemPrice(priceBook, recipe, priceSource) {
+    const entry = priceBook.items.get(recipe.id) || {};
+    const candidates = [
+        { source: 'npc', price: entry.npc !== undefined ? entry.npc : (recipe.npc_sell_price || 0) },
+        { source: 'market', price: entry.market }
+    ];
+    return pickPrice(candidates, priceSource, false);
+}
+
+// Receita, custo, lucro e margem de uma receita com um livro de preços (e preços de referência) específico.
+function computeRecipeProfit(recipe, recipeMaterials, priceBook, priceSource) {
+    const totalMaterialCost = recipeMaterials.reduce((sum, mat) => sum + mat.quantity * resolveMaterialPrice(priceBook, mat, priceSource).price, 0);
+    const sellPrice = resolveItemPrice(priceBook, recipe, priceSource);
+    const totalRevenue = sellPrice.price * (recipe.quantity_produced || 1);
+    const profit = totalRevenue - totalMaterialCost;
+    return { sellPrice, totalRevenue, totalMaterialCost, profit, marginPercent: totalRevenue > 0 ? roundQuantity((profit / totalRevenue) * 100) : null };
+}
+
+module.exports = { PRICE_SOURCES, PRICE_SOURCE_OPTIONS, buildPriceBook, resolveMaterialPrice, resolveItemPrice, computeRecipeProfit };
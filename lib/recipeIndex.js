@@ -0,0 +1,113 @@
+/*
+  Arquivo: lib/recipeIndex.js
+  Descrição: Índice em memória do catálogo de receitas (receitas, materiais, variantes e livro de preços),
+  compartilhado pelas rotas de análise e de crafting no lugar de carregar as tabelas inteiras a cada requisição.
+  - `createRecipeIndex(loadData)` guarda o último índice montado. `get(callback)` entrega o índice atual e o monta
+    na primeira chamada; chamadas simultâneas esperam a mesma carga. `invalidate()` descarta o índice e incrementa
+    `version()`: as rotas de escrita o chamam depois do COMMIT de qualquer alteração em receitas, materiais,
+    variantes ou preços, e a próxima leitura remonta o índice. Se ele for invalidado durante uma carga, a carga é
+    refeita, então nenhum índice sobrevive a uma escrita posterior a ele. `etag()` identifica a versão atual nas
+    respostas HTTP.
+  - `buildRecipeIndex` agrupa os materiais por receita e as receitas por material (O(receitas + materiais), no
+    lugar de um `materials.filter` por receita) e pré-calcula os agregados de lucro: por origem de preço, todas as
+    variantes de cada receita avaliadas e ordenadas (calculadas na primeira consulta de cada origem e descartadas
+    junto com o índice).
+  - `loadData` deve ler só dados confirmados: o app a roda como transação da fila da conexão (ver
+    `lib/transactions.js`), já que nada invalida um índice montado com linhas que um ROLLBACK desfez depois.
+  - O índice é compartilhado entre requisições: as rotas não devem alterar os objetos dele.
+  - Alterações gravadas no banco por fora da API (ex: `sqlite3` na linha de comando) só aparecem depois de
+    reiniciar o servidor.
+*/
+const crypto = require('crypto');
+const { indexRecipes } = require('./recipeTree');
+const { listRecipeVariants, rankVariants } = require('./recipeVariants');
+const { computeRecipeProfit } = require('./pricing');
+const { bindContext } = require('./logger');
+
+// Mesma ordem do `ORDER BY name` do SQLite (colação BINARY).
+const compareBinary = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+
+// `materials` tem o formato de SQL_RECIPE_MATERIALS (com `recipe_id`), em ordem de cadastro.
+function buildRecipeIndex({ recipes, materials, variantsByRecipe, priceBook }, version) {
+    const { recipesByName, materialsByRecipe } = indexRecipes(recipes, materials);
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    // Ids das receitas que usam cada material (nome em minúsculas) em qualquer variante.
+    const recipeIdsByMaterialName = new Map();
+    const addMaterialUse = (materialName, recipeId) => {
+        const key = materialName.toLowerCase();
+        if (!recipeIdsByMaterialName.has(key)) { recipeIdsByMaterialName.set(key, new Set()); }
+        recipeIdsByMaterialName.get(key).add(recipeId);
+    };
+    materials.forEach(mat => addMaterialUse(mat.material_name, mat.recipe_id));
+    variantsByRecipe.forEach((variants, recipeId) => variants.forEach(variant => {
+        variant.materials.forEach(mat => addMaterialUse(mat.material_name, recipeId));
+    }));
+
+    const variantsOf = (recipe) => listRecipeVariants(recipe, materialsByRecipe.get(recipe.id) || [], variantsByRecipe);
+
+    // Por receita, as variantes avaliadas com `priceSource` e ordenadas por lucro (ver `rankVariants`).
+    const rankingsBySource = new Map();
+    function profitRanking(priceSource) {
+        if (!rankingsBySource.has(priceSource)) {
+            rankingsBySource.set(priceSource, new Map(recipes.map(recipe => [recipe.id, rankVariants(
+                variantsOf(recipe),
+                variant => computeRecipeProfit({ ...recipe, quantity_produced: variant.quantity_produced }, variant.materials, priceBook, priceSource),
+                result => result.profit
+            )])));
+        }
+        return rankingsBySource.get(priceSource);
+    }
+
+    return {
+        version,
+        recipes,
+        recipesSortedByName: [...recipes].sort((a, b) => compareBinary(a.name, b.name)),
+        recipesById,
+        recipesByName,
+        materials,
+        materialsByRecipe,
+        recipeIdsByMaterialName,
+        variantsByRecipe,
+        priceBook,
+        variantsOf,
+        profitRanking
+    };
+}
+
+// `onBuild(index, seconds)` é chamado a cada índice montado (métricas e log).
+function createRecipeIndex(loadData, { onBuild } = {}) {
+    let version = 0;
+    let current = null;
+    let waiting = null;
+
+    function get(callback) {
+        if (current) { return callback(null, current); }
+        if (waiting) { return waiting.push(bindContext(callback)); }
+        waiting = [bindContext(callback)];
+        const loadingVersion = version;
+        const started = process.hrtime.bigint();
+        loadData((err, data) => {
+            const callbacks = waiting;
+            waiting = null;
+            if (err) { return callbacks.forEach(cb => cb(err)); }
+            if (loadingVersion !== version) { return callbacks.forEach(cb => get(cb)); }
+            current = buildRecipeIndex(data, version);
+            if (onBuild) { onBuild(current, Number(process.hrtime.bigint() - started) / 1e9); }
+            callbacks.forEach(cb => cb(null, current));
+        });
+    }
+
+    function invalidate() {
+        version += 1;
+        current = null;
+    }
+
+    // ETag fraco das respostas derivadas do catálogo. O id da instância evita reaproveitar um ETag depois de um
+    // reinício, quando a contagem de versões recomeça.
+    const instanceId = crypto.randomBytes(6).toString('hex');
+    const etag = () => `W/"${instanceId}-${version}"`;
+
+    return { get, invalidate, version: () => version, etag };
+}
+
+module.exports = { buildRecipeIndex, createRecipeIndex };
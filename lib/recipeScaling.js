@@ -0,0 +1,83 @@
+/*
+  Arquivo: lib/recipeScaling.js
+  Descrição: Normalização por unidade e escala de receitas para uma quantidade qualquer de itens.
+  - Valores por unidade dividem os totais de um craft por `quantity_produced`. Os valores NPC usam `default_npc_price`
+    dos materiais e `npc_sell_price` da receita; materiais 'profession' não têm custo de compra.
+  - Pack: muitos nomes trazem o tamanho do pack no início (ex: "100 Nightmare Medium Potion"). Sem número no nome, um
+    pack é o que um craft produz (`quantity_produced`).
+  - Crafts são indivisíveis: `scaleRecipe` arredonda o número de crafts conforme `rounding`:
+    - 'up' (padrão): crafts suficientes para a quantidade pedida; o excedente sai em `surplus`.
+    - 'down': só crafts completos que não passam da quantidade pedida; o que falta sai em `shortfall`.
+    - 'exact': exige que a quantidade seja múltipla de `quantity_produced`.
+*/
+const { roundQuantity } = require('./recipeTree');
+
+const SCALE_ROUNDING = ['up', 'down', 'exact'];
+
+const materialNpcCost = (mat, quantity = mat.quantity) => (mat.material_type === 'profession' ? 0 : quantity * (mat.default_npc_price || 0));
+
+// Custo, receita e lucro NPC por unidade de um craft que produz `quantityProduced` itens com `materials`.
+function npcUnitEconomics(quantityProduced, npcSellPrice, materials) {
+    const units = quantityProduced || 1;
+    const costPerCraft = materials.reduce((sum, mat) => sum + materialNpcCost(mat), 0);
+    const revenuePerUnit = npcSellPrice || 0;
+    return {
+        npc_cost_per_unit: roundQuantity(costPerCraft / units),
+        npc_revenue_per_unit: revenuePerUnit,
+        npc_profit_per_unit: roundQuantity(revenuePerUnit - costPerCraft / units)
+    };
+}
+
+// Custo, receita e lucro de um craft (ex: resultado de `computeRecipeProfit`) divididos por unidade produzida.
+function perUnit({ totalMaterialCost, totalRevenue, profit }, quantityProduced) {
+    const units = quantityProduced || 1;
+    return {
+        cost_per_unit: roundQuantity(totalMaterialCost / units),
+        revenue_per_unit: roundQuantity(totalRevenue / units),
+        profit_per_unit: roundQuantity(profit / units)
+    };
+}
+
+function packSizeFromName(name, quantityProduced) {
+    const match = /^\s*(\d+)\s+\S/.exec(name || '');
+    const size = match ? Number(match[1]) : 0;
+    return size > 0 ? size : (quantityProduced || 1);
+}
+
+/*
+  Materiais, custo e produção para `requestedQuantity` itens. Retorna `{ error }` quando `rounding` é 'exact' e a
+  quantidade não fecha em crafts inteiros.
+*/
+function scaleRecipe({ quantityProduced, npcSellPrice, materials }, requestedQuantity, rounding = 'up') {
+    const units = quantityProduced || 1;
+    // Arredonda a razão antes do teto/piso para que 3 * 0.1 / 0.1 não vire 4 crafts.
+    const exactCrafts = roundQuantity(requestedQuantity / units);
+    if (rounding === 'exact' && !Number.isInteger(exactCrafts)) {
+        return { error: `A quantidade pedida (${requestedQuantity}) não é múltipla de quantity_produced (${units}); use rounding=up ou rounding=down.` };
+    }
+    const crafts = rounding === 'down' ? Math.floor(exactCrafts) : Math.ceil(exactCrafts);
+    const outputQuantity = crafts * units;
+    const scaledMaterials = materials.map(mat => ({
+        material_id: mat.material_id,
+        material_name: mat.material_name,
+        material_type: mat.material_type,
+        quantity_per_craft: mat.quantity,
+        quantity: mat.quantity * crafts,
+        default_npc_price: mat.default_npc_price || 0,
+        total_npc_cost: roundQuantity(materialNpcCost(mat, mat.quantity * crafts))
+    }));
+    const totalCost = roundQuantity(scaledMaterials.reduce((sum, mat) => sum + mat.total_npc_cost, 0));
+    const revenue = roundQuantity(outputQuantity * (npcSellPrice || 0));
+    return {
+        crafts,
+        output_quantity: outputQuantity,
+        surplus: roundQuantity(Math.max(0, outputQuantity - requestedQuantity)),
+        shortfall: roundQuantity(Math.max(0, requestedQuantity - outputQuantity)),
+        materials: scaledMaterials,
+        total_material_cost_npc: totalCost,
+        total_revenue_npc: revenue,
+        profit_npc: roundQuantity(revenue - totalCost)
+    };
+}
+
+module.exports = { SCALE_ROUNDING, npcUnitEconomics, perUnit, packSizeFromName, scaleRecipe };
@@ -0,0 +1,176 @@
+/*
+  Arquivo: lib/recipeTransfer.js
+  Descrição: Conversão e validação de receitas para importação/exportação em lote (JSON e CSV).
+  - JSON: array de receitas no mesmo formato do corpo de `POST /api/items`
+    ({ name, quantity_produced, npc_sell_price, craft_duration_seconds, profession, min_profession_level,
+       materials: [{ material_name, quantity, material_type, default_npc_price }] }).
+  - CSV: uma linha por material, com as colunas de `CSV_COLUMNS` (as de `CSV_OPTIONAL_COLUMNS` podem faltar no
+    cabeçalho). As linhas de uma mesma receita são agrupadas por `recipe_name`; uma receita sem materiais ocupa uma
+    linha com as colunas de material vazias. Os metadados de craft são lidos da primeira linha da receita.
+  - Erros de validação são reportados por linha (`row`): a linha do arquivo CSV (o cabeçalho é a linha 1) ou a
+    posição da receita no array JSON (começando em 1).
+*/
+const { CRAFT_METADATA_FIELDS } = require('./craftMetadata');
+const { validate } = require('./validation');
+const { recipeSchema } = require('./schemas');
+
+const CSV_COLUMNS = ['recipe_name', 'quantity_produced', 'npc_sell_price', 'material_name', 'quantity', 'material_type', 'default_npc_price'];
+const CSV_OPTIONAL_COLUMNS = CRAFT_METADATA_FIELDS;
+const CSV_EXPORT_COLUMNS = [...CSV_COLUMNS.slice(0, 3), ...CSV_OPTIONAL_COLUMNS, ...CSV_COLUMNS.slice(3)];
+
+function escapeCsvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function recipesToCsv(recipes) {
+    const lines = [CSV_EXPORT_COLUMNS.join(',')];
+    recipes.forEach(recipe => {
+        const recipeColumns = [recipe.name, recipe.quantity_produced, recipe.npc_sell_price, ...CSV_OPTIONAL_COLUMNS.map(col => recipe[col])];
+        if (recipe.materials.length === 0) {
+            lines.push([...recipeColumns, '', '', '', ''].map(escapeCsvValue).join(','));
+        }
+        recipe.materials.forEach(mat => {
+            lines.push([...recipeColumns, mat.material_name, mat.quantity, mat.material_type, mat.default_npc_price].map(escapeCsvValue).join(','));
+        });
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Parser CSV (RFC 4180): campos entre aspas podem conter vírgulas, quebras de linha e aspas duplicadas.
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') { inQuotes = false; }
+            else {
+                if (char === '\n') { line++; }
+                field += char;
+            }
+            continue;
+        }
+        if (char === '"') { inQuotes = true; }
+        else if (char === ',') { row.push(field); field = ''; }
+        else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') { i++; }
+            row.push(field);
+            rows.push({ line: rowLine, values: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else { field += char; }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, values: row });
+    }
+    return rows.filter(r => r.values.some(value => value.trim() !== ''));
+}
+
+const toNumberOrUndefined = (value) => (value === undefined || value.trim() === '' ? undefined : Number(value));
+
+function parseRecipesCsv(text) {
+    const rows = parseCsvRows(text);
+    const errors = [];
+    if (rows.length === 0) {
+        return { recipes: [], errors: [{ row: 1, field: null, code: 'required', message: 'Arquivo CSV vazio.' }] };
+    }
+
+    const header = rows[0].values.map(h => h.trim().toLowerCase());
+    const missingColumns = CSV_COLUMNS.filter(col => !header.includes(col));
+    if (missingColumns.length > 0) {
+        return { recipes: [], errors: [{ row: rows[0].line, field: null, code: 'required', message: `Colunas ausentes no cabeçalho: ${missingColumns.join(', ')}.` }] };
+    }
+
+    const recipesByName = new Map();
+    rows.slice(1).forEach(({ line, values }) => {
+        const get = (col) => (header.includes(col) ? values[header.indexOf(col)] : undefined);
+        const name = (get('recipe_name') || '').trim();
+        if (!name) {
+            errors.push({ row: line, field: 'recipe_name', code: 'required', message: 'O nome da receita é obrigatório.' });
+            return;
+        }
+        const quantityProduced = toNumberOrUndefined(get('quantity_produced'));
+        const npcSellPrice = toNumberOrUndefined(get('npc_sell_price'));
+
+        let recipe = recipesByName.get(name.toLowerCase());
+        if (!recipe) {
+            const profession = (get('profession') || '').trim();
+            recipe = {
+                row: line, name, quantity_produced: quantityProduced, npc_sell_price: npcSellPrice,
+                craft_duration_seconds: toNumberOrUndefined(get('craft_duration_seconds')),
+                profession: profession || undefined,
+                min_profession_level: toNumberOrUndefined(get('min_profession_level')),
+                materials: []
+            };
+            recipesByName.set(name.toLowerCase(), recipe);
+        } else if (recipe.quantity_produced !== quantityProduced || recipe.npc_sell_price !== npcSellPrice) {
+            errors.push({ row: line, recipe_name: name, field: 'quantity_produced', code: 'invalid_value', message: 'Linhas da mesma receita devem ter os mesmos "quantity_produced" e "npc_sell_price".' });
+        }
+
+        const materialName = (get('material_name') || '').trim();
+        const materialColumnsFilled = ['material_name', 'quantity', 'material_type', 'default_npc_price'].some(col => (get(col) || '').trim() !== '');
+        if (materialColumnsFilled) {
+            recipe.materials.push({
+                row: line,
+                material_name: materialName,
+                quantity: toNumberOrUndefined(get('quantity')),
+                material_type: (get('material_type') || '').trim().toLowerCase(),
+                default_npc_price: toNumberOrUndefined(get('default_npc_price'))
+            });
+        }
+    });
+
+    return { recipes: [...recipesByName.values()], errors };
+}
+
+function normalizeJsonRecipes(body) {
+    const list = Array.isArray(body) ? body : (body && Array.isArray(body.recipes) ? body.recipes : null);
+    if (!list) {
+        return { recipes: [], errors: [{ row: null, field: null, code: 'invalid_type', message: 'O corpo JSON deve ser um array de receitas (ou um objeto com "recipes").' }] };
+    }
+    const recipes = list.map((recipe, index) => ({
+        row: index + 1,
+        name: recipe && typeof recipe.name === 'string' ? recipe.name.trim() : recipe && recipe.name,
+        quantity_produced: recipe && recipe.quantity_produced,
+        npc_sell_price: recipe && recipe.npc_sell_price,
+        ...Object.fromEntries(CRAFT_METADATA_FIELDS.map(field => [field, recipe ? recipe[field] : undefined])),
+        materials: recipe && Array.isArray(recipe.materials)
+            ? recipe.materials.map(mat => ({ row: index + 1, ...mat }))
+            : recipe && recipe.materials
+    }));
+    return { recipes, errors: [] };
+}
+
+const importRecipeSchema = recipeSchema({ materialTypeRequired: true });
+
+// Valida cada receita com o mesmo schema de `POST /api/items` e acrescenta a linha de origem a cada erro.
+function validateImportRecipes(recipes) {
+    const errors = [];
+    const seenNames = new Set();
+
+    recipes.forEach(recipe => {
+        validate(importRecipeSchema, recipe).forEach(error => {
+            const materialIndex = /^materials\[(\d+)\]/.exec(error.field || '');
+            const material = materialIndex && Array.isArray(recipe.materials) ? recipe.materials[Number(materialIndex[1])] : null;
+            errors.push({ row: material && material.row ? material.row : recipe.row, recipe_name: recipe.name || null, ...error });
+        });
+        if (typeof recipe.name !== 'string' || !recipe.name) { return; }
+        if (seenNames.has(recipe.name.toLowerCase())) {
+            errors.push({ row: recipe.row, recipe_name: recipe.name, field: 'name', code: 'duplicate', message: 'Receita duplicada no arquivo importado.' });
+        }
+        seenNames.add(recipe.name.toLowerCase());
+    });
+    return errors;
+}
+
+module.exports = { CSV_COLUMNS, recipesToCsv, parseRecipesCsv, normalizeJsonRecipes, validateImportRecipes };
@@ -0,0 +1,101 @@
+/*
+  Arquivo: lib/recipeTree.js
+  Descrição: Resolução recursiva de receitas em árvore. Um material do tipo 'profession' cujo nome corresponde
+  a uma receita cadastrada é expandido na sub-receita correspondente, até chegar aos materiais brutos
+  ('drop'/'buy') ou a materiais de profissão que não possuem receita.
+  - As quantidades são escaladas proporcionalmente pelo `quantity_produced` de cada sub-receita
+    (ex: precisar de 50 unidades de um item cuja receita produz 100 equivale a 0.5 craft).
+  - Ciclos (uma receita que depende de si mesma, direta ou indiretamente) são detectados: o nó que fecharia
+    o ciclo é marcado com `cycle_detected: true` e tratado como folha.
+  - A raiz pode ser montada com uma variante da receita (`variant`, ver `lib/recipeVariants.js`); as sub-receitas
+    são sempre expandidas pela variante principal.
+  - `flattenRecipeTree` agrega as folhas da árvore em uma lista de materiais (bill of materials).
+*/
+
+const roundQuantity = (value) => Math.round(value * 1e6) / 1e6;
+
+function indexRecipes(recipes, materials) {
+    const recipesByName = new Map();
+    const materialsByRecipe = new Map();
+
+    recipes.forEach(recipe => {
+        recipesByName.set(recipe.name.toLowerCase(), recipe);
+        materialsByRecipe.set(recipe.id, []);
+    });
+    materials.forEach(material => {
+        if (materialsByRecipe.has(material.recipe_id)) {
+            materialsByRecipe.get(material.recipe_id).push(material);
+        }
+    });
+
+    return { recipesByName, materialsByRecipe };
+}
+
+// `variant` (com `materials` e `quantity_produced`) substitui os da receita na raiz; nulo usa a variante principal.
+function buildRecipeTree(recipe, index, quantityNeeded, path = [], variant = null) {
+    const quantityProduced = (variant ? variant.quantity_produced : recipe.quantity_produced) || 1;
+    const craftsNeeded = quantityNeeded / quantityProduced;
+    const currentPath = [...path, recipe.id];
+
+    const rootMaterials = variant ? variant.materials : index.materialsByRecipe.get(recipe.id);
+    const materials = (rootMaterials || []).map(mat => {
+        const node = {
+            material_name: mat.material_name,
+            material_type: mat.material_type,
+            quantity: roundQuantity(mat.quantity * craftsNeeded),
+            default_npc_price: mat.default_npc_price || 0
+        };
+        if (mat.material_type !== 'profession') { return node; }
+
+        const subRecipe = index.recipesByName.get(mat.material_name.toLowerCase());
+        if (!subRecipe) { return node; }
+
+        if (currentPath.includes(subRecipe.id)) {
+            node.cycle_detected = true;
+            return node;
+        }
+        node.sub_recipe = buildRecipeTree(subRecipe, index, mat.quantity * craftsNeeded, currentPath);
+        return node;
+    });
+
+    return {
+        recipe_id: recipe.id,
+        recipe_name: recipe.name,
+        quantity_produced: variant ? variant.quantity_produced : recipe.quantity_produced,
+        quantity_needed: roundQuantity(quantityNeeded),
+        crafts_needed: roundQuantity(craftsNeeded),
+        materials
+    };
+}
+
+function flattenRecipeTree(tree) {
+    const billByKey = new Map();
+    const cycles = [];
+
+    const visit = (node) => {
+        node.materials.forEach(mat => {
+            if (mat.sub_recipe) { visit(mat.sub_recipe); return; }
+            if (mat.cycle_detected) { cycles.push({ recipe_name: node.recipe_name, material_name: mat.material_name }); }
+
+            const key = `${mat.material_name.toLowerCase()}|${mat.material_type}`;
+            const entry = billByKey.get(key) || {
+                material_name: mat.material_name,
+                material_type: mat.material_type,
+                quantity: 0,
+                default_npc_price: mat.default_npc_price
+            };
+            entry.quantity = roundQuantity(entry.quantity + mat.quantity);
+            billByKey.set(key, entry);
+        });
+    };
+    visit(tree);
+
+    const billOfMaterials = [...billByKey.values()].map(entry => ({
+        ...entry,
+        total_npc_cost: entry.material_type === 'profession' ? 0 : roundQuantity(entry.quantity * entry.default_npc_price)
+    })).sort((a, b) => a.material_name.localeCompare(b.material_name));
+
+    return { billOfMaterials, cycles };
+}
+
+module.exports = { indexRecipes, buildRecipeTree, flattenRecipeTree, roundQuantity };
@@ -0,0 +1,56 @@
+/*
+  Arquivo: lib/recipeVariants.js
+  Descrição: Variantes de receita, isto é, conjuntos alternativos de materiais (cada um com seu `quantity_produced`)
+  para o mesmo item.
+  - Os materiais da própria receita formam a variante principal (`id: null`, nome `PRIMARY_VARIANT_NAME`); as
+    alternativas ficam nas tabelas `recipe_variants` e `recipe_variant_materials`.
+  - `rankVariants` avalia todas as variantes de uma receita e as ordena da melhor para a pior. As rotas de lucro e
+    de crafting reportam a primeira (`variantReference`); o planejador de crafts (`lib/craftPlanner.js`) considera
+    cada variante separadamente.
+*/
+
+const PRIMARY_VARIANT_NAME = 'Principal';
+
+// Variantes (com materiais) agrupadas por receita. `materialRows` tem o formato de SQL_RECIPE_MATERIALS,
+// com `variant_id` no lugar de `recipe_id`.
+function indexRecipeVariants(variantRows, materialRows) {
+    const materialsByVariant = new Map();
+    materialRows.forEach(({ variant_id, ...material }) => {
+        if (!materialsByVariant.has(variant_id)) { materialsByVariant.set(variant_id, []); }
+        materialsByVariant.get(variant_id).push(material);
+    });
+    const variantsByRecipe = new Map();
+    variantRows.forEach(variant => {
+        if (!variantsByRecipe.has(variant.recipe_id)) { variantsByRecipe.set(variant.recipe_id, []); }
+        variantsByRecipe.get(variant.recipe_id).push({
+            id: variant.id,
+            name: variant.name,
+            quantity_produced: variant.quantity_produced,
+            materials: materialsByVariant.get(variant.id) || []
+        });
+    });
+    return variantsByRecipe;
+}
+
+// Todas as formas de craftar a receita: a principal primeiro, depois as alternativas em ordem de criação.
+function listRecipeVariants(recipe, primaryMaterials, variantsByRecipe) {
+    return [
+        { id: null, name: PRIMARY_VARIANT_NAME, quantity_produced: recipe.quantity_produced, materials: primaryMaterials },
+        ...(variantsByRecipe.get(recipe.id) || [])
+    ];
+}
+
+// Avalia cada variante com `evaluate` e ordena pelo `score` do resultado (maior primeiro). Em caso de empate
+// (inclusive Infinity com Infinity) vale a ordem de `listRecipeVariants`, então a variante principal tem preferência.
+function rankVariants(variants, evaluate, score) {
+    return variants
+        .map(variant => ({ variant, result: evaluate(variant) }))
+        .sort((a, b) => {
+            const difference = score(b.result) - score(a.result);
+            return Number.isNaN(difference) ? 0 : difference;
+        });
+}
+
+const variantReference = (variant) => ({ variant_id: variant.id, variant_name: variant.name });
+
+module.exports = { PRIMARY_VARIANT_NAME, indexRecipeVariants, listRecipeVariants, rankVariants, variantReference };
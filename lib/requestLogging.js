@@ -0,0 +1,52 @@
+/*
+  Arquivo: lib/requestLogging.js
+  Descrição: Id, log e métricas de cada requisição HTTP.
+  - `requestLogger(metrics)` é o primeiro middleware do app: dá a cada requisição um id (o `X-Request-Id` enviado
+    pelo cliente, se for curto e seguro, ou um UUID novo), devolve-o no cabeçalho `X-Request-Id` e executa o resto
+    da requisição com ele no contexto de log (`request_id` em todo log emitido por ela, ver `lib/logger.js`).
+  - Ao fim de cada resposta, registra uma linha de log com método, caminho, rota, status e duração, e alimenta
+    `http_requests_total` e `http_request_duration_seconds`, rotuladas por método, rota e status. A rota é o padrão
+    do Express (`/api/items/:id`) ou 'unmatched' quando nenhuma rota respondeu, para manter a cardinalidade baixa.
+  - Os parsers de corpo (`express.json`, `express.text`) chamam `next` a partir dos eventos do socket, fora do
+    contexto; `restoreRequestContext` logo depois deles o restabelece.
+*/
+const crypto = require('crypto');
+const { logger, runWithContext } = require('./logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const restoreRequestContext = (req, res, next) => runWithContext({ request_id: req.id }, next);
+
+function requestLogger(metrics) {
+    const requestsTotal = metrics.counter('http_requests_total', 'Requisições HTTP respondidas, por método, rota e status.');
+    const requestDuration = metrics.histogram('http_request_duration_seconds', 'Duração das requisições HTTP em segundos, por método, rota e status.');
+
+    return (req, res, next) => {
+        const incomingId = req.get(REQUEST_ID_HEADER);
+        req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+        res.set(REQUEST_ID_HEADER, req.id);
+
+        const started = process.hrtime.bigint();
+        // 'close' também dispara quando o cliente desiste antes da resposta terminar (ex: fim de um stream SSE).
+        res.on('close', () => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            const labels = { method: req.method, route: req.route ? req.baseUrl + req.route.path : 'unmatched', status: String(res.statusCode) };
+            requestsTotal.inc(labels);
+            requestDuration.observe(labels, seconds);
+            const fields = {
+                request_id: req.id,
+                ...labels,
+                status: res.statusCode,
+                path: req.originalUrl,
+                duration_ms: Math.round(seconds * 1e6) / 1e3,
+                ...(res.writableFinished ? {} : { aborted: true })
+            };
+            if (res.statusCode >= 500) { logger.warn('Requisição concluída com erro', fields); } else { logger.info('Requisição concluída', fields); }
+        });
+
+        restoreRequestContext(req, res, next);
+    };
+}
+
+module.exports = { REQUEST_ID_HEADER, requestLogger, restoreRequestContext };
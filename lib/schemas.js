@@ -0,0 +1,250 @@
+/*
+  Arquivo: lib/schemas.js
+  Descrição: Schemas de validação (ver `lib/validation.js`) dos corpos aceitos pelas rotas do servidor.
+  O schema de receita é o mesmo para `POST/PUT /api/items` e para cada receita de `POST /api/import`.
+*/
+const { rules, requireOneOf } = require('./validation');
+const { MATERIAL_TYPES } = require('./constants');
+const { ROLES } = require('./auth');
+const { PRICE_SOURCES } = require('./pricing');
+const { toLedgerTimestamp, LEDGER_ENTRY_TYPES } = require('./ledger');
+const { PRIMARY_VARIANT_NAME } = require('./recipeVariants');
+const { DEFAULT_WORKSPACE, WORKSPACE_SLUG_PATTERN, WORKSPACE_VISIBILITIES } = require('./workspaces');
+
+const PLAN_OBJECTIVES = ['max_npc_profit', 'max_market_profit', 'max_items'];
+
+const price = (options = {}) => rules.number({ min: 0, ...options });
+const positiveInteger = (options = {}) => rules.integer({ min: 1, ...options });
+
+// Materiais repetidos (mesmo id ou mesmo nome) e a receita usando a si mesma como material, em `field`
+// ("materials" ou "variants[N].materials").
+function checkMaterialList(materials, recipeName, field, addError) {
+    if (!Array.isArray(materials)) { return; }
+    const seen = new Set();
+    materials.forEach((mat, index) => {
+        if (!mat || typeof mat !== 'object') { return; }
+        const key = mat.material_id !== undefined && mat.material_id !== null
+            ? `id:${mat.material_id}`
+            : (typeof mat.material_name === 'string' ? `name:${mat.material_name.trim().toLowerCase()}` : null);
+        if (key && seen.has(key)) {
+            addError(`${field}[${index}]`, 'duplicate', 'Material repetido na receita; some as quantidades em uma única entrada.');
+        }
+        if (key) { seen.add(key); }
+        if (recipeName && typeof mat.material_name === 'string' && mat.material_name.trim().toLowerCase() === recipeName) {
+            addError(`${field}[${index}].material_name`, 'self_reference', 'A receita não pode usar a si mesma como material.');
+        }
+    });
+}
+
+// Materiais de cada lista da receita e nomes de variante únicos (sem diferenciar maiúsculas) e diferentes do nome
+// reservado à variante principal.
+function checkRecipeMaterials(recipe, addError) {
+    const recipeName = typeof recipe.name === 'string' ? recipe.name.trim().toLowerCase() : null;
+    checkMaterialList(recipe.materials, recipeName, 'materials', addError);
+    if (!Array.isArray(recipe.variants)) { return; }
+    const seenNames = new Set([PRIMARY_VARIANT_NAME.toLowerCase()]);
+    recipe.variants.forEach((variant, index) => {
+        if (!variant || typeof variant !== 'object') { return; }
+        checkMaterialList(variant.materials, recipeName, `variants[${index}].materials`, addError);
+        if (typeof variant.name !== 'string' || !variant.name.trim()) { return; }
+        const key = variant.name.trim().toLowerCase();
+        if (key === PRIMARY_VARIANT_NAME.toLowerCase()) {
+            addError(`variants[${index}].name`, 'invalid_value', `O nome "${PRIMARY_VARIANT_NAME}" é reservado à variante principal (os materiais da própria receita).`);
+        } else if (seenNames.has(key)) {
+            addError(`variants[${index}].name`, 'duplicate', 'Nome de variante repetido na receita.');
+        }
+        seenNames.add(key);
+    });
+}
+
+// `materialTypeRequired`: na importação todo material traz o tipo, já que nomes desconhecidos são criados no catálogo.
+function recipeSchema({ materialTypeRequired = false } = {}) {
+    const material = rules.object({
+        material_id: positiveInteger(),
+        material_name: rules.string(),
+        quantity: positiveInteger({ required: true }),
+        material_type: rules.oneOf(MATERIAL_TYPES, { required: materialTypeRequired }),
+        default_npc_price: price({ nullable: true })
+    }, {
+        required: true,
+        description: 'Informe "material_id" ou "material_name".',
+        refine: (mat, addError) => requireOneOf(mat, ['material_id', 'material_name'], addError)
+    });
+
+    // Conjunto alternativo de materiais do mesmo item; no PUT, `variants` ausente mantém as variantes atuais.
+    const variant = rules.object({
+        name: rules.string({ required: true }),
+        quantity_produced: positiveInteger({ required: true }),
+        materials: rules.array(material, { required: true })
+    }, { required: true });
+
+    return rules.object({
+        name: rules.string({ required: true }),
+        quantity_produced: positiveInteger({ required: true }),
+        npc_sell_price: price({ nullable: true }),
+        craft_duration_seconds: rules.number({ exclusiveMin: 0, nullable: true }),
+        profession: rules.string({ nullable: true, allowEmpty: true }),
+        min_profession_level: rules.integer({ min: 0, nullable: true }),
+        materials: rules.array(material, { required: true }),
+        variants: rules.array(variant)
+    }, {
+        required: true,
+        description: `Materiais não podem se repetir nem ser a própria receita. Nomes de variante são únicos e diferentes de "${PRIMARY_VARIANT_NAME}".`,
+        refine: checkRecipeMaterials
+    });
+}
+
+const aliases = rules.array(rules.string({ required: true }));
+
+const materialCreate = rules.object({
+    name: rules.string({ required: true }),
+    material_type: rules.oneOf(MATERIAL_TYPES, { required: true }),
+    default_npc_price: price({ nullable: true }),
+    aliases
+}, { required: true });
+
+const materialUpdate = rules.object({
+    name: rules.string(),
+    material_type: rules.oneOf(MATERIAL_TYPES),
+    default_npc_price: price(),
+    aliases
+}, { required: true });
+
+const materialMerge = rules.object({
+    sourceIds: rules.array(positiveInteger({ required: true }), { required: true, minItems: 1 })
+}, {
+    required: true,
+    description: 'O material de destino (id da rota) não pode estar em "sourceIds".',
+    refine: (body, addError, req) => {
+        if (Array.isArray(body.sourceIds) && body.sourceIds.includes(parseInt(req.params.id, 10))) {
+            addError('sourceIds', 'invalid_value', 'O material de destino não pode estar em "sourceIds".');
+        }
+    }
+});
+
+const priceEntry = rules.object({
+    price: price({ required: true }),
+    source: rules.oneOf(PRICE_SOURCES, { required: true })
+}, { required: true });
+
+// Entrada de inventário informada em linha nas rotas de análise (quantidade pode ser zero ou fracionária).
+const inlineInventory = rules.array(rules.object({
+    material_name: rules.string({ required: true }),
+    quantity: rules.number({ required: true, min: 0 })
+}, { required: true }));
+
+// Estoque guardado no servidor: quantidades inteiras positivas.
+const stockEntries = (options = {}) => rules.array(rules.object({
+    material_name: rules.string({ required: true }),
+    quantity: positiveInteger({ required: true })
+}, { required: true }), options);
+
+const inventoryOrList = (listField, shape = {}) => rules.object({
+    [listField]: inlineInventory,
+    inventoryId: rules.integer(),
+    ...shape
+}, {
+    required: true,
+    description: `Informe "${listField}" ou "inventoryId".`,
+    refine: (body, addError) => requireOneOf(body, [listField, 'inventoryId'], addError)
+});
+
+const checkPossibilities = inventoryOrList('availableMaterials');
+const craftPlan = inventoryOrList('availableMaterials', { objective: rules.oneOf(PLAN_OBJECTIVES) });
+const analyzePotentialCrafts = inventoryOrList('userMaterials');
+
+const shoppingList = rules.object({
+    targets: rules.array(rules.object({
+        recipe_id: rules.integer(),
+        recipe_name: rules.string(),
+        quantity: rules.number({ exclusiveMin: 0 }),
+        crafts: positiveInteger()
+    }, {
+        required: true,
+        description: 'Informe "recipe_id" ou "recipe_name", e "quantity" (itens) ou "crafts".',
+        refine: (target, addError) => {
+            requireOneOf(target, ['recipe_id', 'recipe_name'], addError);
+            requireOneOf(target, ['quantity', 'crafts'], addError);
+        }
+    }), { required: true, minItems: 1 }),
+    userMaterials: inlineInventory,
+    inventoryId: rules.integer()
+}, { required: true });
+
+const craftExecute = rules.object({
+    inventoryId: rules.integer({ required: true }),
+    recipe_id: rules.integer(),
+    recipe_name: rules.string(),
+    crafts: positiveInteger()
+}, {
+    required: true,
+    description: 'Informe "recipe_id" ou "recipe_name".',
+    refine: (body, addError) => requireOneOf(body, ['recipe_id', 'recipe_name'], addError)
+});
+
+const inventoryCreate = rules.object({
+    name: rules.string({ required: true }),
+    materials: stockEntries()
+}, { required: true });
+
+const inventoryStockChange = rules.object({
+    materials: stockEntries({ required: true, minItems: 1 })
+}, { required: true });
+
+const ledgerEntry = rules.object({
+    type: rules.oneOf(LEDGER_ENTRY_TYPES, { required: true }),
+    material_id: positiveInteger(),
+    material_name: rules.string(),
+    recipe_id: rules.integer(),
+    recipe_name: rules.string(),
+    quantity: positiveInteger({ required: true }),
+    unit_price: price({ required: true }),
+    channel: rules.oneOf(PRICE_SOURCES, { required: true }),
+    occurred_at: rules.string({ description: 'Data (AAAA-MM-DD) ou data/hora ISO.' }),
+    inventoryId: rules.integer()
+}, {
+    required: true,
+    description: 'Compras exigem "material_id" ou "material_name"; vendas, "recipe_id" ou "recipe_name".',
+    refine: (body, addError) => {
+        if (body.type === 'purchase') { requireOneOf(body, ['material_id', 'material_name'], addError); }
+        if (body.type === 'sale') { requireOneOf(body, ['recipe_id', 'recipe_name'], addError); }
+        if (typeof body.occurred_at === 'string' && body.occurred_at.trim() && !toLedgerTimestamp(body.occurred_at)) {
+            addError('occurred_at', 'invalid_value', 'O campo "occurred_at" deve ser uma data (AAAA-MM-DD) ou data/hora ISO.');
+        }
+    }
+});
+
+const apiKeyCreate = rules.object({
+    name: rules.string({ required: true }),
+    role: rules.oneOf(ROLES, { required: true }),
+    workspace: rules.string({ description: 'Slug do único workspace acessível pela chave. Sem ele, a chave vale para todos.' })
+}, { required: true });
+
+const workspaceCreate = rules.object({
+    slug: rules.string({ required: true, description: 'Letras minúsculas, números e hífens (2 a 40 caracteres).' }),
+    name: rules.string({ required: true }),
+    visibility: rules.oneOf(WORKSPACE_VISIBILITIES)
+}, {
+    required: true,
+    refine: (body, addError) => {
+        if (typeof body.slug === 'string' && body.slug.trim() && !WORKSPACE_SLUG_PATTERN.test(body.slug.trim())) {
+            addError('slug', 'invalid_value', 'O campo "slug" deve ter de 2 a 40 letras minúsculas, números ou hífens, começando por letra ou número.');
+        }
+    }
+});
+
+const recipeFork = rules.object({
+    source: rules.string({ description: `Slug do workspace de origem (padrão: '${DEFAULT_WORKSPACE}').` }),
+    recipe_ids: rules.array(positiveInteger(), { minItems: 1, description: 'Ids das receitas na origem. Sem ele, todas.' })
+}, { required: true });
+
+module.exports = {
+    PLAN_OBJECTIVES,
+    recipeSchema,
+    schemas: {
+        recipe: recipeSchema(),
+        materialCreate, materialUpdate, materialMerge, priceEntry,
+        checkPossibilities, craftPlan, shoppingList, analyzePotentialCrafts, craftExecute,
+        inventoryCreate, inventoryStockChange, ledgerEntry, apiKeyCreate, workspaceCreate, recipeFork
+    }
+};
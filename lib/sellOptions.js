@@ -0,0 +1,113 @@
+/*
+  Arquivo: lib/sellOptions.js
+  Descrição: Decisão de venda de um item craftado: vender ao NPC, vender no mercado ou usá-lo como material
+  'profession' de outra receita.
+  - NPC: o preço NPC do item (livro de preços, com fallback para `npc_sell_price`), como em
+    `/api/items/most-profitable-npc`.
+  - Mercado: o preço informado na requisição ou, sem ele, o preço de mercado do livro; sem nenhum dos dois, a saída
+    fica indisponível.
+  - Ingrediente: o lucro marginal da melhor receita (ou variante) que usa o item como material 'profession'. Esses
+    materiais não têm custo no cálculo de lucro, então o lucro de um craft também paga os outros materiais
+    'profession' da receita: o valor deles (`other_inputs_value`, ver `professionInputValue`) sai do lucro antes de
+    dividi-lo pelas `quantity_per_craft` unidades do item:
+    `value_per_unit = (profit_per_craft - other_inputs_value) / quantity_per_craft`. Só crafts completos usam o
+    item; as sobras são vendidas ao NPC e entram no `total_value`. Vale o uso de maior valor total para a
+    quantidade pedida, que nem sempre é o de maior `value_per_unit` (ex: poucas unidades não completam um craft).
+  - As saídas disponíveis são ordenadas pelo valor total (no empate vale a ordem de `SELL_OUTLETS`); a primeira é a
+    recomendação.
+*/
+const { roundQuantity } = require('./recipeTree');
+const { resolveItemPrice, resolveMaterialPrice } = require('./pricing');
+const { variantReference } = require('./recipeVariants');
+
+const SELL_OUTLETS = ['npc', 'market', 'ingredient'];
+const MARKET_PRICE_ORIGINS = ['request', 'price_book'];
+
+// Quanto vale uma unidade de outro material 'profession' da receita, isto é, o que se deixa de ganhar ao usá-lo: o
+// preço de venda, se for um item craftado, ou o preço do livro de preços avaliado como o de um material comprado.
+function professionInputValue(index, mat, priceSource) {
+    const recipe = index.recipesByName.get(mat.material_name.toLowerCase());
+    if (recipe) { return resolveItemPrice(index.priceBook, recipe, priceSource).price; }
+    return resolveMaterialPrice(index.priceBook, { ...mat, material_type: 'buy' }, priceSource).price;
+}
+
+// Receitas (e variantes) do índice que usam `recipe` como material 'profession', da mais para a menos valiosa por
+// unidade do item. O lucro de cada craft usa os preços de `priceSource` (ver `computeRecipeProfit`).
+function findDownstreamUses(index, recipe, priceSource) {
+    const itemName = recipe.name.toLowerCase();
+    const ranking = index.profitRanking(priceSource);
+    const uses = [];
+    index.recipes.forEach(downstream => {
+        if (downstream.id === recipe.id) { return; }
+        ranking.get(downstream.id).forEach(({ variant, result }) => {
+            const professionMaterials = variant.materials.filter(mat => mat.material_type === 'profession');
+            const quantityPerCraft = professionMaterials
+                .filter(mat => mat.material_name.toLowerCase() === itemName)
+                .reduce((sum, mat) => sum + mat.quantity, 0);
+            if (quantityPerCraft <= 0) { return; }
+            const otherInputsValue = roundQuantity(professionMaterials
+                .filter(mat => mat.material_name.toLowerCase() !== itemName)
+                .reduce((sum, mat) => sum + mat.quantity * professionInputValue(index, mat, priceSource), 0));
+            uses.push({
+                recipe_id: downstream.id,
+                recipe_name: downstream.name,
+                ...variantReference(variant),
+                quantity_per_craft: quantityPerCraft,
+                quantity_produced: variant.quantity_produced,
+                profit_per_craft: result.profit,
+                other_inputs_value: otherInputsValue,
+                value_per_unit: roundQuantity((result.profit - otherInputsValue) / quantityPerCraft)
+            });
+        });
+    });
+    return uses.sort((a, b) => b.value_per_unit - a.value_per_unit);
+}
+
+const unavailable = (outlet) => ({ outlet, available: false, value_per_unit: null, total_value: null });
+
+// Compara as três saídas para `quantity` unidades do item. `marketPrice` é o preço informado na requisição (ou null)
+// e `downstreamUses` o resultado de `findDownstreamUses`.
+function compareSellOutlets({ recipe, quantity, priceBook, marketPrice, downstreamUses }) {
+    const npcPrice = resolveItemPrice(priceBook, recipe, 'npc').price;
+    const bookMarketPrice = (priceBook.items.get(recipe.id) || {}).market;
+    const market = marketPrice !== null
+        ? { price: marketPrice, origin: 'request' }
+        : (bookMarketPrice !== undefined ? { price: bookMarketPrice, origin: 'price_book' } : null);
+
+    const outlets = [{ outlet: 'npc', available: true, value_per_unit: npcPrice, total_value: roundQuantity(npcPrice * quantity) }];
+    outlets.push(market
+        ? { outlet: 'market', available: true, value_per_unit: market.price, total_value: roundQuantity(market.price * quantity), price_origin: market.origin }
+        : unavailable('market'));
+    const ingredient = downstreamUses
+        .map(use => {
+            const crafts = Math.floor(quantity / use.quantity_per_craft);
+            const leftover = roundQuantity(quantity - crafts * use.quantity_per_craft);
+            return {
+                outlet: 'ingredient',
+                available: true,
+                value_per_unit: use.value_per_unit,
+                total_value: roundQuantity(crafts * (use.profit_per_craft - use.other_inputs_value) + leftover * npcPrice),
+                recipe_id: use.recipe_id,
+                recipe_name: use.recipe_name,
+                variant_id: use.variant_id,
+                variant_name: use.variant_name,
+                crafts,
+                leftover_quantity: leftover,
+                leftover_value_npc: roundQuantity(leftover * npcPrice)
+            };
+        })
+        .reduce((best, option) => (!best || option.total_value > best.total_value ? option : best), null);
+    outlets.push(ingredient || unavailable('ingredient'));
+
+    const ranked = outlets.filter(outlet => outlet.available).sort((a, b) => b.total_value - a.total_value);
+    const bestValue = ranked[0].total_value;
+    return {
+        recommendation: ranked[0].outlet,
+        outlets: [
+            ...ranked.map((outlet, i) => ({ ...outlet, rank: i + 1, difference_from_best: roundQuantity(bestValue - outlet.total_value) })),
+            ...outlets.filter(outlet => !outlet.available).map(outlet => ({ ...outlet, rank: null, difference_from_best: null }))
+        ]
+    };
+}
+
+module.exports = { SELL_OUTLETS, MARKET_PRICE_ORIGINS, findDownstreamUses, compareSellOutlets };
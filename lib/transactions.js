@@ -0,0 +1,61 @@
+/*
+  Arquivo: lib/transactions.js
+  Descrição: Transações na conexão SQLite, que o app inteiro compartilha.
+  - Como a conexão é uma só, transações de requisições simultâneas se misturariam: o BEGIN de uma falha enquanto a
+    outra está aberta, e o COMMIT ou ROLLBACK de uma confirma ou desfaz também o que a outra já gravou.
+  - `runInTransaction(db, work, callback)` enfileira as transações de cada conexão: cada uma só começa (BEGIN)
+    depois que a anterior terminou (COMMIT ou ROLLBACK).
+  - `work(done)` faz as gravações e chama `done(err, ...results)` uma vez: sem erro confirma, com erro desfaz. O
+    callback recebe o erro (inclusive de BEGIN e COMMIT) ou os resultados, depois do fim da transação.
+  - `work` e o callback rodam no contexto de log de quem enfileirou a transação (ver `bindContext`).
+  - Toda gravação na conexão passa pela fila: um comando avulso fora dela cairia dentro da transação aberta de outra
+    requisição e seria desfeito com ela. `runQueuedStatement(db, sql, params, callback)` grava um único comando como
+    transação própria; o callback recebe `(err, { lastID, changes })`.
+  - `work` nunca deve enfileirar outra transação e esperar por ela: a fila só anda depois que `work` termina.
+*/
+const { bindContext } = require('./logger');
+
+const queues = new WeakMap();
+
+function runNext(db, queue) {
+    const transaction = queue.pending.shift();
+    if (!transaction) {
+        queue.running = false;
+        return;
+    }
+    queue.running = true;
+    const finish = (...args) => {
+        setImmediate(() => runNext(db, queue));
+        transaction.callback(...args);
+    };
+    db.run('BEGIN TRANSACTION', (err) => {
+        if (err) { return finish(err); }
+        let settled = false;
+        transaction.work((err, ...results) => {
+            if (settled) { return; }
+            settled = true;
+            if (err) { return db.run('ROLLBACK', () => finish(err, ...results)); }
+            db.run('COMMIT', (commitErr) => {
+                if (commitErr) { return db.run('ROLLBACK', () => finish(commitErr)); }
+                finish(null, ...results);
+            });
+        });
+    });
+}
+
+function runInTransaction(db, work, callback) {
+    if (!queues.has(db)) { queues.set(db, { running: false, pending: [] }); }
+    const queue = queues.get(db);
+    queue.pending.push({ work: bindContext(work), callback: bindContext(callback) });
+    if (!queue.running) { runNext(db, queue); }
+}
+
+function runQueuedStatement(db, sql, params, callback) {
+    runInTransaction(db, (done) => {
+        db.run(sql, params, function(err) {
+            done(err, err ? null : { lastID: this.lastID, changes: this.changes });
+        });
+    }, callback);
+}
+
+module.exports = { runInTransaction, runQueuedStatement };
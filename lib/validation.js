@@ -0,0 +1,137 @@
+/*
+  Arquivo: lib/validation.js
+  Descrição: Validação declarativa dos corpos das requisições, com erros por campo.
+  - Um schema é uma regra criada pelas funções de `rules` (ex: `rules.object({ name: rules.string({ required: true }) })`).
+    Cada regra recebe o valor, o caminho do campo (ex: "materials[0].quantity") e a função que acumula erros.
+  - Cada erro é `{ field, code, message }`. Códigos: required, invalid_type, too_small, too_large, too_short,
+    invalid_value, duplicate, self_reference, missing_one_of e not_found (material ausente do catálogo).
+  - `validateBody(schema)` é o middleware das rotas: responde 422 com `{ error, errors }` quando há erros.
+    Verificações que dependem de mais de um campo ficam no `refine` de `rules.object`, que também recebe a requisição.
+  - Cada regra também expõe `jsonSchema` (o equivalente em JSON Schema / OpenAPI 3.0), usado pelo documento
+    `/api/openapi.json`. O que só o `refine` verifica vai no `description` informado nas opções.
+*/
+
+const VALIDATION_CODES = ['required', 'invalid_type', 'too_small', 'too_large', 'too_short', 'invalid_value', 'duplicate', 'self_reference', 'missing_one_of', 'not_found'];
+
+const describeField = (field) => (field ? `O campo "${field}"` : 'O corpo da requisição');
+const joinPath = (parent, key) => (parent ? `${parent}.${key}` : key);
+
+// Trata ausência (undefined) e null conforme `required`/`nullable`. Retorna true se a regra deve parar aqui.
+function checkPresence(value, field, addError, options) {
+    if (value === undefined || (value === null && !options.nullable)) {
+        if (options.required || value === null) {
+            addError(field, 'required', `${describeField(field)} é obrigatório.`);
+        }
+        return true;
+    }
+    return value === null;
+}
+
+function checkRange(value, field, addError, options, unit = '') {
+    if (options.min !== undefined && value < options.min) {
+        addError(field, 'too_small', `${describeField(field)} deve ser maior ou igual a ${options.min}${unit}.`);
+    } else if (options.exclusiveMin !== undefined && value <= options.exclusiveMin) {
+        addError(field, 'too_small', `${describeField(field)} deve ser maior que ${options.exclusiveMin}${unit}.`);
+    } else if (options.max !== undefined && value > options.max) {
+        addError(field, 'too_large', `${describeField(field)} deve ser menor ou igual a ${options.max}${unit}.`);
+    }
+}
+
+// Anexa à regra o JSON Schema equivalente e se ela é obrigatória (para o `required` do objeto pai).
+function describeRule(rule, jsonSchema, options) {
+    rule.jsonSchema = Object.fromEntries(Object.entries({
+        ...jsonSchema,
+        nullable: options.nullable || undefined,
+        description: options.description
+    }).filter(([, value]) => value !== undefined));
+    rule.required = !!options.required;
+    return rule;
+}
+
+function rangeSchema(type, options) {
+    return {
+        type,
+        minimum: options.exclusiveMin !== undefined ? options.exclusiveMin : options.min,
+        exclusiveMinimum: options.exclusiveMin !== undefined ? true : undefined,
+        maximum: options.max
+    };
+}
+
+const rules = {
+    string(options = {}) {
+        return describeRule((value, field, addError) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (typeof value !== 'string') { return addError(field, 'invalid_type', `${describeField(field)} deve ser um texto.`); }
+            if (!options.allowEmpty && value.trim() === '') { addError(field, 'too_short', `${describeField(field)} não pode ser vazio.`); }
+        }, { type: 'string', minLength: options.allowEmpty ? undefined : 1 }, options);
+    },
+    number(options = {}) {
+        return describeRule((value, field, addError) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (typeof value !== 'number' || !Number.isFinite(value)) { return addError(field, 'invalid_type', `${describeField(field)} deve ser um número.`); }
+            checkRange(value, field, addError, options);
+        }, rangeSchema('number', options), options);
+    },
+    integer(options = {}) {
+        return describeRule((value, field, addError) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (!Number.isInteger(value)) { return addError(field, 'invalid_type', `${describeField(field)} deve ser um número inteiro.`); }
+            checkRange(value, field, addError, options);
+        }, rangeSchema('integer', options), options);
+    },
+    oneOf(values, options = {}) {
+        return describeRule((value, field, addError) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (!values.includes(value)) { addError(field, 'invalid_value', `Valor inválido para "${field}". Válidos: ${values.join(', ')}.`); }
+        }, { type: 'string', enum: values }, options);
+    },
+    array(itemRule, options = {}) {
+        return describeRule((value, field, addError, req) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (!Array.isArray(value)) { return addError(field, 'invalid_type', `${describeField(field)} deve ser um array.`); }
+            if (options.minItems !== undefined && value.length < options.minItems) {
+                return addError(field, 'too_short', `${describeField(field)} deve ter ao menos ${options.minItems} item(ns).`);
+            }
+            value.forEach((item, index) => itemRule(item, `${field}[${index}]`, addError, req));
+        }, { type: 'array', items: itemRule.jsonSchema, minItems: options.minItems }, options);
+    },
+    object(shape, options = {}) {
+        const required = Object.keys(shape).filter(key => shape[key].required);
+        const properties = Object.fromEntries(Object.entries(shape).map(([key, rule]) => [key, rule.jsonSchema]));
+        return describeRule((value, field, addError, req) => {
+            if (checkPresence(value, field, addError, options)) { return; }
+            if (typeof value !== 'object' || Array.isArray(value)) { return addError(field, 'invalid_type', `${describeField(field)} deve ser um objeto.`); }
+            Object.entries(shape).forEach(([key, rule]) => rule(value[key], joinPath(field, key), addError, req));
+            if (options.refine) {
+                options.refine(value, (key, code, message) => addError(key === null ? (field || null) : joinPath(field, key), code, message), req);
+            }
+        }, { type: 'object', properties, required: required.length > 0 ? required : undefined }, options);
+    }
+};
+
+// Exige que ao menos um dos campos esteja presente (para usar dentro de `refine`).
+function requireOneOf(value, keys, addError) {
+    if (keys.every(key => value[key] === undefined || value[key] === null)) {
+        addError(keys[0], 'missing_one_of', `Informe ${keys.map(key => `"${key}"`).join(' ou ')}.`);
+    }
+}
+
+function validate(schema, value, req) {
+    const errors = [];
+    schema(value, '', (field, code, message) => errors.push({ field: field || null, code, message }), req);
+    return errors;
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(422).json({ error: 'Dados inválidos.', errors });
+}
+
+function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = validate(schema, req.body, req);
+        if (errors.length > 0) { return sendValidationErrors(res, errors); }
+        next();
+    };
+}
+
+module.exports = { VALIDATION_CODES, rules, requireOneOf, validate, validateBody, sendValidationErrors };
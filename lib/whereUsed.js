@@ -0,0 +1,122 @@
+/*
+  Arquivo: lib/whereUsed.js
+  Descrição: Onde um material é usado ("where-used") e o impacto de uma mudança no seu preço.
+  - O grafo de receitas é percorrido de baixo para cima: das receitas que usam o material diretamente para as que
+    usam essas receitas como intermediário (material 'profession' com o nome da receita, a mesma regra de expansão
+    de `lib/recipeTree.js`).
+  - Cada variante de receita (ver `lib/recipeVariants.js`) que usa o material é uma entrada própria, com
+    `variant_id`/`variant_name`. Uma receita usada como intermediário é craftada pela variante principal (como em
+    `buildRecipeTree`), então só a entrada da principal segue para as receitas que a usam; já as receitas de cima
+    entram por qualquer variante que use o intermediário.
+  - `quantity_per_unit` é quanto do material cada unidade do item final consome, somando todos os caminhos e
+    escalando pelo `quantity_produced` de cada variante do caminho. Um caminho nunca passa duas vezes pela mesma
+    receita, então ciclos não se repetem.
+  - O impacto de preço compara o custo NPC da árvore completa da variante (como em `GET /api/items/:id/tree`) com o
+    preço atual e com o preço hipotético, por craft.
+*/
+const { indexRecipes, buildRecipeTree, flattenRecipeTree, roundQuantity } = require('./recipeTree');
+const { listRecipeVariants, variantReference } = require('./recipeVariants');
+
+// Variantes que usam cada receita como intermediário: Map(recipe_id -> [{ recipe, variant, quantity }]).
+function indexParentRecipes(recipes, index, variantsOf) {
+    const parentsByRecipe = new Map();
+    recipes.forEach(parent => variantsOf(parent).forEach(variant => {
+        variant.materials.forEach(mat => {
+            if (mat.material_type !== 'profession') { return; }
+            const child = index.recipesByName.get(mat.material_name.toLowerCase());
+            if (!child) { return; }
+            const parents = parentsByRecipe.get(child.id) || [];
+            parents.push({ recipe: parent, variant, quantity: mat.quantity });
+            parentsByRecipe.set(child.id, parents);
+        });
+    }));
+    return parentsByRecipe;
+}
+
+/*
+  Lista as receitas que dependem do material, direta (`depth` 0) ou transitivamente. Cada caminho informa as
+  receitas intermediárias em `via`, da mais próxima do material até a mais próxima do item final.
+  `variantsByRecipe` tem as variantes alternativas de cada receita, como em `listRecipeVariants`.
+*/
+function findWhereUsed(materialId, recipes, materials, variantsByRecipe = new Map()) {
+    const index = indexRecipes(recipes, materials);
+    const variantsOf = (recipe) => listRecipeVariants(recipe, index.materialsByRecipe.get(recipe.id), variantsByRecipe);
+    const parentsByRecipe = indexParentRecipes(recipes, index, variantsOf);
+    const usage = new Map();
+
+    const visit = (recipe, variant, quantityPerUnit, path) => {
+        const key = `${recipe.id}:${variant.id}`;
+        const entry = usage.get(key) || {
+            recipe_id: recipe.id, recipe_name: recipe.name, ...variantReference(variant), quantity_produced: variant.quantity_produced,
+            depth: path.length - 1, quantity_per_unit: 0, paths: []
+        };
+        entry.depth = Math.min(entry.depth, path.length - 1);
+        entry.quantity_per_unit += quantityPerUnit;
+        entry.paths.push({ via: path.slice(0, -1).map(r => r.name), quantity_per_unit: roundQuantity(quantityPerUnit) });
+        usage.set(key, entry);
+
+        if (variant.id !== null) { return; }
+        (parentsByRecipe.get(recipe.id) || []).forEach(({ recipe: parent, variant: parentVariant, quantity }) => {
+            if (path.includes(parent)) { return; }
+            visit(parent, parentVariant, quantityPerUnit * quantity / (parentVariant.quantity_produced || 1), [...path, parent]);
+        });
+    };
+    recipes.forEach(recipe => variantsOf(recipe).forEach(variant => {
+        variant.materials
+            .filter(mat => mat.material_id === materialId)
+            .forEach(mat => visit(recipe, variant, mat.quantity / (variant.quantity_produced || 1), [recipe]));
+    }));
+
+    return [...usage.values()].map(({ paths, ...entry }) => ({
+        ...entry,
+        quantity_per_unit: roundQuantity(entry.quantity_per_unit),
+        quantity_per_craft: roundQuantity(entry.quantity_per_unit * (entry.quantity_produced || 1)),
+        paths
+    })).sort((a, b) => a.depth - b.depth || a.recipe_name.localeCompare(b.recipe_name) || (a.variant_id || 0) - (b.variant_id || 0));
+}
+
+// Custo NPC de um craft da variante (nula para a principal), com a árvore completa.
+function treeNpcCost(recipe, index, variant) {
+    const quantity = (variant ? variant.quantity_produced : recipe.quantity_produced) || 1;
+    const { billOfMaterials } = flattenRecipeTree(buildRecipeTree(recipe, index, quantity, [], variant));
+    return billOfMaterials.reduce((sum, mat) => sum + mat.total_npc_cost, 0);
+}
+
+const findAlternativeVariant = (variantsByRecipe, recipeId, variantId) => (variantId === null
+    ? null
+    : (variantsByRecipe.get(recipeId) || []).find(variant => variant.id === variantId));
+
+const marginPercent = (profit, revenue) => (revenue > 0 ? roundQuantity((profit / revenue) * 100) : null);
+
+// Variação de custo e lucro NPC por craft de cada receita afetada se o material passar a custar `newPrice`.
+function buildPriceImpact(materialId, newPrice, recipes, materials, variantsByRecipe = new Map()) {
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    const reprice = (mat) => (mat.material_id === materialId ? { ...mat, default_npc_price: newPrice } : mat);
+    const repricedVariants = new Map([...variantsByRecipe].map(([recipeId, variants]) => [recipeId, variants.map(variant => ({ ...variant, materials: variant.materials.map(reprice) }))]));
+    const currentIndex = indexRecipes(recipes, materials);
+    const repricedIndex = indexRecipes(recipes, materials.map(reprice));
+
+    return findWhereUsed(materialId, recipes, materials, variantsByRecipe).map(({ paths, ...entry }) => {
+        const recipe = recipesById.get(entry.recipe_id);
+        const revenue = (recipe.npc_sell_price || 0) * (entry.quantity_produced || 1);
+        const costBefore = roundQuantity(treeNpcCost(recipe, currentIndex, findAlternativeVariant(variantsByRecipe, recipe.id, entry.variant_id)));
+        const costAfter = roundQuantity(treeNpcCost(recipe, repricedIndex, findAlternativeVariant(repricedVariants, recipe.id, entry.variant_id)));
+        const marginBefore = marginPercent(revenue - costBefore, revenue);
+        const marginAfter = marginPercent(revenue - costAfter, revenue);
+        return {
+            ...entry,
+            npc_revenue: revenue,
+            cost_before: costBefore,
+            cost_after: costAfter,
+            cost_change: roundQuantity(costAfter - costBefore),
+            profit_before: roundQuantity(revenue - costBefore),
+            profit_after: roundQuantity(revenue - costAfter),
+            profit_change: roundQuantity(costBefore - costAfter),
+            margin_percent_before: marginBefore,
+            margin_percent_after: marginAfter,
+            margin_change_points: marginBefore !== null ? roundQuantity(marginAfter - marginBefore) : null
+        };
+    }).sort((a, b) => Math.abs(b.profit_change) - Math.abs(a.profit_change) || a.recipe_name.localeCompare(b.recipe_name) || (a.variant_id || 0) - (b.variant_id || 0));
+}
+
+module.exports = { findWhereUsed, buildPriceImpact };
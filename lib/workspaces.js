@@ -0,0 +1,61 @@
+/*
+  Arquivo: lib/workspaces.js
+  Descrição: Workspaces: catálogos separados de receitas, materiais, preços, inventários e livro-caixa (ex: um por
+  guild), no mesmo banco.
+  - As rotas sob `WORKSPACE_SCOPED_PATHS` leem e gravam só no workspace indicado pelo cabeçalho `X-Workspace` (o
+    slug) ou, para clientes que não enviam cabeçalhos (ex: EventSource), pelo parâmetro `?workspace=`. Sem eles,
+    valem para o workspace 'public', o catálogo compartilhado que já existia antes dos workspaces.
+  - `resolveWorkspace(db)` é o middleware dessas rotas: coloca o workspace em `req.workspace` e responde 404 para um
+    slug desconhecido. Workspaces 'private' exigem, já na leitura, uma chave de API com acesso a eles (401/403).
+  - Uma chave de API com `workspace_id` só tem acesso ao próprio workspace; sem ele (NULL), a todos.
+*/
+const { extractApiKey, findActiveApiKey } = require('./auth');
+const { logger } = require('./logger');
+
+const DEFAULT_WORKSPACE = 'public';
+const WORKSPACE_HEADER = 'X-Workspace';
+const WORKSPACE_VISIBILITIES = ['public', 'private'];
+const WORKSPACE_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const WORKSPACE_SCOPED_PATHS = [
+    '/api/items', '/api/materials', '/api/prices', '/api/crafting', '/api/inventories',
+    '/api/ledger', '/api/reports', '/api/export', '/api/import', '/api/events'
+];
+
+const canAccessWorkspace = (apiKey, workspace) => apiKey.workspace_id === null || apiKey.workspace_id === workspace.id;
+
+function findWorkspace(db, slug, callback) {
+    const sql = "SELECT id, slug, name, visibility, created_by, created_at FROM workspaces WHERE slug = ?";
+    db.get(sql, [String(slug).trim()], callback);
+}
+
+function resolveWorkspace(db) {
+    return (req, res, next) => {
+        const slug = String(req.get(WORKSPACE_HEADER) || req.query.workspace || DEFAULT_WORKSPACE).trim();
+        findWorkspace(db, slug, (err, workspace) => {
+            if (err) {
+                logger.error("Erro ao buscar workspace", { workspace: slug, error: err.message });
+                return res.status(500).json({ error: 'Erro interno do servidor ao buscar workspace.' });
+            }
+            if (!workspace) { return res.status(404).json({ error: `Workspace "${slug}" não encontrado.` }); }
+            req.workspace = workspace;
+            if (workspace.visibility === 'public') { return next(); }
+
+            const key = extractApiKey(req);
+            if (!key) { return res.status(401).json({ error: `O workspace "${workspace.slug}" é privado. Envie uma chave de API com acesso a ele.` }); }
+            findActiveApiKey(db, key, (err, apiKey) => {
+                if (err) {
+                    logger.error("Erro ao validar chave de API", { error: err.message });
+                    return res.status(500).json({ error: 'Erro interno do servidor ao validar chave de API.' });
+                }
+                if (!apiKey) { return res.status(401).json({ error: 'Chave de API inválida ou revogada.' }); }
+                if (!canAccessWorkspace(apiKey, workspace)) { return res.status(403).json({ error: `Esta chave de API não tem acesso ao workspace "${workspace.slug}".` }); }
+                next();
+            });
+        });
+    };
+}
+
+module.exports = {
+    DEFAULT_WORKSPACE, WORKSPACE_HEADER, WORKSPACE_VISIBILITIES, WORKSPACE_SLUG_PATTERN, WORKSPACE_SCOPED_PATHS,
+    canAccessWorkspace, findWorkspace, resolveWorkspace
+};
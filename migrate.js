@@ -0,0 +1,53 @@
+/*
+  Arquivo: migrate.js
+  Descrição: Linha de comando para as migrações do banco de dados (ver `lib/migrations.js`).
+  Uso:
+  - node migrate.js up      Aplica todas as migrações pendentes (npm run migrate).
+  - node migrate.js status  Lista as migrações e quando cada uma foi aplicada (npm run migrate:status).
+  O arquivo do banco é o mesmo usado pelo servidor; a variável de ambiente DB_FILE permite apontar para outro.
+*/
+const sqlite3 = require('sqlite3').verbose();
+const { DEFAULT_DB_FILE } = require('./lib/database');
+const { getMigrationStatus, runMigrations } = require('./lib/migrations');
+
+const DB_FILE = process.env.DB_FILE || DEFAULT_DB_FILE;
+const command = process.argv[2] || 'status';
+
+const commands = {
+    up(db, done) {
+        runMigrations(db, (err, applied) => {
+            if (applied && applied.length > 0) { applied.forEach(file => console.log(`Aplicada: ${file}`)); }
+            if (err) { return done(err); }
+            if (applied.length === 0) { console.log("Nenhuma migração pendente."); }
+            done();
+        });
+    },
+    status(db, done) {
+        getMigrationStatus(db, (err, status) => {
+            if (err) { return done(err); }
+            status.forEach(migration => {
+                console.log(`${migration.applied_at ? '[x]' : '[ ]'} ${migration.file}${migration.applied_at ? ` (aplicada em ${migration.applied_at})` : ''}`);
+            });
+            const pendingCount = status.filter(migration => !migration.applied_at).length;
+            console.log(pendingCount === 0 ? "Banco de dados atualizado." : `${pendingCount} migração(ões) pendente(s).`);
+            done();
+        });
+    }
+};
+
+if (!commands[command]) {
+    console.error(`Comando desconhecido: ${command}. Use "up" ou "status".`);
+    process.exit(1);
+}
+
+console.log(`Banco de dados: ${DB_FILE}`);
+const db = new sqlite3.Database(DB_FILE, (err) => {
+    if (err) {
+        console.error("Erro ao conectar ao banco de dados SQLite:", err.message);
+        process.exit(1);
+    }
+    commands[command](db, (err) => {
+        if (err) { console.error(err.message); }
+        db.close(() => process.exit(err ? 1 : 0));
+    });
+});
@@ -0,0 +1,20 @@
+-- Livro de preços: preços de compra de materiais informados pelos jogadores, por origem
+CREATE TABLE IF NOT EXISTS material_prices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    material_name TEXT NOT NULL COLLATE NOCASE,
+    source TEXT NOT NULL CHECK(source IN ('npc', 'market')), -- Origem do preço
+    price INTEGER NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (material_name, source)
+);
+
+-- Livro de preços: preços de venda (por unidade) dos itens craftados, por origem
+CREATE TABLE IF NOT EXISTS item_prices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipe_id INTEGER NOT NULL,
+    source TEXT NOT NULL CHECK(source IN ('npc', 'market')),
+    price INTEGER NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (recipe_id, source),
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+);
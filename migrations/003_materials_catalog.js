@@ -0,0 +1,87 @@
+/*
+  Migração 003: catálogo de materiais.
+  Cria as tabelas `materials` e `material_aliases` e, em bancos em que `recipe_materials` ainda guarda o nome do
+  material em texto livre, converte cada nome distinto (sem diferenciar maiúsculas/minúsculas) em um material:
+  - o nome canônico é a grafia da linha mais antiga;
+  - o tipo é o mais usado entre as linhas (empate: o da linha mais antiga);
+  - o preço de referência é o maior `default_npc_price` encontrado.
+  Antes disso são descartadas as linhas de receitas que não existem mais (o schema antigo não apagava os materiais de
+  uma receita excluída): elas criariam materiais fantasmas e passariam para a próxima receita que recebesse o id.
+  Em seguida `recipe_materials` é reconstruída apontando para `materials` por `material_id`, mantendo o contador
+  AUTOINCREMENT (a reconstrução o reduziria ao maior id restante).
+  É uma migração em JS porque a conversão só deve rodar quando a coluna `material_name` existe.
+*/
+
+const CATALOG_TABLES_SQL = `
+CREATE TABLE IF NOT EXISTS materials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,      -- Nome canônico do material
+    -- Tipo: 'profession' (sem custo inputável), 'drop' (tem preço NPC/Market), 'buy' (idem)
+    material_type TEXT NOT NULL CHECK(material_type IN ('profession', 'drop', 'buy')),
+    -- Preço padrão de referência NPC para este material (se aplicável)
+    default_npc_price INTEGER DEFAULT 0
+);
+
+-- Nomes alternativos que resolvem para um material do catálogo (ex: grafias antigas ou materiais mesclados)
+CREATE TABLE IF NOT EXISTS material_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    material_id INTEGER NOT NULL,
+    alias TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+);
+`;
+
+const CONVERT_LEGACY_SQL = `
+DELETE FROM recipe_materials WHERE recipe_id NOT IN (SELECT id FROM recipes);
+
+CREATE TEMP TABLE saved_sequences AS SELECT name, seq FROM sqlite_sequence WHERE name = 'recipe_materials';
+
+INSERT OR IGNORE INTO materials (name, material_type, default_npc_price)
+SELECT TRIM(rm.material_name),
+       (SELECT t.material_type FROM recipe_materials t
+         WHERE LOWER(TRIM(t.material_name)) = LOWER(TRIM(rm.material_name))
+         GROUP BY t.material_type ORDER BY COUNT(*) DESC, MIN(t.id) ASC LIMIT 1),
+       (SELECT MAX(COALESCE(p.default_npc_price, 0)) FROM recipe_materials p
+         WHERE LOWER(TRIM(p.material_name)) = LOWER(TRIM(rm.material_name)))
+FROM recipe_materials rm
+WHERE rm.id = (SELECT MIN(f.id) FROM recipe_materials f WHERE LOWER(TRIM(f.material_name)) = LOWER(TRIM(rm.material_name)))
+ORDER BY rm.id;
+
+CREATE TABLE recipe_materials_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipe_id INTEGER NOT NULL,
+    material_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,                     -- Quantidade para a 'quantity_produced' da receita base
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE, -- Se a receita for deletada, seus materiais também são
+    FOREIGN KEY (material_id) REFERENCES materials(id)
+);
+
+INSERT INTO recipe_materials_new (id, recipe_id, material_id, quantity)
+SELECT rm.id, rm.recipe_id, m.id, rm.quantity
+FROM recipe_materials rm JOIN materials m ON m.name = TRIM(rm.material_name);
+
+DROP TABLE recipe_materials;
+ALTER TABLE recipe_materials_new RENAME TO recipe_materials;
+
+UPDATE sqlite_sequence SET seq = MAX(seq, (SELECT s.seq FROM saved_sequences s WHERE s.name = sqlite_sequence.name))
+WHERE name IN (SELECT name FROM saved_sequences);
+INSERT INTO sqlite_sequence (name, seq)
+SELECT s.name, s.seq FROM saved_sequences s WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence q WHERE q.name = s.name);
+DROP TABLE saved_sequences;
+`;
+
+const INDEXES_SQL = `
+CREATE INDEX IF NOT EXISTS idx_recipe_materials_recipe_id ON recipe_materials (recipe_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_materials_material_id ON recipe_materials (material_id);
+CREATE INDEX IF NOT EXISTS idx_material_aliases_material_id ON material_aliases (material_id);
+`;
+
+function up(db, callback) {
+    db.all("PRAGMA table_info(recipe_materials)", [], (err, columns) => {
+        if (err) { return callback(err); }
+        const isLegacy = columns.some(col => col.name === 'material_name');
+        db.exec(CATALOG_TABLES_SQL + (isLegacy ? CONVERT_LEGACY_SQL : '') + INDEXES_SQL, callback);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,13 @@
+-- Histórico de alterações das receitas: cada criação, atualização, exclusão ou restauração gera uma revisão
+-- com o estado da receita (e seus materiais) ANTES da alteração, em JSON. Na criação não há estado anterior.
+-- Não há chave estrangeira para `recipes` para que o histórico de receitas excluídas seja preservado.
+CREATE TABLE IF NOT EXISTS recipe_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipe_id INTEGER NOT NULL,
+    revision INTEGER NOT NULL,                     -- Sequencial por receita, começando em 1
+    action TEXT NOT NULL CHECK(action IN ('create', 'update', 'delete', 'restore')),
+    snapshot TEXT,                                 -- JSON: { name, quantity_produced, npc_sell_price, materials: [...] }
+    actor TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (recipe_id, revision)
+);
@@ -0,0 +1,12 @@
+-- Chaves de API para autenticação das rotas de escrita. Apenas o hash SHA-256 da chave é guardado;
+-- o prefixo serve para identificar a chave em listagens sem expor o valor completo.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,                            -- Identificação do dono da chave (usada como autor no histórico)
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    role TEXT NOT NULL CHECK(role IN ('viewer', 'editor', 'admin')),
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    last_used_at TEXT,
+    revoked_at TEXT
+);
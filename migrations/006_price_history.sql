@@ -0,0 +1,88 @@
+-- Histórico de preços: cada observação de preço de um material ou item, com data.
+-- Origens: 'reference' (default_npc_price do catálogo / npc_sell_price da receita) e as origens do livro de preços
+-- ('npc', 'market'). Preço NULL indica que o preço do livro foi removido naquele momento.
+-- Não há chave estrangeira para que o histórico de itens excluídos e materiais mesclados seja preservado.
+CREATE TABLE IF NOT EXISTS price_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    subject_type TEXT NOT NULL CHECK(subject_type IN ('material', 'item')),
+    subject_id INTEGER NOT NULL,                   -- materials.id ou recipes.id
+    source TEXT NOT NULL CHECK(source IN ('reference', 'npc', 'market')),
+    price INTEGER,
+    observed_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_subject ON price_history (subject_type, subject_id, observed_at);
+
+-- Os preços são registrados por triggers para que toda forma de escrita (rotas, importação, restauração,
+-- linha de comando) gere histórico. Preços de referência só geram observação quando mudam; o livro de preços
+-- gera observação a cada gravação, pois o jogador está confirmando o preço naquele momento.
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_insert AFTER INSERT ON materials
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('material', NEW.id, 'reference', NEW.default_npc_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_update AFTER UPDATE OF default_npc_price ON materials
+WHEN OLD.default_npc_price IS NOT NEW.default_npc_price
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('material', NEW.id, 'reference', NEW.default_npc_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_recipe_insert AFTER INSERT ON recipes
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.id, 'reference', NEW.npc_sell_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_recipe_update AFTER UPDATE OF npc_sell_price ON recipes
+WHEN OLD.npc_sell_price IS NOT NEW.npc_sell_price
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.id, 'reference', NEW.npc_sell_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_insert AFTER INSERT ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE name = NEW.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE name = NEW.material_name), NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_update AFTER UPDATE OF price, updated_at ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE name = NEW.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE name = NEW.material_name), NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_delete AFTER DELETE ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE name = OLD.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE name = OLD.material_name), OLD.source, NULL);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_item_price_insert AFTER INSERT ON item_prices
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.recipe_id, NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_item_price_update AFTER UPDATE OF price, updated_at ON item_prices
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.recipe_id, NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_item_price_delete AFTER DELETE ON item_prices
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', OLD.recipe_id, OLD.source, NULL);
+END;
+
+-- Preços já existentes viram a primeira observação de cada série.
+INSERT INTO price_history (subject_type, subject_id, source, price)
+SELECT 'material', id, 'reference', default_npc_price FROM materials;
+
+INSERT INTO price_history (subject_type, subject_id, source, price)
+SELECT 'item', id, 'reference', npc_sell_price FROM recipes;
+
+INSERT INTO price_history (subject_type, subject_id, source, price, observed_at)
+SELECT 'material', m.id, mp.source, mp.price, mp.updated_at FROM material_prices mp JOIN materials m ON m.name = mp.material_name;
+
+INSERT INTO price_history (subject_type, subject_id, source, price, observed_at)
+SELECT 'item', recipe_id, source, price, updated_at FROM item_prices;
@@ -0,0 +1,6 @@
+-- Metadados de craft das receitas (todos opcionais)
+ALTER TABLE recipes ADD COLUMN craft_duration_seconds INTEGER;   -- Duração de um craft da receita base, em segundos
+ALTER TABLE recipes ADD COLUMN profession TEXT COLLATE NOCASE;   -- Profissão exigida (NULL: qualquer profissão)
+ALTER TABLE recipes ADD COLUMN min_profession_level INTEGER;     -- Nível mínimo da profissão (NULL: qualquer nível)
+
+CREATE INDEX IF NOT EXISTS idx_recipes_profession ON recipes (profession, min_profession_level);
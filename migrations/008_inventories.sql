@@ -0,0 +1,33 @@
+-- Inventários nomeados guardados no servidor (ex: "Banco da guild", "Mochila do Ash")
+CREATE TABLE IF NOT EXISTS inventories (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    created_by TEXT NOT NULL,                      -- Nome da chave de API que criou o inventário
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Estoque de cada inventário: materiais e itens craftados, pelo nome (materiais usam o nome canônico do catálogo)
+CREATE TABLE IF NOT EXISTS inventory_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    inventory_id INTEGER NOT NULL,
+    item_name TEXT NOT NULL COLLATE NOCASE,
+    quantity INTEGER NOT NULL CHECK(quantity >= 0),       -- Linhas zeradas são removidas ao retirar estoque
+    UNIQUE (inventory_id, item_name),
+    FOREIGN KEY (inventory_id) REFERENCES inventories(id) ON DELETE CASCADE
+);
+
+-- Registro de cada execução de craft: o que foi consumido e produzido em qual inventário
+CREATE TABLE IF NOT EXISTS craft_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    inventory_id INTEGER NOT NULL,
+    recipe_id INTEGER NOT NULL,                    -- Sem chave estrangeira: o registro sobrevive à exclusão da receita
+    recipe_name TEXT NOT NULL,
+    crafts INTEGER NOT NULL,
+    quantity_produced INTEGER NOT NULL,            -- Total de unidades produzidas (crafts * quantity_produced)
+    materials_consumed TEXT NOT NULL,              -- JSON: [{ material_name, quantity }]
+    actor TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (inventory_id) REFERENCES inventories(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_craft_log_inventory ON craft_log (inventory_id, created_at);
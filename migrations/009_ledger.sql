@@ -0,0 +1,20 @@
+-- Livro-caixa: compras reais de materiais e vendas reais de itens craftados
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entry_type TEXT NOT NULL CHECK(entry_type IN ('purchase', 'sale')),
+    material_id INTEGER,                           -- Compra: material do catálogo
+    recipe_id INTEGER,                             -- Venda: receita do item vendido (sem chave estrangeira, o registro sobrevive à exclusão)
+    item_name TEXT NOT NULL,                       -- Nome do material ou item no momento do registro
+    quantity INTEGER NOT NULL CHECK(quantity > 0),
+    unit_price INTEGER NOT NULL CHECK(unit_price >= 0),
+    channel TEXT NOT NULL CHECK(channel IN ('npc', 'market')),
+    inventory_id INTEGER,                          -- Inventário cujo estoque foi ajustado, se informado
+    occurred_at TEXT NOT NULL,                     -- Quando a compra/venda aconteceu (UTC)
+    recorded_by TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    CHECK ((entry_type = 'purchase' AND material_id IS NOT NULL) OR (entry_type = 'sale' AND recipe_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_occurred_at ON ledger_entries (occurred_at);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_material ON ledger_entries (material_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_recipe ON ledger_entries (recipe_id);
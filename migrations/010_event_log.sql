@@ -0,0 +1,7 @@
+-- Registro curto dos eventos publicados em GET /api/events, para retomar a conexão com Last-Event-ID
+CREATE TABLE IF NOT EXISTS event_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,          -- Também é o `id` do evento enviado ao cliente
+    event_type TEXT NOT NULL,                      -- Ex: recipe.created, recipe.updated, recipe.deleted, price.changed
+    payload TEXT NOT NULL,                         -- JSON do evento
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
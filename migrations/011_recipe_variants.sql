@@ -0,0 +1,23 @@
+-- Variantes de receita: conjuntos alternativos de materiais para o mesmo item. Os materiais da própria receita
+-- (`recipe_materials`) continuam sendo a variante principal; cada linha aqui é uma alternativa nomeada.
+CREATE TABLE IF NOT EXISTS recipe_variants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipe_id INTEGER NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,             -- Nome da variante, único na receita (ex: "Com Carvão")
+    quantity_produced INTEGER NOT NULL DEFAULT 1,  -- Quantidade produzida por craft desta variante
+    UNIQUE (recipe_id, name),
+    FOREIGN KEY (recipe_id) REFERENCES recipes(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS recipe_variant_materials (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    variant_id INTEGER NOT NULL,
+    material_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL,                     -- Quantidade para a 'quantity_produced' da variante
+    FOREIGN KEY (variant_id) REFERENCES recipe_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (material_id) REFERENCES materials(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_variants_recipe_id ON recipe_variants (recipe_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_variant_materials_variant_id ON recipe_variant_materials (variant_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_variant_materials_material_id ON recipe_variant_materials (material_id);
@@ -0,0 +1,163 @@
+-- Workspaces: catálogos de receitas, materiais e preços separados (ex: uma guild). O workspace 1, 'public', é o
+-- catálogo compartilhado e recebe todos os dados existentes. Receitas, variantes e preços de itens ficam no
+-- workspace da receita; os ids continuam globais.
+CREATE TABLE IF NOT EXISTS workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT NOT NULL UNIQUE COLLATE NOCASE,      -- Identificador usado no cabeçalho X-Workspace (ex: "guild-aurora")
+    name TEXT NOT NULL,
+    -- 'public': leitura aberta, como antes; 'private': leitura e escrita só com chaves de API com acesso
+    visibility TEXT NOT NULL DEFAULT 'private' CHECK(visibility IN ('public', 'private')),
+    created_by TEXT NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+INSERT INTO workspaces (id, slug, name, visibility, created_by) VALUES (1, 'public', 'Catálogo público', 'public', 'migration');
+
+-- As tabelas reconstruídas abaixo recebem os ids antigos, o que reduziria o contador AUTOINCREMENT de cada uma ao
+-- maior id restante: ids de receitas excluídas seriam reaproveitados e herdariam o histórico e os preços delas. Os
+-- contadores são guardados aqui e restaurados no fim.
+CREATE TEMP TABLE saved_sequences AS
+SELECT name, seq FROM sqlite_sequence WHERE name IN ('recipes', 'materials', 'material_aliases', 'material_prices', 'inventories');
+
+-- Os triggers de histórico de preços são recriados no fim, junto com as tabelas que agora levam o workspace.
+DROP TRIGGER IF EXISTS trg_price_history_material_insert;
+DROP TRIGGER IF EXISTS trg_price_history_material_update;
+DROP TRIGGER IF EXISTS trg_price_history_recipe_insert;
+DROP TRIGGER IF EXISTS trg_price_history_recipe_update;
+DROP TRIGGER IF EXISTS trg_price_history_material_price_insert;
+DROP TRIGGER IF EXISTS trg_price_history_material_price_update;
+DROP TRIGGER IF EXISTS trg_price_history_material_price_delete;
+
+-- Nomes de receitas, materiais, aliases, preços de materiais e inventários passam a ser únicos por workspace.
+CREATE TABLE recipes_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL DEFAULT 1,
+    name TEXT NOT NULL,                            -- Nome do item/pack (ex: "100 Nightmare Medium Potion")
+    quantity_produced INTEGER NOT NULL DEFAULT 1,  -- Quantidade produzida pela receita base
+    npc_sell_price INTEGER DEFAULT 0,              -- Preço de venda do item final para o NPC (pelo pack/receita)
+    craft_duration_seconds INTEGER,                -- Duração de um craft da receita base, em segundos
+    profession TEXT COLLATE NOCASE,                -- Profissão exigida (NULL: qualquer profissão)
+    min_profession_level INTEGER,                  -- Nível mínimo da profissão (NULL: qualquer nível)
+    UNIQUE (workspace_id, name),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+);
+INSERT INTO recipes_new (id, name, quantity_produced, npc_sell_price, craft_duration_seconds, profession, min_profession_level)
+SELECT id, name, quantity_produced, npc_sell_price, craft_duration_seconds, profession, min_profession_level FROM recipes;
+DROP TABLE recipes;
+ALTER TABLE recipes_new RENAME TO recipes;
+
+CREATE TABLE materials_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL DEFAULT 1,
+    name TEXT NOT NULL COLLATE NOCASE,             -- Nome canônico do material
+    -- Tipo: 'profession' (sem custo inputável), 'drop' (tem preço NPC/Market), 'buy' (idem)
+    material_type TEXT NOT NULL CHECK(material_type IN ('profession', 'drop', 'buy')),
+    -- Preço padrão de referência NPC para este material (se aplicável)
+    default_npc_price INTEGER DEFAULT 0,
+    UNIQUE (workspace_id, name),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+);
+INSERT INTO materials_new (id, name, material_type, default_npc_price) SELECT id, name, material_type, default_npc_price FROM materials;
+DROP TABLE materials;
+ALTER TABLE materials_new RENAME TO materials;
+
+CREATE TABLE material_aliases_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL DEFAULT 1,       -- O mesmo do material
+    material_id INTEGER NOT NULL,
+    alias TEXT NOT NULL COLLATE NOCASE,
+    UNIQUE (workspace_id, alias),
+    FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+);
+INSERT INTO material_aliases_new (id, material_id, alias) SELECT id, material_id, alias FROM material_aliases;
+DROP TABLE material_aliases;
+ALTER TABLE material_aliases_new RENAME TO material_aliases;
+
+CREATE TABLE material_prices_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL DEFAULT 1,
+    material_name TEXT NOT NULL COLLATE NOCASE,
+    source TEXT NOT NULL CHECK(source IN ('npc', 'market')), -- Origem do preço
+    price INTEGER NOT NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (workspace_id, material_name, source),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+);
+INSERT INTO material_prices_new (id, material_name, source, price, updated_at) SELECT id, material_name, source, price, updated_at FROM material_prices;
+DROP TABLE material_prices;
+ALTER TABLE material_prices_new RENAME TO material_prices;
+
+CREATE TABLE inventories_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL DEFAULT 1,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created_by TEXT NOT NULL,                      -- Nome da chave de API que criou o inventário
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (workspace_id, name),
+    FOREIGN KEY (workspace_id) REFERENCES workspaces(id)
+);
+INSERT INTO inventories_new (id, name, created_by, created_at) SELECT id, name, created_by, created_at FROM inventories;
+DROP TABLE inventories;
+ALTER TABLE inventories_new RENAME TO inventories;
+
+-- Registros que sobrevivem à exclusão da receita guardam o próprio workspace.
+ALTER TABLE recipe_history ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE ledger_entries ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE event_log ADD COLUMN workspace_id INTEGER NOT NULL DEFAULT 1;
+-- Chave limitada a um workspace; NULL vale para todos (como as chaves criadas antes dos workspaces).
+ALTER TABLE api_keys ADD COLUMN workspace_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_recipes_profession ON recipes (profession, min_profession_level);
+CREATE INDEX IF NOT EXISTS idx_material_aliases_material_id ON material_aliases (material_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_history_workspace ON recipe_history (workspace_id, recipe_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_workspace ON ledger_entries (workspace_id, occurred_at);
+
+UPDATE sqlite_sequence SET seq = MAX(seq, (SELECT s.seq FROM saved_sequences s WHERE s.name = sqlite_sequence.name))
+WHERE name IN (SELECT name FROM saved_sequences);
+INSERT INTO sqlite_sequence (name, seq)
+SELECT s.name, s.seq FROM saved_sequences s WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence q WHERE q.name = s.name);
+DROP TABLE saved_sequences;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_insert AFTER INSERT ON materials
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('material', NEW.id, 'reference', NEW.default_npc_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_update AFTER UPDATE OF default_npc_price ON materials
+WHEN OLD.default_npc_price IS NOT NEW.default_npc_price
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('material', NEW.id, 'reference', NEW.default_npc_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_recipe_insert AFTER INSERT ON recipes
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.id, 'reference', NEW.npc_sell_price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_recipe_update AFTER UPDATE OF npc_sell_price ON recipes
+WHEN OLD.npc_sell_price IS NOT NEW.npc_sell_price
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', NEW.id, 'reference', NEW.npc_sell_price);
+END;
+
+-- O livro de preços de materiais é indexado pelo nome, que só identifica o material dentro do workspace.
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_insert AFTER INSERT ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE workspace_id = NEW.workspace_id AND name = NEW.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE workspace_id = NEW.workspace_id AND name = NEW.material_name), NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_update AFTER UPDATE OF price, updated_at ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE workspace_id = NEW.workspace_id AND name = NEW.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE workspace_id = NEW.workspace_id AND name = NEW.material_name), NEW.source, NEW.price);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_price_history_material_price_delete AFTER DELETE ON material_prices
+WHEN EXISTS (SELECT 1 FROM materials WHERE workspace_id = OLD.workspace_id AND name = OLD.material_name)
+BEGIN
+    INSERT INTO price_history (subject_type, subject_id, source, price)
+    VALUES ('material', (SELECT id FROM materials WHERE workspace_id = OLD.workspace_id AND name = OLD.material_name), OLD.source, NULL);
+END;
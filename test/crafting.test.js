@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+describe('endpoints de crafting', () => {
+    let api;
+    const checkPossibilities = async (body) => {
+        const response = await api.request('POST', '/api/crafting/check-possibilities', { body });
+        assert.equal(response.status, 200);
+        return response.body;
+    };
+    const analyze = async (body) => {
+        const response = await api.request('POST', '/api/crafting/analyze-potential-crafts', { body });
+        assert.equal(response.status, 200);
+        return response.body;
+    };
+
+    before(async () => {
+        api = await startTestServer();
+        await createRecipe(api, {
+            name: 'Barra',
+            quantity_produced: 2,
+            materials: [
+                { material_name: 'Minerio', material_type: 'buy', quantity: 3 },
+                { material_name: 'Carvao', material_type: 'drop', quantity: 1 }
+            ]
+        });
+        await createRecipe(api, { name: 'Pepita', materials: [{ material_name: 'Minerio', quantity: 1 }] });
+        await createRecipe(api, { name: 'Kit', materials: [{ material_name: 'Barra', material_type: 'profession', quantity: 2 }] });
+        await createRecipe(api, { name: 'Brinde', quantity_produced: 5, materials: [] });
+    });
+    after(() => api.close());
+
+    describe('POST /api/crafting/check-possibilities', () => {
+        it('calcula o máximo de crafts pelo material limitante e ordena do maior para o menor', async () => {
+            const result = await checkPossibilities({ availableMaterials: [{ material_name: 'Minerio', quantity: 10 }, { material_name: 'Carvao', quantity: 2 }] });
+            assert.deepEqual(result.map(r => [r.recipe_name, r.max_crafts_possible, r.total_items_producible]), [
+                ['Brinde', null, null],
+                ['Pepita', 10, 10],
+                ['Barra', 2, 4]
+            ]);
+            const barra = result.find(r => r.recipe_name === 'Barra');
+            assert.equal(barra.unbounded, false);
+            assert.deepEqual(barra.materials_needed.map(m => [m.material_name, m.total_quantity_needed_for_max_crafts, m.user_has_quantity]).sort(), [
+                ['Carvao', 2, 2],
+                ['Minerio', 6, 10]
+            ]);
+        });
+
+        it('receitas sem materiais aparecem como ilimitadas (null), nunca como Infinity', async () => {
+            const response = await api.request('POST', '/api/crafting/check-possibilities', { body: { availableMaterials: [] } });
+            assert.equal(response.status, 200);
+            const capacity = { quantity_produced_per_craft: 5, max_crafts_possible: null, unbounded: true, total_items_producible: null };
+            assert.deepEqual(response.body, [{
+                recipe_id: response.body[0].recipe_id,
+                recipe_name: 'Brinde',
+                variant_id: null,
+                variant_name: 'Principal',
+                ...capacity,
+                materials_needed: [],
+                variants: [{ variant_id: null, variant_name: 'Principal', ...capacity }]
+            }]);
+        });
+
+        it('soma entradas repetidas sem diferenciar maiúsculas e ignora quantidades insuficientes', async () => {
+            const result = await checkPossibilities({
+                availableMaterials: [{ material_name: 'minerio', quantity: 5 }, { material_name: 'MINERIO', quantity: 4 }, { material_name: 'carvao', quantity: 5 }]
+            });
+            assert.equal(result.find(r => r.recipe_name === 'Barra').max_crafts_possible, 3);
+            assert.equal(result.find(r => r.recipe_name === 'Pepita').max_crafts_possible, 9);
+
+            const short = await checkPossibilities({ availableMaterials: [{ material_name: 'Minerio', quantity: 2.5 }, { material_name: 'Carvao', quantity: 0 }] });
+            assert.deepEqual(short.map(r => [r.recipe_name, r.max_crafts_possible]), [['Brinde', null], ['Pepita', 2]]);
+        });
+
+        it('resolve aliases da lista enviada para o nome do material, como no estoque dos inventários', async () => {
+            const minerio = (await api.request('GET', '/api/materials')).body.find(m => m.name === 'Minerio');
+            assert.equal((await api.request('PUT', `/api/materials/${minerio.id}`, { body: { aliases: ['Ore'] } })).status, 200);
+
+            const result = await checkPossibilities({ availableMaterials: [{ material_name: 'ore', quantity: 3 }, { material_name: 'Minerio', quantity: 4 }] });
+            assert.equal(result.find(r => r.recipe_name === 'Pepita').max_crafts_possible, 7);
+            const analysis = await analyze({ userMaterials: [{ material_name: 'ORE', quantity: 2 }] });
+            assert.deepEqual(analysis.map(r => [r.recipe_name, r.craftable_now_count]).sort(), [['Barra', 0], ['Pepita', 2]]);
+            const plan = (await api.request('POST', '/api/crafting/plan', { body: { availableMaterials: [{ material_name: 'Ore', quantity: 2 }], objective: 'max_items' } })).body;
+            assert.deepEqual(plan.materials_consumed, [{ material_name: 'Minerio', quantity: 2 }]);
+        });
+
+        it('usa o estoque de um inventário salvo e responde 404 para inventário inexistente', async () => {
+            const inventory = await api.request('POST', '/api/inventories', {
+                body: { name: 'Mochila', materials: [{ material_name: 'Minerio', quantity: 6 }, { material_name: 'Carvao', quantity: 5 }] }
+            });
+            assert.equal(inventory.status, 201);
+            const result = await checkPossibilities({ inventoryId: inventory.body.id });
+            assert.equal(result.find(r => r.recipe_name === 'Barra').max_crafts_possible, 2);
+
+            const missing = await api.request('POST', '/api/crafting/check-possibilities', { body: { inventoryId: 9999 } });
+            assert.equal(missing.status, 404);
+        });
+
+        it('responde 422 sem lista de materiais nem inventário', async () => {
+            const { status, body } = await api.request('POST', '/api/crafting/check-possibilities', { body: {} });
+            assert.equal(status, 422);
+            assert.deepEqual(body.errors.map(e => e.code), ['missing_one_of']);
+        });
+    });
+
+    describe('POST /api/crafting/analyze-potential-crafts', () => {
+        it('com lista vazia analisa todas as receitas, inclusive as sem materiais', async () => {
+            const result = await analyze({ userMaterials: [] });
+            assert.deepEqual(result.map(r => [r.recipe_name, r.craftable_now_count, r.unbounded]).sort(), [
+                ['Barra', 0, false],
+                ['Brinde', null, true],
+                ['Kit', 0, false],
+                ['Pepita', 0, false]
+            ]);
+        });
+
+        it('mostra só as receitas que usam os materiais informados, com o que falta para um craft', async () => {
+            const result = await analyze({ userMaterials: [{ material_name: 'minerio', quantity: 7 }] });
+            assert.deepEqual(result.map(r => [r.recipe_name, r.craftable_now_count]).sort(), [['Barra', 0], ['Pepita', 7]]);
+            const barra = result.find(r => r.recipe_name === 'Barra');
+            assert.deepEqual(barra.materials_analysis.find(m => m.material_name === 'Carvao'), {
+                material_name: 'Carvao',
+                material_type: 'drop',
+                quantity_needed_per_craft: 1,
+                user_has_quantity: 0,
+                quantity_missing_for_one_craft: 1
+            });
+        });
+
+        it('conta os crafts possíveis quando há todos os materiais', async () => {
+            const result = await analyze({ userMaterials: [{ material_name: 'Minerio', quantity: 7 }, { material_name: 'Carvao', quantity: 10 }] });
+            assert.equal(result.find(r => r.recipe_name === 'Barra').craftable_now_count, 2);
+            assert.ok(result.every(r => r.materials_analysis.every(m => m.quantity_missing_for_one_craft === 0 || r.craftable_now_count === 0)));
+        });
+    });
+
+    describe('POST /api/crafting/execute', () => {
+        const createInventory = async (name, materials) => {
+            const { status, body } = await api.request('POST', '/api/inventories', { body: { name, materials } });
+            assert.equal(status, 201);
+            return body.id;
+        };
+        const stockOf = async (inventoryId) => {
+            const { body } = await api.request('GET', `/api/inventories/${inventoryId}`);
+            return Object.fromEntries(body.items.map(item => [item.item_name, item.quantity]));
+        };
+
+        it('crafts simultâneos no mesmo inventário não consomem o mesmo estoque', async () => {
+            // Estoque para 2 Barras; 3 crafts chegam juntos.
+            const inventoryId = await createInventory('Bancada', [{ material_name: 'Minerio', quantity: 6 }, { material_name: 'Carvao', quantity: 2 }]);
+            const responses = await Promise.all([1, 2, 3].map(() => api.request('POST', '/api/crafting/execute', { body: { inventoryId, recipe_name: 'Barra' } })));
+            assert.deepEqual(responses.map(response => response.status).sort(), [201, 201, 409]);
+            assert.deepEqual(await stockOf(inventoryId), { Barra: 4 });
+            const log = await api.request('GET', `/api/inventories/${inventoryId}/log`);
+            assert.equal(log.body.length, 2);
+        });
+
+        it('retiradas e compras simultâneas no livro-caixa também esperam a vez', async () => {
+            const inventoryId = await createInventory('Balcao', [{ material_name: 'Minerio', quantity: 3 }]);
+            const remove = () => api.request('POST', `/api/inventories/${inventoryId}/remove`, { body: { materials: [{ material_name: 'Minerio', quantity: 2 }] } });
+            const buy = () => api.request('POST', '/api/ledger', { body: { type: 'purchase', material_name: 'Carvao', quantity: 4, unit_price: 10, channel: 'npc', inventoryId } });
+            const responses = await Promise.all([remove(), buy(), remove(), buy()]);
+            assert.deepEqual(responses.map(response => response.status).sort(), [200, 201, 201, 409]);
+            assert.deepEqual(await stockOf(inventoryId), { Carvao: 8, Minerio: 1 });
+        });
+    });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+describe('GET /api/items/filter-by-material-profile', () => {
+    let api;
+    const filter = async (query) => {
+        const { status, body } = await api.request('GET', `/api/items/filter-by-material-profile?${query}`);
+        assert.equal(status, 200);
+        return body.map(recipe => recipe.name);
+    };
+
+    before(async () => {
+        api = await startTestServer();
+        await createRecipe(api, { name: 'So Drop', materials: [{ material_name: 'Pena', material_type: 'drop', quantity: 2 }] });
+        await createRecipe(api, {
+            name: 'Drop e Buy',
+            materials: [{ material_name: 'Pena', quantity: 1 }, { material_name: 'Linha', material_type: 'buy', quantity: 3 }]
+        });
+        await createRecipe(api, { name: 'So Profissao', materials: [{ material_name: 'Tecido', material_type: 'profession', quantity: 1 }] });
+        await createRecipe(api, { name: 'Sem Materiais', materials: [] });
+    });
+    after(() => api.close());
+
+    it('exclusive (padrão): só receitas cujos materiais são todos dos tipos informados', async () => {
+        assert.deepEqual(await filter('materialTypes=drop'), ['So Drop']);
+        assert.deepEqual(await filter('materialTypes=drop,buy&matchProfile=exclusive'), ['Drop e Buy', 'So Drop']);
+    });
+
+    it('contains_any: receitas com ao menos um material dos tipos informados', async () => {
+        assert.deepEqual(await filter('materialTypes=drop&matchProfile=contains_any'), ['Drop e Buy', 'So Drop']);
+        assert.deepEqual(await filter('materialTypes=buy,profession&matchProfile=contains_any'), ['Drop e Buy', 'So Profissao']);
+    });
+
+    it('contains_all: receitas com materiais de todos os tipos informados', async () => {
+        assert.deepEqual(await filter('materialTypes=drop,buy&matchProfile=contains_all'), ['Drop e Buy']);
+        assert.deepEqual(await filter('materialTypes=drop,profession&matchProfile=contains_all'), []);
+    });
+
+    it('not_contains_any: receitas sem nenhum material dos tipos informados, incluindo as sem materiais', async () => {
+        assert.deepEqual(await filter('materialTypes=drop&matchProfile=not_contains_any'), ['Sem Materiais', 'So Profissao']);
+        assert.deepEqual(await filter('materialTypes=drop,buy,profession&matchProfile=not_contains_any'), ['Sem Materiais']);
+    });
+
+    it('ignora maiúsculas e espaços nos tipos e devolve os materiais de cada receita', async () => {
+        const { body } = await api.request('GET', '/api/items/filter-by-material-profile?materialTypes=%20BUY%20&matchProfile=contains_any');
+        assert.equal(body.length, 1);
+        assert.deepEqual(body[0].materials.map(m => [m.material_name, m.material_type, m.quantity]).sort(), [
+            ['Linha', 'buy', 3],
+            ['Pena', 'drop', 1]
+        ]);
+    });
+
+    it('responde 400 para parâmetros ausentes ou inválidos', async () => {
+        for (const query of ['', 'materialTypes=drop&matchProfile=qualquer', 'materialTypes=,%20,']) {
+            const { status, body } = await api.request('GET', `/api/items/filter-by-material-profile?${query}`);
+            assert.equal(status, 400, query);
+            assert.equal(typeof body.error, 'string');
+        }
+    });
+});
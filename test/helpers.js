@@ -0,0 +1,64 @@
+/*
+  Arquivo: test/helpers.js
+  Descrição: Utilitários dos testes de integração.
+  - `startTestServer()` sobe o app (`app.js`) sobre um banco `:memory:` recém-migrado, em uma porta livre, com uma
+    chave de API 'editor'. Cada chamada é um banco novo, então cada arquivo de teste começa do zero. Com `file`, usa
+    esse arquivo (ex: uma cópia do `database.db` distribuído, para testar as migrações sobre dados reais).
+  - NODE_ENV=test liga a validação das respostas contra o documento OpenAPI: uma resposta fora do contrato vira 500
+    e o teste que a provocou falha.
+*/
+process.env.NODE_ENV = 'test';
+// Os logs JSON do app poluiriam a saída do `node --test`; LOG_LEVEL=debug os mostra ao investigar uma falha.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const { openDatabase } = require('../lib/database');
+const { createApiKey } = require('../lib/auth');
+const { createApp } = require('../app');
+
+// `key: null` envia a requisição sem chave de API; `body` em texto é enviado como CSV.
+async function request(baseUrl, method, path, { body, key, headers = {} } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (key) { init.headers.Authorization = `Bearer ${key}`; }
+    if (body !== undefined) {
+        init.body = typeof body === 'string' ? body : JSON.stringify(body);
+        init.headers['Content-Type'] = init.headers['Content-Type'] || (typeof body === 'string' ? 'text/csv' : 'application/json');
+    }
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+function startTestServer(file = ':memory:') {
+    return new Promise((resolve, reject) => {
+        openDatabase(file, (err, db, applied) => {
+            if (err) { return reject(err); }
+            createApiKey(db, 'tester', 'editor', null, (err, editor) => {
+                if (err) { return reject(err); }
+                const server = createApp(db).listen(0, '127.0.0.1', () => {
+                    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve({
+                        db,
+                        applied,
+                        editorKey: editor.key,
+                        request: (method, path, options = {}) => request(baseUrl, method, path, { key: editor.key, ...options }),
+                        query: (sql, params = []) => new Promise((done, fail) => db.all(sql, params, (err, rows) => (err ? fail(err) : done(rows)))),
+                        close: () => new Promise(done => {
+                            server.closeAllConnections();
+                            server.close(() => db.close(() => done()));
+                        })
+                    });
+                });
+            });
+        });
+    });
+}
+
+// Cria a receita e retorna o id, falhando o teste se a API não responder 201.
+async function createRecipe(api, recipe) {
+    const { status, body } = await api.request('POST', '/api/items', { body: { quantity_produced: 1, ...recipe } });
+    if (status !== 201) { throw new Error(`Falha ao criar a receita "${recipe.name}" (${status}): ${JSON.stringify(body)}`); }
+    return body.id;
+}
+
+module.exports = { startTestServer, createRecipe };
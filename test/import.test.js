@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+const recipe = (name, materials) => ({ name, quantity_produced: 1, npc_sell_price: 100, materials });
+// A segunda receita usa a si mesma como material, erro que só aparece ao resolver os materiais no catálogo: a
+// importação já gravou a primeira receita e o material novo dela.
+const invalidBatch = [
+    recipe('Importada Valida', [{ material_name: 'Po Importado', material_type: 'buy', quantity: 1 }]),
+    recipe('Importada Quebrada', [{ material_name: 'Importada Quebrada', material_type: 'buy', quantity: 1 }])
+];
+
+describe('importação de receitas', () => {
+    let api;
+    const importRecipes = (body, query = '') => api.request('POST', `/api/import?${query}`, { body });
+    const recipeNames = async () => (await api.query('SELECT name FROM recipes ORDER BY name')).map(row => row.name);
+
+    before(async () => {
+        api = await startTestServer();
+        await createRecipe(api, recipe('Existente', [{ material_name: 'Erva', material_type: 'buy', quantity: 2 }]));
+    });
+    after(() => api.close());
+
+    it('valida no dryRun e recusa nomes existentes no modo create-only', async () => {
+        const dryRun = await importRecipes([recipe('Nova', [{ material_name: 'Erva', material_type: 'buy', quantity: 1 }])], 'dryRun=true');
+        assert.equal(dryRun.body.valid, true);
+        assert.deepEqual(dryRun.body.summary.to_create, ['Nova']);
+        const duplicate = await importRecipes([recipe('Existente', [{ material_name: 'Erva', material_type: 'buy', quantity: 1 }])]);
+        assert.equal(duplicate.status, 422);
+        assert.equal(duplicate.body.errors[0].code, 'duplicate');
+    });
+
+    it('aceita importações em JSON maiores que o limite padrão de 100kb', async () => {
+        const batch = Array.from({ length: 1500 }, (_, i) => recipe(`Receita em Lote ${i}`, [{ material_name: 'Erva', material_type: 'buy', quantity: 1 }]));
+        assert.ok(JSON.stringify(batch).length > 100 * 1024);
+        const { status, body } = await importRecipes(batch, 'dryRun=true');
+        assert.equal(status, 200);
+        assert.equal(body.summary.to_create.length, 1500);
+    });
+
+    it('um erro do catálogo desfaz tudo, inclusive os materiais criados', async () => {
+        const { status, body } = await importRecipes(invalidBatch);
+        assert.equal(status, 422);
+        assert.deepEqual(body.errors.map(error => [error.row, error.code]), [[2, 'self_reference']]);
+        assert.deepEqual(await recipeNames(), ['Existente']);
+        assert.deepEqual(await api.query("SELECT id FROM materials WHERE name IN ('Po Importado', 'Importada Quebrada')"), []);
+    });
+
+    it('importações simultâneas não desfazem nem confirmam o trabalho umas das outras', async () => {
+        const responses = await Promise.all([
+            importRecipes([recipe('Paralela A', [{ material_name: 'Erva', material_type: 'buy', quantity: 1 }])]),
+            importRecipes(invalidBatch),
+            importRecipes([recipe('Paralela B', [{ material_name: 'Erva', material_type: 'buy', quantity: 3 }])], 'mode=upsert-by-name')
+        ]);
+        assert.deepEqual(responses.map(response => response.status), [200, 422, 200]);
+        assert.deepEqual(await recipeNames(), ['Existente', 'Paralela A', 'Paralela B']);
+        const history = await api.query("SELECT h.action FROM recipe_history h JOIN recipes r ON r.id = h.recipe_id WHERE r.name LIKE 'Paralela%'");
+        assert.deepEqual(history.map(row => row.action), ['create', 'create']);
+    });
+});
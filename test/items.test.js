@@ -0,0 +1,212 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+const barra = {
+    name: 'Barra de Ferro',
+    quantity_produced: 2,
+    npc_sell_price: 50,
+    materials: [
+        { material_name: 'Minerio de Ferro', material_type: 'buy', quantity: 3, default_npc_price: 10 },
+        { material_name: 'Carvao', material_type: 'drop', quantity: 1, default_npc_price: 4 }
+    ]
+};
+
+describe('CRUD de receitas (/api/items)', () => {
+    let api;
+    before(async () => { api = await startTestServer(); });
+    after(() => api.close());
+
+    it('cria, lê, lista, atualiza e remove uma receita', async () => {
+        const created = await api.request('POST', '/api/items', { body: { ...barra, craft_duration_seconds: 30, profession: 'ferreiro', min_profession_level: 5 } });
+        assert.equal(created.status, 201);
+        const id = created.body.id;
+
+        const recipe = await api.request('GET', `/api/items/${id}/recipe`);
+        assert.equal(recipe.status, 200);
+        assert.equal(recipe.body.name, 'Barra de Ferro');
+        assert.equal(recipe.body.profession, 'ferreiro');
+        assert.deepEqual(recipe.body.materials.map(m => [m.material_name, m.quantity, m.material_type]).sort(), [
+            ['Carvao', 1, 'drop'],
+            ['Minerio de Ferro', 3, 'buy']
+        ]);
+
+        const list = await api.request('GET', '/api/items?q=barra');
+        assert.equal(list.body.total, 1);
+        assert.equal(list.body.items[0].id, id);
+
+        const byName = await api.request('GET', '/api/items/name/barra%20de%20ferro');
+        assert.equal(byName.status, 200);
+        assert.equal(byName.body.id, id);
+
+        const updated = await api.request('PUT', `/api/items/${id}`, { body: { ...barra, npc_sell_price: 70, materials: [{ material_name: 'Carvao', quantity: 5 }] } });
+        assert.equal(updated.status, 200);
+        const afterUpdate = await api.request('GET', `/api/items/${id}/recipe`);
+        assert.equal(afterUpdate.body.npc_sell_price, 70);
+        assert.equal(afterUpdate.body.profession, 'ferreiro', 'metadados ausentes no PUT mantêm o valor atual');
+        assert.deepEqual(afterUpdate.body.materials.map(m => [m.material_name, m.quantity]), [['Carvao', 5]]);
+
+        const removed = await api.request('DELETE', `/api/items/${id}`);
+        assert.equal(removed.status, 200);
+        assert.equal((await api.request('GET', `/api/items/${id}/recipe`)).status, 404);
+
+        const history = await api.request('GET', `/api/items/${id}/history`);
+        assert.equal(history.body.deleted, true);
+        assert.deepEqual(history.body.revisions.map(r => r.action), ['delete', 'update', 'create']);
+        assert.equal(history.body.revisions[0].actor, 'tester');
+    });
+
+    it('remove os preços da receita excluída do livro de preços', async () => {
+        const id = await createRecipe(api, { ...barra, name: 'Barra Precificada' });
+        assert.equal((await api.request('PUT', `/api/prices/items/${id}`, { body: { source: 'market', price: 80 } })).status, 200);
+        assert.equal((await api.request('DELETE', `/api/items/${id}`)).status, 200);
+        assert.deepEqual(await api.query('SELECT id FROM item_prices WHERE recipe_id = ?', [id]), []);
+    });
+
+    it('restaura uma receita excluída a partir do histórico', async () => {
+        const id = await createRecipe(api, { ...barra, name: 'Barra Restaurada' });
+        await api.request('DELETE', `/api/items/${id}`);
+        const restored = await api.request('POST', `/api/items/${id}/restore/2`);
+        assert.equal(restored.status, 200);
+        const recipe = await api.request('GET', `/api/items/${id}/recipe`);
+        assert.equal(recipe.body.name, 'Barra Restaurada');
+        assert.equal(recipe.body.materials.length, 2);
+    });
+
+    it('exige chave de API para alterar dados', async () => {
+        const { status, body } = await api.request('POST', '/api/items', { body: barra, key: null });
+        assert.equal(status, 401);
+        assert.match(body.error, /Autenticação necessária/);
+    });
+
+    it('responde 422 com um erro por campo', async () => {
+        const { status, body } = await api.request('POST', '/api/items', {
+            body: { name: '', quantity_produced: 0, materials: [{ material_name: 'Carvao', quantity: 1 }, { material_name: 'carvao', quantity: -1 }] }
+        });
+        assert.equal(status, 422);
+        const fields = body.errors.map(e => `${e.field}:${e.code}`);
+        assert.ok(fields.includes('name:too_short'));
+        assert.ok(fields.includes('quantity_produced:too_small'));
+        assert.ok(fields.includes('materials[1].quantity:too_small'));
+        assert.ok(fields.includes('materials[1]:duplicate'));
+    });
+
+    it('responde 422 para JSON malformado e 404 no envelope de erro', async () => {
+        const malformed = await api.request('POST', '/api/items', { body: '{"name":', headers: { 'Content-Type': 'application/json' } });
+        assert.equal(malformed.status, 422);
+        assert.equal(malformed.body.errors[0].code, 'invalid_type');
+
+        assert.deepEqual((await api.request('GET', '/api/items/name/Inexistente')).body, { error: 'Item não encontrado.' });
+        const unknownRoute = await api.request('GET', '/api/rota-inexistente');
+        assert.equal(unknownRoute.status, 404);
+        assert.match(unknownRoute.body.error, /Rota não encontrada/);
+    });
+
+    it('mantém o status dos erros ao ler o corpo, no envelope de erro', async () => {
+        const tooLarge = await api.request('POST', '/api/items', { body: { name: 'Grande', description: 'x'.repeat(200 * 1024) } });
+        assert.equal(tooLarge.status, 413);
+        assert.deepEqual(tooLarge.body, { error: 'O corpo da requisição passa do tamanho máximo aceito.' });
+
+        const encoded = await api.request('POST', '/api/items', { body: '{}', headers: { 'Content-Type': 'application/json', 'Content-Encoding': 'br' } });
+        assert.equal(encoded.status, 415);
+        assert.match(encoded.body.error, /Content-Encoding/);
+    });
+});
+
+describe('rollback das transações de POST/PUT /api/items', () => {
+    let api;
+    const catalogNames = async () => (await api.query("SELECT name FROM materials ORDER BY name")).map(row => row.name);
+
+    before(async () => { api = await startTestServer(); });
+    after(() => api.close());
+
+    it('POST com nome repetido responde 409 e desfaz os materiais criados na tentativa', async () => {
+        await createRecipe(api, barra);
+        const before = await catalogNames();
+        const { status } = await api.request('POST', '/api/items', {
+            body: { ...barra, materials: [{ material_name: 'Material Novo', material_type: 'drop', quantity: 1 }] }
+        });
+        assert.equal(status, 409);
+        assert.deepEqual(await catalogNames(), before);
+        assert.equal((await api.query("SELECT COUNT(*) AS count FROM recipes"))[0].count, 1);
+    });
+
+    it('POST com material inexistente responde 422 e não grava nada', async () => {
+        const { status, body } = await api.request('POST', '/api/items', {
+            body: {
+                name: 'Receita Invalida',
+                quantity_produced: 1,
+                materials: [{ material_name: 'Outro Material Novo', material_type: 'buy', quantity: 1 }, { material_id: 9999, quantity: 1 }]
+            }
+        });
+        assert.equal(status, 422);
+        assert.deepEqual(body.errors.map(e => [e.field, e.code]), [['materials[1].material_id', 'not_found']]);
+        assert.ok(!(await catalogNames()).includes('Outro Material Novo'));
+        assert.equal((await api.query("SELECT COUNT(*) AS count FROM recipes WHERE name = 'Receita Invalida'"))[0].count, 0);
+    });
+
+    it('PUT para o nome de outra receita responde 409 e mantém a receita, os materiais e o histórico', async () => {
+        const id = await createRecipe(api, { name: 'Lingote', materials: [{ material_name: 'Carvao', quantity: 2 }] });
+        const revisionsBefore = (await api.request('GET', `/api/items/${id}/history`)).body.revisions.length;
+        const before = await catalogNames();
+
+        const { status } = await api.request('PUT', `/api/items/${id}`, {
+            body: { name: 'Barra de Ferro', quantity_produced: 1, materials: [{ material_name: 'Material do PUT', material_type: 'drop', quantity: 9 }] }
+        });
+        assert.equal(status, 409);
+        const recipe = (await api.request('GET', `/api/items/${id}/recipe`)).body;
+        assert.equal(recipe.name, 'Lingote');
+        assert.deepEqual(recipe.materials.map(m => [m.material_name, m.quantity]), [['Carvao', 2]]);
+        assert.deepEqual(await catalogNames(), before);
+        assert.equal((await api.request('GET', `/api/items/${id}/history`)).body.revisions.length, revisionsBefore);
+    });
+
+    it('PUT em receita inexistente responde 404 e desfaz os materiais criados', async () => {
+        const before = await catalogNames();
+        const { status } = await api.request('PUT', '/api/items/9999', {
+            body: { name: 'Fantasma', quantity_produced: 1, materials: [{ material_name: 'Material Fantasma', material_type: 'drop', quantity: 1 }] }
+        });
+        assert.equal(status, 404);
+        assert.deepEqual(await catalogNames(), before);
+        assert.equal((await api.query("SELECT COUNT(*) AS count FROM recipe_history WHERE recipe_id = 9999"))[0].count, 0);
+    });
+
+    it('POSTs simultâneos não confirmam nem desfazem o trabalho uns dos outros', async () => {
+        const post = (name, materials) => api.request('POST', '/api/items', { body: { name, quantity_produced: 1, materials } });
+        const responses = await Promise.all([
+            post('Simultanea A', [{ material_name: 'Carvao', quantity: 1 }]),
+            post('Simultanea Invalida', [{ material_name: 'Material Simultaneo', material_type: 'buy', quantity: 1 }, { material_id: 9999, quantity: 1 }]),
+            post('Simultanea B', [{ material_name: 'Carvao', quantity: 2 }])
+        ]);
+        assert.deepEqual(responses.map(response => response.status), [201, 422, 201]);
+        const rows = await api.query("SELECT r.name, (SELECT COUNT(*) FROM recipe_history h WHERE h.recipe_id = r.id) AS revisions FROM recipes r WHERE r.name LIKE 'Simultanea%' ORDER BY r.name");
+        assert.deepEqual(rows.map(row => [row.name, row.revisions]), [['Simultanea A', 1], ['Simultanea B', 1]]);
+        assert.ok(!(await catalogNames()).includes('Material Simultaneo'));
+    });
+
+    it('restauração e atualização simultâneas gravam uma de cada vez', async () => {
+        const id = await createRecipe(api, { name: 'Receita Disputada', materials: [{ material_name: 'Carvao', quantity: 1 }] });
+        await api.request('PUT', `/api/items/${id}`, { body: { name: 'Receita Disputada', quantity_produced: 1, materials: [{ material_name: 'Carvao', quantity: 2 }] } });
+        const responses = await Promise.all([
+            api.request('POST', `/api/items/${id}/restore/2`),
+            api.request('PUT', `/api/items/${id}`, { body: { name: 'Receita Disputada', quantity_produced: 1, materials: [{ material_name: 'Carvao', quantity: 3 }] } })
+        ]);
+        assert.deepEqual(responses.map(response => response.status), [200, 200]);
+        const revisions = (await api.request('GET', `/api/items/${id}/history`)).body.revisions;
+        assert.deepEqual(revisions.map(r => r.revision), [4, 3, 2, 1]);
+        assert.equal((await api.query('SELECT COUNT(*) AS count FROM recipe_materials WHERE recipe_id = ?', [id]))[0].count, 1);
+    });
+
+    it('exclusões simultâneas da mesma receita gravam uma revisão só', async () => {
+        const id = await createRecipe(api, { name: 'Receita Excluida Duas Vezes', materials: [{ material_name: 'Carvao', quantity: 1 }] });
+        const responses = await Promise.all([api.request('DELETE', `/api/items/${id}`), api.request('DELETE', `/api/items/${id}`)]);
+        assert.deepEqual(responses.map(response => response.status).sort(), [200, 404]);
+        const revisions = (await api.request('GET', `/api/items/${id}/history`)).body.revisions;
+        assert.deepEqual(revisions.map(r => r.action), ['delete', 'create']);
+    });
+
+    it('continua gravando normalmente depois dos rollbacks', async () => {
+        const id = await createRecipe(api, { name: 'Depois do Rollback', materials: [{ material_name: 'Material Final', material_type: 'buy', quantity: 1 }] });
+        assert.equal((await api.request('GET', `/api/items/${id}/recipe`)).body.materials[0].material_name, 'Material Final');
+    });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+describe('livro de preços dos materiais', () => {
+    let api;
+
+    before(async () => {
+        api = await startTestServer();
+        await createRecipe(api, { name: 'Barra', npc_sell_price: 50, materials: [{ material_name: 'Minerio', material_type: 'buy', quantity: 2, default_npc_price: 10 }] });
+        const minerio = (await api.request('GET', '/api/materials')).body.find(m => m.name === 'Minerio');
+        await api.request('PUT', `/api/materials/${minerio.id}`, { body: { aliases: ['Ore'] } });
+    });
+    after(() => api.close());
+
+    it('grava o preço de um alias no nome canônico, e o lucro passa a usá-lo', async () => {
+        const { status, body } = await api.request('PUT', '/api/prices/materials/Ore', { body: { source: 'npc', price: 5 } });
+        assert.equal(status, 200);
+        assert.deepEqual([body.price.material_name, body.price.price], ['Minerio', 5]);
+        assert.deepEqual((await api.request('GET', '/api/prices/materials')).body.map(row => row.material_name), ['Minerio']);
+        const [barra] = (await api.request('GET', '/api/items/most-profitable-npc')).body;
+        assert.equal(barra.profit, 40);
+
+        assert.equal((await api.request('DELETE', '/api/prices/materials/Ore')).status, 200);
+        assert.deepEqual((await api.request('GET', '/api/prices/materials')).body, []);
+    });
+
+    it('responde 404 para materiais fora do catálogo sem gravar o preço', async () => {
+        const { status } = await api.request('PUT', '/api/prices/materials/Minerio Inventado', { body: { source: 'market', price: 7 } });
+        assert.equal(status, 404);
+        assert.deepEqual(await api.query('SELECT material_name FROM material_prices'), []);
+    });
+
+    it('na mesclagem fica o preço do destino e os da origem sem equivalente passam para ele', async () => {
+        const create = async (name) => (await api.request('POST', '/api/materials', { body: { name, material_type: 'buy', default_npc_price: 1 } })).body.id;
+        const ferro = await create('Ferro');
+        const aco = await create('Aco');
+        await api.request('PUT', '/api/prices/materials/Ferro', { body: { source: 'market', price: 3 } });
+        await api.request('PUT', '/api/prices/materials/Ferro', { body: { source: 'npc', price: 2 } });
+        await api.request('PUT', '/api/prices/materials/Aco', { body: { source: 'market', price: 9 } });
+
+        assert.equal((await api.request('POST', `/api/materials/${aco}/merge`, { body: { sourceIds: [ferro] } })).status, 200);
+        const prices = await api.query("SELECT material_name, source, price FROM material_prices WHERE material_name IN ('Ferro', 'Aco') ORDER BY source");
+        assert.deepEqual(prices, [{ material_name: 'Aco', source: 'market', price: 9 }, { material_name: 'Aco', source: 'npc', price: 2 }]);
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, createRecipe } = require('./helpers');
+
+// O `database.db` distribuído está no schema de antes das migrações (materiais em texto livre em
+// `recipe_materials`). Os testes migram uma cópia dele; o original não é tocado.
+const SHIPPED_DB = path.join(__dirname, '..', 'database.db');
+
+describe('migrações sobre o database.db distribuído', () => {
+    let api;
+    let copy;
+
+    before(async () => {
+        copy = path.join(os.tmpdir(), `pokexcalc-migrations-${process.pid}.db`);
+        fs.copyFileSync(SHIPPED_DB, copy);
+        api = await startTestServer(copy);
+    });
+    after(async () => {
+        await api.close();
+        fs.rmSync(copy, { force: true });
+    });
+
+    it('aplica todas as migrações', async () => {
+        assert.equal(api.applied.length, fs.readdirSync(path.join(__dirname, '..', 'migrations')).length);
+        const [{ recipes }] = await api.query('SELECT COUNT(*) AS recipes FROM recipes');
+        assert.ok(recipes > 0);
+    });
+
+    it('descarta os materiais de receitas excluídas em vez de criar materiais para eles', async () => {
+        const orphans = await api.query('SELECT id FROM recipe_materials WHERE recipe_id NOT IN (SELECT id FROM recipes)');
+        assert.deepEqual(orphans, []);
+        // "Nightmare seed bag" e "Darkai essence" só aparecem em linhas de receitas excluídas.
+        const phantoms = await api.query("SELECT name FROM materials WHERE name IN ('Nightmare seed bag', 'Darkai essence')");
+        assert.deepEqual(phantoms, []);
+        const [{ seq }] = await api.query("SELECT seq FROM sqlite_sequence WHERE name = 'recipe_materials'");
+        assert.equal(seq, 281);
+    });
+
+    it('mantém os contadores de id das tabelas reconstruídas: receitas novas não reaproveitam ids excluídos', async () => {
+        // A receita 40 foi excluída antes do banco ser distribuído; o maior id restante é 39.
+        const [{ seq }] = await api.query("SELECT seq FROM sqlite_sequence WHERE name = 'recipes'");
+        assert.equal(seq, 40);
+        const id = await createRecipe(api, { name: 'Receita Pos Migracao', materials: [{ material_name: 'Ice crystal', quantity: 2 }] });
+        assert.equal(id, 41);
+        const materials = await api.query('SELECT quantity FROM recipe_materials WHERE recipe_id = ?', [id]);
+        assert.deepEqual(materials.map(row => row.quantity), [2]);
+        const history = await api.query('SELECT action FROM recipe_history WHERE recipe_id = ?', [id]);
+        assert.deepEqual(history.map(row => row.action), ['create']);
+    });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+// Executa `fn` com LOG_LEVEL=debug e retorna as linhas de log JSON emitidas (que não chegam à saída do teste).
+async function captureLogs(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    const level = process.env.LOG_LEVEL;
+    process.stdout.write = function(chunk, ...args) {
+        if (typeof chunk === 'string' && chunk.startsWith('{"time"')) { lines.push(JSON.parse(chunk)); return true; }
+        return write.call(this, chunk, ...args);
+    };
+    process.env.LOG_LEVEL = 'debug';
+    try {
+        await fn();
+    } finally {
+        process.stdout.write = write;
+        process.env.LOG_LEVEL = level;
+    }
+    return lines;
+}
+
+describe('logs estruturados, ids de requisição e métricas', () => {
+    let api;
+    before(async () => { api = await startTestServer(); });
+    after(() => api.close());
+
+    it('devolve um X-Request-Id gerado ou o enviado pelo cliente, quando válido', async () => {
+        const generated = await api.request('GET', '/api/items');
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+        const echoed = await api.request('GET', '/api/items', { headers: { 'X-Request-Id': 'cliente-123' } });
+        assert.equal(echoed.headers.get('x-request-id'), 'cliente-123');
+
+        const replaced = await api.request('GET', '/api/items', { headers: { 'X-Request-Id': 'com espaço' } });
+        assert.notEqual(replaced.headers.get('x-request-id'), 'com espaço');
+    });
+
+    it('registra a requisição e cada consulta SQL com o id da requisição', async () => {
+        await createRecipe(api, { name: 'Pocao Logada', materials: [{ material_name: 'Erva', material_type: 'buy', quantity: 2 }] });
+        const created = await captureLogs(() => api.request('POST', '/api/items', {
+            body: { name: 'Pocao Rastreada', quantity_produced: 1, materials: [{ material_name: 'Erva', quantity: 1 }] },
+            headers: { 'X-Request-Id': 'rastreio-1' }
+        }));
+
+        const finished = created.find(line => line.msg === 'Requisição concluída');
+        assert.equal(finished.level, 'info');
+        assert.equal(finished.request_id, 'rastreio-1');
+        assert.deepEqual([finished.method, finished.route, finished.status, finished.path], ['POST', '/api/items', 201, '/api/items']);
+        assert.equal(typeof finished.duration_ms, 'number');
+
+        // As consultas rodam depois do parser do corpo e em callbacks do sqlite3, e mesmo assim mantêm o id. Os
+        // eventos são publicados depois da resposta: os da requisição anterior podem aparecer aqui, com o id dela.
+        const queries = created.filter(line => line.msg === 'Consulta SQL');
+        assert.ok(queries.every(line => typeof line.request_id === 'string' && typeof line.duration_ms === 'number'));
+        const traced = queries.filter(line => line.request_id === 'rastreio-1').map(line => line.sql);
+        assert.ok(traced.some(sql => /^INSERT INTO recipes /.test(sql)));
+        assert.ok(traced.some(sql => /^INSERT INTO recipe_materials /.test(sql)));
+    });
+
+    it('expõe contagens e latência por rota e status e as consultas SQL em /metrics', async () => {
+        await api.request('GET', '/api/items/9999/recipe');
+        await api.request('GET', '/api/inexistente');
+        await new Promise(resolve => api.db.all('SELECT * FROM tabela_inexistente', () => resolve()));
+
+        const { status, headers, body } = await api.request('GET', '/metrics');
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(body, /^# TYPE http_requests_total counter$/m);
+        assert.match(body, /^http_requests_total\{method="GET",route="\/api\/items\/:id\/recipe",status="404"\} 1$/m);
+        assert.match(body, /^http_requests_total\{method="GET",route="unmatched",status="404"\} 1$/m);
+        assert.match(body, /^http_request_duration_seconds_bucket\{method="POST",route="\/api\/items",status="201",le="\+Inf"\} 2$/m);
+        assert.match(body, /^http_request_duration_seconds_count\{method="POST",route="\/api\/items",status="201"\} 2$/m);
+        assert.match(body, /^db_queries_total\{operation="INSERT"\} \d+$/m);
+        assert.match(body, /^db_query_errors_total\{operation="SELECT"\} 1$/m);
+        assert.match(body, /^db_query_duration_seconds_count\{operation="SELECT"\} \d+$/m);
+    });
+
+    it('/health responde sem consultar o banco e /health/ready executa uma consulta', async () => {
+        const live = await api.request('GET', '/health');
+        assert.deepEqual([live.status, live.body], [200, 'OK']);
+
+        const ready = await api.request('GET', '/health/ready');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.status, 'ready');
+        assert.equal(ready.body.database, 'ok');
+    });
+});
+
+describe('readiness com o banco fechado', () => {
+    it('responde 503 no envelope de erro', async () => {
+        const api = await startTestServer();
+        await new Promise(resolve => api.db.close(resolve));
+        try {
+            const { status, body } = await api.request('GET', '/health/ready');
+            assert.equal(status, 503);
+            assert.equal(typeof body.error, 'string');
+            assert.equal((await api.request('GET', '/health')).status, 200);
+        } finally {
+            await api.close();
+        }
+    });
+});
@@ -0,0 +1,34 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+describe('histórico de preços', () => {
+    let api;
+    let itemId;
+
+    before(async () => {
+        api = await startTestServer();
+        itemId = await createRecipe(api, { name: 'Pocao Historica', npc_sell_price: 40, materials: [{ material_name: 'Erva Historica', material_type: 'buy', quantity: 1, default_npc_price: 5 }] });
+    });
+    after(() => api.close());
+
+    it('registra as alterações e as remoções de preço, que ficam fora do resumo', async () => {
+        await api.request('PUT', '/api/prices/materials/Erva Historica', { body: { source: 'market', price: 10 } });
+        await api.request('PUT', '/api/prices/materials/Erva Historica', { body: { source: 'market', price: 14 } });
+        assert.equal((await api.request('DELETE', '/api/prices/materials/Erva Historica?source=market')).status, 200);
+
+        const { status, body } = await api.request('GET', '/api/prices/materials/Erva Historica/history?source=market');
+        assert.equal(status, 200);
+        assert.deepEqual(body.series.map(point => point.price), [10, 14, null]);
+        assert.deepEqual([body.summary.market.count, body.summary.market.last, body.summary.market.change_percent], [2, 14, 40]);
+    });
+
+    it('mantém o histórico de itens com o preço removido', async () => {
+        await api.request('PUT', `/api/prices/items/${itemId}`, { body: { source: 'npc', price: 45 } });
+        assert.equal((await api.request('DELETE', `/api/prices/items/${itemId}`)).status, 200);
+
+        const { status, body } = await api.request('GET', `/api/prices/items/${itemId}/history`);
+        assert.equal(status, 200);
+        assert.deepEqual(body.series.map(point => [point.source, point.price]), [['reference', 40], ['npc', 45], ['npc', null]]);
+    });
+});
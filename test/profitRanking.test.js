@@ -0,0 +1,26 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+describe('GET /api/items/profit-ranking', () => {
+    let api;
+    const ranking = async (query = '') => (await api.request('GET', `/api/items/profit-ranking?${query}`)).body.map(entry => entry.name);
+
+    before(async () => {
+        api = await startTestServer();
+        // Cadastradas fora da ordem alfabética: a ordem do ranking não pode depender da ordem de cadastro.
+        await createRecipe(api, { name: 'Zeta', npc_sell_price: 10, materials: [] });
+        await createRecipe(api, { name: 'Alfa', npc_sell_price: 10, materials: [] });
+        await createRecipe(api, { name: 'Media', npc_sell_price: 20, materials: [] });
+        await createRecipe(api, { name: 'Rapida', npc_sell_price: 5, craft_duration_seconds: 60, materials: [] });
+    });
+    after(() => api.close());
+
+    it('põe as receitas sem duração no fim do ranking por hora, ordenadas pelo lucro por craft e pelo nome', async () => {
+        assert.deepEqual(await ranking(), ['Rapida', 'Media', 'Alfa', 'Zeta']);
+    });
+
+    it('resolve empates de lucro por craft pelo nome', async () => {
+        assert.deepEqual(await ranking('sort=profit_per_craft'), ['Media', 'Alfa', 'Zeta', 'Rapida']);
+    });
+});
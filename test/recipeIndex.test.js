@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+const { createRecipeIndex } = require('../lib/recipeIndex');
+
+const catalog = (name) => ({ recipes: [{ id: 1, name, quantity_produced: 1, npc_sell_price: 10 }], materials: [], variantsByRecipe: new Map(), priceBook: { materials: new Map(), items: new Map() } });
+
+// Carregador falso: cada chamada fica pendente até `finish(i)`, para controlar a ordem das cargas.
+function fakeLoader() {
+    const calls = [];
+    const load = (callback) => calls.push(callback);
+    return { load, calls, finish: (i, err, name = `Carga ${i}`) => calls[i](err || null, err ? undefined : catalog(name)) };
+}
+
+const getIndex = (recipeIndex) => new Promise((resolve, reject) => recipeIndex.get((err, index) => (err ? reject(err) : resolve(index))));
+
+describe('createRecipeIndex', () => {
+    it('chamadas simultâneas esperam a mesma carga e as seguintes usam o índice pronto', async () => {
+        const loader = fakeLoader();
+        const recipeIndex = createRecipeIndex(loader.load);
+        const first = getIndex(recipeIndex);
+        const second = getIndex(recipeIndex);
+        assert.equal(loader.calls.length, 1);
+        loader.finish(0);
+        const [a, b] = await Promise.all([first, second]);
+        assert.equal(a, b);
+        assert.equal(await getIndex(recipeIndex), a);
+        assert.equal(loader.calls.length, 1);
+    });
+
+    it('refaz a carga quando o índice é invalidado durante ela', async () => {
+        const loader = fakeLoader();
+        const recipeIndex = createRecipeIndex(loader.load);
+        const pending = getIndex(recipeIndex);
+        recipeIndex.invalidate();
+        loader.finish(0, null, 'Antes da escrita');
+        assert.equal(loader.calls.length, 2);
+        loader.finish(1, null, 'Depois da escrita');
+        const index = await pending;
+        assert.equal(index.recipes[0].name, 'Depois da escrita');
+        assert.equal(index.version, recipeIndex.version());
+    });
+
+    it('repassa o erro da carga sem guardar índice e muda o ETag a cada invalidação', async () => {
+        const loader = fakeLoader();
+        const recipeIndex = createRecipeIndex(loader.load);
+        const failed = getIndex(recipeIndex);
+        loader.finish(0, new Error('banco indisponível'));
+        await assert.rejects(failed, /banco indisponível/);
+
+        const retried = getIndex(recipeIndex);
+        assert.equal(loader.calls.length, 2);
+        loader.finish(1);
+        await retried;
+
+        const etag = recipeIndex.etag();
+        assert.match(etag, /^W\/"[0-9a-f]+-0"$/);
+        recipeIndex.invalidate();
+        assert.notEqual(recipeIndex.etag(), etag);
+    });
+});
+
+describe('índice de receitas e ETag nas rotas de leitura', () => {
+    let api;
+    let itemId;
+    // O `fetch` acrescenta `Cache-Control: no-cache` a requisições condicionais, o que pede a resposta completa.
+    const revalidate = (path, etag) => api.request('GET', path, { headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' } });
+    const indexBuilds = async () => Number(((await api.request('GET', '/metrics')).body.match(/^recipe_index_builds_total (\d+)$/m) || [0, 0])[1]);
+
+    before(async () => {
+        api = await startTestServer();
+        itemId = await createRecipe(api, { name: 'Pocao Cacheada', npc_sell_price: 100, materials: [{ material_name: 'Erva Cacheada', material_type: 'buy', quantity: 2, default_npc_price: 10 }] });
+    });
+    after(() => api.close());
+
+    it('responde com ETag e devolve 304 sem corpo para o ETag atual', async () => {
+        const first = await api.request('GET', '/api/items/profit-ranking');
+        assert.equal(first.status, 200);
+        const etag = first.headers.get('etag');
+        assert.match(etag, /^W\/"/);
+        assert.equal(first.headers.get('cache-control'), 'no-cache');
+
+        const cached = await revalidate('/api/items/profit-ranking', etag);
+        assert.equal(cached.status, 304);
+        assert.equal(cached.body, '');
+
+        const stale = await revalidate('/api/items/profit-ranking', 'W/"outro-0"');
+        assert.equal(stale.status, 200);
+        assert.equal(stale.body.length, 1);
+    });
+
+    it('uma escrita de preço muda o ETag e os lucros refletem o novo preço', async () => {
+        const before = await api.request('GET', '/api/items/most-profitable-npc?priceSource=market');
+        assert.equal(before.body[0].profit, 80);
+
+        const saved = await api.request('PUT', '/api/prices/materials/Erva Cacheada', { body: { source: 'market', price: 30 } });
+        assert.equal(saved.status, 200);
+
+        const revalidated = await revalidate('/api/items/most-profitable-npc?priceSource=market', before.headers.get('etag'));
+        assert.equal(revalidated.status, 200);
+        assert.notEqual(revalidated.headers.get('etag'), before.headers.get('etag'));
+        assert.equal(revalidated.body[0].profit, 40);
+    });
+
+    it('novas receitas e materiais aparecem nas leituras seguintes', async () => {
+        const materialsBefore = await api.request('GET', '/api/items/by-material?materialName=Erva Cacheada');
+        assert.equal(materialsBefore.body.length, 1);
+
+        await createRecipe(api, { name: 'Elixir Cacheado', materials: [{ material_name: 'Erva Cacheada', quantity: 1 }] });
+        const materialsAfter = await revalidate('/api/items/by-material?materialName=Erva Cacheada', materialsBefore.headers.get('etag'));
+        assert.equal(materialsAfter.status, 200);
+        assert.deepEqual(materialsAfter.body.map(recipe => recipe.name), ['Elixir Cacheado', 'Pocao Cacheada']);
+
+        await api.request('PUT', `/api/items/${itemId}`, { body: { name: 'Pocao Cacheada', quantity_produced: 3, npc_sell_price: 100, materials: [{ material_name: 'Erva Cacheada', quantity: 2 }] } });
+        const tree = await api.request('GET', `/api/items/${itemId}/tree`);
+        assert.equal(tree.body.quantity_produced, 3);
+    });
+
+    it('remonta o índice uma vez por escrita, não a cada leitura', async () => {
+        await api.request('GET', '/api/items/profit-ranking');
+        const builds = await indexBuilds();
+        await api.request('GET', '/api/items/profit-ranking');
+        await api.request('POST', '/api/crafting/check-possibilities', { body: { availableMaterials: [{ material_name: 'Erva Cacheada', quantity: 4 }] } });
+        assert.equal(await indexBuilds(), builds);
+
+        await api.request('DELETE', '/api/prices/materials/Erva Cacheada');
+        await Promise.all([api.request('GET', '/api/items/profit-ranking'), api.request('GET', '/api/export')]);
+        assert.equal(await indexBuilds(), builds + 1);
+    });
+
+    it('a tendência de margem depende da data e não usa o ETag do catálogo', async () => {
+        const catalogTag = (await api.request('GET', '/api/items/most-profitable-npc')).headers.get('etag');
+        const trend = await revalidate('/api/items/most-profitable-npc?trendDays=7', catalogTag);
+        assert.equal(trend.status, 200);
+        assert.notEqual(trend.headers.get('etag'), catalogTag);
+    });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+// Um craft: 30 Erva (10 cada) + 100 Frascos ('profession', sem custo de compra) -> 100 poções vendidas a 50 cada.
+const pocao = {
+    name: 'Pocao Media',
+    quantity_produced: 100,
+    npc_sell_price: 50,
+    materials: [
+        { material_name: 'Erva', material_type: 'buy', quantity: 30, default_npc_price: 10 },
+        { material_name: 'Frasco', material_type: 'profession', quantity: 100 }
+    ],
+    variants: [{ name: 'Concentrada', quantity_produced: 50, materials: [{ material_name: 'Erva', quantity: 10 }] }]
+};
+
+describe('normalização por unidade e escala de receitas', () => {
+    let api;
+    let pocaoId;
+    const scale = (id, query) => api.request('GET', `/api/items/${id}/scale?${query}`);
+
+    before(async () => {
+        api = await startTestServer();
+        pocaoId = await createRecipe(api, pocao);
+    });
+    after(() => api.close());
+
+    it('inclui custo, receita e lucro NPC por unidade nas receitas e nas variantes', async () => {
+        const recipe = (await api.request('GET', `/api/items/${pocaoId}/recipe`)).body;
+        assert.deepEqual([recipe.npc_cost_per_unit, recipe.npc_revenue_per_unit, recipe.npc_profit_per_unit], [3, 50, 47]);
+        const variant = recipe.variants[0];
+        assert.deepEqual([variant.npc_cost_per_unit, variant.npc_revenue_per_unit, variant.npc_profit_per_unit], [2, 50, 48]);
+
+        const [listed] = (await api.request('GET', '/api/items')).body.items;
+        assert.equal(listed.npc_cost_per_unit, 3);
+        const [byMaterial] = (await api.request('GET', '/api/items/by-material?materialName=erva')).body;
+        assert.equal(byMaterial.npc_profit_per_unit, 47);
+    });
+
+    it('inclui os valores por unidade nos rankings de lucro', async () => {
+        // Principal: 5000 - 300 = 4700 por craft; Concentrada: 2500 - 100 = 2400 por craft.
+        const [item] = (await api.request('GET', '/api/items/most-profitable-npc')).body;
+        assert.equal(item.variant_name, 'Principal');
+        assert.deepEqual([item.npc_cost_per_unit, item.npc_revenue_per_unit, item.npc_profit_per_unit], [3, 50, 47]);
+        assert.deepEqual([item.cost_per_unit, item.revenue_per_unit, item.profit_per_unit], [3, 50, 47]);
+        assert.deepEqual(item.variants.map(v => [v.variant_name, v.profit_per_unit]), [['Principal', 47], ['Concentrada', 48]]);
+
+        const [entry] = (await api.request('GET', '/api/items/profit-ranking')).body;
+        assert.equal(entry.profit_per_unit, 47);
+        assert.equal(entry.variants[1].profit_per_unit, 48);
+    });
+
+    it('arredonda os crafts para cima por padrão e informa o excedente', async () => {
+        const { status, body } = await scale(pocaoId, 'quantity=250');
+        assert.equal(status, 200);
+        assert.equal(body.rounding, 'up');
+        assert.deepEqual([body.crafts, body.output_quantity, body.surplus, body.shortfall], [3, 300, 50, 0]);
+        assert.deepEqual(body.materials.map(m => [m.material_name, m.quantity, m.total_npc_cost]), [['Erva', 90, 900], ['Frasco', 300, 0]]);
+        assert.deepEqual([body.total_material_cost_npc, body.total_revenue_npc, body.profit_npc], [900, 15000, 14100]);
+        assert.equal(body.npc_cost_per_unit, 3);
+    });
+
+    it('rounding=down fica abaixo da quantidade pedida e rounding=exact exige múltiplos', async () => {
+        const down = (await scale(pocaoId, 'quantity=250&rounding=down')).body;
+        assert.deepEqual([down.crafts, down.output_quantity, down.surplus, down.shortfall], [2, 200, 0, 50]);
+
+        const notMultiple = await scale(pocaoId, 'quantity=250&rounding=exact');
+        assert.equal(notMultiple.status, 400);
+        assert.match(notMultiple.body.error, /não é múltipla/);
+        assert.equal((await scale(pocaoId, 'quantity=300&rounding=exact')).body.crafts, 3);
+
+        const fewerThanOneCraft = (await scale(pocaoId, 'quantity=40&rounding=down')).body;
+        assert.deepEqual([fewerThanOneCraft.crafts, fewerThanOneCraft.output_quantity, fewerThanOneCraft.profit_npc], [0, 0, 0]);
+    });
+
+    it('converte packs usando o tamanho no nome ou, sem ele, quantity_produced', async () => {
+        const bombaId = await createRecipe(api, { name: '10 Bombas', quantity_produced: 2, materials: [{ material_name: 'Polvora', material_type: 'drop', quantity: 1 }] });
+        const bombas = (await scale(bombaId, 'packs=3')).body;
+        assert.deepEqual([bombas.pack_size, bombas.requested_quantity, bombas.requested_packs, bombas.crafts, bombas.output_quantity], [10, 30, 3, 15, 30]);
+
+        const pocoes = (await scale(pocaoId, 'packs=2')).body;
+        assert.deepEqual([pocoes.pack_size, pocoes.requested_quantity, pocoes.crafts], [100, 200, 2]);
+    });
+
+    it('escala uma variante escolhida pelo nome', async () => {
+        const { body } = await scale(pocaoId, 'quantity=120&variant=concentrada');
+        assert.equal(body.variant_name, 'Concentrada');
+        assert.deepEqual([body.quantity_produced, body.crafts, body.output_quantity], [50, 3, 150]);
+        assert.deepEqual(body.materials.map(m => [m.material_name, m.quantity]), [['Erva', 30]]);
+    });
+
+    it('responde 400 para parâmetros inválidos e 404 para receita ou variante inexistentes', async () => {
+        for (const query of ['', 'quantity=10&packs=1', 'quantity=0', 'packs=abc', 'quantity=10&rounding=nearest']) {
+            const { status, body } = await scale(pocaoId, query);
+            assert.equal(status, 400, query);
+            assert.equal(typeof body.error, 'string');
+        }
+        assert.equal((await scale(9999, 'quantity=1')).status, 404);
+        assert.equal((await scale(pocaoId, 'quantity=1&variant=Inexistente')).status, 404);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+const { createApiKey } = require('../lib/auth');
+
+// Um craft de Lingote rende 10 unidades vendidas a 20 cada ao NPC. A Espada usa 4 Lingotes ('profession', sem custo)
+// e 2 Couros (10 cada): lucro de 180 por craft, 45 por Lingote. O Escudo usa 3 Lingotes: lucro de 90, 30 por Lingote.
+const lingote = {
+    name: 'Lingote',
+    quantity_produced: 10,
+    npc_sell_price: 20,
+    materials: [{ material_name: 'Minerio', material_type: 'buy', quantity: 10, default_npc_price: 5 }]
+};
+const espada = {
+    name: 'Espada',
+    npc_sell_price: 200,
+    materials: [
+        { material_name: 'Lingote', material_type: 'profession', quantity: 4 },
+        { material_name: 'Couro', material_type: 'buy', quantity: 2, default_npc_price: 10 }
+    ]
+};
+const escudo = { name: 'Escudo', npc_sell_price: 90, materials: [{ material_name: 'Lingote', quantity: 3 }] };
+
+describe('decisão de venda: NPC, mercado ou ingrediente', () => {
+    let api;
+    let lingoteId;
+    let espadaId;
+    const sellOptions = (id, query = '', options) => api.request('GET', `/api/items/${id}/sell-options?${query}`, options);
+    const summary = body => body.outlets.map(outlet => [outlet.outlet, outlet.total_value, outlet.rank]);
+
+    before(async () => {
+        api = await startTestServer();
+        lingoteId = await createRecipe(api, lingote);
+        espadaId = await createRecipe(api, espada);
+        await createRecipe(api, escudo);
+    });
+    after(() => api.close());
+
+    it('recomenda usar como ingrediente quando o lucro da receita seguinte supera o NPC', async () => {
+        const { status, body } = await sellOptions(lingoteId);
+        assert.equal(status, 200);
+        assert.deepEqual([body.item_name, body.quantity, body.price_source], ['Lingote', 10, 'npc']);
+        assert.equal(body.recommendation, 'ingredient');
+        // 2 Espadas (360) + 2 Lingotes de sobra ao NPC (40); sem preço de mercado, o mercado fica indisponível.
+        assert.deepEqual(summary(body), [['ingredient', 400, 1], ['npc', 200, 2], ['market', null, null]]);
+        const ingredient = body.outlets[0];
+        assert.deepEqual([ingredient.recipe_name, ingredient.variant_name, ingredient.crafts, ingredient.leftover_quantity, ingredient.leftover_value_npc], ['Espada', 'Principal', 2, 2, 40]);
+        assert.equal(ingredient.value_per_unit, 45);
+        assert.equal(body.outlets[1].difference_from_best, 200);
+        assert.deepEqual(body.downstream_recipes.map(use => [use.recipe_name, use.quantity_per_craft, use.profit_per_craft, use.value_per_unit]), [['Espada', 4, 180, 45], ['Escudo', 3, 90, 30]]);
+    });
+
+    it('escolhe a receita que mais rende para a quantidade pedida', async () => {
+        // 3 Lingotes não completam uma Espada, mas fazem um Escudo (90 contra 60 no NPC).
+        const { body } = await sellOptions(lingoteId, 'quantity=3');
+        assert.equal(body.recommendation, 'ingredient');
+        assert.deepEqual([body.outlets[0].recipe_name, body.outlets[0].crafts, body.outlets[0].total_value], ['Escudo', 1, 90]);
+    });
+
+    it('usa o preço de mercado informado ou, sem ele, o do livro de preços', async () => {
+        const informed = (await sellOptions(lingoteId, 'marketPrice=50')).body;
+        assert.equal(informed.recommendation, 'market');
+        assert.deepEqual(summary(informed), [['market', 500, 1], ['ingredient', 400, 2], ['npc', 200, 3]]);
+        assert.deepEqual(informed.outlets.map(outlet => outlet.difference_from_best), [0, 100, 300]);
+        assert.equal(informed.outlets[0].price_origin, 'request');
+
+        await api.request('PUT', `/api/prices/items/${lingoteId}`, { body: { source: 'market', price: 35 } });
+        const fromBook = (await sellOptions(lingoteId)).body;
+        assert.equal(fromBook.recommendation, 'ingredient');
+        const market = fromBook.outlets.find(outlet => outlet.outlet === 'market');
+        assert.deepEqual([market.value_per_unit, market.total_value, market.price_origin, market.rank], [35, 350, 'price_book', 2]);
+        assert.equal((await api.request('DELETE', `/api/prices/items/${lingoteId}?source=market`)).status, 200);
+    });
+
+    it('deixa o ingrediente indisponível para itens que nenhuma receita usa', async () => {
+        const { body } = await sellOptions(espadaId);
+        assert.equal(body.recommendation, 'npc');
+        assert.deepEqual(summary(body), [['npc', 200, 1], ['market', null, null], ['ingredient', null, null]]);
+        assert.deepEqual(body.downstream_recipes, []);
+    });
+
+    it('desconta do lucro da receita seguinte o valor dos outros materiais profession', async () => {
+        // O Machado (400) usa 2 Lingotes, 1 Cabo (item craftado, vendido a 50) e 1 Resina (20 no NPC, 30 no mercado).
+        await createRecipe(api, { name: 'Cabo', npc_sell_price: 50, materials: [] });
+        await createRecipe(api, {
+            name: 'Machado',
+            npc_sell_price: 400,
+            materials: [
+                { material_name: 'Lingote', quantity: 2 },
+                { material_name: 'Cabo', material_type: 'profession', quantity: 1 },
+                { material_name: 'Resina', material_type: 'profession', quantity: 1, default_npc_price: 20 }
+            ]
+        });
+        await api.request('PUT', '/api/prices/materials/Resina', { body: { source: 'market', price: 30 } });
+
+        const npc = (await sellOptions(lingoteId)).body;
+        // (400 - 50 - 20) / 2 = 165 por Lingote; 5 Machados com os 10 Lingotes.
+        const [machado] = npc.downstream_recipes;
+        assert.deepEqual([machado.recipe_name, machado.quantity_per_craft, machado.profit_per_craft, machado.other_inputs_value, machado.value_per_unit], ['Machado', 2, 400, 70, 165]);
+        assert.deepEqual([npc.outlets[0].recipe_name, npc.outlets[0].crafts, npc.outlets[0].total_value], ['Machado', 5, 1650]);
+
+        const market = (await sellOptions(lingoteId, 'priceSource=market')).body;
+        assert.deepEqual([market.downstream_recipes[0].other_inputs_value, market.downstream_recipes[0].value_per_unit], [80, 160]);
+    });
+
+    it('valida os parâmetros e responde 404 para itens inexistentes', async () => {
+        for (const query of ['quantity=0', 'quantity=abc', 'marketPrice=-1', 'marketPrice=', 'priceSource=leilao']) {
+            assert.equal((await sellOptions(lingoteId, query)).status, 400, query);
+        }
+        assert.equal((await sellOptions('abc')).status, 400);
+        assert.equal((await sellOptions(9999)).status, 404);
+    });
+
+    it('considera só as receitas do workspace da requisição', async () => {
+        const adminKey = await new Promise((resolve, reject) => {
+            createApiKey(api.db, 'admin', 'admin', null, (err, created) => (err ? reject(err) : resolve(created.key)));
+        });
+        await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'guild-ferreiros', name: 'Ferreiros' } });
+        const inGuild = { headers: { 'X-Workspace': 'guild-ferreiros' } };
+        const guildLingote = await api.request('POST', '/api/items', { ...inGuild, body: lingote });
+        assert.equal(guildLingote.status, 201);
+
+        const { body } = await sellOptions(guildLingote.body.id, '', inGuild);
+        assert.equal(body.recommendation, 'npc');
+        assert.deepEqual(body.downstream_recipes, []);
+        assert.equal((await sellOptions(lingoteId, '', inGuild)).status, 404);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+const { runInTransaction } = require('../lib/transactions');
+const { createEventBus } = require('../lib/events');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('gravações durante a transação de outra requisição', () => {
+    let api;
+
+    // Abre uma transação na conexão do app, grava `sql` nela (se informado) e devolve a função que a desfaz, como
+    // faria uma requisição que falhou.
+    const openFailingTransaction = (sql) => new Promise(started => {
+        runInTransaction(api.db, (done) => {
+            const rollback = () => done(new Error('falha simulada'));
+            if (!sql) { return started(rollback); }
+            api.db.run(sql, () => started(rollback));
+        }, () => {});
+    });
+    // Envia a requisição com a transação aberta e só a desfaz depois que a requisição chegou ao servidor.
+    const duringRollback = async (send) => {
+        const rollback = await openFailingTransaction();
+        const response = send();
+        await sleep(100);
+        rollback();
+        return response;
+    };
+
+    before(async () => {
+        api = await startTestServer();
+        await api.request('POST', '/api/materials', { body: { name: 'Carvao', material_type: 'drop', default_npc_price: 4 } });
+    });
+    after(() => api.close());
+
+    it('não são desfeitas pelo ROLLBACK da outra transação', async () => {
+        const purchase = await api.request('POST', '/api/ledger', { body: { type: 'purchase', material_name: 'Carvao', quantity: 1, unit_price: 4, channel: 'npc' } });
+        assert.equal(purchase.status, 201);
+
+        const deleted = await duringRollback(() => api.request('DELETE', `/api/ledger/${purchase.body.id}`));
+        assert.equal(deleted.status, 200);
+        assert.deepEqual(await api.query('SELECT id FROM ledger_entries WHERE id = ?', [purchase.body.id]), []);
+    });
+
+    it('preços gravados com a transação aberta ficam no livro e no histórico', async () => {
+        const saved = await duringRollback(() => api.request('PUT', '/api/prices/materials/Carvao', { body: { source: 'market', price: 7 } }));
+        assert.equal(saved.status, 200);
+        assert.deepEqual(await api.query('SELECT material_name, price FROM material_prices'), [{ material_name: 'Carvao', price: 7 }]);
+        const history = await api.query("SELECT price FROM price_history WHERE subject_type = 'material' AND source = 'market'");
+        assert.deepEqual(history.map(row => row.price), [7]);
+    });
+
+    it('o índice de receitas não guarda linhas de uma transação desfeita', async () => {
+        const ranking = () => api.request('GET', '/api/items/most-profitable-npc', { key: null });
+        assert.deepEqual((await ranking()).body, []);
+        await api.request('PUT', '/api/prices/materials/Carvao', { body: { source: 'market', price: 8 } });
+
+        // A leitura é anônima: sem chave, a requisição não grava `last_used_at` e chega à rota com a transação aberta.
+        const rollback = await openFailingTransaction("INSERT INTO recipes (workspace_id, name, quantity_produced, npc_sell_price) VALUES (1, 'Desfeita', 1, 10)");
+        const during = ranking();
+        await sleep(100);
+        rollback();
+        assert.deepEqual((await during).body, []);
+        assert.deepEqual((await ranking()).body, []);
+    });
+
+    it('eventos publicados com a transação aberta ficam no registro e não reaproveitam ids', async () => {
+        const bus = createEventBus(api.db);
+        const [{ lastId }] = await api.query('SELECT COALESCE(MAX(id), 0) AS lastId FROM event_log');
+        const publicWorkspace = { id: 1, slug: 'public' };
+        const rollback = await openFailingTransaction();
+        bus.publish('price.changed', { subject_type: 'material', material_name: 'Carvao', price: 5 }, publicWorkspace);
+        await sleep(50);
+        rollback();
+        bus.publish('price.changed', { subject_type: 'material', material_name: 'Carvao', price: 6 }, publicWorkspace);
+        await sleep(50);
+
+        const rows = await api.query('SELECT id, payload FROM event_log WHERE id > ? ORDER BY id', [lastId]);
+        assert.deepEqual(rows.map(row => JSON.parse(row.payload).price), [5, 6]);
+    });
+});
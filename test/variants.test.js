@@ -0,0 +1,198 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+
+// Principal: 4 Minerio (10 cada) por 2 barras. Alternativa: 1 Sucata (5) + 1 Carvao (3) por 1 barra.
+const barra = {
+    name: 'Barra',
+    quantity_produced: 2,
+    npc_sell_price: 30,
+    materials: [{ material_name: 'Minerio', material_type: 'buy', quantity: 4, default_npc_price: 10 }],
+    variants: [{
+        name: 'Reciclada',
+        quantity_produced: 1,
+        materials: [
+            { material_name: 'Sucata', material_type: 'drop', quantity: 1, default_npc_price: 5 },
+            { material_name: 'Carvao', material_type: 'drop', quantity: 1, default_npc_price: 3 }
+        ]
+    }]
+};
+
+describe('variantes de receita', () => {
+    let api;
+    let barraId;
+    before(async () => {
+        api = await startTestServer();
+        barraId = await createRecipe(api, barra);
+    });
+    after(() => api.close());
+
+    it('cria a receita com variantes e as devolve na receita completa', async () => {
+        const { body } = await api.request('GET', `/api/items/${barraId}/recipe`);
+        assert.deepEqual(body.materials.map(m => m.material_name), ['Minerio']);
+        assert.equal(body.variants.length, 1);
+        assert.equal(body.variants[0].name, 'Reciclada');
+        assert.equal(body.variants[0].quantity_produced, 1);
+        assert.deepEqual(body.variants[0].materials.map(m => [m.material_name, m.quantity]).sort(), [['Carvao', 1], ['Sucata', 1]]);
+    });
+
+    it('valida nomes de variante repetidos, o nome reservado e os materiais de cada variante', async () => {
+        const { status, body } = await api.request('POST', '/api/items', {
+            body: {
+                name: 'Outra',
+                quantity_produced: 1,
+                materials: [],
+                variants: [
+                    { name: 'A', quantity_produced: 1, materials: [{ material_name: 'Minerio', quantity: 1 }, { material_name: 'minerio', quantity: 2 }] },
+                    { name: 'a', quantity_produced: 1, materials: [{ material_id: 9999, quantity: 1 }] },
+                    { name: 'principal', quantity_produced: 0, materials: [] }
+                ]
+            }
+        });
+        assert.equal(status, 422);
+        assert.deepEqual(body.errors.map(e => `${e.field}:${e.code}`).sort(), [
+            'variants[0].materials[1]:duplicate',
+            'variants[1].name:duplicate',
+            'variants[2].name:invalid_value',
+            'variants[2].quantity_produced:too_small'
+        ]);
+        const unknown = await api.request('POST', '/api/items', {
+            body: { name: 'Outra', quantity_produced: 1, materials: [], variants: [{ name: 'A', quantity_produced: 1, materials: [{ material_id: 9999, quantity: 1 }] }] }
+        });
+        assert.equal(unknown.status, 422);
+        assert.deepEqual(unknown.body.errors.map(e => e.field), ['variants[0].materials[0].material_id']);
+    });
+
+    it('PUT sem `variants` mantém as variantes; com `variants` as substitui', async () => {
+        const { variants, ...withoutVariants } = barra;
+        assert.equal((await api.request('PUT', `/api/items/${barraId}`, { body: { ...withoutVariants, npc_sell_price: 30 } })).status, 200);
+        assert.equal((await api.request('GET', `/api/items/${barraId}/recipe`)).body.variants.length, 1);
+
+        assert.equal((await api.request('PUT', `/api/items/${barraId}`, { body: { ...barra, variants: [] } })).status, 200);
+        assert.deepEqual((await api.request('GET', `/api/items/${barraId}/recipe`)).body.variants, []);
+
+        const history = (await api.request('GET', `/api/items/${barraId}/history`)).body;
+        const withVariant = history.revisions.find(r => r.action === 'update' && r.snapshot.variants.length === 1);
+        assert.equal((await api.request('POST', `/api/items/${barraId}/restore/${withVariant.revision}`)).status, 200);
+        assert.equal((await api.request('GET', `/api/items/${barraId}/recipe`)).body.variants[0].name, 'Reciclada');
+    });
+
+    it('os rankings de lucro reportam a variante de maior lucro', async () => {
+        // Principal: 60 - 40 = 20 por craft. Reciclada: 30 - 8 = 22 por craft.
+        const [item] = (await api.request('GET', '/api/items/most-profitable-npc')).body;
+        assert.equal(item.variant_name, 'Reciclada');
+        assert.equal(item.quantity_produced, 1);
+        assert.equal(item.profit, 22);
+        assert.deepEqual(item.variants.map(v => [v.variant_name, v.profit]), [['Reciclada', 22], ['Principal', 20]]);
+        assert.equal(item.variants[1].variant_id, null);
+
+        const [entry] = (await api.request('GET', '/api/items/profit-ranking?sort=profit_per_craft')).body;
+        assert.equal(entry.variant_name, 'Reciclada');
+        assert.equal(entry.profit_per_craft, 22);
+
+        // Com o minério mais barato no livro de preços, a variante principal passa a ser a melhor.
+        await api.request('PUT', '/api/prices/materials/Minerio', { body: { price: 1, source: 'market' } });
+        const [market] = (await api.request('GET', '/api/items/most-profitable-npc?priceSource=best')).body;
+        assert.equal(market.variant_id, null);
+        assert.equal(market.variant_name, 'Principal');
+    });
+
+    it('check-possibilities escolhe a variante que produz mais itens com o inventário', async () => {
+        const check = async (availableMaterials) => (await api.request('POST', '/api/crafting/check-possibilities', { body: { availableMaterials } })).body;
+
+        const onlyScrap = await check([{ material_name: 'Sucata', quantity: 3 }, { material_name: 'Carvao', quantity: 5 }]);
+        assert.deepEqual(onlyScrap.map(r => [r.variant_name, r.max_crafts_possible, r.total_items_producible]), [['Reciclada', 3, 3]]);
+        assert.deepEqual(onlyScrap[0].variants.map(v => [v.variant_name, v.max_crafts_possible]), [['Reciclada', 3], ['Principal', 0]]);
+
+        const both = await check([{ material_name: 'Minerio', quantity: 8 }, { material_name: 'Sucata', quantity: 3 }, { material_name: 'Carvao', quantity: 3 }]);
+        assert.equal(both[0].variant_name, 'Principal');
+        assert.equal(both[0].total_items_producible, 4);
+        assert.deepEqual(both[0].materials_needed.map(m => m.material_name), ['Minerio']);
+
+        assert.deepEqual(await check([{ material_name: 'Carvao', quantity: 9 }]), []);
+    });
+
+    it('o plano de crafts usa todas as variantes, cada uma com o próprio valor', async () => {
+        const availableMaterials = [{ material_name: 'Minerio', quantity: 8 }, { material_name: 'Sucata', quantity: 3 }, { material_name: 'Carvao', quantity: 3 }];
+        const plan = async (objective) => (await api.request('POST', '/api/crafting/plan', { body: { availableMaterials, objective } })).body.plan;
+
+        // Lucro NPC por craft: Reciclada 22, Principal 20.
+        assert.deepEqual((await plan('max_npc_profit')).map(p => [p.variant_name, p.crafts, p.value_per_craft]), [['Reciclada', 3, 22], ['Principal', 2, 20]]);
+        const byItems = await plan('max_items');
+        assert.deepEqual(byItems.map(p => [p.variant_name, p.items_produced]), [['Principal', 4], ['Reciclada', 3]]);
+        assert.equal(byItems[0].variant_id, null);
+    });
+
+    it('a lista de compras escolhe a variante mais barata de completar', async () => {
+        const shoppingList = async (userMaterials) => (await api.request('POST', '/api/crafting/shopping-list', { body: { targets: [{ recipe_name: 'Barra', quantity: 4 }], userMaterials } })).body;
+
+        // Sem inventário: Principal custa 2 crafts x 4 Minerio x 10 = 80; Reciclada, 4 crafts x (5 + 3) = 32.
+        const empty = await shoppingList([]);
+        assert.deepEqual([empty.targets[0].variant_name, empty.targets[0].crafts_needed, empty.total_acquisition_cost], ['Reciclada', 4, 32]);
+        assert.deepEqual(empty.targets[0].variants.map(v => [v.variant_name, v.crafts_needed, v.acquisition_cost]), [['Reciclada', 4, 32], ['Principal', 2, 80]]);
+        assert.deepEqual(empty.missing_materials.drop.map(m => [m.material_name, m.quantity_missing]), [['Carvao', 4], ['Sucata', 4]]);
+
+        const withOre = await shoppingList([{ material_name: 'Minerio', quantity: 8 }]);
+        assert.deepEqual([withOre.targets[0].variant_id, withOre.targets[0].variant_name, withOre.total_acquisition_cost], [null, 'Principal', 0]);
+    });
+
+    it('analyze-potential-crafts considera as receitas cujas variantes usam os materiais informados', async () => {
+        const result = (await api.request('POST', '/api/crafting/analyze-potential-crafts', {
+            body: { userMaterials: [{ material_name: 'Sucata', quantity: 3 }, { material_name: 'Carvao', quantity: 3 }] }
+        })).body;
+        assert.deepEqual(result.map(r => [r.recipe_name, r.variant_name, r.craftable_now_count]), [['Barra', 'Reciclada', 3]]);
+        assert.deepEqual(result[0].materials_analysis.map(m => m.material_name).sort(), ['Carvao', 'Sucata']);
+        assert.deepEqual(result[0].variants.map(v => [v.variant_name, v.craftable_now_count, v.total_items_producible]), [['Reciclada', 3, 3], ['Principal', 0, 0]]);
+    });
+
+    it('árvore, where-used, impacto e by-material enxergam materiais que só aparecem numa variante', async () => {
+        await createRecipe(api, { name: 'Lingote', materials: [{ material_name: 'Barra', material_type: 'profession', quantity: 2 }] });
+        const carvao = (await api.request('GET', '/api/materials')).body.find(m => m.name === 'Carvao');
+
+        const tree = (await api.request('GET', `/api/items/${barraId}/tree?variant=reciclada`)).body;
+        assert.deepEqual([tree.variant_name, tree.quantity_produced, tree.total_material_cost_npc], ['Reciclada', 1, 8]);
+        assert.deepEqual(tree.bill_of_materials.map(m => m.material_name), ['Carvao', 'Sucata']);
+        assert.equal((await api.request('GET', `/api/items/${barraId}/tree?variant=Inexistente`)).status, 404);
+
+        // O Lingote crafta a Barra pela variante principal, então o Carvao não chega até ele.
+        const whereUsed = (await api.request('GET', `/api/materials/${carvao.id}/where-used`)).body;
+        assert.deepEqual(whereUsed.recipes.map(r => [r.recipe_name, r.variant_name, r.depth, r.quantity_per_unit]), [['Barra', 'Reciclada', 0, 1]]);
+        const minerio = (await api.request('GET', '/api/materials')).body.find(m => m.name === 'Minerio');
+        const minerioUses = (await api.request('GET', `/api/materials/${minerio.id}/where-used`)).body.recipes;
+        assert.deepEqual(minerioUses.map(r => [r.recipe_name, r.variant_name, r.quantity_per_unit]), [['Barra', 'Principal', 2], ['Lingote', 'Principal', 4]]);
+
+        const impact = (await api.request('GET', `/api/materials/${carvao.id}/impact?price=13`)).body;
+        assert.deepEqual(impact.recipes.map(r => [r.recipe_name, r.variant_name, r.cost_before, r.cost_after, r.profit_change]), [['Barra', 'Reciclada', 8, 18, -10]]);
+
+        const byMaterial = (await api.request('GET', '/api/items/by-material?materialName=Carvao')).body;
+        assert.deepEqual(byMaterial.map(recipe => recipe.name), ['Barra']);
+    });
+
+    it('variante sem materiais torna a receita ilimitada', async () => {
+        const id = await createRecipe(api, {
+            name: 'Amuleto',
+            materials: [{ material_name: 'Sucata', quantity: 50 }],
+            variants: [{ name: 'Presente', quantity_produced: 1, materials: [] }]
+        });
+        const result = (await api.request('POST', '/api/crafting/check-possibilities', { body: { availableMaterials: [] } })).body;
+        const amuleto = result.find(r => r.recipe_id === id);
+        assert.equal(amuleto.variant_name, 'Presente');
+        assert.equal(amuleto.unbounded, true);
+        assert.equal(amuleto.max_crafts_possible, null);
+    });
+
+    it('mesclar materiais também atualiza os materiais das variantes', async () => {
+        const materials = (await api.request('GET', '/api/materials')).body;
+        const id = name => materials.find(m => m.name === name).id;
+        const merged = await api.request('POST', `/api/materials/${id('Sucata')}/merge`, { body: { sourceIds: [id('Carvao')] } });
+        assert.equal(merged.status, 200);
+        const variant = (await api.request('GET', `/api/items/${barraId}/recipe`)).body.variants[0];
+        assert.deepEqual(variant.materials.map(m => [m.material_name, m.quantity]), [['Sucata', 2]]);
+    });
+
+    it('excluir a receita remove as variantes', async () => {
+        assert.equal((await api.request('DELETE', `/api/items/${barraId}`)).status, 200);
+        const rows = await api.query('SELECT COUNT(*) AS count FROM recipe_variants WHERE recipe_id = ?', [barraId]);
+        assert.equal(rows[0].count, 0);
+    });
+});
@@ -0,0 +1,184 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createRecipe } = require('./helpers');
+const { createApiKey } = require('../lib/auth');
+
+const createKey = (api, name, role, workspaceId) => new Promise((resolve, reject) => {
+    createApiKey(api.db, name, role, workspaceId, (err, created) => (err ? reject(err) : resolve(created.key)));
+});
+
+describe('workspaces', () => {
+    let api;
+    let adminKey;
+    let guild;
+    const inGuild = (headers = {}) => ({ headers: { 'X-Workspace': 'guild-aurora', ...headers } });
+
+    before(async () => {
+        api = await startTestServer();
+        adminKey = await createKey(api, 'admin', 'admin', null);
+        const created = await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'guild-aurora', name: 'Guild Aurora' } });
+        assert.equal(created.status, 201);
+        guild = created.body.workspace;
+    });
+    after(() => api.close());
+
+    it('cria workspaces privados por padrão e recusa slugs inválidos ou repetidos', async () => {
+        assert.equal(guild.visibility, 'private');
+        const invalid = await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'Guild Aurora!', name: 'X' } });
+        assert.equal(invalid.status, 422);
+        assert.equal(invalid.body.errors[0].field, 'slug');
+        const duplicate = await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'guild-aurora', name: 'Outra' } });
+        assert.equal(duplicate.status, 409);
+        const editor = await api.request('POST', '/api/workspaces', { body: { slug: 'guild-editor', name: 'X' } });
+        assert.equal(editor.status, 403);
+
+        const anonymous = await api.request('GET', '/api/workspaces', { key: null });
+        assert.deepEqual(anonymous.body.map(workspace => workspace.slug), ['public']);
+        const admin = await api.request('GET', '/api/workspaces', { key: adminKey });
+        assert.deepEqual(admin.body.map(workspace => workspace.slug), ['public', 'guild-aurora']);
+    });
+
+    it('isola receitas, materiais e preços: os mesmos nomes valem em cada workspace', async () => {
+        const publicId = await createRecipe(api, { name: 'Pocao Isolada', npc_sell_price: 100, materials: [{ material_name: 'Erva Isolada', material_type: 'buy', quantity: 1, default_npc_price: 10 }] });
+        const guildRecipe = await api.request('POST', '/api/items', { ...inGuild(), body: { name: 'Pocao Isolada', quantity_produced: 1, npc_sell_price: 300, materials: [{ material_name: 'Erva Isolada', material_type: 'buy', quantity: 1, default_npc_price: 50 }] } });
+        assert.equal(guildRecipe.status, 201);
+        assert.notEqual(guildRecipe.body.id, publicId);
+
+        const publicItems = await api.request('GET', '/api/items?q=Isolada');
+        const guildItems = await api.request('GET', '/api/items?q=Isolada', inGuild());
+        assert.deepEqual(publicItems.body.items.map(item => [item.id, item.npc_sell_price]), [[publicId, 100]]);
+        assert.deepEqual(guildItems.body.items.map(item => [item.id, item.npc_sell_price]), [[guildRecipe.body.id, 300]]);
+        assert.equal(guildItems.body.items[0].materials[0].default_npc_price, 50);
+
+        // Uma receita de outro workspace não existe neste.
+        assert.equal((await api.request('GET', `/api/items/${publicId}/recipe`, inGuild())).status, 404);
+        assert.equal((await api.request('DELETE', `/api/items/${publicId}`, inGuild())).status, 404);
+
+        await api.request('PUT', '/api/prices/materials/Erva Isolada', { ...inGuild(), body: { source: 'market', price: 45 } });
+        assert.deepEqual((await api.request('GET', '/api/prices/materials', inGuild())).body.map(row => row.price), [45]);
+        assert.deepEqual((await api.request('GET', '/api/prices/materials')).body, []);
+        const materials = await api.request('GET', '/api/materials?search=Isolada');
+        assert.equal(materials.body.length, 1);
+        assert.equal(materials.body[0].default_npc_price, 10);
+    });
+
+    it('workspace privado exige chave com acesso, inclusive na leitura', async () => {
+        const anonymous = await api.request('GET', '/api/items', { ...inGuild(), key: null });
+        assert.equal(anonymous.status, 401);
+
+        const otherWorkspace = await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'guild-rival', name: 'Guild Rival' } });
+        const rivalKey = await createKey(api, 'rival', 'editor', otherWorkspace.body.workspace.id);
+        const forbidden = await api.request('GET', '/api/items', { ...inGuild(), key: rivalKey });
+        assert.equal(forbidden.status, 403);
+
+        const byQuery = await api.request('GET', '/api/items?workspace=guild-aurora&q=Isolada');
+        assert.equal(byQuery.body.items[0].npc_sell_price, 300);
+        const unknown = await api.request('GET', '/api/items', { headers: { 'X-Workspace': 'nao-existe' } });
+        assert.equal(unknown.status, 404);
+        assert.match(unknown.body.error, /nao-existe/);
+    });
+
+    it('chave limitada a um workspace não escreve nos demais nem gerencia chaves', async () => {
+        const created = await api.request('POST', '/api/auth/keys', { key: adminKey, body: { name: 'aurora-editor', role: 'editor', workspace: 'guild-aurora' } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.workspace_id, guild.id);
+        const boundKey = created.body.key;
+
+        const own = await api.request('POST', '/api/materials', { ...inGuild(), key: boundKey, body: { name: 'Po Aurora', material_type: 'drop' } });
+        assert.equal(own.status, 201);
+        const publicWrite = await api.request('POST', '/api/materials', { key: boundKey, body: { name: 'Po Aurora', material_type: 'drop' } });
+        assert.equal(publicWrite.status, 403);
+        // Workspaces públicos continuam abertos para leitura.
+        assert.equal((await api.request('GET', '/api/materials', { key: boundKey })).status, 200);
+
+        const boundAdmin = await createKey(api, 'aurora-admin', 'admin', guild.id);
+        assert.equal((await api.request('GET', '/api/auth/keys', { key: boundAdmin })).status, 403);
+        const unknown = await api.request('POST', '/api/auth/keys', { key: adminKey, body: { name: 'x', role: 'viewer', workspace: 'nao-existe' } });
+        assert.equal(unknown.status, 404);
+    });
+
+    it('histórico de preços de item excluído fica só no workspace da receita', async () => {
+        const created = await api.request('POST', '/api/items', { ...inGuild(), body: { name: 'Item Apagado', quantity_produced: 1, npc_sell_price: 10, materials: [] } });
+        const id = created.body.id;
+        await api.request('PUT', `/api/prices/items/${id}`, { ...inGuild(), body: { source: 'market', price: 20 } });
+        assert.equal((await api.request('DELETE', `/api/items/${id}`, inGuild())).status, 200);
+
+        const inOwner = await api.request('GET', `/api/prices/items/${id}/history`, inGuild());
+        assert.equal(inOwner.status, 200);
+        assert.equal(inOwner.body.item.name, null);
+        assert.equal((await api.request('GET', `/api/prices/items/${id}/history`)).status, 404);
+
+        // Preços de um id sem receita nem revisões não são atribuídos a nenhum workspace.
+        await api.query("INSERT INTO price_history (subject_type, subject_id, source, price) VALUES ('item', 9999, 'market', 5)");
+        assert.equal((await api.request('GET', '/api/prices/items/9999/history')).status, 404);
+    });
+
+    it('ETag e índice são separados por workspace', async () => {
+        const publicTag = (await api.request('GET', '/api/items/profit-ranking')).headers.get('etag');
+        const guildResponse = await api.request('GET', '/api/items/profit-ranking', inGuild());
+        assert.notEqual(guildResponse.headers.get('etag'), publicTag);
+        assert.equal(guildResponse.headers.get('cache-control'), 'private, no-cache');
+
+        await api.request('PUT', '/api/prices/materials/Erva Isolada', { ...inGuild(), body: { source: 'market', price: 46 } });
+        const revalidated = await api.request('GET', '/api/items/profit-ranking', { headers: { 'If-None-Match': publicTag, 'Cache-Control': 'max-age=0' } });
+        assert.equal(revalidated.status, 304);
+    });
+
+    it('copia receitas do público com materiais, variantes e preços, pulando nomes existentes', async () => {
+        const forkedId = await createRecipe(api, {
+            name: 'Elixir Copiado',
+            npc_sell_price: 200,
+            craft_duration_seconds: 60,
+            materials: [{ material_name: 'Erva Isolada', quantity: 2 }, { material_name: 'Cristal Copiado', material_type: 'drop', quantity: 1, default_npc_price: 30 }],
+            variants: [{ name: 'Barata', quantity_produced: 1, materials: [{ material_name: 'Cristal Copiado', quantity: 3 }] }]
+        });
+        await api.request('PUT', `/api/prices/items/${forkedId}`, { body: { source: 'market', price: 250 } });
+        await api.request('PUT', '/api/prices/materials/Cristal Copiado', { body: { source: 'market', price: 25 } });
+        await api.request('PUT', '/api/prices/materials/Erva Isolada', { body: { source: 'market', price: 12 } });
+
+        const fork = await api.request('POST', '/api/items/fork', { ...inGuild(), body: {} });
+        assert.equal(fork.status, 200);
+        assert.equal(fork.body.source, 'public');
+        assert.deepEqual(fork.body.created.map(recipe => recipe.name), ['Elixir Copiado']);
+        assert.deepEqual(fork.body.skipped.map(recipe => recipe.name), ['Pocao Isolada']);
+
+        const copyId = fork.body.created[0].id;
+        const copy = await api.request('GET', `/api/items/${copyId}/recipe`, inGuild());
+        assert.equal(copy.body.craft_duration_seconds, 60);
+        // "Erva Isolada" já existia no destino e mantém o preço de lá; "Cristal Copiado" foi criado.
+        assert.deepEqual(copy.body.materials.map(mat => [mat.material_name, mat.default_npc_price]), [['Erva Isolada', 50], ['Cristal Copiado', 30]]);
+        assert.deepEqual(copy.body.variants.map(variant => [variant.name, variant.materials[0].quantity]), [['Barata', 3]]);
+
+        const itemPrices = await api.request('GET', '/api/prices/items', inGuild());
+        assert.deepEqual(itemPrices.body.map(row => [row.recipe_id, row.price]), [[copyId, 250]]);
+        const materialPrices = await api.request('GET', '/api/prices/materials', inGuild());
+        assert.deepEqual(materialPrices.body.map(row => [row.material_name, row.price]), [['Cristal Copiado', 25], ['Erva Isolada', 46]]);
+        const history = await api.request('GET', `/api/items/${copyId}/history`, inGuild());
+        assert.deepEqual(history.body.revisions.map(revision => revision.action), ['create']);
+
+        const again = await api.request('POST', '/api/items/fork', { ...inGuild(), body: { recipe_ids: [forkedId] } });
+        assert.deepEqual(again.body.created, []);
+        assert.equal(again.body.skipped[0].source_id, forkedId);
+    });
+
+    it('recusa cópias do próprio workspace, de origens desconhecidas ou privadas sem acesso', async () => {
+        assert.equal((await api.request('POST', '/api/items/fork', { body: { source: 'public' } })).status, 400);
+        assert.equal((await api.request('POST', '/api/items/fork', { ...inGuild(), body: { source: 'nao-existe' } })).status, 404);
+        assert.equal((await api.request('POST', '/api/items/fork', { ...inGuild(), body: { recipe_ids: [9999] } })).status, 404);
+
+        const rivalKey = await createKey(api, 'rival-editor', 'editor', (await api.query("SELECT id FROM workspaces WHERE slug = 'guild-rival'"))[0].id);
+        const privateSource = await api.request('POST', '/api/items/fork', { key: rivalKey, headers: { 'X-Workspace': 'guild-rival' }, body: { source: 'guild-aurora' } });
+        assert.equal(privateSource.status, 403);
+    });
+
+    it('cópias simultâneas para o mesmo workspace copiam cada receita uma vez', async () => {
+        await api.request('POST', '/api/workspaces', { key: adminKey, body: { slug: 'guild-paralela', name: 'Guild Paralela' } });
+        const fork = () => api.request('POST', '/api/items/fork', { headers: { 'X-Workspace': 'guild-paralela' }, body: {} });
+        const responses = await Promise.all([fork(), fork(), fork()]);
+        assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+        const publicCount = (await api.request('GET', '/api/items')).body.total;
+        assert.deepEqual(responses.map(response => response.body.created.length).sort(), [0, 0, publicCount]);
+        const copies = await api.query("SELECT COUNT(*) AS count FROM recipes r JOIN workspaces w ON w.id = r.workspace_id WHERE w.slug = 'guild-paralela'");
+        assert.equal(copies[0].count, publicCount);
+    });
+});